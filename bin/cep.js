@@ -0,0 +1,4 @@
+#!/usr/bin/env node
+import { CLI } from '../js/cli/main.js';
+
+process.exitCode = await new CLI().executar(process.argv.slice(2));
@@ -0,0 +1,247 @@
+import { AgendaContatos } from '../lib/agenda.js';
+import { I18n } from '../lib/i18n.js';
+import { PlanilhaParser } from './planilha.js';
+import { Utils } from './utils.js';
+
+// ==========================================
+// INTERFACE DA AGENDA
+// ==========================================
+
+/**
+ * Lista de contatos do Endereçador: busca, filtros, favoritos e
+ * preenchimento do remetente ou do destinatário com um clique
+ */
+export class AgendaManager {
+  constructor(uiManager, agenda) {
+    this.ui = uiManager;
+    this.agenda = agenda;
+    this.elements = this.cacheElements();
+    this.bindEvents();
+    this.agenda.pronto.then(() => this.renderizar());
+  }
+  
+  cacheElements() {
+    return {
+      busca: document.getElementById('agendaBusca'),
+      marcador: document.getElementById('agendaMarcador'),
+      favoritos: document.getElementById('agendaFavoritos'),
+      resumo: document.getElementById('agendaResumo'),
+      lista: document.getElementById('agendaLista'),
+      btnImportar: document.getElementById('btnImportarAgenda'),
+      inputImportar: document.getElementById('inputImportarAgenda'),
+      btnExportarCSV: document.getElementById('btnExportarAgendaCSV'),
+      btnExportarVCard: document.getElementById('btnExportarAgendaVCard'),
+      botoesSalvar: document.querySelectorAll('[data-agenda-salvar]')
+    };
+  }
+  
+  bindEvents() {
+    this.elements.busca?.addEventListener('input', Utils.debounce(() => this.renderizar(), 200));
+    this.elements.marcador?.addEventListener('change', () => this.renderizar());
+    this.elements.favoritos?.addEventListener('change', () => this.renderizar());
+    
+    this.elements.botoesSalvar.forEach(botao => {
+      botao.addEventListener('click', () => this.salvarAtual(botao.dataset.agendaSalvar));
+    });
+    
+    this.elements.btnImportar?.addEventListener('click', () => this.elements.inputImportar.click());
+    this.elements.inputImportar?.addEventListener('change', (e) => {
+      const [arquivo] = e.target.files;
+      if (arquivo) this.importar(arquivo);
+      e.target.value = '';
+    });
+    this.elements.btnExportarCSV?.addEventListener('click', () => this.exportar('csv'));
+    this.elements.btnExportarVCard?.addEventListener('click', () => this.exportar('vcard'));
+  }
+  
+  /**
+   * Salva o remetente ou o destinatário preenchido como contato
+   */
+  async salvarAtual(tipo) {
+    const dados = this.ui.coletarDadosFormulario(tipo);
+    
+    if (!dados.nome) {
+      Utils.showToast(I18n.t('agenda.preenchaNome'), 'error');
+      this.ui.campoFormulario(tipo, 'nome')?.focus();
+      return;
+    }
+    
+    try {
+      const existia = [...this.agenda.contatos.values()]
+        .some(contato => AgendaContatos.chave(contato) === AgendaContatos.chave(dados));
+      await this.agenda.salvar(dados);
+      this.renderizar();
+      Utils.showToast(I18n.t(existia ? 'agenda.atualizado' : 'agenda.salvo', { nome: dados.nome }), 'success');
+    } catch (error) {
+      console.error('Erro ao salvar contato:', error);
+      Utils.showToast(I18n.t('agenda.erroSalvar'), 'error');
+    }
+  }
+  
+  /**
+   * Preenche um lado do formulário com o contato
+   */
+  preencher(contato, tipo) {
+    this.ui.preencherFormulario(tipo, contato);
+    Utils.showToast(I18n.t(tipo === 'remetente' ? 'agenda.preenchidoRemetente' : 'agenda.preenchidoDestinatario', { nome: contato.nome }), 'info');
+  }
+  
+  async alternarFavorito(contato) {
+    await this.agenda.alternarFavorito(contato.id);
+    this.renderizar();
+  }
+  
+  async editarMarcadores(contato) {
+    const resposta = prompt(I18n.t('agenda.promptMarcadores'), contato.marcadores.join(', '));
+    if (resposta === null) return;
+    
+    await this.agenda.definirMarcadores(contato.id, resposta);
+    this.renderizar();
+  }
+  
+  async remover(contato) {
+    if (!confirm(I18n.t('agenda.confirmarRemover', { nome: contato.nome }))) return;
+    
+    await this.agenda.remover(contato.id);
+    this.renderizar();
+  }
+  
+  /**
+   * Importa contatos de um arquivo CSV ou vCard
+   */
+  async importar(arquivo) {
+    try {
+      const texto = await PlanilhaParser.lerTextoCSV(arquivo);
+      const total = await this.agenda.importar(texto);
+      this.renderizar();
+      Utils.showToast(I18n.t('agenda.importados', { n: total }), 'success');
+    } catch (error) {
+      console.error('Erro ao importar agenda:', error);
+      Utils.showToast(error.message || I18n.t('agenda.erroImportar'), 'error');
+    }
+  }
+  
+  exportar(formato) {
+    if (this.agenda.contatos.size === 0) {
+      Utils.showToast(I18n.t('agenda.vazia'), 'warning');
+      return;
+    }
+    
+    const data = new Date().toISOString().slice(0, 10);
+    if (formato === 'vcard') {
+      Utils.baixarArquivo(this.agenda.exportarVCard(), `agenda-${data}.vcf`, 'text/vcard;charset=utf-8');
+    } else {
+      Utils.baixarArquivo(this.agenda.exportarCSV(), `agenda-${data}.csv`, 'text/csv;charset=utf-8');
+    }
+  }
+  
+  /**
+   * Opções do filtro de marcadores, preservando a seleção
+   */
+  renderizarMarcadores() {
+    const select = this.elements.marcador;
+    if (!select) return;
+    
+    const selecionado = select.value;
+    const marcadores = this.agenda.marcadores();
+    
+    select.length = 1; // mantém "Todos"
+    marcadores.forEach(marcador => select.add(new Option(marcador, marcador)));
+    select.value = marcadores.includes(selecionado) ? selecionado : '';
+  }
+  
+  /**
+   * Lista os contatos que atendem aos filtros
+   */
+  renderizar() {
+    const { lista, resumo } = this.elements;
+    if (!lista) return;
+    
+    this.renderizarMarcadores();
+    
+    const contatos = this.agenda.listar({
+      termo: this.elements.busca?.value || '',
+      marcador: this.elements.marcador?.value || '',
+      favoritos: Boolean(this.elements.favoritos?.checked)
+    });
+    const total = this.agenda.contatos.size;
+    
+    resumo.textContent = total === 0
+      ? I18n.t('agenda.nenhumContato')
+      : I18n.t('agenda.resumo', { mostrados: contatos.length, n: total });
+    
+    lista.innerHTML = '';
+    contatos.forEach(contato => lista.appendChild(this.criarItem(contato)));
+  }
+  
+  criarItem(contato) {
+    const item = document.createElement('li');
+    item.className = 'agenda__item';
+    
+    const favorito = this.criarBotao(
+      contato.favorito ? 'fas fa-star' : 'far fa-star',
+      I18n.t(contato.favorito ? 'favoritos.remover' : 'favoritos.marcar', { nome: contato.nome }),
+      () => this.alternarFavorito(contato)
+    );
+    favorito.classList.add('agenda__favorito');
+    favorito.setAttribute('aria-pressed', String(contato.favorito));
+    
+    const info = document.createElement('div');
+    info.className = 'agenda__info';
+    
+    const nome = document.createElement('strong');
+    nome.className = 'agenda__nome';
+    nome.textContent = contato.nome;
+    
+    const endereco = document.createElement('span');
+    endereco.className = 'agenda__endereco';
+    endereco.textContent = [
+      [contato.endereco, contato.numero].filter(Boolean).join(', '),
+      [contato.cidade, contato.uf].filter(Boolean).join(' - '),
+      contato.cep
+    ].filter(Boolean).join(' · ');
+    
+    info.append(nome, endereco);
+    
+    if (contato.marcadores.length) {
+      const marcadores = document.createElement('span');
+      marcadores.className = 'agenda__marcadores';
+      contato.marcadores.forEach(marcador => {
+        const tag = document.createElement('span');
+        tag.className = 'agenda__marcador';
+        tag.textContent = marcador;
+        marcadores.appendChild(tag);
+      });
+      info.appendChild(marcadores);
+    }
+    
+    const botoes = document.createElement('div');
+    botoes.className = 'agenda__botoes';
+    botoes.append(
+      this.criarBotao('fas fa-user-tie', I18n.t('agenda.usarRemetente', { nome: contato.nome }), () => this.preencher(contato, 'remetente'), I18n.t('agenda.remetente')),
+      this.criarBotao('fas fa-user', I18n.t('agenda.usarDestinatario', { nome: contato.nome }), () => this.preencher(contato, 'destinatario'), I18n.t('agenda.destinatario')),
+      this.criarBotao('fas fa-tags', I18n.t('agenda.editarMarcadores', { nome: contato.nome }), () => this.editarMarcadores(contato)),
+      this.criarBotao('fas fa-trash', I18n.t('agenda.remover', { nome: contato.nome }), () => this.remover(contato))
+    );
+    
+    item.append(favorito, info, botoes);
+    return item;
+  }
+  
+  criarBotao(icone, rotulo, acao, texto = '') {
+    const botao = document.createElement('button');
+    botao.type = 'button';
+    botao.className = 'btn btn--text agenda__botao';
+    botao.setAttribute('aria-label', rotulo);
+    botao.title = rotulo;
+    
+    const i = document.createElement('i');
+    i.className = icone;
+    i.setAttribute('aria-hidden', 'true');
+    botao.appendChild(i);
+    
+    if (texto) botao.append(texto);
+    botao.addEventListener('click', acao);
+    return botao;
+  }
+}
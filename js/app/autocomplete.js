@@ -0,0 +1,128 @@
+// ==========================================
+// COMPONENTE DE AUTOCOMPLETE
+// ==========================================
+
+/**
+ * Lista de sugestões acessível (padrão combobox da WAI-ARIA) para um input
+ */
+export class Autocomplete {
+  /**
+   * @param {HTMLInputElement} input - Input com role="combobox"
+   * @param {HTMLElement} lista - Elemento com role="listbox"
+   * @param {Object} options
+   * @param {Function} options.sugerir - Recebe o texto digitado e retorna as sugestões
+   * @param {Function} [options.onSelecionar] - Chamado com a sugestão escolhida
+   */
+  constructor(input, lista, { sugerir, onSelecionar = () => {} }) {
+    this.input = input;
+    this.lista = lista;
+    this.sugerir = sugerir;
+    this.onSelecionar = onSelecionar;
+    this.sugestoes = [];
+    this.ativo = -1;
+    this.bindEvents();
+  }
+  
+  bindEvents() {
+    this.input.addEventListener('input', () => this.atualizar());
+    this.input.addEventListener('keydown', (e) => this.navegar(e));
+    this.input.addEventListener('blur', () => this.fechar());
+    
+    // mousedown evita que o blur do input feche a lista antes do clique
+    this.lista.addEventListener('mousedown', (e) => {
+      const opcao = e.target.closest('[role="option"]');
+      if (!opcao) return;
+      e.preventDefault();
+      this.selecionar(Number(opcao.dataset.indice));
+    });
+  }
+  
+  /**
+   * Recalcula e exibe as sugestões para o valor atual
+   */
+  atualizar() {
+    this.sugestoes = this.sugerir(this.input.value);
+    this.ativo = -1;
+    
+    this.lista.innerHTML = '';
+    this.sugestoes.forEach((sugestao, indice) => {
+      const opcao = document.createElement('li');
+      opcao.id = `${this.lista.id}-${indice}`;
+      opcao.className = 'autocomplete__opcao';
+      opcao.setAttribute('role', 'option');
+      opcao.setAttribute('aria-selected', 'false');
+      opcao.dataset.indice = indice;
+      opcao.textContent = sugestao;
+      this.lista.appendChild(opcao);
+    });
+    
+    const aberto = this.sugestoes.length > 0;
+    this.lista.classList.toggle('hidden', !aberto);
+    this.input.setAttribute('aria-expanded', aberto);
+    this.input.removeAttribute('aria-activedescendant');
+  }
+  
+  /**
+   * Navegação por teclado na lista
+   */
+  navegar(e) {
+    const aberto = this.sugestoes.length > 0 && !this.lista.classList.contains('hidden');
+    
+    switch (e.key) {
+      case 'ArrowDown':
+        if (!aberto) {
+          this.atualizar();
+          break;
+        }
+        e.preventDefault();
+        this.destacar((this.ativo + 1) % this.sugestoes.length);
+        break;
+        
+      case 'ArrowUp':
+        if (!aberto) break;
+        e.preventDefault();
+        this.destacar((this.ativo - 1 + this.sugestoes.length) % this.sugestoes.length);
+        break;
+        
+      case 'Enter':
+        if (!aberto || this.ativo < 0) break;
+        e.preventDefault();
+        this.selecionar(this.ativo);
+        break;
+        
+      case 'Escape':
+        this.fechar();
+        break;
+    }
+  }
+  
+  destacar(indice) {
+    this.ativo = indice;
+    
+    [...this.lista.children].forEach((opcao, i) => {
+      const ativa = i === indice;
+      opcao.classList.toggle('autocomplete__opcao--ativa', ativa);
+      opcao.setAttribute('aria-selected', ativa);
+      if (ativa) opcao.scrollIntoView({ block: 'nearest' });
+    });
+    
+    this.input.setAttribute('aria-activedescendant', `${this.lista.id}-${indice}`);
+  }
+  
+  selecionar(indice) {
+    const valor = this.sugestoes[indice];
+    if (valor === undefined) return;
+    
+    this.input.value = valor;
+    this.fechar();
+    this.onSelecionar(valor);
+  }
+  
+  fechar() {
+    this.sugestoes = [];
+    this.ativo = -1;
+    this.lista.classList.add('hidden');
+    this.input.setAttribute('aria-expanded', 'false');
+    this.input.removeAttribute('aria-activedescendant');
+  }
+}
@@ -0,0 +1,173 @@
+import { DeclaracaoConteudo } from '../lib/declaracao.js';
+import { I18n } from '../lib/i18n.js';
+import { DOM } from './dom.js';
+import { Utils } from './utils.js';
+
+// ==========================================
+// INTERFACE DA DECLARAÇÃO DE CONTEÚDO
+// ==========================================
+
+/**
+ * Lista de itens da declaração no Endereçador, com totais ao vivo.
+ * A declaração sai sozinha ou junto com o rótulo (ver UIManager.gerarPDF).
+ */
+export class DeclaracaoManager {
+  constructor(uiManager) {
+    this.ui = uiManager;
+    this.elements = this.cacheElements();
+    this.bindEvents();
+    if (this.elements.itens) this.adicionarItem();
+  }
+  
+  cacheElements() {
+    return {
+      itens: document.getElementById('declaracaoItens'),
+      totalQuantidade: document.getElementById('declaracaoTotalQuantidade'),
+      totalValor: document.getElementById('declaracaoTotalValor'),
+      totalPeso: document.getElementById('declaracaoTotalPeso'),
+      btnAdicionar: document.getElementById('btnAdicionarItem'),
+      btnGerar: document.getElementById('btnGerarDeclaracao'),
+      incluir: document.getElementById('incluirDeclaracao')
+    };
+  }
+  
+  bindEvents() {
+    const { itens } = this.elements;
+    if (!itens) return;
+    
+    this.elements.btnAdicionar?.addEventListener('click', () => {
+      this.adicionarItem().querySelector('input')?.focus();
+    });
+    this.elements.btnGerar?.addEventListener('click', () => this.gerar());
+    
+    itens.addEventListener('input', () => this.atualizarTotais());
+    itens.addEventListener('click', (e) => {
+      const botao = e.target.closest('[data-remover-item]');
+      if (!botao) return;
+      
+      botao.closest('tr').remove();
+      if (itens.rows.length === 0) this.adicionarItem();
+      this.atualizarTotais();
+    });
+  }
+  
+  /**
+   * Indica se a declaração deve sair no mesmo PDF do rótulo
+   */
+  get incluir() {
+    return Boolean(this.elements.incluir?.checked);
+  }
+  
+  /**
+   * Acrescenta uma linha vazia à tabela de itens
+   */
+  adicionarItem(item = {}) {
+    const linha = document.createElement('tr');
+    const numero = this.elements.itens.rows.length + 1;
+    
+    const campos = [
+      ['descricao', 'declaracao.conteudo', 'text', {}],
+      ['quantidade', 'declaracao.quantidade', 'number', { min: '1', step: '1', value: '1' }],
+      ['valorUnitario', 'declaracao.valorUnitario', 'text', { inputMode: 'decimal', placeholder: '0,00' }],
+      ['peso', 'declaracao.pesoUnitario', 'text', { inputMode: 'decimal', placeholder: '0,000' }]
+    ];
+    
+    campos.forEach(([campo, rotulo, tipo, atributos]) => {
+      const celula = document.createElement('td');
+      const input = document.createElement('input');
+      input.type = tipo;
+      input.className = 'form__input';
+      input.dataset.campo = campo;
+      input.setAttribute('aria-label', I18n.t('declaracao.campoItem', { campo: I18n.t(rotulo), n: numero }));
+      Object.assign(input, atributos);
+      if (item[campo] !== undefined) input.value = item[campo];
+      
+      celula.appendChild(input);
+      linha.appendChild(celula);
+    });
+    
+    const acoes = document.createElement('td');
+    const remover = document.createElement('button');
+    remover.type = 'button';
+    remover.className = 'btn btn--text';
+    remover.dataset.removerItem = '';
+    remover.title = I18n.t('declaracao.removerItem');
+    remover.setAttribute('aria-label', I18n.t('declaracao.removerItemN', { n: numero }));
+    remover.appendChild(DOM.icone('trash'));
+    acoes.appendChild(remover);
+    linha.appendChild(acoes);
+    
+    this.elements.itens.appendChild(linha);
+    return linha;
+  }
+  
+  /**
+   * Itens preenchidos na tabela, já convertidos para números
+   */
+  coletarItens() {
+    if (!this.elements.itens) return [];
+    
+    const itens = [...this.elements.itens.rows].map(linha => {
+      const item = {};
+      linha.querySelectorAll('input[data-campo]').forEach(input => {
+        item[input.dataset.campo] = input.value;
+      });
+      return item;
+    });
+    
+    return DeclaracaoConteudo.normalizarItens(itens);
+  }
+  
+  atualizarTotais() {
+    const totais = DeclaracaoConteudo.totais(this.coletarItens());
+    const { totalQuantidade, totalValor, totalPeso } = this.elements;
+    
+    if (totalQuantidade) totalQuantidade.textContent = totais.quantidade;
+    if (totalValor) totalValor.textContent = DeclaracaoConteudo.formatarValor(totais.valor);
+    if (totalPeso) totalPeso.textContent = DeclaracaoConteudo.formatarPeso(totais.peso);
+  }
+  
+  /**
+   * Confere os dados e mostra a primeira pendência
+   * @returns {boolean}
+   */
+  validar(dadosRemetente, dadosDestinatario, itens) {
+    const erros = DeclaracaoConteudo.validar(dadosRemetente, dadosDestinatario, itens);
+    if (erros.length > 0) {
+      Utils.showToast(erros[0], 'error', 5000);
+      return false;
+    }
+    return true;
+  }
+  
+  /**
+   * Gera o PDF só com a declaração
+   */
+  gerar() {
+    const dadosRemetente = this.ui.coletarDadosFormulario('remetente');
+    const dadosDestinatario = this.ui.coletarDadosFormulario('destinatario');
+    const itens = this.coletarItens();
+    
+    if (!this.validar(dadosRemetente, dadosDestinatario, itens)) return;
+    
+    try {
+      const bytes = DeclaracaoConteudo.gerar(dadosRemetente, dadosDestinatario, itens);
+      Utils.baixarArquivo(bytes, `declaracao-conteudo-${Date.now()}.pdf`, 'application/pdf');
+      Utils.showToast(I18n.t('declaracao.gerada'), 'success');
+    } catch (error) {
+      console.error('Erro ao gerar declaração:', error);
+      Utils.showToast(I18n.t('declaracao.erroGerar'), 'error');
+    }
+  }
+  
+  /**
+   * Volta a tabela para uma única linha vazia
+   */
+  limpar() {
+    if (!this.elements.itens) return;
+    
+    this.elements.itens.replaceChildren();
+    this.adicionarItem();
+    this.atualizarTotais();
+  }
+}
@@ -0,0 +1,98 @@
+// ==========================================
+// RENDERIZAÇÃO SEGURA
+// ==========================================
+
+// Esquemas que executam código quando usados em href/src
+const URL_PERIGOSA = /^\s*(?:javascript|vbscript|data):/i;
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Atributos de evento nunca entram pelo DOM (só por addEventListener)
+ */
+const recusarEvento = (nome) => {
+  if (/^on/i.test(nome)) {
+    throw new Error(`Atributo de evento não permitido: ${nome} (use addEventListener)`);
+  }
+};
+
+/**
+ * Montagem de elementos sem interpretar HTML. Todo texto (resposta dos
+ * provedores, dados digitados, planilhas importadas) vira nó de texto, então
+ * nunca é executado. Use no lugar de innerHTML com template strings.
+ */
+export class DOM {
+  /**
+   * Cria um elemento com atributos e filhos
+   * @param {string} tag
+   * @param {Object} [atributos] - className, dataset e atributos comuns; false/null/undefined são ignorados
+   * @param {...(Node|string|number|Array|null|false)} filhos - Textos viram nós de texto; vazios são ignorados
+   * @returns {HTMLElement}
+   */
+  static criar(tag, atributos = {}, ...filhos) {
+    const elemento = document.createElement(tag);
+    
+    Object.entries(atributos ?? {}).forEach(([nome, valor]) => {
+      if (valor === undefined || valor === null || valor === false) return;
+      
+      recusarEvento(nome);
+      
+      if (nome === 'className') {
+        elemento.className = valor;
+      } else if (nome === 'dataset') {
+        Object.assign(elemento.dataset, valor);
+      } else if ((nome === 'href' || nome === 'src') && URL_PERIGOSA.test(valor)) {
+        // Links vindos de dados externos não podem virar script
+        return;
+      } else {
+        elemento.setAttribute(nome, valor === true ? '' : String(valor));
+      }
+    });
+    
+    elemento.append(...DOM.nos(filhos));
+    return elemento;
+  }
+  
+  /**
+   * Cria um SVG a partir de um desenho { tag, atributos, filhos } (ex.: CEPNet.desenhoSVG),
+   * elemento por elemento, sem passar por marcação
+   * @returns {SVGElement}
+   */
+  static svg({ tag, atributos = {}, filhos = [] }) {
+    const elemento = document.createElementNS(SVG_NS, tag);
+    
+    Object.entries(atributos).forEach(([nome, valor]) => {
+      recusarEvento(nome);
+      if (nome === 'xmlns' || /href$/i.test(nome)) return;
+      elemento.setAttribute(nome, String(valor));
+    });
+    
+    elemento.append(...filhos.map(filho => DOM.svg(filho)));
+    return elemento;
+  }
+  
+  /**
+   * Converte filhos (inclusive listas aninhadas) em nós, descartando os vazios
+   */
+  static nos(filhos) {
+    return filhos
+      .flat(Infinity)
+      .filter(filho => filho !== undefined && filho !== null && filho !== false && filho !== '')
+      .map(filho => (filho instanceof Node ? filho : document.createTextNode(String(filho))));
+  }
+  
+  /**
+   * Troca o conteúdo de um elemento
+   */
+  static substituir(elemento, ...filhos) {
+    elemento.replaceChildren(...DOM.nos(filhos));
+    return elemento;
+  }
+  
+  /**
+   * Ícone decorativo do Font Awesome (ex.: DOM.icone('search'), DOM.icone('star', 'far'))
+   */
+  static icone(nome, estilo = 'fas') {
+    return DOM.criar('i', { className: `${estilo} fa-${nome}`, 'aria-hidden': 'true' });
+  }
+}
@@ -0,0 +1,281 @@
+import { FaixasCEP } from '../lib/faixas-cep.js';
+import { FilaEnvios } from '../lib/fila.js';
+import { I18n } from '../lib/i18n.js';
+import { CodigoRastreio } from '../lib/rastreio.js';
+import { DOM } from './dom.js';
+import { Utils } from './utils.js';
+
+// ==========================================
+// FILA DE ENVIOS (INTERFACE)
+// ==========================================
+
+const CHAVE_FILA = 'enderecador:fila';
+const CHAVE_COM_REMETENTE = 'enderecador:filaComRemetente';
+
+/**
+ * Envios guardados a partir do formulário do Endereçador, editáveis e
+ * reordenáveis, impressos juntos num único PDF. A fila fica no localStorage
+ * e sobrevive a recarregar a página.
+ */
+export class FilaManager {
+  constructor(uiManager) {
+    this.ui = uiManager;
+    this.fila = new FilaEnvios(FilaManager.itensSalvos());
+    this.editando = null;
+    this.elements = this.cacheElements();
+    this.bindEvents();
+    this.renderizar();
+  }
+  
+  static itensSalvos() {
+    try {
+      return JSON.parse(localStorage.getItem(CHAVE_FILA)) || [];
+    } catch {
+      return [];
+    }
+  }
+  
+  cacheElements() {
+    return {
+      lista: document.getElementById('filaLista'),
+      resumo: document.getElementById('filaResumo'),
+      comRemetente: document.getElementById('filaComRemetente'),
+      btnAdicionar: document.getElementById('btnAdicionarFila'),
+      btnImprimir: document.getElementById('btnImprimirFila'),
+      btnLimpar: document.getElementById('btnLimparFila')
+    };
+  }
+  
+  bindEvents() {
+    const { comRemetente } = this.elements;
+    if (comRemetente) {
+      comRemetente.checked = localStorage.getItem(CHAVE_COM_REMETENTE) === '1';
+      comRemetente.addEventListener('change', () => {
+        localStorage.setItem(CHAVE_COM_REMETENTE, comRemetente.checked ? '1' : '0');
+      });
+    }
+    
+    this.elements.btnAdicionar?.addEventListener('click', () => this.adicionar());
+    this.elements.btnImprimir?.addEventListener('click', () => this.imprimir());
+    this.elements.btnLimpar?.addEventListener('click', () => this.limpar());
+  }
+  
+  salvar() {
+    localStorage.setItem(CHAVE_FILA, JSON.stringify(this.fila.itens));
+  }
+  
+  /**
+   * Guarda o destinatário do formulário (e o remetente, se marcado) na fila,
+   * ou atualiza o item em edição, e deixa o destinatário pronto para o próximo
+   */
+  adicionar() {
+    const destinatario = this.ui.coletarDadosFormulario('destinatario');
+    const comRemetente = Boolean(this.elements.comRemetente?.checked);
+    const remetente = comRemetente ? this.ui.coletarDadosFormulario('remetente') : null;
+    
+    if (!destinatario.nome || (comRemetente && !remetente.nome)) {
+      Utils.showToast(I18n.t(destinatario.nome ? 'fila.erroRemetente' : 'fila.erroDestinatario'), 'error');
+      return;
+    }
+    
+    const rastreio = this.ui.rastreio.coletar();
+    if (rastreio === false) return;
+    
+    const repetido = this.fila.duplicado(destinatario, this.editando);
+    if (repetido && !confirm(I18n.t('fila.confirmarDuplicado', {
+      nome: repetido.destinatario.nome,
+      posicao: this.fila.itens.indexOf(repetido) + 1
+    }))) {
+      return;
+    }
+    
+    const opcoes = { remetente, frete: this.ui.frete.linhaRotulo(this.ui.idioma.idiomaRotulo), rastreio };
+    const atualizado = this.editando && this.fila.atualizar(this.editando, destinatario, opcoes);
+    if (!atualizado) this.fila.adicionar(destinatario, opcoes);
+    
+    this.editando = null;
+    this.salvar();
+    this.renderizar();
+    
+    // O código fica reservado para o envio; o campo volta vazio para o próximo
+    this.ui.rastreio.consumir(rastreio);
+    this.ui.rastreio.limpar();
+    this.ui.preencherFormulario('destinatario', {});
+    document.getElementById('destinatarioNome')?.focus();
+    
+    Utils.showToast(atualizado
+      ? I18n.t('fila.atualizado', { nome: destinatario.nome })
+      : I18n.t('fila.adicionado', { nome: destinatario.nome, n: this.fila.tamanho }), 'success');
+  }
+  
+  /**
+   * Leva o item ao formulário; "Atualizar na fila" grava as mudanças no mesmo lugar
+   */
+  editar(item) {
+    this.editando = item.id;
+    this.ui.preencherFormulario('destinatario', item.destinatario);
+    if (item.remetente) this.ui.preencherFormulario('remetente', item.remetente);
+    if (this.elements.comRemetente) this.elements.comRemetente.checked = Boolean(item.remetente);
+    this.ui.rastreio.definir(item.rastreio);
+    
+    this.renderizar();
+    document.getElementById('destinatarioNome')?.focus();
+  }
+  
+  cancelarEdicao() {
+    if (!this.editando) return;
+    this.editando = null;
+    this.renderizar();
+  }
+  
+  mover(item, deslocamento) {
+    if (!this.fila.mover(item.id, deslocamento)) return;
+    
+    this.salvar();
+    this.renderizar();
+    
+    // Mantém o foco no botão usado, agora na nova posição
+    const direcao = deslocamento < 0 ? 'subir' : 'descer';
+    this.elements.lista.querySelector(`[data-fila-id="${item.id}"] [data-fila-acao="${direcao}"]`)?.focus();
+  }
+  
+  remover(item) {
+    if (!confirm(I18n.t('fila.confirmarRemover', { nome: item.destinatario.nome }))) return;
+    
+    if (this.editando === item.id) this.editando = null;
+    this.fila.remover(item.id);
+    this.salvar();
+    this.renderizar();
+  }
+  
+  limpar() {
+    if (this.fila.tamanho === 0 || !confirm(I18n.t('fila.confirmarLimpar', { n: this.fila.tamanho }))) return;
+    
+    this.editando = null;
+    this.fila.limpar();
+    this.salvar();
+    this.renderizar();
+  }
+  
+  /**
+   * Um PDF com todos os envios, na ordem da fila e no modelo escolhido
+   */
+  async imprimir() {
+    if (this.fila.tamanho === 0) {
+      Utils.showToast(I18n.t('fila.vazia'), 'warning');
+      return;
+    }
+    
+    const remetente = this.ui.coletarDadosFormulario('remetente');
+    const envios = this.fila.envios(remetente);
+    
+    if (envios.some(envio => !envio.remetente.nome)) {
+      Utils.showToast(I18n.t('fila.semRemetente'), 'error');
+      document.getElementById('remetenteNome')?.focus();
+      return;
+    }
+    
+    // CEP de outra UF em qualquer envio bloqueia a impressão, a menos que o usuário confirme
+    const divergencias = envios
+      .flatMap(({ remetente: de, destinatario: para }) => [FaixasCEP.conferir(de.cep, de.uf), FaixasCEP.conferir(para.cep, para.uf)])
+      .filter(Boolean);
+    if (divergencias.length > 0 &&
+      !confirm(`${[...new Set(divergencias)].join('\n')}\n\n${I18n.t('form.confirmarDivergencia')}`)) {
+      return;
+    }
+    
+    try {
+      Utils.toggleLoading(true);
+      
+      const pdf = this.ui.criarPDF();
+      envios.forEach(({ remetente: de, destinatario: para, frete, rastreio }) => pdf.adicionarRotulo(de, para, { frete, rastreio }));
+      pdf.salvar(`fila-envios-${Date.now()}.pdf`);
+      this.ui.avancarEtiquetaInicial(pdf);
+      
+      Utils.showToast(I18n.t('fila.pdfGerado', { n: envios.length }), 'success');
+      
+    } catch (error) {
+      console.error('Erro ao gerar PDF da fila:', error);
+      Utils.showToast(I18n.t('form.erroPDF'), 'error');
+    } finally {
+      Utils.toggleLoading(false);
+    }
+  }
+  
+  renderizar() {
+    const { lista, resumo, btnAdicionar, btnImprimir } = this.elements;
+    if (!lista) return;
+    
+    const repetidos = this.fila.duplicados();
+    
+    resumo.textContent = this.fila.tamanho === 0
+      ? I18n.t('fila.vazia')
+      : [
+        I18n.t('fila.resumo', { n: this.fila.tamanho }),
+        repetidos.size > 0 && I18n.t('fila.resumoDuplicados', { n: repetidos.size })
+      ].filter(Boolean).join(' · ');
+      
+    DOM.substituir(lista, this.fila.itens.map((item, indice) => this.criarItem(item, indice, repetidos.has(item.id))));
+    
+    if (btnImprimir) btnImprimir.disabled = this.fila.tamanho === 0;
+    if (btnAdicionar) {
+      const chave = this.editando ? 'fila.atualizar' : 'fila.adicionar';
+      btnAdicionar.dataset.i18n = chave;
+      DOM.substituir(btnAdicionar, DOM.icone(this.editando ? 'save' : 'plus'), ` ${I18n.t(chave)}`);
+    }
+  }
+  
+  criarItem(item, indice, repetido) {
+    const { destinatario, remetente, frete, rastreio } = item;
+    const nome = destinatario.nome;
+    const editando = this.editando === item.id;
+    const ultimo = indice === this.fila.tamanho - 1;
+    
+    const classes = ['fila__item'];
+    if (repetido) classes.push('fila__item--duplicado');
+    if (editando) classes.push('fila__item--editando');
+    
+    const info = DOM.criar('div', { className: 'fila__info' },
+      DOM.criar('strong', { className: 'fila__nome' }, nome,
+        repetido && DOM.criar('span', { className: 'fila__aviso' }, I18n.t('fila.duplicado'))
+      ),
+      DOM.criar('span', { className: 'fila__detalhe' }, [
+        [destinatario.endereco, destinatario.numero].filter(Boolean).join(', '),
+        [destinatario.cidade, destinatario.uf].filter(Boolean).join(' - '),
+        destinatario.cep
+      ].filter(Boolean).join(' · ')),
+      remetente && DOM.criar('span', { className: 'fila__detalhe' }, I18n.t('fila.de', { nome: remetente.nome })),
+      frete && DOM.criar('span', { className: 'fila__detalhe' }, frete),
+      rastreio && DOM.criar('span', { className: 'fila__detalhe fila__rastreio' }, CodigoRastreio.formatar(rastreio))
+    );
+    
+    const botoes = DOM.criar('div', { className: 'fila__botoes' },
+      this.criarBotao('arrow-up', I18n.t('fila.subir', { nome }), () => this.mover(item, -1), { acao: 'subir', desabilitado: indice === 0 }),
+      this.criarBotao('arrow-down', I18n.t('fila.descer', { nome }), () => this.mover(item, 1), { acao: 'descer', desabilitado: ultimo }),
+      editando
+        ? this.criarBotao('times', I18n.t('fila.cancelarEdicao'), () => this.cancelarEdicao())
+        : this.criarBotao('pen', I18n.t('fila.editar', { nome }), () => this.editar(item)),
+      this.criarBotao('trash', I18n.t('fila.remover', { nome }), () => this.remover(item))
+    );
+    
+    return DOM.criar('li', { className: classes.join(' '), dataset: { filaId: item.id } },
+      DOM.criar('span', { className: 'fila__posicao', 'aria-hidden': 'true' }, indice + 1),
+      info,
+      botoes
+    );
+  }
+  
+  criarBotao(icone, rotulo, acao, { acao: nomeAcao, desabilitado = false } = {}) {
+    const botao = DOM.criar('button', {
+      type: 'button',
+      className: 'btn btn--text fila__botao',
+      title: rotulo,
+      'aria-label': rotulo,
+      disabled: desabilitado,
+      dataset: nomeAcao ? { filaAcao: nomeAcao } : null
+    }, DOM.icone(icone));
+    
+    botao.addEventListener('click', acao);
+    return botao;
+  }
+}
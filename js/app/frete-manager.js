@@ -0,0 +1,194 @@
+import { Frete, TABELAS_FRETE } from '../lib/frete.js';
+import { I18n } from '../lib/i18n.js';
+import { DOM } from './dom.js';
+import { Utils } from './utils.js';
+
+// ==========================================
+// INTERFACE DA ESTIMATIVA DE FRETE
+// ==========================================
+
+const CHAVE_TABELAS = 'enderecador:tabelasFrete';
+
+/**
+ * Cotação de frete e prazo entre o remetente e o destinatário do Endereçador,
+ * com tabelas editáveis em JSON (salvas neste navegador) e a opção de
+ * imprimir o serviço escolhido no rótulo
+ */
+export class FreteManager {
+  constructor(uiManager) {
+    this.ui = uiManager;
+    this.tabelas = FreteManager.tabelasSalvas();
+    this.cotacoes = [];
+    this.elements = this.cacheElements();
+    this.bindEvents();
+    this.mostrarTabelas();
+  }
+  
+  /**
+   * Tabelas editadas pelo usuário, ou as padrão se não houver (ou se estiverem corrompidas)
+   */
+  static tabelasSalvas() {
+    try {
+      const salvas = JSON.parse(localStorage.getItem(CHAVE_TABELAS));
+      if (salvas && Frete.validarTabelas(salvas).length === 0) return salvas;
+    } catch {
+      // JSON inválido: volta às tabelas padrão
+    }
+    return TABELAS_FRETE;
+  }
+  
+  cacheElements() {
+    return {
+      peso: document.getElementById('fretePeso'),
+      altura: document.getElementById('freteAltura'),
+      largura: document.getElementById('freteLargura'),
+      comprimento: document.getElementById('freteComprimento'),
+      rota: document.getElementById('freteRota'),
+      cotacoes: document.getElementById('freteCotacoes'),
+      imprimir: document.getElementById('freteNoRotulo'),
+      tabelas: document.getElementById('freteTabelas'),
+      tabelasErro: document.getElementById('freteTabelasErro'),
+      btnSalvarTabelas: document.getElementById('btnSalvarTabelasFrete'),
+      btnRestaurarTabelas: document.getElementById('btnRestaurarTabelasFrete')
+    };
+  }
+  
+  bindEvents() {
+    const { peso, altura, largura, comprimento } = this.elements;
+    [peso, altura, largura, comprimento].forEach(campo => {
+      campo?.addEventListener('input', Utils.debounce(() => this.atualizar(), 300));
+    });
+    
+    this.elements.btnSalvarTabelas?.addEventListener('click', () => this.salvarTabelas());
+    this.elements.btnRestaurarTabelas?.addEventListener('click', () => this.restaurarTabelas());
+  }
+  
+  pacote() {
+    const { peso, altura, largura, comprimento } = this.elements;
+    return {
+      peso: peso?.value,
+      altura: altura?.value,
+      largura: largura?.value,
+      comprimento: comprimento?.value
+    };
+  }
+  
+  /**
+   * Recalcula a cotação com os CEPs e cidades do formulário
+   */
+  atualizar() {
+    const { cotacoes, rota } = this.elements;
+    if (!cotacoes) return;
+    
+    const origem = this.ui.coletarDadosFormulario('remetente');
+    const destino = this.ui.coletarDadosFormulario('destinatario');
+    const escolhido = this.servicoEscolhido;
+    
+    let resultado;
+    try {
+      resultado = Frete.cotar(origem, destino, this.pacote(), { tabelas: this.tabelas });
+    } catch (error) {
+      this.cotacoes = [];
+      rota.textContent = error.message;
+      cotacoes.replaceChildren();
+      return;
+    }
+    
+    this.cotacoes = resultado.cotacoes;
+    const { origem: de, destino: para, descricao } = resultado.rota;
+    const regiao = (classificacao) => I18n.t(classificacao.capital ? 'frete.capital' : 'cep.interior');
+    rota.textContent = `${descricao}: ${de.uf} (${regiao(de)}) → ${para.uf} (${regiao(para)})`;
+    
+    // Mantém o serviço escolhido; senão, o mais barato disponível
+    const disponiveis = this.cotacoes.filter(cotacao => !cotacao.erro);
+    const selecionado = disponiveis.find(cotacao => cotacao.servico === escolhido) || disponiveis[0];
+    
+    DOM.substituir(cotacoes, this.cotacoes.map(cotacao => this.renderizarCotacao(cotacao, cotacao === selecionado)));
+  }
+  
+  renderizarCotacao(cotacao, selecionado) {
+    const id = `freteServico-${cotacao.servico}`;
+    const { real, cubico, taxado } = cotacao.peso;
+    const pesoUsado = taxado > real
+      ? I18n.t('frete.pesoCubico', { peso: Frete.formatarPeso(cubico) })
+      : Frete.formatarPeso(taxado);
+    
+    return DOM.criar('li', { className: `frete__cotacao${cotacao.erro ? ' frete__cotacao--indisponivel' : ''}` },
+      DOM.criar('input', {
+        type: 'radio',
+        name: 'freteServico',
+        id,
+        value: cotacao.servico,
+        checked: selecionado,
+        disabled: Boolean(cotacao.erro)
+      }),
+      DOM.criar('label', { for: id },
+        DOM.criar('strong', {}, cotacao.nome),
+        cotacao.erro
+          ? DOM.criar('span', { className: 'frete__detalhe' }, cotacao.erro)
+          : [
+            DOM.criar('span', { className: 'frete__preco' }, Frete.formatarPreco(cotacao.preco)),
+            DOM.criar('span', { className: 'frete__detalhe' }, `${Frete.formatarPrazo(cotacao.prazo)} · ${pesoUsado}`)
+          ]
+      )
+    );
+  }
+  
+  get servicoEscolhido() {
+    return this.elements.cotacoes?.querySelector('input[name="freteServico"]:checked')?.value || null;
+  }
+  
+  /**
+   * Linha do frete para o rótulo, se a impressão estiver marcada e houver serviço escolhido
+   * @param {string} [idioma] - Idioma do rótulo
+   */
+  linhaRotulo(idioma) {
+    if (!this.elements.imprimir?.checked) return null;
+    
+    this.atualizar();
+    const cotacao = this.cotacoes.find(item => item.servico === this.servicoEscolhido);
+    return cotacao ? Frete.resumo(cotacao, new I18n(idioma)) : null;
+  }
+  
+  /**
+   * Coloca as tabelas em uso no editor
+   */
+  mostrarTabelas() {
+    if (!this.elements.tabelas) return;
+    this.elements.tabelas.value = JSON.stringify(this.tabelas, null, 2);
+    this.ui.definirErroCampo(this.elements.tabelas, this.elements.tabelasErro, '');
+  }
+  
+  salvarTabelas() {
+    const { tabelas, tabelasErro } = this.elements;
+    let novas;
+    
+    try {
+      novas = JSON.parse(tabelas.value);
+    } catch (error) {
+      this.ui.definirErroCampo(tabelas, tabelasErro, I18n.t('frete.jsonInvalido', { detalhe: error.message }));
+      return;
+    }
+    
+    const erros = Frete.validarTabelas(novas);
+    if (erros.length > 0) {
+      this.ui.definirErroCampo(tabelas, tabelasErro, erros.join('; '));
+      return;
+    }
+    
+    this.tabelas = novas;
+    localStorage.setItem(CHAVE_TABELAS, JSON.stringify(novas));
+    this.mostrarTabelas();
+    this.atualizar();
+    Utils.showToast(I18n.t('frete.tabelasSalvas'), 'success');
+  }
+  
+  restaurarTabelas() {
+    if (!confirm(I18n.t('frete.confirmarRestaurar'))) return;
+    
+    this.tabelas = TABELAS_FRETE;
+    localStorage.removeItem(CHAVE_TABELAS);
+    this.mostrarTabelas();
+    this.atualizar();
+  }
+}
@@ -0,0 +1,206 @@
+import { CONFIG } from '../lib/config.js';
+import { HistoricoBuscas } from '../lib/historico.js';
+import { I18n } from '../lib/i18n.js';
+import { DOM } from './dom.js';
+import { Utils } from './utils.js';
+
+// ==========================================
+// INTERFACE DO HISTÓRICO E DOS FAVORITOS
+// ==========================================
+
+const CHAVE_RETENCAO = 'enderecador:retencaoHistorico';
+
+/**
+ * Painel de buscas recentes e CEPs favoritos da Busca de CEP:
+ * refazer uma busca com um clique, filtrar por UF ou cidade,
+ * escolher por quanto tempo o histórico fica guardado e apagá-lo
+ */
+export class HistoricoManager {
+  constructor(uiManager, historico) {
+    this.ui = uiManager;
+    this.historico = historico;
+    this.elements = this.cacheElements();
+    this.bindEvents();
+    
+    if (this.elements.retencao) this.elements.retencao.value = String(historico.retencaoDias);
+    this.historico.pronto.then(() => this.renderizar());
+  }
+  
+  /**
+   * Retenção escolhida pelo usuário (em dias), ou a padrão
+   */
+  static retencaoSalva() {
+    const salva = localStorage.getItem(CHAVE_RETENCAO);
+    return salva === null ? CONFIG.HISTORICO.RETENCAO_DIAS : Number(salva);
+  }
+  
+  cacheElements() {
+    return {
+      uf: document.getElementById('historicoUF'),
+      cidade: document.getElementById('historicoCidade'),
+      favoritos: document.getElementById('historicoFavoritos'),
+      resumo: document.getElementById('historicoResumo'),
+      lista: document.getElementById('historicoLista'),
+      retencao: document.getElementById('historicoRetencao'),
+      btnLimpar: document.getElementById('btnLimparHistorico')
+    };
+  }
+  
+  bindEvents() {
+    this.elements.uf?.addEventListener('change', () => this.renderizar());
+    this.elements.cidade?.addEventListener('input', Utils.debounce(() => this.renderizar(), 200));
+    this.elements.retencao?.addEventListener('change', (e) => this.definirRetencao(e.target.value));
+    this.elements.btnLimpar?.addEventListener('click', () => this.limpar());
+  }
+  
+  /**
+   * Guarda a busca concluída; falhas de armazenamento não atrapalham a busca
+   */
+  async registrar(busca, resultados) {
+    try {
+      await this.historico.registrar(busca, resultados);
+      this.renderizar();
+    } catch (error) {
+      console.warn('Não foi possível salvar no histórico:', error);
+    }
+  }
+  
+  async definirRetencao(dias) {
+    localStorage.setItem(CHAVE_RETENCAO, String(dias));
+    await this.historico.definirRetencao(dias);
+    this.renderizar();
+    
+    Utils.showToast(
+      Number(dias) > 0 ? I18n.t('historico.guardado', { n: Number(dias) }) : I18n.t('historico.desligadoApagado'),
+      'info'
+    );
+  }
+  
+  /**
+   * Apaga o histórico deste navegador (os favoritos ficam)
+   */
+  async limpar() {
+    if (this.historico.entradas.size === 0) return;
+    if (!confirm(I18n.t('historico.confirmarLimpar'))) return;
+    
+    await this.historico.limpar();
+    this.renderizar();
+    Utils.showToast(I18n.t('historico.apagado'), 'success');
+  }
+  
+  /**
+   * Botão de estrela do cartão de resultado
+   */
+  criarBotaoFavorito(item) {
+    const botao = DOM.criar('button', {
+      type: 'button',
+      className: 'btn btn--text resultado__favorito',
+      dataset: { favoritoCep: Utils.formatarCEP(item.cep) }
+    });
+    this.atualizarBotaoFavorito(botao, this.historico.ehFavorito(item.cep));
+    
+    botao.addEventListener('click', () => this.alternarFavorito(item));
+    return botao;
+  }
+  
+  atualizarBotaoFavorito(botao, favorito) {
+    const rotulo = I18n.t(favorito ? 'favoritos.remover' : 'favoritos.marcar', { nome: botao.dataset.favoritoCep });
+    botao.setAttribute('aria-pressed', String(favorito));
+    botao.setAttribute('aria-label', rotulo);
+    botao.title = rotulo;
+    DOM.substituir(botao, DOM.icone('star', favorito ? 'fas' : 'far'));
+  }
+  
+  async alternarFavorito(item) {
+    const favorito = await this.historico.alternarFavorito(item);
+    const cep = Utils.formatarCEP(item.cep);
+    
+    // Mesmo CEP pode estar nos resultados e no painel
+    document.querySelectorAll('[data-favorito-cep]').forEach(botao => {
+      if (botao.dataset.favoritoCep === cep) this.atualizarBotaoFavorito(botao, favorito);
+    });
+    this.renderizar();
+  }
+  
+  /**
+   * Opções do filtro de UF, preservando a seleção
+   */
+  renderizarUFs() {
+    const select = this.elements.uf;
+    if (!select) return;
+    
+    const selecionada = select.value;
+    const ufs = this.historico.ufs();
+    
+    select.length = 1; // mantém "Todas"
+    ufs.forEach(uf => select.add(new Option(uf, uf)));
+    select.value = ufs.includes(selecionada) ? selecionada : '';
+  }
+  
+  renderizar() {
+    const { lista, favoritos, resumo } = this.elements;
+    if (!lista) return;
+    
+    this.renderizarUFs();
+    const filtro = { uf: this.elements.uf?.value || '', cidade: this.elements.cidade?.value || '' };
+    
+    const entradas = this.historico.listar(filtro);
+    const total = this.historico.entradas.size;
+    
+    if (this.historico.retencaoDias <= 0) {
+      resumo.textContent = I18n.t('historico.desligado');
+    } else if (total === 0) {
+      resumo.textContent = I18n.t('historico.vazio');
+    } else {
+      resumo.textContent = I18n.t('historico.resumo', { mostradas: entradas.length, n: total });
+    }
+    
+    DOM.substituir(lista, entradas.map(entrada => this.criarItemHistorico(entrada)));
+    DOM.substituir(favoritos, this.historico.listarFavoritos(filtro).map(favorito => this.criarItemFavorito(favorito)));
+  }
+  
+  criarItemHistorico(entrada) {
+    const descricao = HistoricoBuscas.descrever(entrada.busca);
+    const quando = I18n.atual.data(entrada.quando, { dateStyle: 'short', timeStyle: 'short' });
+    const total = I18n.t('historico.resultados', { n: entrada.total });
+    
+    const refazer = DOM.criar('button', {
+      type: 'button',
+      className: 'historico__refazer',
+      title: I18n.t('historico.refazer', { descricao })
+    },
+      DOM.criar('strong', { className: 'historico__descricao' }, descricao),
+      DOM.criar('span', { className: 'historico__meta' }, `${total} · ${quando}`)
+    );
+    refazer.addEventListener('click', () => this.ui.executarBusca(entrada.busca));
+    
+    const remover = DOM.criar('button', {
+      type: 'button',
+      className: 'btn btn--text',
+      title: I18n.t('historico.remover'),
+      'aria-label': I18n.t('historico.removerItem', { descricao })
+    }, DOM.icone('times'));
+    remover.addEventListener('click', async () => {
+      await this.historico.remover(entrada.id);
+      this.renderizar();
+    });
+    
+    return DOM.criar('li', { className: 'historico__item' }, refazer, remover);
+  }
+  
+  criarItemFavorito(favorito) {
+    const abrir = DOM.criar('button', {
+      type: 'button',
+      className: 'historico__refazer',
+      title: I18n.t('historico.mostrarFavorito', { cep: favorito.cep })
+    },
+      DOM.criar('strong', { className: 'historico__descricao' }, favorito.logradouro || favorito.cep),
+      DOM.criar('span', { className: 'historico__meta' },
+        [favorito.cep, [favorito.localidade, favorito.uf].filter(Boolean).join(' - ')].filter(Boolean).join(' · ')
+      )
+    );
+    abrir.addEventListener('click', () => this.ui.exibirResultados([favorito]));
+    
+    return DOM.criar('li', { className: 'historico__item' }, this.criarBotaoFavorito(favorito), abrir);
+  }
+}
@@ -0,0 +1,115 @@
+import { CONFIG } from '../lib/config.js';
+import { I18n, IDIOMAS } from '../lib/i18n.js';
+
+// ==========================================
+// IDIOMA DA INTERFACE E DO RÓTULO
+// ==========================================
+
+const CHAVE_IDIOMA = 'enderecador:idioma';
+const CHAVE_IDIOMA_ROTULO = 'enderecador:idiomaRotulo';
+
+// Atributos traduzidos a partir de data-i18n-<atributo>
+const ATRIBUTOS = ['placeholder', 'title', 'aria-label'];
+
+/**
+ * Idioma da página (textos do HTML marcados com data-i18n e mensagens dos managers)
+ * e idioma impresso no rótulo, escolhido à parte: o rótulo segue o país de destino,
+ * não quem está usando a ferramenta
+ */
+export class IdiomaManager {
+  constructor(uiManager) {
+    this.ui = uiManager;
+    this.elements = this.cacheElements();
+    this.idiomaRotulo = I18n.resolver(localStorage.getItem(CHAVE_IDIOMA_ROTULO) || CONFIG.IDIOMA);
+    
+    I18n.definirAtual(IdiomaManager.idiomaSalvo());
+    this.preencherSeletores();
+    this.bindEvents();
+    this.aplicar();
+  }
+  
+  /**
+   * Idioma escolhido antes neste navegador, ou o mais próximo do idioma do navegador
+   */
+  static idiomaSalvo() {
+    return I18n.resolver(localStorage.getItem(CHAVE_IDIOMA) || navigator.language);
+  }
+  
+  cacheElements() {
+    return {
+      interface: document.getElementById('idiomaInterface'),
+      rotulo: document.getElementById('idiomaRotulo')
+    };
+  }
+  
+  bindEvents() {
+    this.elements.interface?.addEventListener('change', (e) => this.definir(e.target.value));
+    this.elements.rotulo?.addEventListener('change', (e) => {
+      this.idiomaRotulo = I18n.resolver(e.target.value);
+      localStorage.setItem(CHAVE_IDIOMA_ROTULO, this.idiomaRotulo);
+    });
+  }
+  
+  /**
+   * Os nomes dos idiomas ficam sempre no próprio idioma
+   */
+  preencherSeletores() {
+    [this.elements.interface, this.elements.rotulo].filter(Boolean).forEach(select => {
+      select.replaceChildren(...Object.entries(IDIOMAS).map(([codigo, { nome }]) => new Option(nome, codigo)));
+    });
+    
+    if (this.elements.interface) this.elements.interface.value = I18n.atual.idioma;
+    this.mostrarIdiomaRotulo();
+  }
+  
+  /**
+   * Volta o seletor do rótulo ao idioma salvo (ex.: depois de limpar o formulário)
+   */
+  mostrarIdiomaRotulo() {
+    if (this.elements.rotulo) this.elements.rotulo.value = this.idiomaRotulo;
+  }
+  
+  /**
+   * Troca o idioma da interface e redesenha o que foi montado pelos managers
+   */
+  definir(idioma) {
+    I18n.definirAtual(idioma);
+    localStorage.setItem(CHAVE_IDIOMA, I18n.atual.idioma);
+    
+    this.aplicar();
+    this.ui.atualizarIdioma();
+  }
+  
+  /**
+   * Traduz os elementos marcados com data-i18n (texto, com data-i18n-n para o plural)
+   * e data-i18n-<atributo>
+   */
+  aplicar(raiz = document) {
+    document.documentElement.lang = I18n.atual.idioma;
+    
+    raiz.querySelectorAll('[data-i18n]').forEach(elemento => {
+      IdiomaManager.traduzirTexto(elemento, I18n.t(elemento.dataset.i18n, { n: elemento.dataset.i18nN }));
+    });
+    
+    ATRIBUTOS.forEach(atributo => {
+      raiz.querySelectorAll(`[data-i18n-${atributo}]`).forEach(elemento => {
+        elemento.setAttribute(atributo, I18n.t(elemento.getAttribute(`data-i18n-${atributo}`)));
+      });
+    });
+  }
+  
+  /**
+   * Troca só o texto próprio do elemento, mantendo ícones, campos e os espaços ao redor
+   */
+  static traduzirTexto(elemento, texto) {
+    const no = [...elemento.childNodes].find(filho => filho.nodeType === Node.TEXT_NODE && filho.textContent.trim());
+    
+    if (no) {
+      no.textContent = no.textContent.replace(/\S(.*\S)?/s, () => texto);
+    } else if (elemento.children.length === 0) {
+      elemento.textContent = texto;
+    } else {
+      elemento.append(texto);
+    }
+  }
+}
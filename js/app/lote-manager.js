@@ -0,0 +1,263 @@
+import { I18n } from '../lib/i18n.js';
+import { CAMPOS_ENDERECO, LoteDestinatarios } from '../lib/lote.js';
+import { PlanilhaParser } from './planilha.js';
+import { Utils } from './utils.js';
+
+// ==========================================
+// RÓTULOS EM LOTE (INTERFACE)
+// ==========================================
+
+/**
+ * Importação de planilha, mapeamento de colunas, revisão e PDF em lote.
+ * O remetente é o preenchido no formulário do Endereçador.
+ */
+export class LoteManager {
+  constructor(uiManager, api) {
+    this.ui = uiManager;
+    this.api = api;
+    this.planilha = null;
+    this.registros = [];
+    this.elements = this.cacheElements();
+    this.bindEvents();
+  }
+  
+  cacheElements() {
+    return {
+      arquivo: document.getElementById('loteArquivo'),
+      mapeamento: document.getElementById('loteMapeamento'),
+      campos: document.getElementById('loteCampos'),
+      revisao: document.getElementById('loteRevisao'),
+      resumo: document.getElementById('loteResumo'),
+      tabela: document.querySelector('#loteTabela tbody'),
+      btnValidar: document.getElementById('btnValidarLote'),
+      btnGerarPDF: document.getElementById('btnGerarPDFLote')
+    };
+  }
+  
+  bindEvents() {
+    this.elements.arquivo?.addEventListener('change', (e) => {
+      const [arquivo] = e.target.files;
+      if (arquivo) this.importar(arquivo);
+    });
+    this.elements.btnValidar?.addEventListener('click', () => this.validar());
+    this.elements.btnGerarPDF?.addEventListener('click', () => this.gerarPDF());
+  }
+  
+  /**
+   * Lê a planilha e exibe o passo de mapeamento de colunas
+   */
+  async importar(arquivo) {
+    try {
+      this.planilha = await PlanilhaParser.lerArquivo(arquivo);
+    } catch (error) {
+      console.error('Erro ao ler planilha:', error);
+      Utils.showToast(I18n.t('lote.erroLer'), 'error');
+      return;
+    }
+    
+    if (this.planilha.linhas.length === 0) {
+      Utils.showToast(I18n.t('lote.planilhaVazia'), 'warning');
+      return;
+    }
+    
+    this.registros = [];
+    this.elements.revisao.classList.add('hidden');
+    this.renderizarMapeamento(LoteDestinatarios.sugerirMapeamento(this.planilha.colunas));
+    this.elements.mapeamento.classList.remove('hidden');
+    
+    Utils.showToast(I18n.t('lote.linhasLidas', { n: this.planilha.linhas.length }), 'info');
+  }
+  
+  /**
+   * Um select por campo, com as colunas da planilha como opções
+   */
+  renderizarMapeamento(sugestao) {
+    const container = this.elements.campos;
+    container.innerHTML = '';
+    
+    Object.entries(CAMPOS_ENDERECO).forEach(([campo, { rotulo, obrigatorio }]) => {
+      const id = `loteColuna-${campo}`;
+      
+      const col = document.createElement('div');
+      col.className = 'form__col';
+      
+      const label = document.createElement('label');
+      label.className = 'form__label';
+      label.htmlFor = id;
+      const nome = I18n.t(`campos.${campo}`, {}, rotulo);
+      label.textContent = obrigatorio ? `${nome} *` : nome;
+      
+      const select = document.createElement('select');
+      select.className = 'form__select';
+      select.id = id;
+      select.dataset.campo = campo;
+      const ignorar = new Option(I18n.t('lote.naoImportar'), '');
+      ignorar.dataset.i18n = 'lote.naoImportar';
+      select.add(ignorar);
+      this.planilha.colunas.forEach(coluna => select.add(new Option(coluna, coluna)));
+      select.value = sugestao[campo];
+      
+      col.append(label, select);
+      container.appendChild(col);
+    });
+  }
+  
+  /**
+   * Mapeamento escolhido nos selects
+   */
+  lerMapeamento() {
+    const mapa = {};
+    this.elements.campos.querySelectorAll('select').forEach(select => {
+      mapa[select.dataset.campo] = select.value;
+    });
+    return mapa;
+  }
+  
+  /**
+   * Valida cada destinatário pelo CEP e exibe a tabela de revisão
+   */
+  async validar() {
+    const mapa = this.lerMapeamento();
+    
+    const faltando = Object.entries(CAMPOS_ENDERECO)
+      .filter(([campo, { obrigatorio }]) => obrigatorio && !mapa[campo])
+      .map(([campo, { rotulo }]) => I18n.t(`campos.${campo}`, {}, rotulo));
+    
+    if (faltando.length > 0) {
+      Utils.showToast(I18n.t('lote.associeColuna', { campos: faltando.join(', ') }), 'error');
+      return;
+    }
+    
+    const registros = LoteDestinatarios.aplicarMapeamento(this.planilha.linhas, mapa);
+    const signal = this.ui.iniciarRequisicao('lote');
+    
+    this.elements.btnValidar.disabled = true;
+    this.elements.revisao.classList.remove('hidden');
+    this.elements.tabela.innerHTML = '';
+    
+    try {
+      this.registros = await LoteDestinatarios.validar(registros, this.api, {
+        signal,
+        onProgresso: (feitos, total) => {
+          this.elements.resumo.textContent = I18n.t('lote.validando', { feitos, total });
+        }
+      });
+      
+      this.renderizarRevisao();
+      
+    } catch (error) {
+      if (Utils.isAbortError(error)) return;
+      console.error('Erro ao validar lote:', error);
+      Utils.showToast(I18n.t('lote.erroValidar'), 'error');
+    } finally {
+      this.elements.btnValidar.disabled = false;
+      this.ui.finalizarRequisicao('lote', signal);
+      this.ui.atualizarResumoCache();
+    }
+  }
+  
+  /**
+   * Tabela de revisão: linhas com erro ou divergência começam desmarcadas
+   */
+  renderizarRevisao() {
+    const tbody = this.elements.tabela;
+    tbody.innerHTML = '';
+    
+    this.registros.forEach((registro, indice) => {
+      registro.incluir = registro.status === 'ok' || registro.status === 'enriquecido';
+      
+      const tr = document.createElement('tr');
+      tr.className = `lote__linha lote__linha--${registro.status}`;
+      
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = registro.incluir;
+      checkbox.disabled = registro.status === 'erro';
+      checkbox.setAttribute('aria-label', I18n.t('lote.incluirLinha', { linha: registro.linha }));
+      checkbox.addEventListener('change', () => {
+        this.registros[indice].incluir = checkbox.checked;
+        this.atualizarResumo();
+      });
+      
+      const celulas = [
+        checkbox,
+        String(registro.linha),
+        registro.nome,
+        registro.cep,
+        [registro.endereco, registro.numero].filter(Boolean).join(', '),
+        [registro.cidade, registro.uf].filter(Boolean).join(' - '),
+        { i18n: `lote.status.${registro.status}` },
+        registro.mensagens.join('; ')
+      ];
+      
+      celulas.forEach(conteudo => {
+        const td = document.createElement('td');
+        if (conteudo instanceof Node) {
+          td.appendChild(conteudo);
+        } else if (conteudo?.i18n) {
+          // Texto traduzido de novo na troca de idioma
+          td.dataset.i18n = conteudo.i18n;
+          td.textContent = I18n.t(conteudo.i18n);
+        } else {
+          td.textContent = conteudo;
+        }
+        tr.appendChild(td);
+      });
+      
+      tbody.appendChild(tr);
+    });
+    
+    this.atualizarResumo();
+  }
+  
+  atualizarResumo() {
+    const contagem = (status) => this.registros.filter(r => r.status === status).length;
+    const incluidos = this.registros.filter(r => r.incluir).length;
+    
+    this.elements.resumo.textContent = I18n.t('lote.resumo', {
+      n: this.registros.length,
+      validos: contagem('ok') + contagem('enriquecido'),
+      divergentes: contagem('divergente'),
+      erros: contagem('erro'),
+      incluidos
+    });
+    
+    this.elements.btnGerarPDF.disabled = incluidos === 0;
+  }
+  
+  /**
+   * Um rótulo por destinatário selecionado, todos com o remetente do formulário
+   */
+  async gerarPDF() {
+    const remetente = this.ui.coletarDadosFormulario('remetente');
+    const destinatarios = this.registros.filter(r => r.incluir);
+    
+    if (!remetente.nome) {
+      Utils.showToast(I18n.t('lote.semRemetente'), 'error');
+      this.ui.elements.formEnderecador.querySelector('#remetenteNome')?.focus();
+      return;
+    }
+    
+    if (destinatarios.length === 0) {
+      Utils.showToast(I18n.t('lote.nenhumSelecionado'), 'warning');
+      return;
+    }
+    
+    try {
+      Utils.toggleLoading(true);
+      
+      const pdf = this.ui.criarPDF();
+      destinatarios.forEach(destinatario => pdf.adicionarRotulo(remetente, destinatario));
+      pdf.salvar(`rotulos-lote-${Date.now()}.pdf`);
+      this.ui.avancarEtiquetaInicial(pdf);
+      
+      Utils.showToast(I18n.t('lote.pdfGerado', { n: destinatarios.length }), 'success');
+      
+    } catch (error) {
+      console.error('Erro ao gerar PDF em lote:', error);
+      Utils.showToast(I18n.t('form.erroPDF'), 'error');
+    } finally {
+      Utils.toggleLoading(false);
+    }
+  }
+}
@@ -0,0 +1,84 @@
+import { CEPAPI } from '../lib/cep-api.js';
+import { I18n } from '../lib/i18n.js';
+import { UIManager } from './ui-manager.js';
+import { Utils } from './utils.js';
+
+// ==========================================
+// INICIALIZAÇÃO DA APLICAÇÃO
+// ==========================================
+
+export class App {
+  constructor() {
+    this.uiManager = null;
+    this.api = null;
+  }
+  
+  /**
+   * Inicializa a aplicação
+   */
+  init() {
+    // Verifica se o DOM está pronto
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => this.start());
+    } else {
+      this.start();
+    }
+  }
+  
+  /**
+   * Inicia os componentes
+   */
+  start() {
+    try {
+      // Inicializa gerenciadores
+      this.api = new CEPAPI({ onAviso: Utils.avisar });
+      this.uiManager = new UIManager(this.api);
+      
+      // Configurações finais
+      this.setupErrorHandling();
+      this.setupServiceWorker();
+      
+      // Datas de acesso do cache ainda não gravadas (são gravadas em lote)
+      window.addEventListener('pagehide', () => this.api.cache.gravarAcessos());
+      
+      // Busca ou formulário vindos do link
+      this.uiManager.navegacao.aplicarURL();
+      
+      console.log('✅ Aplicação inicializada com sucesso');
+      
+    } catch (error) {
+      console.error('❌ Erro ao inicializar aplicação:', error);
+      Utils.showToast(I18n.t('app.erroInicializar'), 'error');
+    }
+  }
+  
+  /**
+   * Configura tratamento de erros global
+   */
+  setupErrorHandling() {
+    window.addEventListener('error', (event) => {
+      console.error('Erro global:', event.error);
+      Utils.showToast(I18n.t('app.erroInesperado'), 'error');
+    });
+    
+    window.addEventListener('unhandledrejection', (event) => {
+      console.error('Promessa rejeitada não tratada:', event.reason);
+      Utils.showToast(I18n.t('app.erroInesperado'), 'error');
+    });
+  }
+  
+  /**
+   * Configura Service Worker para funcionalidade offline
+   */
+  setupServiceWorker() {
+    // Registro, aviso de nova versão e fila de consultas offline
+    this.uiManager.offline.registrarServiceWorker();
+  }
+}
+
+// ==========================================
+// INICIALIZA A APLICAÇÃO
+// ==========================================
+
+const app = new App();
+app.init();
@@ -0,0 +1,156 @@
+import { I18n } from '../lib/i18n.js';
+import { LinkCompartilhado } from '../lib/links.js';
+import { Utils } from './utils.js';
+
+// ==========================================
+// LINKS E HISTÓRICO DO NAVEGADOR
+// ==========================================
+
+const ABAS = ['cep', 'logradouro', 'faixa'];
+
+// Hash com o formulário do Endereçador (#rotulo=...)
+const PREFIXO_ROTULO = '#rotulo=';
+
+/**
+ * Mantém a aba e a busca na URL: cada busca é uma entrada no histórico,
+ * Voltar/Avançar refazem a busca e abrir o link executa a busca.
+ * O botão "Compartilhar" gera um link que preenche o Endereçador.
+ */
+export class NavegacaoManager {
+  constructor(uiManager) {
+    this.ui = uiManager;
+    this.parametrosAplicados = null;
+    this.elements = {
+      btnCompartilhar: document.getElementById('btnCompartilharRotulo')
+    };
+    this.bindEvents();
+  }
+  
+  bindEvents() {
+    window.addEventListener('popstate', () => {
+      // Âncoras do menu (#enderecador) também geram popstate, sem mudar a busca
+      if (window.location.search === this.parametrosAplicados) return;
+      this.aplicarURL({ voltando: true });
+    });
+    this.elements.btnCompartilhar?.addEventListener('click', () => this.compartilharFormulario());
+  }
+  
+  /**
+   * Executa a busca ou preenche o formulário descritos na URL atual
+   * @param {Object} [options]
+   * @param {boolean} [options.voltando] - Navegação pelo histórico: sem busca, volta ao estado inicial
+   */
+  async aplicarURL({ voltando = false } = {}) {
+    const parametros = new URLSearchParams(window.location.search);
+    const busca = LinkCompartilhado.lerBusca(parametros);
+    this.parametrosAplicados = window.location.search;
+    
+    if (busca) {
+      this.ui.executarBusca(busca, { confirmarFaixa: true });
+    } else {
+      const aba = parametros.get('aba');
+      this.ui.switchTab(ABAS.includes(aba) ? aba : 'cep');
+      if (voltando) this.ui.limparResultados();
+    }
+    
+    if (window.location.hash.startsWith(PREFIXO_ROTULO)) {
+      await this.aplicarFormulario(window.location.hash.slice(PREFIXO_ROTULO.length));
+    }
+  }
+  
+  /**
+   * Grava a busca na URL. Uma nova busca cria uma entrada no histórico;
+   * a busca que já está na URL (link aberto, Voltar) só a substitui.
+   */
+  registrarBusca(busca) {
+    const parametros = LinkCompartilhado.parametrosBusca(busca);
+    const atual = LinkCompartilhado.lerBusca(window.location.search);
+    const mesma = atual && LinkCompartilhado.parametrosBusca(atual).toString() === parametros.toString();
+    
+    const url = this.urlAtual();
+    url.search = parametros.toString();
+    history[mesma ? 'replaceState' : 'pushState']({ busca }, '', url);
+    this.parametrosAplicados = window.location.search;
+  }
+  
+  /**
+   * Guarda a aba escolhida na URL, sem criar entrada no histórico
+   */
+  registrarAba(aba) {
+    const url = this.urlAtual();
+    url.search = aba === 'cep' ? '' : new URLSearchParams({ aba }).toString();
+    history.replaceState(null, '', url);
+    this.parametrosAplicados = window.location.search;
+  }
+  
+  /**
+   * URL atual sem o formulário compartilhado (que só vale ao abrir o link)
+   */
+  urlAtual() {
+    const url = new URL(window.location.href);
+    if (url.hash.startsWith(PREFIXO_ROTULO)) url.hash = '';
+    return url;
+  }
+  
+  /**
+   * Link que reproduz o Endereçador preenchido
+   */
+  async gerarLinkFormulario() {
+    const codigo = await LinkCompartilhado.codificarFormulario(
+      this.ui.coletarDadosFormulario('remetente'),
+      this.ui.coletarDadosFormulario('destinatario')
+    );
+    
+    const url = new URL(window.location.href);
+    url.search = '';
+    url.hash = `${PREFIXO_ROTULO.slice(1)}${codigo}`;
+    return url.href;
+  }
+  
+  /**
+   * Compartilha (ou copia) o link do formulário
+   */
+  async compartilharFormulario() {
+    const dadosRemetente = this.ui.coletarDadosFormulario('remetente');
+    const dadosDestinatario = this.ui.coletarDadosFormulario('destinatario');
+    if (!dadosRemetente.nome && !dadosDestinatario.nome) {
+      Utils.showToast(I18n.t('navegacao.preencha'), 'error');
+      return;
+    }
+    
+    try {
+      const link = await this.gerarLinkFormulario();
+      
+      if (navigator.share) {
+        try {
+          await navigator.share({ title: I18n.t('navegacao.tituloCompartilhar'), url: link });
+          return;
+        } catch (error) {
+          // Cancelado pelo usuário: não copia
+          if (error.name === 'AbortError') return;
+        }
+      }
+      
+      await Utils.copiarTexto(link);
+      Utils.showToast(I18n.t('navegacao.linkCopiado'), 'success');
+    } catch (error) {
+      console.error('Erro ao compartilhar:', error);
+      Utils.showToast(I18n.t('navegacao.erroGerarLink'), 'error');
+    }
+  }
+  
+  /**
+   * Preenche os dois lados do formulário com o link recebido
+   */
+  async aplicarFormulario(codigo) {
+    try {
+      const { remetente, destinatario } = await LinkCompartilhado.decodificarFormulario(codigo);
+      this.ui.preencherFormulario('remetente', remetente);
+      this.ui.preencherFormulario('destinatario', destinatario);
+      document.getElementById('enderecador')?.scrollIntoView();
+    } catch (error) {
+      console.warn(error.message);
+      Utils.showToast(I18n.t('navegacao.linkCorrompido'), 'error');
+    }
+  }
+}
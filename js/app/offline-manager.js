@@ -0,0 +1,183 @@
+import { CEPNetworkError, CEPTimeoutError } from '../lib/errors.js';
+import { I18n } from '../lib/i18n.js';
+import { Utils } from './utils.js';
+
+// ==========================================
+// FUNCIONAMENTO OFFLINE
+// ==========================================
+
+const CHAVE_FILA = 'enderecador:filaConsultas';
+
+/**
+ * Service worker, indicador de conexão e fila de consultas feitas sem rede.
+ * Cada consulta da fila tem um destino: 'busca' (lista de resultados) ou
+ * 'remetente'/'destinatario' (campos do Endereçador).
+ */
+export class OfflineManager {
+  constructor(uiManager, api) {
+    this.ui = uiManager;
+    this.api = api;
+    this.fila = this.carregarFila();
+    this.processando = false;
+    this.workerEmEspera = null;
+    this.atualizacaoPedida = false;
+    this.elements = this.cacheElements();
+    this.bindEvents();
+    this.atualizarStatus();
+  }
+  
+  cacheElements() {
+    return {
+      status: document.getElementById('statusConexao'),
+      avisoAtualizacao: document.getElementById('avisoAtualizacao'),
+      btnAtualizar: document.getElementById('btnAtualizarApp')
+    };
+  }
+  
+  bindEvents() {
+    window.addEventListener('online', () => {
+      this.atualizarStatus();
+      this.processarFila();
+    });
+    window.addEventListener('offline', () => this.atualizarStatus());
+    
+    this.elements.btnAtualizar?.addEventListener('click', () => {
+      if (!this.workerEmEspera) return;
+      this.atualizacaoPedida = true;
+      this.elements.btnAtualizar.disabled = true;
+      this.workerEmEspera.postMessage({ tipo: 'ativar' });
+    });
+  }
+  
+  get online() {
+    return navigator.onLine !== false;
+  }
+  
+  /**
+   * Registra o service worker (sw.js, ao lado do index.html) e acompanha novas versões
+   */
+  async registrarServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    
+    try {
+      const registration = await navigator.serviceWorker.register('sw.js');
+      
+      // Só troca de versão quando o usuário pede; aí recarrega uma única vez
+      let recarregando = false;
+      navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (recarregando || !this.atualizacaoPedida) return;
+        recarregando = true;
+        window.location.reload();
+      });
+      
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        this.mostrarAtualizacao(registration.waiting);
+      }
+      
+      registration.addEventListener('updatefound', () => {
+        const novo = registration.installing;
+        novo?.addEventListener('statechange', () => {
+          // Sem controller é a primeira instalação, não uma atualização
+          if (novo.state === 'installed' && navigator.serviceWorker.controller) {
+            this.mostrarAtualizacao(novo);
+          }
+        });
+      });
+    } catch (error) {
+      console.warn('Service Worker não pôde ser registrado:', error);
+    }
+    
+    // Consultas que ficaram na fila da última visita
+    if (this.online) this.processarFila();
+  }
+  
+  /**
+   * Mostra o aviso de nova versão; o botão "Atualizar" ativa o service worker em espera
+   */
+  mostrarAtualizacao(worker) {
+    this.workerEmEspera = worker;
+    this.elements.avisoAtualizacao?.classList.remove('hidden');
+  }
+  
+  /**
+   * Indicador online/offline, com as consultas pendentes
+   */
+  atualizarStatus() {
+    const { status } = this.elements;
+    if (!status) return;
+    
+    const pendentes = this.fila.length;
+    const texto = I18n.t(this.online ? 'offline.online' : 'offline.offline');
+    
+    status.classList.toggle('conexao--offline', !this.online);
+    status.textContent = pendentes > 0
+      ? `${texto} · ${I18n.t('offline.naFila', { n: pendentes })}`
+      : texto;
+    status.title = I18n.t(this.online ? 'offline.conectado' : 'offline.semConexao');
+  }
+  
+  /**
+   * Indica se a falha da consulta se deve à falta de conexão
+   */
+  deveEnfileirar(error) {
+    return !this.online && (error instanceof CEPNetworkError || error instanceof CEPTimeoutError);
+  }
+  
+  /**
+   * Guarda a consulta para refazer quando a conexão voltar
+   */
+  enfileirar(cep, destino) {
+    const formatado = Utils.formatarCEP(cep);
+    
+    // Uma consulta por CEP e destino; a mais recente vale
+    this.fila = this.fila.filter(item => !(item.cep === formatado && item.destino === destino));
+    this.fila.push({ cep: formatado, destino });
+    this.salvarFila();
+    this.atualizarStatus();
+    
+    Utils.showToast(I18n.t('offline.enfileirado', { cep: formatado }), 'warning', 5000);
+  }
+  
+  /**
+   * Refaz as consultas pendentes em ordem. Se a rede cair de novo, o restante fica para depois.
+   */
+  async processarFila() {
+    if (this.processando || this.fila.length === 0) return;
+    this.processando = true;
+    
+    try {
+      while (this.fila.length > 0 && this.online) {
+        const item = this.fila[0];
+        
+        try {
+          const resultado = await this.api.buscarCEP(item.cep);
+          this.ui.concluirConsultaPendente(item.destino, item.cep, resultado);
+        } catch (error) {
+          if (error instanceof CEPNetworkError || error instanceof CEPTimeoutError) break;
+          
+          // CEP inexistente ou inválido: não adianta tentar de novo
+          Utils.showToast(`CEP ${item.cep}: ${error.message}`, 'error');
+        }
+        
+        this.fila = this.fila.filter(pendente => pendente !== item);
+        this.salvarFila();
+        this.atualizarStatus();
+      }
+    } finally {
+      this.processando = false;
+    }
+  }
+  
+  carregarFila() {
+    try {
+      const fila = JSON.parse(localStorage.getItem(CHAVE_FILA));
+      return Array.isArray(fila) ? fila : [];
+    } catch {
+      return [];
+    }
+  }
+  
+  salvarFila() {
+    localStorage.setItem(CHAVE_FILA, JSON.stringify(this.fila));
+  }
+}
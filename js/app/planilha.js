@@ -0,0 +1,20 @@
+import { PlanilhaParser as PlanilhaBase } from '../lib/planilha.js';
+import { Utils } from './utils.js';
+
+// ==========================================
+// LEITURA DE PLANILHAS SELECIONADAS
+// ==========================================
+
+/**
+ * Leitura de arquivos escolhidos no navegador, carregando o SheetJS só para XLSX
+ */
+export class PlanilhaParser extends PlanilhaBase {
+  static async lerArquivo(arquivo) {
+    const XLSX = PlanilhaParser.ehXLSX(arquivo.name) ? await Utils.carregarXLSX() : undefined;
+    return PlanilhaParser.ler(await Utils.lerArquivoBinario(arquivo), arquivo.name, { XLSX });
+  }
+  
+  static async lerTextoCSV(arquivo) {
+    return PlanilhaParser.decodificarTexto(await Utils.lerArquivoBinario(arquivo));
+  }
+}
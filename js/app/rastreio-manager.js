@@ -0,0 +1,253 @@
+import { Code128 } from '../lib/barcodes.js';
+import { I18n } from '../lib/i18n.js';
+import { CodigoRastreio } from '../lib/rastreio.js';
+import { DOM } from './dom.js';
+import { Utils } from './utils.js';
+
+// ==========================================
+// CÓDIGO DE RASTREIO (INTERFACE)
+// ==========================================
+
+const CHAVE_FAIXA = 'enderecador:faixaRastreio';
+
+/**
+ * Campo do código do objeto no Endereçador, com o Code128 no preview, e a
+ * faixa de etiquetas compradas (salva neste navegador), que fornece o
+ * próximo código e avança a cada rótulo impresso ou envio posto na fila
+ */
+export class RastreioManager {
+  constructor(uiManager) {
+    this.ui = uiManager;
+    this.faixa = RastreioManager.faixaSalva();
+    this.elements = this.cacheElements();
+    this.bindEvents();
+    this.preencherFaixa();
+    this.mostrarFaixa();
+  }
+  
+  /**
+   * Faixa salva, com a série do próximo código a usar; null se não houver ou estiver corrompida
+   */
+  static faixaSalva() {
+    try {
+      const salva = JSON.parse(localStorage.getItem(CHAVE_FAIXA));
+      if (!salva) return null;
+      
+      const faixa = CodigoRastreio.lerFaixa(salva.inicial, salva.final);
+      const proxima = Number.isInteger(salva.proxima) ? salva.proxima : faixa.inicio;
+      return { ...faixa, inicial: salva.inicial, final: salva.final, proxima };
+    } catch {
+      return null;
+    }
+  }
+  
+  cacheElements() {
+    return {
+      codigo: document.getElementById('codigoRastreio'),
+      erro: document.getElementById('codigoRastreioErro'),
+      preview: document.getElementById('rastreioPreview'),
+      status: document.getElementById('rastreioFaixaStatus'),
+      faixaInicial: document.getElementById('rastreioFaixaInicial'),
+      faixaFinal: document.getElementById('rastreioFaixaFinal'),
+      faixaErro: document.getElementById('rastreioFaixaErro'),
+      btnProximo: document.getElementById('btnProximoRastreio'),
+      btnSalvarFaixa: document.getElementById('btnSalvarFaixaRastreio')
+    };
+  }
+  
+  bindEvents() {
+    const { codigo } = this.elements;
+    
+    // Enquanto digita, só o preview; o erro aparece ao sair do campo
+    codigo?.addEventListener('input', Utils.debounce(() => {
+      if (codigo.getAttribute('aria-invalid') === 'true') this.validarCampo();
+      this.ui.atualizarPreview();
+    }, 300));
+    codigo?.addEventListener('blur', () => this.validarCampo());
+    
+    this.elements.btnProximo?.addEventListener('click', () => this.proximo());
+    this.elements.btnSalvarFaixa?.addEventListener('click', () => this.salvarFaixa());
+  }
+  
+  /**
+   * Código válido do campo (normalizado), ou null se vazio ou inválido
+   */
+  get codigo() {
+    const valor = CodigoRastreio.normalizar(this.elements.codigo?.value);
+    return valor && !CodigoRastreio.validar(valor) ? valor : null;
+  }
+  
+  /**
+   * Mostra (ou limpa) o erro do campo
+   * @returns {string|null} Mensagem do problema
+   */
+  validarCampo() {
+    const { codigo, erro } = this.elements;
+    if (!codigo) return null;
+    
+    const valor = CodigoRastreio.normalizar(codigo.value);
+    const mensagem = valor ? CodigoRastreio.validar(valor) : null;
+    this.ui.definirErroCampo(codigo, erro, mensagem || '');
+    return mensagem;
+  }
+  
+  /**
+   * Código para o rótulo: null se o campo estiver vazio, false (com o erro à vista)
+   * se for inválido, senão o código normalizado
+   */
+  coletar() {
+    const mensagem = this.validarCampo();
+    if (mensagem) {
+      Utils.showToast(I18n.t('rastreio.invalido', { detalhe: mensagem }), 'error');
+      this.elements.codigo.focus();
+      return false;
+    }
+    
+    return this.codigo;
+  }
+  
+  /**
+   * Preenche o campo (ex.: ao editar um item da fila)
+   */
+  definir(codigo) {
+    if (!this.elements.codigo) return;
+    
+    this.elements.codigo.value = codigo ? CodigoRastreio.formatar(codigo) : '';
+    this.validarCampo();
+    this.ui.atualizarPreview();
+  }
+  
+  limpar() {
+    this.definir(null);
+  }
+  
+  /**
+   * Code128 e texto do código, como saem no rótulo
+   */
+  atualizarPreview() {
+    const { preview } = this.elements;
+    if (!preview) return;
+    
+    const codigo = this.codigo;
+    preview.classList.toggle('hidden', !codigo);
+    if (!codigo) {
+      preview.replaceChildren();
+      return;
+    }
+    
+    DOM.substituir(preview,
+      DOM.svg(Code128.desenhoSVG(Code128.codificar(codigo))),
+      DOM.criar('span', { className: 'rotulo__rastreio-texto' }, CodigoRastreio.formatar(codigo))
+    );
+  }
+  
+  /**
+   * Próximo código ainda não usado da faixa
+   * @returns {string|null}
+   */
+  get proximoDaFaixa() {
+    if (!this.faixa) return null;
+    const [codigo] = CodigoRastreio.gerar(this.faixa, { aPartirDe: this.faixa.proxima, quantidade: 1 });
+    return codigo || null;
+  }
+  
+  /**
+   * Coloca no campo o próximo código da faixa; a faixa só avança quando o código é usado
+   */
+  proximo() {
+    const codigo = this.proximoDaFaixa;
+    if (!codigo) {
+      Utils.showToast(I18n.t(this.faixa ? 'rastreio.faixaEsgotada' : 'rastreio.semFaixa'), 'warning');
+      return;
+    }
+    
+    this.definir(codigo);
+  }
+  
+  /**
+   * Marca o código como usado: se for da faixa, o próximo passa a ser o seguinte a ele
+   */
+  consumir(codigo) {
+    const partes = codigo && CodigoRastreio.partes(codigo);
+    const { faixa } = this;
+    if (!partes || !faixa || partes.prefixo !== faixa.prefixo || partes.pais !== faixa.pais) return;
+    if (partes.serie < faixa.proxima || partes.serie > faixa.fim) return;
+    
+    faixa.proxima = partes.serie + 1;
+    this.gravarFaixa();
+    this.mostrarFaixa();
+  }
+  
+  gravarFaixa() {
+    const { inicial, final, proxima } = this.faixa;
+    localStorage.setItem(CHAVE_FAIXA, JSON.stringify({ inicial, final, proxima }));
+  }
+  
+  /**
+   * Lê a faixa dos campos; salvar de novo a mesma faixa não volta ao primeiro código
+   */
+  salvarFaixa() {
+    const { faixaInicial, faixaFinal, faixaErro } = this.elements;
+    const inicial = CodigoRastreio.normalizar(faixaInicial.value);
+    const final = CodigoRastreio.normalizar(faixaFinal.value);
+    
+    let faixa;
+    try {
+      faixa = CodigoRastreio.lerFaixa(inicial, final);
+    } catch (error) {
+      this.ui.definirErroCampo(faixaFinal, faixaErro, error.message);
+      faixaInicial.setAttribute('aria-invalid', 'true');
+      return;
+    }
+    
+    const anterior = this.faixa;
+    const mesma = anterior && anterior.prefixo === faixa.prefixo && anterior.pais === faixa.pais;
+    const proxima = mesma ? Math.max(anterior.proxima, faixa.inicio) : faixa.inicio;
+    
+    this.faixa = { ...faixa, inicial, final, proxima };
+    this.gravarFaixa();
+    this.preencherFaixa();
+    this.mostrarFaixa();
+    Utils.showToast(I18n.t('rastreio.faixaSalva', { n: Math.max(faixa.fim - proxima + 1, 0) }), 'success');
+  }
+  
+  /**
+   * Coloca a faixa salva nos campos
+   */
+  preencherFaixa() {
+    const { faixaInicial, faixaFinal, faixaErro } = this.elements;
+    if (!faixaInicial || !faixaFinal) return;
+    
+    faixaInicial.value = this.faixa?.inicial || '';
+    faixaFinal.value = this.faixa?.final || '';
+    faixaInicial.setAttribute('aria-invalid', 'false');
+    this.ui.definirErroCampo(faixaFinal, faixaErro, '');
+  }
+  
+  /**
+   * Quantos códigos ainda restam na faixa e qual é o próximo
+   */
+  mostrarFaixa() {
+    const { status, btnProximo } = this.elements;
+    
+    const proximo = this.proximoDaFaixa;
+    if (btnProximo) btnProximo.disabled = !proximo;
+    if (!status) return;
+    
+    if (!this.faixa) {
+      status.textContent = I18n.t('rastreio.nenhumaFaixa');
+    } else if (!proximo) {
+      status.textContent = I18n.t('rastreio.faixaEsgotada');
+    } else {
+      status.textContent = I18n.t('rastreio.restantes', {
+        n: this.faixa.fim - this.faixa.proxima + 1,
+        codigo: CodigoRastreio.formatar(proximo)
+      });
+    }
+  }
+  
+  atualizarIdioma() {
+    this.mostrarFaixa();
+    if (this.elements.codigo?.getAttribute('aria-invalid') === 'true') this.validarCampo();
+  }
+}
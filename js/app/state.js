@@ -0,0 +1,13 @@
+// ==========================================
+// ESTADO GLOBAL DA APLICAÇÃO
+// ==========================================
+
+export const AppState = {
+  cache: new Map(),
+  currentTab: 'cep',
+  isLoading: false,
+  formData: {
+    remetente: {},
+    destinatario: {}
+  }
+};
@@ -0,0 +1,1305 @@
+import { AgendaContatos } from '../lib/agenda.js';
+import { CEPNet, CorreiosDataMatrix, DataMatrix } from '../lib/barcodes.js';
+import { CONFIG } from '../lib/config.js';
+import { Endereco } from '../lib/endereco.js';
+import { CEPNotFoundError } from '../lib/errors.js';
+import { CAMPOS_RESULTADO, ExportadorResultados } from '../lib/exportacao.js';
+import { FaixasCEP } from '../lib/faixas-cep.js';
+import { HistoricoBuscas } from '../lib/historico.js';
+import { I18n } from '../lib/i18n.js';
+import { LABEL_TEMPLATES, RotuloPDF } from '../lib/labels.js';
+import { CAMPOS_ENDERECO } from '../lib/lote.js';
+import { Municipios } from '../lib/municipios.js';
+import { CEPRangeScanner } from '../lib/range-scanner.js';
+import { AgendaManager } from './agenda-manager.js';
+import { Autocomplete } from './autocomplete.js';
+import { DeclaracaoManager } from './declaracao-manager.js';
+import { DOM } from './dom.js';
+import { FilaManager } from './fila-manager.js';
+import { FreteManager } from './frete-manager.js';
+import { HistoricoManager } from './historico-manager.js';
+import { IdiomaManager } from './idioma-manager.js';
+import { LoteManager } from './lote-manager.js';
+import { NavegacaoManager } from './navegacao-manager.js';
+import { OfflineManager } from './offline-manager.js';
+import { RastreioManager } from './rastreio-manager.js';
+import { AppState } from './state.js';
+import { Utils } from './utils.js';
+
+// ==========================================
+// CLASSE DE INTERFACE DO USUÁRIO
+// ==========================================
+
+export class UIManager {
+  constructor(api) {
+    this.api = api;
+    this.idioma = new IdiomaManager(this);
+    this.elements = this.cacheElements();
+    this.requisicoes = new Map();
+    this.resultados = [];
+    this.bindEvents();
+    this.lote = new LoteManager(this, api);
+    this.agenda = new AgendaManager(this, new AgendaContatos({ onAviso: Utils.avisar }));
+    this.declaracao = new DeclaracaoManager(this);
+    this.frete = new FreteManager(this);
+    this.rastreio = new RastreioManager(this);
+    this.fila = new FilaManager(this);
+    this.offline = new OfflineManager(this, api);
+    this.navegacao = new NavegacaoManager(this);
+    this.historico = new HistoricoManager(this, new HistoricoBuscas({
+      retencaoDias: HistoricoManager.retencaoSalva(),
+      onAviso: Utils.avisar
+    }));
+  }
+  
+  /**
+   * Cancela a requisição pendente do canal e devolve o sinal da nova
+   */
+  iniciarRequisicao(canal) {
+    this.requisicoes.get(canal)?.abort();
+    const controller = new AbortController();
+    this.requisicoes.set(canal, controller);
+    return controller.signal;
+  }
+  
+  /**
+   * Libera o canal se a requisição ainda for a mais recente
+   */
+  finalizarRequisicao(canal, signal) {
+    if (this.requisicoes.get(canal)?.signal === signal) {
+      this.requisicoes.delete(canal);
+    }
+  }
+  
+  /**
+   * Cache de elementos DOM para performance
+   */
+  cacheElements() {
+    return {
+      // Tabs
+      tabs: document.querySelectorAll('.busca__tab'),
+      tabContents: {
+        cep: document.getElementById('campoCEP'),
+        logradouro: document.getElementById('campoLogradouro'),
+        faixa: document.getElementById('campoFaixa')
+      },
+      
+      // Formulários
+      formBuscaCEP: document.getElementById('formBuscaCEP'),
+      formEnderecador: document.getElementById('formEnderecador'),
+      
+      // Inputs
+      cepInput: document.getElementById('cep'),
+      logradouroInput: document.getElementById('logradouro'),
+      logradouroUF: document.getElementById('logradouroUF'),
+      logradouroCidade: document.getElementById('logradouroCidade'),
+      logradouroCidadeLista: document.getElementById('logradouroCidadeLista'),
+      cepInicialInput: document.getElementById('cepInicial'),
+      cepFinalInput: document.getElementById('cepFinal'),
+      
+      // Botões
+      btnBuscarCEP: document.getElementById('btnBuscarCEP'),
+      btnBuscarLogradouro: document.getElementById('btnBuscarLogradouro'),
+      btnBuscarFaixa: document.getElementById('btnBuscarFaixa'),
+      btnPausarFaixa: document.getElementById('btnPausarFaixa'),
+      btnCancelarFaixa: document.getElementById('btnCancelarFaixa'),
+      btnLimparResultados: document.getElementById('btnLimparResultados'),
+      btnLimparFormulario: document.getElementById('btnLimparFormulario'),
+      btnGerarPDF: document.getElementById('btnGerarPDF'),
+      
+      // Resultados
+      resultadoBusca: document.getElementById('resultadoBusca'),
+      resultadoContent: document.getElementById('resultadoContent'),
+      resultadoExportar: document.getElementById('resultadoExportar'),
+      resultadoCampos: document.getElementById('resultadoCampos'),
+      
+      // Progresso da busca por faixa
+      faixaProgresso: document.getElementById('faixaProgresso'),
+      faixaBarra: document.getElementById('faixaBarra'),
+      faixaStatus: document.getElementById('faixaStatus'),
+      
+      // Mensagens de validação da busca por logradouro
+      logradouroUFErro: document.getElementById('logradouroUFErro'),
+      logradouroCidadeErro: document.getElementById('logradouroCidadeErro'),
+      logradouroErro: document.getElementById('logradouroErro'),
+      
+      // Previews
+      remetentePreview: document.getElementById('remetentePreview'),
+      destinatarioPreview: document.getElementById('destinatarioPreview'),
+      codigosPreview: document.getElementById('codigosPreview'),
+      
+      // Forms de endereçador
+      remetenteCEP: document.getElementById('remetenteCEP'),
+      destinatarioCEP: document.getElementById('destinatarioCEP'),
+      
+      // Impressão
+      modeloEtiqueta: document.getElementById('modeloEtiqueta'),
+      modeloEtiquetaHelp: document.getElementById('modeloEtiquetaHelp'),
+      etiquetaInicial: document.getElementById('etiquetaInicial'),
+      codigoCEPNet: document.getElementById('codigoCEPNet'),
+      codigoDataMatrix: document.getElementById('codigoDataMatrix'),
+      modoPostal: document.getElementById('modoPostal'),
+      opcoesEnvelope: document.getElementById('opcoesEnvelope'),
+      envelopeRemetente: document.getElementById('envelopeRemetente'),
+      envelopeDestinatario: document.getElementById('envelopeDestinatario'),
+      envelopeRetrato: document.getElementById('envelopeRetrato'),
+      impressoraNome: document.getElementById('impressoraNome'),
+      impressorasSalvas: document.getElementById('impressorasSalvas'),
+      calibracaoX: document.getElementById('calibracaoX'),
+      calibracaoY: document.getElementById('calibracaoY'),
+      
+      // Cache
+      cacheResumo: document.getElementById('cacheResumo'),
+      btnExportarCache: document.getElementById('btnExportarCache'),
+      btnImportarCache: document.getElementById('btnImportarCache'),
+      inputImportarCache: document.getElementById('inputImportarCache')
+    };
+  }
+  
+  /**
+   * Bind de eventos
+   */
+  bindEvents() {
+    // Tabs
+    this.elements.tabs.forEach(tab => {
+      tab.addEventListener('click', (e) => {
+        this.switchTab(e.target.dataset.tab);
+        this.navegacao.registrarAba(e.target.dataset.tab);
+      });
+    });
+    
+    // Máscara de CEP
+    [this.elements.cepInput, this.elements.cepInicialInput, this.elements.cepFinalInput, 
+     this.elements.remetenteCEP, this.elements.destinatarioCEP].forEach(input => {
+      if (input) {
+        input.addEventListener('input', (e) => {
+          e.target.value = Utils.aplicarMascaraCEP(e.target.value);
+        });
+      }
+    });
+    
+    // Máscara de CPF/CNPJ
+    document.querySelectorAll('[data-mascara-documento]').forEach(input => {
+      input.addEventListener('input', (e) => {
+        e.target.value = Utils.aplicarMascaraDocumento(e.target.value);
+      });
+    });
+    
+    // Campos da busca por logradouro
+    this.setupBuscaLogradouro();
+    
+    // Modelos de etiqueta
+    this.setupModelosEtiqueta();
+    
+    // Auto-complete de CEP
+    this.elements.remetenteCEP?.addEventListener('blur', (e) => {
+      this.autoCompleteEndereco(e.target.value, 'remetente');
+    });
+    
+    this.elements.destinatarioCEP?.addEventListener('blur', (e) => {
+      this.autoCompleteEndereco(e.target.value, 'destinatario');
+    });
+    
+    // Botões de busca
+    this.elements.btnBuscarCEP?.addEventListener('click', () => this.buscarCEP());
+    this.elements.btnBuscarLogradouro?.addEventListener('click', () => this.buscarLogradouro());
+    this.elements.btnBuscarFaixa?.addEventListener('click', () => this.buscarFaixaCEP());
+    this.elements.btnPausarFaixa?.addEventListener('click', () => this.alternarPausaFaixa());
+    this.elements.btnCancelarFaixa?.addEventListener('click', () => this.scanner?.cancelar());
+    
+    // Botões de limpeza
+    this.elements.btnLimparResultados?.addEventListener('click', () => this.limparResultados());
+    this.elements.btnLimparFormulario?.addEventListener('click', () => this.limparFormulario());
+    
+    // Formulário de endereçador
+    this.elements.formEnderecador?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.gerarPDF();
+    });
+    
+    // Exportação de resultados
+    this.setupExportacao();
+    
+    // Cache
+    this.elements.btnExportarCache?.addEventListener('click', () => this.exportarCache());
+    this.elements.btnImportarCache?.addEventListener('click', () => this.elements.inputImportarCache.click());
+    this.elements.inputImportarCache?.addEventListener('change', (e) => {
+      const [arquivo] = e.target.files;
+      if (arquivo) this.importarCache(arquivo);
+      e.target.value = '';
+    });
+    this.api.cache.pronto.then(() => this.atualizarResumoCache());
+    
+    // Atualização em tempo real do preview
+    this.setupLivePreview();
+  }
+  
+  /**
+   * Alterna entre tabs
+   */
+  switchTab(tabName) {
+    AppState.currentTab = tabName;
+    
+    // Atualiza tabs ativas
+    this.elements.tabs.forEach(tab => {
+      const isActive = tab.dataset.tab === tabName;
+      tab.classList.toggle('busca__tab--active', isActive);
+      tab.setAttribute('aria-selected', isActive);
+    });
+    
+    // Mostra/esconde conteúdo
+    Object.entries(this.elements.tabContents).forEach(([key, element]) => {
+      if (element) {
+        element.classList.toggle('form__group--hidden', key !== tabName);
+      }
+    });
+    
+    // Lista de municípios só é baixada quando a aba de logradouro é usada
+    if (tabName === 'logradouro') {
+      Municipios.carregar().catch(error => {
+        console.warn('Lista de municípios indisponível:', error.message);
+      });
+    }
+  }
+  
+  /**
+   * Abre a aba da busca, preenche os campos e executa (links e histórico do navegador)
+   * @param {Object} busca
+   * @param {Object} [options]
+   * @param {boolean} [options.confirmarFaixa] - Pede confirmação antes de varrer uma faixa (busca vinda de um link)
+   */
+  executarBusca(busca, { confirmarFaixa = false } = {}) {
+    this.switchTab(busca.tipo);
+    
+    switch (busca.tipo) {
+      case 'cep':
+        this.elements.cepInput.value = busca.cep;
+        return this.buscarCEP();
+      case 'logradouro':
+        this.elements.logradouroUF.value = busca.uf;
+        this.elements.logradouroCidade.value = busca.cidade;
+        this.elements.logradouroInput.value = busca.logradouro;
+        return this.buscarLogradouro();
+      case 'faixa':
+        this.elements.cepInicialInput.value = busca.de;
+        this.elements.cepFinalInput.value = busca.ate;
+        if (confirmarFaixa && !this.confirmarFaixaDoLink(busca)) return undefined;
+        return this.buscarFaixaCEP();
+      default:
+        return undefined;
+    }
+  }
+  
+  /**
+   * Um link pode pedir uma faixa de milhões de CEPs: só varre se o usuário concordar.
+   * Faixas inválidas seguem sem pergunta para buscarFaixaCEP, que mostra o erro.
+   */
+  confirmarFaixaDoLink({ de, ate }) {
+    const n = CEPRangeScanner.tamanho(de, ate);
+    if (!(n > 0)) return true;
+    return confirm(I18n.t('busca.confirmarFaixa', { n, total: I18n.atual.numero(n), de, ate }));
+  }
+  
+  /**
+   * Configura UF, autocomplete de cidade e validação inline da busca por logradouro
+   */
+  setupBuscaLogradouro() {
+    const { logradouroUF, logradouroCidade, logradouroCidadeLista, logradouroInput } = this.elements;
+    if (!logradouroUF || !logradouroCidade) return;
+    
+    this.autocompleteCidade = new Autocomplete(logradouroCidade, logradouroCidadeLista, {
+      sugerir: (termo) => Municipios.sugerir(logradouroUF.value, termo),
+      onSelecionar: () => this.definirErroCampo(logradouroCidade, this.elements.logradouroCidadeErro, '')
+    });
+    
+    logradouroUF.addEventListener('change', () => {
+      this.definirErroCampo(logradouroUF, this.elements.logradouroUFErro, '');
+      
+      // Cidade digitada deixa de valer se não existir na nova UF
+      if (logradouroCidade.value && Municipios.disponivel && !Municipios.encontrar(logradouroUF.value, logradouroCidade.value)) {
+        logradouroCidade.value = '';
+      }
+    });
+    
+    logradouroCidade.addEventListener('input', () => {
+      this.definirErroCampo(logradouroCidade, this.elements.logradouroCidadeErro, '');
+    });
+    
+    logradouroInput.addEventListener('input', () => {
+      this.definirErroCampo(logradouroInput, this.elements.logradouroErro, '');
+    });
+  }
+  
+  /**
+   * Exibe (ou limpa, com mensagem vazia) o erro de validação de um campo
+   */
+  definirErroCampo(input, elementoErro, mensagem) {
+    input.setAttribute('aria-invalid', mensagem ? 'true' : 'false');
+    if (elementoErro) elementoErro.textContent = mensagem;
+  }
+  
+  /**
+   * Valida os campos da busca por logradouro; retorna os valores ou null
+   */
+  validarBuscaLogradouro() {
+    const { logradouroUF, logradouroCidade, logradouroInput } = this.elements;
+    const minimo = CONFIG.MIN_BUSCA_LOGRADOURO;
+    
+    const uf = logradouroUF.value;
+    let cidade = logradouroCidade.value.trim();
+    const logradouro = logradouroInput.value.trim();
+    
+    const erros = {
+      uf: uf ? '' : I18n.t('busca.erroUF'),
+      cidade: '',
+      logradouro: ''
+    };
+    
+    if (cidade.length < minimo) {
+      erros.cidade = I18n.t('busca.erroCidadeCurta', { n: minimo });
+    } else if (uf && Municipios.disponivel) {
+      const oficial = Municipios.encontrar(uf, cidade);
+      if (oficial) {
+        cidade = oficial;
+        logradouroCidade.value = oficial;
+      } else {
+        erros.cidade = I18n.t('busca.erroCidade', { uf });
+      }
+    }
+    
+    if (logradouro.length < minimo) {
+      erros.logradouro = I18n.t('busca.erroLogradouroCurto', { n: minimo });
+    }
+    
+    this.definirErroCampo(logradouroUF, this.elements.logradouroUFErro, erros.uf);
+    this.definirErroCampo(logradouroCidade, this.elements.logradouroCidadeErro, erros.cidade);
+    this.definirErroCampo(logradouroInput, this.elements.logradouroErro, erros.logradouro);
+    
+    const primeiroInvalido = [
+      [erros.uf, logradouroUF],
+      [erros.cidade, logradouroCidade],
+      [erros.logradouro, logradouroInput]
+    ].find(([erro]) => erro);
+    
+    if (primeiroInvalido) {
+      primeiroInvalido[1].focus();
+      return null;
+    }
+    
+    return { uf, cidade, logradouro };
+  }
+  
+  /**
+   * Busca CEP específico
+   */
+  async buscarCEP() {
+    const cep = this.elements.cepInput.value;
+    
+    if (!Utils.validarCEP(cep)) {
+      Utils.showToast(I18n.t('busca.cepInvalido'), 'error');
+      return;
+    }
+    
+    const busca = { tipo: 'cep', cep: Utils.formatarCEP(cep) };
+    this.navegacao.registrarBusca(busca);
+    const signal = this.iniciarRequisicao('busca');
+    
+    try {
+      Utils.toggleLoading(true);
+      
+      const resultado = await this.api.buscarCEP(cep, { signal });
+      
+      this.exibirResultados([resultado]);
+      this.historico.registrar(busca, [resultado]);
+      
+    } catch (error) {
+      if (Utils.isAbortError(error)) return;
+      if (error instanceof CEPNotFoundError) this.historico.registrar(busca, []);
+      if (this.offline.deveEnfileirar(error)) {
+        this.offline.enfileirar(cep, 'busca');
+        return;
+      }
+      Utils.showToast(error.message || I18n.t('busca.erroCEP'), 'error');
+    } finally {
+      this.encerrarBusca(signal);
+    }
+  }
+  
+  /**
+   * Busca por logradouro
+   */
+  async buscarLogradouro() {
+    // Garante a validação da cidade contra a lista offline, se ela puder ser carregada
+    await Municipios.carregar().catch(() => {});
+    
+    const campos = this.validarBuscaLogradouro();
+    if (!campos) return;
+    
+    const { uf, cidade, logradouro } = campos;
+    const busca = { tipo: 'logradouro', uf, cidade, logradouro };
+    this.navegacao.registrarBusca(busca);
+    const signal = this.iniciarRequisicao('busca');
+    
+    try {
+      Utils.toggleLoading(true);
+      
+      const resultados = await this.api.buscarPorLogradouro(uf, cidade, logradouro, { signal });
+      
+      this.exibirResultados(resultados);
+      this.historico.registrar(busca, resultados);
+      
+    } catch (error) {
+      if (Utils.isAbortError(error)) return;
+      if (error instanceof CEPNotFoundError) this.historico.registrar(busca, []);
+      Utils.showToast(error.message || I18n.t('busca.erroLogradouro'), 'error');
+    } finally {
+      this.encerrarBusca(signal);
+    }
+  }
+  
+  /**
+   * Busca por faixa de CEP, exibindo os resultados conforme chegam
+   */
+  async buscarFaixaCEP() {
+    const cepInicial = this.elements.cepInicialInput.value;
+    const cepFinal = this.elements.cepFinalInput.value;
+    
+    if (!Utils.validarCEP(cepInicial) || !Utils.validarCEP(cepFinal)) {
+      Utils.showToast(I18n.t('busca.cepsInvalidos'), 'error');
+      return;
+    }
+    
+    const busca = { tipo: 'faixa', de: Utils.formatarCEP(cepInicial), ate: Utils.formatarCEP(cepFinal) };
+    this.navegacao.registrarBusca(busca);
+    
+    // Como a API ViaCEP não tem endpoint para faixa, os CEPs são consultados individualmente
+    const signal = this.iniciarRequisicao('busca');
+    
+    // A varredura mostra o próprio progresso: desliga o carregamento da busca que ela
+    // cancelou, que ao ser abortada não o desliga (ver encerrarBusca)
+    Utils.toggleLoading(false);
+    
+    const scanner = new CEPRangeScanner(this.api, {
+      onResultado: (item) => this.adicionarResultado(item),
+      onProgresso: (progresso) => this.atualizarProgressoFaixa(progresso)
+    });
+    this.scanner = scanner;
+    
+    this.elements.resultadoContent.replaceChildren();
+    this.resultados = [];
+    this.atualizarExportacao();
+    this.alternarControlesFaixa(true);
+    this.atualizarProgressoFaixa(null);
+    
+    try {
+      const resumo = await scanner.executar(cepInicial, cepFinal, { signal });
+      
+      // Substituída por outra busca: não mexe nos resultados
+      if (signal.aborted) return;
+      
+      if (resumo.encontrados === 0) {
+        this.exibirResultados([]);
+      }
+      this.historico.registrar(busca, this.resultados);
+      
+      if (resumo.cancelado) {
+        Utils.showToast(I18n.t('busca.faixaCancelada', { n: resumo.encontrados }), 'warning');
+      } else if (resumo.encontrados === 0) {
+        Utils.showToast(I18n.t('busca.faixaVazia'), 'warning');
+      } else {
+        Utils.showToast(I18n.t('busca.faixaConcluida', { n: resumo.encontrados }), 'success');
+      }
+      
+    } catch (error) {
+      Utils.showToast(error.message || I18n.t('busca.erroFaixa'), 'error');
+    } finally {
+      // Uma varredura mais nova pode já ter assumido os controles
+      if (this.scanner === scanner) {
+        this.scanner = null;
+        this.alternarControlesFaixa(false);
+      }
+      this.finalizarRequisicao('busca', signal);
+      this.atualizarResumoCache();
+    }
+  }
+  
+  /**
+   * Mostra os controles de progresso durante a varredura
+   */
+  alternarControlesFaixa(ativo) {
+    this.elements.faixaProgresso.classList.toggle('hidden', !ativo);
+    this.elements.btnBuscarFaixa.disabled = ativo;
+    this.rotularPausaFaixa(false);
+  }
+  
+  /**
+   * Pausa ou retoma a varredura em andamento
+   */
+  alternarPausaFaixa() {
+    if (!this.scanner) return;
+    
+    const pausar = !this.scanner.pausado;
+    if (pausar) {
+      this.scanner.pausar();
+    } else {
+      this.scanner.retomar();
+    }
+    
+    this.rotularPausaFaixa(pausar);
+  }
+  
+  /**
+   * Botão de pausa com o texto marcado para a troca de idioma
+   */
+  rotularPausaFaixa(pausado) {
+    const botao = this.elements.btnPausarFaixa;
+    const chave = pausado ? 'busca.retomar' : 'busca.pausar';
+    
+    botao.dataset.i18n = chave;
+    DOM.substituir(botao, DOM.icone(pausado ? 'play' : 'pause'), ` ${I18n.t(chave)}`);
+  }
+  
+  /**
+   * Atualiza barra e contadores da varredura
+   */
+  atualizarProgressoFaixa(progresso) {
+    const { faixaBarra, faixaStatus } = this.elements;
+    
+    if (!progresso) {
+      faixaBarra.value = 0;
+      faixaStatus.textContent = I18n.t('busca.iniciando');
+      return;
+    }
+    
+    const { total, processados, encontrados, ausentes, erros, emCache } = progresso;
+    
+    faixaBarra.max = total;
+    faixaBarra.value = processados;
+    faixaStatus.textContent = I18n.t('busca.progresso', { processados, total, encontrados, ausentes, erros, emCache });
+  }
+  
+  /**
+   * Remove o loading, exceto se a busca foi substituída por outra ainda em andamento
+   */
+  encerrarBusca(signal) {
+    if (signal.aborted) return;
+    this.finalizarRequisicao('busca', signal);
+    Utils.toggleLoading(false);
+    this.atualizarResumoCache();
+  }
+  
+  /**
+   * Atualiza o resumo de uso do cache no rodapé
+   */
+  atualizarResumoCache() {
+    if (!this.elements.cacheResumo) return;
+    
+    const { hits, misses, taxaAcerto, entradas } = this.api.cache.estatisticas();
+    const consultas = hits + misses;
+    
+    const salvas = I18n.t('cache.resumo', { n: entradas });
+    this.elements.cacheResumo.textContent = consultas
+      ? `${salvas} · ${I18n.t('cache.acertos', { taxa: Math.round(taxaAcerto * 100), hits, consultas })}`
+      : salvas;
+  }
+  
+  /**
+   * Baixa o cache atual em JSON
+   */
+  async exportarCache() {
+    try {
+      const json = await this.api.cache.exportar();
+      const data = new Date().toISOString().slice(0, 10);
+      Utils.baixarArquivo(json, `cache-cep-${data}.json`, 'application/json');
+    } catch (error) {
+      console.error('Erro ao exportar cache:', error);
+      Utils.showToast(I18n.t('cache.erroExportar'), 'error');
+    }
+  }
+  
+  /**
+   * Importa um cache exportado anteriormente
+   */
+  async importarCache(arquivo) {
+    try {
+      const json = await Utils.lerArquivoTexto(arquivo);
+      const total = await this.api.cache.importar(json);
+      this.atualizarResumoCache();
+      Utils.showToast(I18n.t('cache.importadas', { n: total }), 'success');
+    } catch (error) {
+      console.error('Erro ao importar cache:', error);
+      Utils.showToast(error.message || I18n.t('cache.erroImportar'), 'error');
+    }
+  }
+  
+  /**
+   * Exibe resultados da busca
+   */
+  exibirResultados(resultados) {
+    this.resultados = resultados ? resultados.slice() : [];
+    this.atualizarExportacao();
+    
+    if (!resultados || resultados.length === 0) {
+      DOM.substituir(this.elements.resultadoContent, this.renderizarVazio('search', 'resultado.nenhum'));
+      return;
+    }
+    
+    DOM.substituir(this.elements.resultadoContent, resultados.map(item => this.renderizarItem(item)));
+  }
+  
+  /**
+   * Acrescenta um resultado à lista sem apagar os anteriores
+   */
+  adicionarResultado(item) {
+    this.resultados.push(item);
+    this.atualizarExportacao();
+    this.elements.resultadoContent.appendChild(this.renderizarItem(item));
+  }
+  
+  /**
+   * Cartão de um resultado. Os dados vêm de provedores externos, por isso
+   * entram só como texto (DOM.criar), nunca como HTML
+   */
+  renderizarItem(item) {
+    const dado = (rotulo, valor) => valor && DOM.criar('div', { className: 'resultado__item-dado' },
+      DOM.criar('strong', {}, `${I18n.t(rotulo)}:`), ' ', valor
+    );
+    
+    return DOM.criar('div', { className: 'resultado__item fade-in' },
+      DOM.criar('div', { className: 'resultado__item-header' },
+        DOM.criar('h5', { className: 'resultado__item-title' }, item.logradouro || I18n.t('resultado.semLogradouro')),
+        DOM.criar('span', { className: 'resultado__item-cep' }, item.cep),
+        this.historico.criarBotaoFavorito(item)
+      ),
+      DOM.criar('div', { className: 'resultado__item-dados' },
+        dado('campos.bairro', item.bairro),
+        dado('campos.cidade', item.localidade && `${item.localidade} - ${item.uf}`),
+        dado('campos.complemento', item.complemento),
+        dado('campos.ddd', item.ddd)
+      )
+    );
+  }
+  
+  /**
+   * Aviso no lugar da lista de resultados (chave do catálogo de mensagens)
+   */
+  renderizarVazio(icone, chave) {
+    return DOM.criar('div', { className: 'resultado__empty' },
+      DOM.icone(icone),
+      DOM.criar('p', { dataset: { i18n: chave } }, I18n.t(chave))
+    );
+  }
+  
+  /**
+   * Limpa resultados
+   */
+  limparResultados() {
+    DOM.substituir(this.elements.resultadoContent, this.renderizarVazio('map-marked-alt', 'resultado.vazio'));
+    this.elements.cepInput.value = '';
+    this.elements.logradouroInput.value = '';
+    this.resultados = [];
+    this.atualizarExportacao();
+  }
+  
+  /**
+   * Uma caixa por campo exportável, lembrando a última seleção
+   */
+  setupExportacao() {
+    const { resultadoExportar, resultadoCampos } = this.elements;
+    if (!resultadoExportar) return;
+    
+    let salvos = null;
+    try {
+      salvos = JSON.parse(localStorage.getItem('busca:camposExportacao'));
+    } catch {
+      salvos = null;
+    }
+    
+    Object.entries(CAMPOS_RESULTADO).forEach(([campo, rotulo]) => {
+      const label = document.createElement('label');
+      label.className = 'form__check';
+      label.dataset.i18n = `campos.${campo}`;
+      
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = campo;
+      checkbox.checked = Array.isArray(salvos) ? salvos.includes(campo) : true;
+      checkbox.addEventListener('change', () => {
+        localStorage.setItem('busca:camposExportacao', JSON.stringify(this.camposExportacao()));
+      });
+      
+      label.append(checkbox, I18n.t(`campos.${campo}`, {}, rotulo));
+      resultadoCampos.appendChild(label);
+    });
+    
+    resultadoExportar.querySelectorAll('[data-exportar]').forEach(botao => {
+      botao.addEventListener('click', () => this.exportarResultados(botao.dataset.exportar));
+    });
+    resultadoExportar.querySelectorAll('[data-copiar]').forEach(botao => {
+      botao.addEventListener('click', () => this.copiarResultados(botao.dataset.copiar));
+    });
+  }
+  
+  /**
+   * Campos marcados, na ordem de CAMPOS_RESULTADO
+   */
+  camposExportacao() {
+    const marcados = this.elements.resultadoCampos?.querySelectorAll('input:checked') || [];
+    return Array.from(marcados, checkbox => checkbox.value);
+  }
+  
+  /**
+   * Mostra a barra de exportação apenas quando há resultados
+   */
+  atualizarExportacao() {
+    this.elements.resultadoExportar?.classList.toggle('hidden', this.resultados.length === 0);
+  }
+  
+  /**
+   * Baixa os resultados atuais no formato escolhido
+   */
+  async exportarResultados(formato) {
+    const campos = this.camposExportacao();
+    if (campos.length === 0) {
+      Utils.showToast(I18n.t('resultado.semCamposExportar'), 'warning');
+      return;
+    }
+    
+    const nome = `resultados-cep-${new Date().toISOString().slice(0, 10)}`;
+    
+    try {
+      switch (formato) {
+        case 'json':
+          Utils.baixarArquivo(ExportadorResultados.paraJSON(this.resultados, campos), `${nome}.json`, 'application/json');
+          break;
+        case 'xlsx':
+          Utils.toggleLoading(true);
+          Utils.baixarArquivo(
+            ExportadorResultados.paraXLSX(this.resultados, campos, await Utils.carregarXLSX()),
+            `${nome}.xlsx`,
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+          );
+          break;
+        default:
+          Utils.baixarArquivo(ExportadorResultados.paraCSV(this.resultados, campos), `${nome}.csv`, 'text/csv;charset=utf-8');
+      }
+    } catch (error) {
+      console.error('Erro ao exportar resultados:', error);
+      Utils.showToast(I18n.t('resultado.erroExportar'), 'error');
+    } finally {
+      Utils.toggleLoading(false);
+    }
+  }
+  
+  /**
+   * Copia os endereços formatados ou as linhas separadas por tabulação
+   */
+  async copiarResultados(modo) {
+    const campos = this.camposExportacao();
+    if (modo === 'linhas' && campos.length === 0) {
+      Utils.showToast(I18n.t('resultado.semCamposCopiar'), 'warning');
+      return;
+    }
+    
+    const texto = modo === 'linhas'
+      ? ExportadorResultados.paraTSV(this.resultados, campos)
+      : this.resultados.map(ExportadorResultados.enderecoFormatado).join('\n\n');
+    
+    try {
+      await Utils.copiarTexto(texto);
+      Utils.showToast(
+        I18n.t(modo === 'linhas' ? 'resultado.linhasCopiadas' : 'resultado.enderecosCopiados', { n: this.resultados.length }),
+        'success'
+      );
+    } catch (error) {
+      console.error('Erro ao copiar:', error);
+      Utils.showToast(I18n.t('resultado.erroCopiar'), 'error');
+    }
+  }
+  
+  /**
+   * Auto-completa endereço pelo CEP
+   */
+  async autoCompleteEndereco(cep, tipo) {
+    if (!Utils.validarCEP(cep)) return;
+    
+    const canal = `autocomplete:${tipo}`;
+    const signal = this.iniciarRequisicao(canal);
+    
+    try {
+      const endereco = await this.api.buscarCEP(cep, { signal });
+      this.preencherEnderecoCEP(tipo, endereco);
+      
+    } catch (error) {
+      if (Utils.isAbortError(error)) return;
+      if (this.offline.deveEnfileirar(error)) {
+        this.offline.enfileirar(cep, tipo);
+        return;
+      }
+      console.warn('Erro ao auto-completar CEP:', error.message);
+    } finally {
+      this.finalizarRequisicao(canal, signal);
+    }
+  }
+  
+  /**
+   * Preenche os campos ainda vazios com o resultado da busca do CEP
+   */
+  preencherEnderecoCEP(tipo, endereco) {
+    const campos = {
+      endereco: `${endereco.logradouro} ${endereco.complemento}`.trim(),
+      bairro: endereco.bairro,
+      cidade: endereco.localidade,
+      uf: endereco.uf
+    };
+    
+    Object.entries(campos).forEach(([campo, valor]) => {
+      const input = document.getElementById(`${tipo}${Utils.capitalizar(campo)}`);
+      if (input && !input.value) {
+        input.value = valor;
+      }
+    });
+    
+    // Atualiza preview
+    this.atualizarPreview();
+  }
+  
+  /**
+   * Aplica o resultado de uma consulta que ficou na fila enquanto não havia conexão
+   */
+  concluirConsultaPendente(destino, cep, resultado) {
+    if (destino === 'busca') {
+      if (this.resultados.length === 0) {
+        this.exibirResultados([resultado]);
+      } else {
+        this.adicionarResultado(resultado);
+      }
+      Utils.showToast(I18n.t('offline.consultado', { cep }), 'success');
+      return;
+    }
+    
+    // Só preenche se o campo ainda tiver o mesmo CEP
+    const campo = this.campoFormulario(destino, 'cep');
+    if (campo && campo.value.replace(/\D/g, '') === cep.replace(/\D/g, '')) {
+      this.preencherEnderecoCEP(destino, resultado);
+    }
+  }
+  
+  /**
+   * Configura preview em tempo real
+   */
+  setupLivePreview() {
+    const campos = [
+      'remetenteNome', 'remetenteCEP', 'remetenteEndereco', 'remetenteNumero', 'remetenteBairro', 
+      'remetenteComplemento', 'remetenteCidade', 'remetenteUF',
+      'destinatarioNome', 'destinatarioCEP', 'destinatarioEndereco', 'destinatarioNumero', 
+      'destinatarioBairro', 'destinatarioComplemento', 'destinatarioCidade', 'destinatarioUF'
+    ];
+    
+    campos.forEach(campoId => {
+      const campo = document.getElementById(campoId);
+      if (campo) {
+        campo.addEventListener('input', Utils.debounce(() => {
+          this.atualizarPreview();
+        }, 300));
+      }
+    });
+  }
+  
+  /**
+   * Atualiza preview do rótulo
+   */
+  atualizarPreview() {
+    const dadosRemetente = this.coletarDadosFormulario('remetente');
+    const dadosDestinatario = this.coletarDadosFormulario('destinatario');
+    
+    // Mesmas linhas (abreviações, quebras e maiúsculas) que saem no PDF
+    const { maiusculas } = this.opcoesImpressao();
+    if (dadosRemetente.nome) {
+      this.renderizarEnderecoPreview(this.elements.remetentePreview, dadosRemetente, maiusculas);
+    }
+    if (dadosDestinatario.nome) {
+      this.renderizarEnderecoPreview(this.elements.destinatarioPreview, dadosDestinatario, maiusculas);
+    }
+    
+    this.atualizarPreviewCodigos(dadosRemetente, dadosDestinatario);
+    this.rastreio.atualizarPreview();
+    this.conferirFaixaCEP('remetente');
+    this.conferirFaixaCEP('destinatario');
+    this.frete.atualizar();
+  }
+  
+  /**
+   * Redesenha na troca de idioma o que os managers montaram com mensagens traduzidas
+   * (o que está no HTML com data-i18n o IdiomaManager já traduziu)
+   */
+  atualizarIdioma() {
+    if (this.resultados.length > 0) this.exibirResultados(this.resultados);
+    this.historico.renderizar();
+    this.agenda.renderizar();
+    this.fila.renderizar();
+    this.rastreio.atualizarIdioma();
+    this.offline.atualizarStatus();
+    this.atualizarAjudaModelo();
+    this.atualizarResumoCache();
+    this.atualizarPreview();
+    if (this.lote.registros.length > 0) this.lote.atualizarResumo();
+  }
+  
+  /**
+   * Confere o CEP com a UF escolhida pelas faixas dos Correios (sem consultar a rede)
+   * e mostra na ajuda do campo a região e o tipo de CEP
+   * @returns {string|null} Divergência encontrada
+   */
+  conferirFaixaCEP(tipo) {
+    const cep = this.campoFormulario(tipo, 'cep');
+    const uf = this.campoFormulario(tipo, 'uf');
+    if (!cep) return null;
+    
+    const mensagem = FaixasCEP.conferir(cep.value, uf?.value);
+    this.definirErroCampo(cep, document.getElementById(`${tipo}CEPErro`), mensagem || '');
+    uf?.setAttribute('aria-invalid', mensagem && uf.value ? 'true' : 'false');
+    
+    const ajuda = document.getElementById(`${tipo}CEPHelp`);
+    if (ajuda) {
+      const classificacao = FaixasCEP.classificar(cep.value);
+      ajuda.textContent = classificacao?.uf
+        ? [`${classificacao.uf}, ${classificacao.regiao}`, classificacao.tipo !== 'logradouro' && classificacao.descricao]
+          .filter(Boolean).join(' · ')
+        : I18n.t('form.digiteCEP');
+    }
+    
+    return mensagem;
+  }
+  
+  /**
+   * Uma linha por parágrafo, com o nome em negrito
+   */
+  renderizarEnderecoPreview(container, dados, maiusculas) {
+    const paragrafos = Endereco.linhas(dados, { maiusculas }).map((texto, indice) =>
+      DOM.criar('p', {}, indice === 0 ? DOM.criar('strong', {}, texto) : texto)
+    );
+    DOM.substituir(container, paragrafos);
+  }
+  
+  /**
+   * Mostra no preview os códigos postais escolhidos para a impressão
+   */
+  atualizarPreviewCodigos(dadosRemetente, dadosDestinatario) {
+    const { codigosPreview } = this.elements;
+    if (!codigosPreview) return;
+    
+    const { codigos } = this.opcoesImpressao();
+    const svgs = [];
+    
+    if (Utils.validarCEP(dadosDestinatario.cep)) {
+      if (codigos.cepnet) {
+        svgs.push(DOM.svg(CEPNet.desenhoSVG(CEPNet.codificar(dadosDestinatario.cep))));
+      }
+      if (codigos.datamatrix) {
+        const conteudo = CorreiosDataMatrix.conteudo(dadosRemetente, dadosDestinatario, { etiqueta: this.rastreio.codigo });
+        svgs.push(DOM.svg(DataMatrix.desenhoSVG(DataMatrix.codificar(conteudo))));
+      }
+    }
+    
+    DOM.substituir(codigosPreview, svgs);
+    codigosPreview.classList.toggle('hidden', svgs.length === 0);
+  }
+  
+  /**
+   * Campo do formulário de remetente ou destinatário (ex.: "destinatarioCEP")
+   */
+  campoFormulario(tipo, campo) {
+    // Cria o sufixo com a primeira letra maiúscula
+    let sufixo = campo.charAt(0).toUpperCase() + campo.slice(1);
+    
+    // Trata as exceções para que o JS busque os IDs exatos do HTML
+    if (campo === 'cep') sufixo = 'CEP';
+    if (campo === 'uf') sufixo = 'UF';
+    
+    return document.getElementById(`${tipo}${sufixo}`);
+  }
+  
+  /**
+   * Coleta dados do formulário
+   */
+  coletarDadosFormulario(tipo) {
+    const dados = {};
+    const campos = ['nome', 'cep', 'endereco', 'numero', 'bairro', 'complemento', 'cidade', 'uf', 'documento'];
+    
+    campos.forEach(campo => {
+      const input = this.campoFormulario(tipo, campo);
+      dados[campo] = input ? input.value.trim() : '';
+    });
+    
+    return dados;
+  }
+  
+  /**
+   * Preenche o lado do formulário com um endereço salvo
+   */
+  preencherFormulario(tipo, dados) {
+    Object.keys(CAMPOS_ENDERECO).forEach(campo => {
+      const input = this.campoFormulario(tipo, campo);
+      if (input) input.value = dados[campo] || '';
+    });
+    
+    this.atualizarPreview();
+  }
+  
+  /**
+   * Limpa formulário
+   */
+  limparFormulario() {
+    if (confirm(I18n.t('form.confirmarLimpar'))) {
+      this.elements.formEnderecador.reset();
+      this.declaracao.limpar();
+      this.fila.cancelarEdicao();
+      this.rastreio.limpar();
+      
+      // Mantém as opções de impressão escolhidas
+      this.restaurarOpcoesImpressao();
+      
+      this.atualizarPreview();
+    }
+  }
+  
+  /**
+   * Preenche o seletor de modelos e restaura o último escolhido
+   */
+  setupModelosEtiqueta() {
+    const { modeloEtiqueta } = this.elements;
+    if (!modeloEtiqueta) return;
+    
+    Object.entries(LABEL_TEMPLATES).forEach(([id, template]) => {
+      const opcao = new Option(I18n.t(`modelos.${id}`, {}, template.nome), id);
+      opcao.dataset.i18n = `modelos.${id}`;
+      modeloEtiqueta.add(opcao);
+    });
+    
+    modeloEtiqueta.addEventListener('change', () => {
+      localStorage.setItem('enderecador:modelo', modeloEtiqueta.value);
+      this.elements.etiquetaInicial.value = 1;
+      this.atualizarAjudaModelo();
+    });
+    
+    [this.elements.codigoCEPNet, this.elements.codigoDataMatrix, this.elements.modoPostal].forEach(checkbox => {
+      checkbox?.addEventListener('change', () => {
+        localStorage.setItem(`enderecador:${checkbox.id}`, checkbox.checked ? '1' : '0');
+        this.atualizarPreview();
+      });
+    });
+    
+    // Opções de envelope
+    const { envelopeRemetente, envelopeDestinatario, envelopeRetrato } = this.elements;
+    [envelopeRemetente, envelopeDestinatario].forEach(select => {
+      select?.addEventListener('change', () => localStorage.setItem(`enderecador:${select.id}`, select.value));
+    });
+    envelopeRetrato?.addEventListener('change', () => {
+      localStorage.setItem('enderecador:envelopeRetrato', envelopeRetrato.checked ? '1' : '0');
+    });
+    
+    this.setupCalibracao();
+    this.restaurarOpcoesImpressao();
+  }
+  
+  /**
+   * Ajustes de posição salvos por impressora: { nome: { x, y } }
+   */
+  calibracoesSalvas() {
+    try {
+      return JSON.parse(localStorage.getItem('enderecador:calibracao')) || {};
+    } catch {
+      return {};
+    }
+  }
+  
+  /**
+   * Cada impressora puxa o papel um pouco diferente: o ajuste fica salvo pelo nome dela
+   */
+  setupCalibracao() {
+    const { impressoraNome, calibracaoX, calibracaoY } = this.elements;
+    if (!impressoraNome) return;
+    
+    impressoraNome.addEventListener('change', () => {
+      localStorage.setItem('enderecador:impressora', impressoraNome.value.trim());
+      this.restaurarCalibracao();
+    });
+    
+    [calibracaoX, calibracaoY].forEach(input => {
+      input.addEventListener('change', () => {
+        localStorage.setItem('enderecador:impressora', impressoraNome.value.trim());
+        const salvas = this.calibracoesSalvas();
+        salvas[this.nomeImpressora()] = this.opcoesImpressao().calibracao;
+        localStorage.setItem('enderecador:calibracao', JSON.stringify(salvas));
+        this.restaurarCalibracao();
+      });
+    });
+  }
+  
+  nomeImpressora() {
+    return this.elements.impressoraNome?.value.trim() || 'Padrão';
+  }
+  
+  /**
+   * Mostra o ajuste da impressora escolhida e lista as já calibradas
+   */
+  restaurarCalibracao() {
+    const { impressoraNome, impressorasSalvas, calibracaoX, calibracaoY } = this.elements;
+    if (!impressoraNome) return;
+    
+    const salvas = this.calibracoesSalvas();
+    impressoraNome.value = localStorage.getItem('enderecador:impressora') || '';
+    
+    const { x = 0, y = 0 } = salvas[this.nomeImpressora()] || {};
+    calibracaoX.value = x;
+    calibracaoY.value = y;
+    
+    impressorasSalvas.replaceChildren(...Object.keys(salvas).map(nome => new Option(nome)));
+  }
+  
+  /**
+   * Restaura o último modelo, os códigos postais e as opções escolhidas
+   */
+  restaurarOpcoesImpressao() {
+    const modelo = localStorage.getItem('enderecador:modelo');
+    this.elements.modeloEtiqueta.value = LABEL_TEMPLATES[modelo] ? modelo : CONFIG.LABEL_TEMPLATE;
+    
+    [this.elements.codigoCEPNet, this.elements.codigoDataMatrix, this.elements.modoPostal].filter(Boolean).forEach(checkbox => {
+      const salvo = localStorage.getItem(`enderecador:${checkbox.id}`);
+      if (salvo !== null) checkbox.checked = salvo === '1';
+    });
+    
+    [this.elements.envelopeRemetente, this.elements.envelopeDestinatario].filter(Boolean).forEach(select => {
+      const salvo = localStorage.getItem(`enderecador:${select.id}`);
+      if (salvo && [...select.options].some(opcao => opcao.value === salvo)) select.value = salvo;
+    });
+    if (this.elements.envelopeRetrato) {
+      this.elements.envelopeRetrato.checked = localStorage.getItem('enderecador:envelopeRetrato') === '1';
+    }
+    
+    this.restaurarCalibracao();
+    this.idioma.mostrarIdiomaRotulo();
+    this.atualizarAjudaModelo();
+  }
+  
+  /**
+   * Descreve a grade do modelo e limita a etiqueta inicial ao tamanho da folha
+   */
+  atualizarAjudaModelo() {
+    const template = LABEL_TEMPLATES[this.elements.modeloEtiqueta.value];
+    const porFolha = template.linhas * template.colunas;
+    const formato = (n) => I18n.atual.numero(n);
+    const medidas = { largura: formato(template.etiqueta.largura), altura: formato(template.etiqueta.altura) };
+    
+    const envelope = template.layout === 'envelope';
+    
+    this.elements.etiquetaInicial.max = porFolha;
+    this.elements.etiquetaInicial.disabled = porFolha === 1;
+    this.elements.opcoesEnvelope?.classList.toggle('hidden', !envelope);
+    
+    if (envelope) {
+      this.elements.modeloEtiquetaHelp.textContent = I18n.t('impressao.ajudaEnvelope', medidas);
+      return;
+    }
+    
+    this.elements.modeloEtiquetaHelp.textContent = porFolha === 1
+      ? I18n.t('impressao.ajudaUnica', medidas)
+      : I18n.t('impressao.ajudaGrade', { colunas: template.colunas, linhas: template.linhas });
+  }
+  
+  /**
+   * Modelo, posição inicial, envelope, calibração, modo postal e idioma escolhidos para a impressão
+   */
+  opcoesImpressao() {
+    const template = LABEL_TEMPLATES[this.elements.modeloEtiqueta?.value] || LABEL_TEMPLATES[CONFIG.LABEL_TEMPLATE];
+    const inicio = parseInt(this.elements.etiquetaInicial?.value, 10) || 1;
+    const codigos = {
+      cepnet: Boolean(this.elements.codigoCEPNet?.checked),
+      datamatrix: Boolean(this.elements.codigoDataMatrix?.checked)
+    };
+    const envelope = {
+      remetente: this.elements.envelopeRemetente?.value,
+      destinatario: this.elements.envelopeDestinatario?.value,
+      retrato: Boolean(this.elements.envelopeRetrato?.checked)
+    };
+    const calibracao = {
+      x: parseFloat(this.elements.calibracaoX?.value) || 0,
+      y: parseFloat(this.elements.calibracaoY?.value) || 0
+    };
+    const maiusculas = Boolean(this.elements.modoPostal?.checked);
+    const idioma = this.idioma.idiomaRotulo;
+    return { template, inicio, codigos, envelope, calibracao, maiusculas, idioma };
+  }
+  
+  /**
+   * Cria o documento com as opções de impressão escolhidas
+   */
+  criarPDF() {
+    const { template, ...opcoes } = this.opcoesImpressao();
+    return new RotuloPDF(template, opcoes);
+  }
+  
+  /**
+   * Sugere a próxima etiqueta livre da folha para a impressão seguinte
+   */
+  avancarEtiquetaInicial(pdf) {
+    if (!this.elements.etiquetaInicial) return;
+    this.elements.etiquetaInicial.value = pdf.posicao % pdf.etiquetasPorFolha + 1;
+  }
+  
+  /**
+   * Gera PDF com o rótulo
+   */
+  async gerarPDF() {
+    const dadosRemetente = this.coletarDadosFormulario('remetente');
+    const dadosDestinatario = this.coletarDadosFormulario('destinatario');
+    
+    // Validação básica
+    if (!dadosRemetente.nome || !dadosDestinatario.nome) {
+      Utils.showToast(I18n.t('form.erroNomes'), 'error');
+      return;
+    }
+    
+    // CEP de outra UF bloqueia a impressão, a menos que o usuário confirme
+    const divergencias = ['remetente', 'destinatario'].map(tipo => this.conferirFaixaCEP(tipo)).filter(Boolean);
+    if (divergencias.length > 0 && !confirm(`${divergencias.join('\n')}\n\n${I18n.t('form.confirmarDivergencia')}`)) {
+      return;
+    }
+    
+    const rastreio = this.rastreio.coletar();
+    if (rastreio === false) return;
+    
+    // Declaração no mesmo trabalho de impressão
+    const itens = this.declaracao.incluir ? this.declaracao.coletarItens() : null;
+    if (itens && !this.declaracao.validar(dadosRemetente, dadosDestinatario, itens)) {
+      return;
+    }
+    
+    try {
+      Utils.toggleLoading(true);
+      
+      const pdf = this.criarPDF();
+      pdf.adicionarRotulo(dadosRemetente, dadosDestinatario, {
+        frete: this.frete.linhaRotulo(this.idioma.idiomaRotulo),
+        rastreio
+      });
+      
+      // A folha de etiquetas continua de onde o rótulo parou, mesmo com a declaração depois
+      this.avancarEtiquetaInicial(pdf);
+      if (itens) pdf.adicionarDeclaracao(dadosRemetente, dadosDestinatario, itens);
+      
+      // Salva o PDF
+      pdf.salvar(`rotulo-${Date.now()}.pdf`);
+      this.rastreio.consumir(rastreio);
+      
+      Utils.showToast(I18n.t('form.pdfGerado'), 'success');
+      
+    } catch (error) {
+      console.error('Erro ao gerar PDF:', error);
+      Utils.showToast(I18n.t('form.erroPDF'), 'error');
+    } finally {
+      Utils.toggleLoading(false);
+    }
+  }
+}
@@ -0,0 +1,136 @@
+import { CONFIG } from '../lib/config.js';
+import { I18n } from '../lib/i18n.js';
+import { Utils as UtilsBase } from '../lib/utils.js';
+import { AppState } from './state.js';
+
+// ==========================================
+// UTILIDADES DA INTERFACE
+// ==========================================
+
+/**
+ * Utilidades da biblioteca acrescidas das que dependem do navegador (DOM, arquivos, downloads)
+ */
+export class Utils extends UtilsBase {
+  /**
+   * Dispara o download de um conteúdo gerado no navegador
+   */
+  static baixarArquivo(conteudo, nomeArquivo, tipo = 'application/octet-stream') {
+    const blob = conteudo instanceof Blob ? conteudo : new Blob([conteudo], { type: tipo });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = nomeArquivo;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+  
+  /**
+   * Destino dos avisos da biblioteca (onAviso): na página, o console
+   */
+  static avisar(mensagem, erro) {
+    console.warn(`${mensagem}:`, erro);
+  }
+  
+  /**
+   * Copia texto para a área de transferência (com alternativa para contextos sem a Clipboard API)
+   */
+  static async copiarTexto(texto) {
+    if (navigator.clipboard?.writeText) {
+      await navigator.clipboard.writeText(texto);
+      return;
+    }
+    
+    const area = document.createElement('textarea');
+    area.value = texto;
+    area.setAttribute('readonly', '');
+    area.style.position = 'fixed';
+    area.style.opacity = '0';
+    document.body.appendChild(area);
+    area.select();
+    const copiado = document.execCommand('copy');
+    area.remove();
+    
+    if (!copiado) throw new Error(I18n.t('resultado.erroCopiar'));
+  }
+  
+  /**
+   * Lê um arquivo selecionado pelo usuário como texto
+   */
+  static lerArquivoTexto(arquivo, encoding = 'UTF-8') {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsText(arquivo, encoding);
+    });
+  }
+  
+  /**
+   * Lê um arquivo selecionado pelo usuário como bytes
+   */
+  static lerArquivoBinario(arquivo) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsArrayBuffer(arquivo);
+    });
+  }
+  
+  /**
+   * Carrega um script externo sob demanda
+   */
+  static carregarScript(src) {
+    return new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = src;
+      script.onload = () => resolve();
+      script.onerror = () => reject(new Error(`Falha ao carregar ${src}`));
+      document.head.appendChild(script);
+    });
+  }
+  
+  /**
+   * SheetJS para leitura e geração de planilhas XLSX, carregado na primeira vez
+   */
+  static async carregarXLSX() {
+    if (typeof window.XLSX === 'undefined') {
+      await Utils.carregarScript(CONFIG.XLSX_URL);
+    }
+    return window.XLSX;
+  }
+  
+  /**
+   * Mostra/oculta loading
+   */
+  static toggleLoading(show = true) {
+    AppState.isLoading = show;
+    document.body.classList.toggle('loading', show);
+  }
+  
+  /**
+   * Exibe notificação toast
+   */
+  static showToast(message, type = 'info', duration = 3000) {
+    const toast = document.createElement('div');
+    toast.className = `toast toast--${type}`;
+    toast.textContent = message;
+    
+    document.body.appendChild(toast);
+    
+    // Animação de entrada
+    requestAnimationFrame(() => {
+      toast.classList.add('toast--show');
+    });
+    
+    // Remove após o tempo especificado
+    setTimeout(() => {
+      toast.classList.remove('toast--show');
+      setTimeout(() => {
+        document.body.removeChild(toast);
+      }, 300);
+    }, duration);
+  }
+}
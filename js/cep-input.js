@@ -0,0 +1,449 @@
+/**
+ * <cep-input> - CAMPO DE CEP REUTILIZÁVEL
+ * Custom element com máscara, validação, consulta do endereço e associação a formulários
+ *
+ * Uso:
+ *   <script type="module" src="js/cep-input.js"></script>
+ *   <label for="cep">CEP</label>
+ *   <cep-input id="cep" name="cep" required
+ *              target-logradouro="#rua" target-bairro="#bairro"
+ *              target-localidade="#cidade" target-uf="#uf"></cep-input>
+ *
+ * Atributos:
+ *   name, value, required, disabled, placeholder - como num <input> nativo
+ *   target-<campo> - seletor do campo a preencher com o dado do endereço
+ *                    (logradouro, complemento, bairro, localidade/cidade, uf, ibge, ddd...)
+ *   no-lookup      - apenas máscara e validação, sem consulta
+ *
+ * Eventos:
+ *   cep-resolved - detail: endereço normalizado; cancelável (preventDefault não preenche os campos)
+ *   cep-error    - detail: { cep, error }
+ *
+ * Estados refletidos no elemento para estilização: [loading], [invalid]
+ */
+
+import { CEPAPI } from './lib/cep-api.js';
+
+const MASCARA = /^(\d{5})(\d{1,3})$/;
+
+// Nomes aceitos em target-* que não são campos do endereço
+const ALIASES_CAMPOS = { cidade: 'localidade', rua: 'logradouro', estado: 'uf' };
+
+const template = document.createElement('template');
+template.innerHTML = `
+  <style>
+    :host {
+      display: inline-block;
+      position: relative;
+    }
+    :host([hidden]) {
+      display: none;
+    }
+    input {
+      box-sizing: border-box;
+      width: 100%;
+      font: inherit;
+      color: inherit;
+      padding: var(--cep-input-padding, 0.75rem 1rem);
+      border: var(--cep-input-border, 2px solid #d1d5db);
+      border-radius: var(--cep-input-radius, 0.5rem);
+      background: var(--cep-input-background, #fff);
+    }
+    input:focus {
+      outline: 2px solid var(--cep-input-focus, #3b82f6);
+      outline-offset: 1px;
+    }
+    :host([invalid]) input {
+      border-color: var(--cep-input-error, #dc2626);
+    }
+    :host([loading]) input {
+      background-image: linear-gradient(90deg, transparent, rgba(59, 130, 246, 0.15), transparent);
+      background-size: 200% 100%;
+      animation: carregando 1s linear infinite;
+    }
+    .status {
+      display: block;
+      min-height: 1em;
+      margin-top: 0.25rem;
+      font-size: 0.875em;
+      color: var(--cep-input-error, #dc2626);
+    }
+    .status:empty {
+      display: none;
+    }
+    @keyframes carregando {
+      from { background-position: 200% 0; }
+      to { background-position: -200% 0; }
+    }
+    @media (prefers-reduced-motion: reduce) {
+      :host([loading]) input {
+        animation: none;
+      }
+    }
+  </style>
+  <input part="input" type="text" inputmode="numeric" autocomplete="postal-code" maxlength="9">
+  <span part="status" class="status" aria-live="polite"></span>
+`;
+
+/**
+ * Consulta padrão: CEPAPI da biblioteca (cache compartilhado e failover entre provedores)
+ */
+let apiCompartilhada = null;
+
+function consultarCEP(cep, { signal } = {}) {
+  apiCompartilhada = apiCompartilhada || new CEPAPI();
+  return apiCompartilhada.buscarCEP(cep, { signal });
+}
+
+class CepInput extends HTMLElement {
+  static get formAssociated() {
+    return true;
+  }
+  
+  static get observedAttributes() {
+    return ['value', 'disabled', 'required', 'placeholder', 'aria-label'];
+  }
+  
+  constructor() {
+    super();
+    
+    this.attachShadow({ mode: 'open', delegatesFocus: true });
+    this.shadowRoot.appendChild(template.content.cloneNode(true));
+    this.input = this.shadowRoot.querySelector('input');
+    this.status = this.shadowRoot.querySelector('.status');
+    
+    // Navegadores sem ElementInternals (ou sem a parte de formulários) enviam o valor por um input oculto
+    const internals = typeof this.attachInternals === 'function' ? this.attachInternals() : null;
+    this.internals = typeof internals?.setFormValue === 'function' ? internals : null;
+    this.inputOculto = null;
+    
+    this.formularioVinculado = null;
+    this.controller = null;
+    this.erroConsulta = '';
+    this.ultimoConsultado = '';
+    this.valorInicial = '';
+    
+    this.input.addEventListener('input', () => this.aoDigitar());
+    this.input.addEventListener('change', () => this.consultar());
+    this.input.addEventListener('blur', () => {
+      this.atualizarValidade({ exibir: true });
+      this.consultar();
+    });
+  }
+  
+  connectedCallback() {
+    if (!this.internals) {
+      if (!this.inputOculto) {
+        this.inputOculto = document.createElement('input');
+        this.inputOculto.type = 'hidden';
+        this.appendChild(this.inputOculto);
+      }
+      this.vincularFormulario(this.closest('form'));
+    }
+    
+    this.valorInicial = this.getAttribute('value') || '';
+    if (!this.input.value && this.valorInicial) this.value = this.valorInicial;
+    
+    this.input.placeholder = this.getAttribute('placeholder') ?? '00000-000';
+    this.atualizarRotulo();
+    this.sincronizarFormulario();
+  }
+  
+  disconnectedCallback() {
+    this.controller?.abort();
+    this.vincularFormulario(null);
+  }
+  
+  /**
+   * Sem ElementInternals, reproduz o reset e o bloqueio de envio de um input nativo
+   */
+  vincularFormulario(form) {
+    if (this.formularioVinculado === form) return;
+    
+    if (this.formularioVinculado) {
+      this.formularioVinculado.removeEventListener('reset', this.aoResetar);
+      this.formularioVinculado.removeEventListener('submit', this.aoEnviar);
+    }
+    
+    this.aoResetar = this.aoResetar || (() => setTimeout(() => this.formResetCallback(), 0));
+    this.aoEnviar = this.aoEnviar || ((evento) => {
+      if (!this.reportValidity()) evento.preventDefault();
+    });
+    
+    this.formularioVinculado = form;
+    form?.addEventListener('reset', this.aoResetar);
+    form?.addEventListener('submit', this.aoEnviar);
+  }
+  
+  attributeChangedCallback(nome, _antigo, valor) {
+    switch (nome) {
+      case 'value':
+        if (!this.input.value) this.value = valor || '';
+        break;
+      case 'disabled':
+        this.input.disabled = valor !== null;
+        break;
+      case 'required':
+        this.input.required = valor !== null;
+        this.atualizarValidade();
+        break;
+      case 'placeholder':
+        this.input.placeholder = valor ?? '00000-000';
+        break;
+      case 'aria-label':
+        this.atualizarRotulo();
+        break;
+    }
+  }
+  
+  // ==========================================
+  // API SEMELHANTE À DE UM INPUT NATIVO
+  // ==========================================
+  
+  get value() {
+    return this.input.value;
+  }
+  
+  set value(valor) {
+    this.input.value = CepInput.aplicarMascara(valor);
+    this.limparErro();
+    this.sincronizarFormulario();
+  }
+  
+  /**
+   * Apenas os 8 dígitos, ou vazio se o CEP estiver incompleto
+   */
+  get cep() {
+    const digitos = this.input.value.replace(/\D/g, '');
+    return digitos.length === 8 ? digitos : '';
+  }
+  
+  get name() {
+    return this.getAttribute('name') || '';
+  }
+  
+  get form() {
+    return this.internals?.form ?? this.closest('form');
+  }
+  
+  get validity() {
+    return this.internals?.validity ?? this.input.validity;
+  }
+  
+  get validationMessage() {
+    return this.internals?.validationMessage ?? this.input.validationMessage;
+  }
+  
+  get willValidate() {
+    return this.internals?.willValidate ?? true;
+  }
+  
+  checkValidity() {
+    return this.internals ? this.internals.checkValidity() : this.input.checkValidity();
+  }
+  
+  reportValidity() {
+    this.atualizarValidade({ exibir: true });
+    return this.internals ? this.internals.reportValidity() : this.input.reportValidity();
+  }
+  
+  formResetCallback() {
+    this.controller?.abort();
+    this.ultimoConsultado = '';
+    this.value = this.valorInicial;
+  }
+  
+  formDisabledCallback(desabilitado) {
+    this.input.disabled = desabilitado;
+  }
+  
+  formStateRestoreCallback(estado) {
+    this.value = estado || '';
+  }
+  
+  // ==========================================
+  // MÁSCARA E VALIDAÇÃO
+  // ==========================================
+  
+  /**
+   * Formata como 00000-000 enquanto o usuário digita
+   */
+  static aplicarMascara(valor) {
+    const digitos = String(valor ?? '').replace(/\D/g, '').slice(0, 8);
+    return digitos.replace(MASCARA, '$1-$2');
+  }
+  
+  aoDigitar() {
+    const posicaoFinal = this.input.selectionStart === this.input.value.length;
+    this.input.value = CepInput.aplicarMascara(this.input.value);
+    if (posicaoFinal) this.input.setSelectionRange(this.input.value.length, this.input.value.length);
+    
+    this.limparErro();
+    this.sincronizarFormulario();
+    
+    // Consulta assim que o CEP estiver completo
+    if (this.cep) this.consultar();
+  }
+  
+  /**
+   * Envia o valor ao formulário e atualiza a validade
+   */
+  sincronizarFormulario() {
+    const valor = this.input.value;
+    
+    if (this.internals) {
+      this.internals.setFormValue(valor, valor);
+    } else if (this.inputOculto) {
+      this.inputOculto.name = this.name;
+      this.inputOculto.value = valor;
+    }
+    
+    this.atualizarValidade();
+  }
+  
+  /**
+   * Obrigatório vazio ou CEP incompleto tornam o campo inválido;
+   * erros de consulta também impedem o envio
+   */
+  atualizarValidade({ exibir = false } = {}) {
+    const vazio = this.input.value === '';
+    let flags = {};
+    let mensagem = '';
+    
+    if (this.erroConsulta) {
+      flags = { customError: true };
+      mensagem = this.erroConsulta;
+    } else if (vazio && this.hasAttribute('required')) {
+      flags = { valueMissing: true };
+      mensagem = 'Informe o CEP';
+    } else if (!vazio && !this.cep) {
+      flags = { patternMismatch: true };
+      mensagem = 'CEP deve ter 8 dígitos';
+    }
+    
+    if (this.internals) {
+      this.internals.setValidity(flags, mensagem, this.input);
+    } else {
+      this.input.setCustomValidity(mensagem);
+    }
+    
+    // Só marca visualmente depois que o usuário sai do campo ou ao consultar
+    if (exibir || this.erroConsulta) {
+      this.toggleAttribute('invalid', Boolean(mensagem));
+      this.input.setAttribute('aria-invalid', String(Boolean(mensagem)));
+      this.status.textContent = mensagem && !vazio ? mensagem : '';
+    }
+  }
+  
+  limparErro() {
+    this.erroConsulta = '';
+    this.removeAttribute('invalid');
+    this.input.removeAttribute('aria-invalid');
+    this.status.textContent = '';
+  }
+  
+  /**
+   * Usa o <label> associado (ou aria-label) como nome acessível do input interno
+   */
+  atualizarRotulo() {
+    const labels = this.internals?.labels || [
+      ...(this.id ? this.getRootNode().querySelectorAll(`label[for="${CSS.escape(this.id)}"]`) : []),
+      ...(this.closest('label') ? [this.closest('label')] : [])
+    ];
+    const rotulo = this.getAttribute('aria-label') ||
+      Array.from(labels, label => label.textContent.trim()).join(' ');
+    if (rotulo) {
+      this.input.setAttribute('aria-label', rotulo);
+    } else {
+      this.input.removeAttribute('aria-label');
+    }
+  }
+  
+  // ==========================================
+  // CONSULTA DO ENDEREÇO
+  // ==========================================
+  
+  /**
+   * Consulta o CEP completo (uma vez por valor), preenche os campos
+   * vinculados e dispara cep-resolved; falhas disparam cep-error
+   */
+  async consultar() {
+    const cep = this.cep;
+    if (!cep || cep === this.ultimoConsultado || this.hasAttribute('no-lookup')) return;
+    
+    this.controller?.abort();
+    const controller = new AbortController();
+    this.controller = controller;
+    this.ultimoConsultado = cep;
+    
+    this.toggleAttribute('loading', true);
+    this.setAttribute('aria-busy', 'true');
+    
+    try {
+      const endereco = await CepInput.buscar(cep, { signal: controller.signal });
+      if (controller.signal.aborted) return;
+      
+      const evento = new CustomEvent('cep-resolved', {
+        detail: endereco,
+        bubbles: true,
+        composed: true,
+        cancelable: true
+      });
+      
+      if (this.dispatchEvent(evento)) {
+        this.preencherCampos(endereco);
+      }
+      
+    } catch (error) {
+      if (controller.signal.aborted) return;
+      
+      // Permite tentar de novo o mesmo CEP depois de uma falha
+      this.ultimoConsultado = '';
+      this.erroConsulta = error.message || 'Erro ao consultar o CEP';
+      this.atualizarValidade({ exibir: true });
+      
+      this.dispatchEvent(new CustomEvent('cep-error', {
+        detail: { cep, error },
+        bubbles: true,
+        composed: true
+      }));
+      
+    } finally {
+      if (this.controller === controller) {
+        this.controller = null;
+        this.removeAttribute('loading');
+        this.removeAttribute('aria-busy');
+      }
+    }
+  }
+  
+  /**
+   * Preenche os campos declarados em target-* e avisa quem os observa
+   */
+  preencherCampos(endereco) {
+    const raiz = this.getRootNode();
+    
+    Array.from(this.attributes)
+      .filter(atributo => atributo.name.startsWith('target-'))
+      .forEach(({ name, value }) => {
+        const nomeCampo = name.slice('target-'.length);
+        const campo = ALIASES_CAMPOS[nomeCampo] || nomeCampo;
+        const alvo = value && raiz.querySelector(value);
+        if (!alvo || !(campo in endereco)) return;
+        
+        alvo.value = endereco[campo] ?? '';
+        alvo.dispatchEvent(new Event('input', { bubbles: true }));
+        alvo.dispatchEvent(new Event('change', { bubbles: true }));
+      });
+  }
+}
+
+// Substituível pela página, ex.: CepInput.buscar = (cep, { signal }) => minhaAPI(cep, signal)
+CepInput.buscar = consultarCEP;
+
+if (!customElements.get('cep-input')) {
+  customElements.define('cep-input', CepInput);
+}
+window.CepInput = CepInput;
+
+export { CepInput };
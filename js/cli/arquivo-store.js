@@ -0,0 +1,84 @@
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+
+// ==========================================
+// ARMAZENAMENTO EM ARQUIVO
+// ==========================================
+
+/**
+ * Substituto do IDBStore para o Node: mantém os registros em memória e
+ * grava todos num arquivo JSON ao chamar gravar()
+ */
+export class ArquivoStore {
+  /**
+   * @param {string} caminho - Arquivo JSON
+   * @param {Object} [options]
+   * @param {string} [options.keyPath]
+   * @param {Function} [options.onAviso] - Recebe (mensagem, erro) quando o arquivo é ignorado
+   */
+  constructor(caminho, { keyPath = 'key', onAviso = () => {} } = {}) {
+    this.caminho = caminho;
+    this.keyPath = keyPath;
+    this.onAviso = onAviso;
+    this.registros = null;
+    this.alterado = false;
+  }
+  
+  /**
+   * Lê o arquivo uma única vez; arquivo ausente equivale a vazio
+   */
+  async abrir() {
+    if (!this.registros) {
+      this.registros = new Map();
+      
+      try {
+        const lista = JSON.parse(await readFile(this.caminho, 'utf8'));
+        lista.forEach(registro => this.registros.set(registro[this.keyPath], registro));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          this.onAviso(`Arquivo de cache ignorado (${this.caminho})`, error);
+        }
+      }
+    }
+    return this.registros;
+  }
+  
+  async getAll() {
+    return [...(await this.abrir()).values()];
+  }
+  
+  async put(valor) {
+    (await this.abrir()).set(valor[this.keyPath], valor);
+    this.alterado = true;
+  }
+  
+  async putMany(valores) {
+    const registros = await this.abrir();
+    valores.forEach(valor => registros.set(valor[this.keyPath], valor));
+    this.alterado = true;
+  }
+  
+  async delete(chave) {
+    (await this.abrir()).delete(chave);
+    this.alterado = true;
+  }
+  
+  async clear() {
+    (await this.abrir()).clear();
+    this.alterado = true;
+  }
+  
+  /**
+   * Grava o arquivo se houve alteração, substituindo-o de uma vez
+   * para não deixar um JSON pela metade se o processo for interrompido
+   */
+  async gravar() {
+    if (!this.alterado) return;
+    
+    const temporario = `${this.caminho}.${process.pid}.tmp`;
+    await mkdir(dirname(this.caminho), { recursive: true });
+    await writeFile(temporario, JSON.stringify([...this.registros.values()]));
+    await rename(temporario, this.caminho);
+    this.alterado = false;
+  }
+}
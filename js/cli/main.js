@@ -0,0 +1,672 @@
+import { readFile, writeFile } from 'node:fs/promises';
+import { homedir } from 'node:os';
+import { basename, dirname, join, resolve } from 'node:path';
+import { parseArgs } from 'node:util';
+import {
+  CONFIG,
+  CEPAPI,
+  CEPInvalidError,
+  CEPNetworkError,
+  CEPNotFoundError,
+  CEPRangeScanner,
+  CEPTimeoutError,
+  CacheManager,
+  LABEL_TEMPLATES,
+  LoteDestinatarios,
+  PlanilhaParser,
+  RotuloPDF,
+  Utils
+} from '../lib/index.js';
+import { ArquivoStore } from './arquivo-store.js';
+
+// ==========================================
+// LINHA DE COMANDO
+// ==========================================
+
+/**
+ * Códigos de saída por tipo de erro
+ */
+export const CODIGOS_SAIDA = {
+  OK: 0,
+  ERRO: 1, // erro inesperado, arquivo ilegível, dependência ausente
+  USO: 2, // comando, argumento ou opção inválidos
+  INVALIDO: 3, // CEP ou parâmetros de busca inválidos
+  NAO_ENCONTRADO: 4, // CEP inexistente ou busca sem resultados
+  TIMEOUT: 5, // provedores não responderam a tempo
+  REDE: 6 // falha de rede ou de todos os provedores
+};
+
+const AJUDA = `Uso: cep <comando> [argumentos] [opções]
+
+Comandos:
+  lookup <cep...>                     Consulta um ou mais CEPs
+  search <uf> <cidade> <logradouro>   Busca CEPs pelo endereço
+  range <cep-inicial> <cep-final>     Varre uma faixa de CEPs
+  enrich <planilha.csv>               Acrescenta à planilha os dados do CEP de cada linha
+  label --from <remetente.json> --to <destinatarios.csv> -o <rotulos.pdf>
+                                      Gera um PDF de rótulos
+
+Opções gerais:
+  -f, --format <table|json>   Formato da saída (enrich também aceita csv, o padrão)
+  -c, --config <arquivo>      Configuração JSON (padrão: ./cep.config.json)
+      --cache-dir <pasta>     Pasta do cache de consultas
+      --no-cache              Não lê nem grava o cache em disco
+  -h, --help                  Mostra esta ajuda
+
+range:   --concurrency <n>  --rate <requisições por segundo>
+enrich:  --column <nome da coluna do CEP>  -o, --output <arquivo>
+label:   --template <modelo>  --start <posição>  --cepnet  --datamatrix  --validate
+         --uppercase  (modo postal: endereços em maiúsculas)
+         --offset-x <mm>  --offset-y <mm>  (calibração da impressora;
+           negativos movem para a esquerda e para cima, ex.: --offset-y -1)
+         envelopes: --sender-flap (remetente no verso)  --window  --portrait
+
+Saída: 0 ok, 1 erro, 2 uso incorreto, 3 CEP inválido, 4 não encontrado,
+5 tempo esgotado, 6 falha de rede`;
+
+const OPCOES = {
+  format: { type: 'string', short: 'f' },
+  config: { type: 'string', short: 'c' },
+  'cache-dir': { type: 'string' },
+  'no-cache': { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+  concurrency: { type: 'string' },
+  rate: { type: 'string' },
+  column: { type: 'string' },
+  output: { type: 'string', short: 'o' },
+  from: { type: 'string' },
+  to: { type: 'string' },
+  template: { type: 'string' },
+  start: { type: 'string' },
+  cepnet: { type: 'boolean' },
+  datamatrix: { type: 'boolean' },
+  validate: { type: 'boolean' },
+  'offset-x': { type: 'string' },
+  'offset-y': { type: 'string' },
+  'sender-flap': { type: 'boolean' },
+  window: { type: 'boolean' },
+  portrait: { type: 'boolean' },
+  uppercase: { type: 'boolean' }
+};
+
+// Opções que aceitam números negativos (parseArgs lê "-1" como outra opção)
+const OPCOES_NEGATIVAS = ['--offset-x', '--offset-y'];
+
+// Formatos de saída aceitos por comando (o primeiro é o padrão)
+const FORMATOS = {
+  enrich: ['csv', 'table', 'json'],
+  padrao: ['table', 'json']
+};
+
+// Colunas exibidas nas tabelas de resultados
+const COLUNAS_RESULTADO = {
+  cep: 'CEP',
+  logradouro: 'Logradouro',
+  bairro: 'Bairro',
+  localidade: 'Cidade',
+  uf: 'UF',
+  provedor: 'Provedor'
+};
+
+// Colunas acrescentadas pelo enrich, com o campo do resultado de origem
+const COLUNAS_ENRIQUECIDAS = {
+  cep_logradouro: 'logradouro',
+  cep_complemento: 'complemento',
+  cep_bairro: 'bairro',
+  cep_cidade: 'localidade',
+  cep_uf: 'uf',
+  cep_ibge: 'ibge',
+  cep_ddd: 'ddd',
+  cep_provedor: 'provedor'
+};
+
+/**
+ * Erro de uso da linha de comando (argumentos ou opções)
+ */
+export class ErroUso extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ErroUso';
+  }
+}
+
+/**
+ * Ferramenta de linha de comando sobre a CEPAPI. Entrada, saída e fetch
+ * são injetáveis para uso em scripts e testes.
+ */
+export class CLI {
+  constructor({
+    stdout = process.stdout,
+    stderr = process.stderr,
+    env = process.env,
+    cwd = process.cwd(),
+    fetch
+  } = {}) {
+    this.stdout = stdout;
+    this.stderr = stderr;
+    this.env = env;
+    this.cwd = cwd;
+    this.fetch = fetch;
+    this.api = null;
+    this.store = null;
+  }
+  
+  /**
+   * Executa o comando e resolve com o código de saída
+   * @param {string[]} argv - Argumentos sem "node" e o nome do script
+   */
+  async executar(argv) {
+    try {
+      const { comando, argumentos, opcoes } = CLI.interpretar(argv);
+      
+      if (opcoes.help || comando === 'help') {
+        this.stdout.write(`${AJUDA}\n`);
+        return CODIGOS_SAIDA.OK;
+      }
+      
+      if (!comando) {
+        this.stderr.write(`${AJUDA}\n`);
+        return CODIGOS_SAIDA.USO;
+      }
+      
+      const executor = {
+        lookup: () => this.lookup(argumentos, opcoes),
+        search: () => this.search(argumentos, opcoes),
+        range: () => this.range(argumentos, opcoes),
+        enrich: () => this.enrich(argumentos, opcoes),
+        label: () => this.label(argumentos, opcoes)
+      }[comando];
+      
+      if (!executor) {
+        throw new ErroUso(`Comando desconhecido: ${comando} (veja cep --help)`);
+      }
+      
+      await this.configurar(opcoes);
+      return await executor();
+      
+    } catch (error) {
+      this.stderr.write(`cep: ${CLI.descreverErro(error)}\n`);
+      return CLI.codigoSaida(error);
+    } finally {
+      await this.api?.cache.gravarAcessos();
+      await this.store?.gravar().catch(error => {
+        this.stderr.write(`cep: não foi possível gravar o cache: ${error.message}\n`);
+      });
+    }
+  }
+  
+  /**
+   * Separa comando, argumentos e opções
+   */
+  static interpretar(argv) {
+    let resultado;
+    try {
+      resultado = parseArgs({ args: CLI.juntarNegativos(argv), options: OPCOES, allowPositionals: true, strict: true });
+    } catch (error) {
+      throw new ErroUso(error.message);
+    }
+    
+    const [comando, ...argumentos] = resultado.positionals;
+    const opcoes = resultado.values;
+    
+    const formatos = FORMATOS[comando] || FORMATOS.padrao;
+    if (opcoes.format && !formatos.includes(opcoes.format)) {
+      const opcoesFormato = `${formatos.slice(0, -1).join(', ')} ou ${formatos.at(-1)}`;
+      throw new ErroUso(`Formato desconhecido: ${opcoes.format} (use ${opcoesFormato})`);
+    }
+    
+    return { comando, argumentos, opcoes };
+  }
+  
+  /**
+   * Junta à opção o número negativo que vem depois dela ("--offset-x -1" vira "--offset-x=-1")
+   */
+  static juntarNegativos(argv) {
+    const args = [];
+    
+    for (let i = 0; i < argv.length; i++) {
+      if (argv[i] === '--') {
+        args.push(...argv.slice(i));
+        break;
+      }
+      
+      if (OPCOES_NEGATIVAS.includes(argv[i]) && /^-(\d+\.?\d*|\.\d+)$/.test(argv[i + 1] ?? '')) {
+        args.push(`${argv[i]}=${argv[i + 1]}`);
+        i++;
+      } else {
+        args.push(argv[i]);
+      }
+    }
+    
+    return args;
+  }
+  
+  /**
+   * Código de saída correspondente ao erro
+   */
+  static codigoSaida(error) {
+    if (error instanceof ErroUso) return CODIGOS_SAIDA.USO;
+    if (error instanceof CEPInvalidError) return CODIGOS_SAIDA.INVALIDO;
+    if (error instanceof CEPNotFoundError) return CODIGOS_SAIDA.NAO_ENCONTRADO;
+    if (error instanceof CEPTimeoutError) return CODIGOS_SAIDA.TIMEOUT;
+    if (error instanceof CEPNetworkError) return CODIGOS_SAIDA.REDE;
+    return CODIGOS_SAIDA.ERRO;
+  }
+  
+  /**
+   * Mensagem do erro numa linha, com a falha de cada provedor quando todos falharam
+   */
+  static descreverErro(error) {
+    if (!error.tentativas?.length) return error.message;
+    
+    const detalhes = error.tentativas.map(({ provedor, erro }) => `${provedor}: ${erro.message}`);
+    return `${error.message} (${detalhes.join('; ')})`;
+  }
+  
+  // ==========================================
+  // CONFIGURAÇÃO E CACHE
+  // ==========================================
+  
+  /**
+   * Aplica o arquivo de configuração e cria a API com o cache em disco
+   */
+  async configurar(opcoes) {
+    const config = await this.lerConfiguracao(opcoes.config);
+    CLI.aplicarConfiguracao(config.dados);
+    
+    const pastaCache = opcoes['cache-dir'] ||
+      this.env.CEP_CACHE_DIR ||
+      (config.dados.CACHE_DIR && resolve(config.pasta, config.dados.CACHE_DIR)) ||
+      join(this.env.XDG_CACHE_HOME || join(homedir(), '.cache'), 'busca-cep');
+    
+    const onAviso = (mensagem, erro) => this.avisar(mensagem, erro);
+    this.store = opcoes['no-cache'] ? null : new ArquivoStore(resolve(this.cwd, pastaCache, 'cache.json'), { onAviso });
+    
+    this.api = new CEPAPI({
+      cache: new CacheManager({ persistente: false, store: this.store, onAviso }),
+      fetch: this.fetch
+    });
+  }
+  
+  /**
+   * Avisos da biblioteca e do cache em disco, no stderr da CLI
+   */
+  avisar(mensagem, erro) {
+    this.stderr.write(`cep: ${mensagem}: ${erro.message}\n`);
+  }
+  
+  /**
+   * Lê a configuração indicada, a de CEP_CLI_CONFIG ou ./cep.config.json, se existir
+   */
+  async lerConfiguracao(caminhoOpcao) {
+    const explicito = caminhoOpcao || this.env.CEP_CLI_CONFIG;
+    const caminho = resolve(this.cwd, explicito || 'cep.config.json');
+    
+    let texto;
+    try {
+      texto = await readFile(caminho, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT' && !explicito) return { dados: {}, pasta: this.cwd };
+      throw new ErroUso(`Não foi possível ler a configuração ${caminho}: ${error.message}`);
+    }
+    
+    try {
+      return { dados: JSON.parse(texto), pasta: dirname(caminho) };
+    } catch (error) {
+      throw new ErroUso(`Configuração inválida em ${caminho}: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Sobrescreve CONFIG com as chaves do arquivo, no mesmo formato:
+   * PROVIDERS.ORDER, PROVIDERS.ENDPOINTS, TIMEOUT, RETRIES, RANGE, ENDERECO e LABEL_TEMPLATE
+   */
+  static aplicarConfiguracao(dados) {
+    const { PROVIDERS, RANGE, TIMEOUT, RETRIES, ENDERECO, LABEL_TEMPLATE } = dados;
+    
+    if (Array.isArray(PROVIDERS?.ORDER)) CONFIG.PROVIDERS.ORDER = PROVIDERS.ORDER;
+    if (PROVIDERS?.ENDPOINTS) Object.assign(CONFIG.PROVIDERS.ENDPOINTS, PROVIDERS.ENDPOINTS);
+    if (RANGE) Object.assign(CONFIG.RANGE, RANGE);
+    if (ENDERECO) Object.assign(CONFIG.ENDERECO, ENDERECO);
+    if (Number(TIMEOUT) > 0) CONFIG.TIMEOUT = Number(TIMEOUT);
+    if (RETRIES !== undefined && Number(RETRIES) >= 0) CONFIG.RETRIES = Number(RETRIES);
+    if (LABEL_TEMPLATE) CONFIG.LABEL_TEMPLATE = LABEL_TEMPLATE;
+  }
+  
+  // ==========================================
+  // COMANDOS
+  // ==========================================
+  
+  /**
+   * cep lookup <cep...>
+   */
+  async lookup(ceps, opcoes) {
+    if (ceps.length === 0) {
+      throw new ErroUso('Informe o CEP: cep lookup 01001-000');
+    }
+    
+    const resultados = [];
+    let codigo = CODIGOS_SAIDA.OK;
+    
+    for (const cep of ceps) {
+      try {
+        resultados.push(await this.api.buscarCEP(cep));
+      } catch (error) {
+        if (ceps.length === 1) throw error;
+        this.stderr.write(`cep: ${cep}: ${CLI.descreverErro(error)}\n`);
+        codigo = CLI.codigoSaida(error);
+      }
+    }
+    
+    this.exibir(ceps.length === 1 ? resultados[0] : resultados, opcoes);
+    return codigo;
+  }
+  
+  /**
+   * cep search <uf> <cidade> <logradouro>
+   */
+  async search(argumentos, opcoes) {
+    if (argumentos.length !== 3) {
+      throw new ErroUso('Uso: cep search <uf> <cidade> <logradouro>');
+    }
+    
+    const [uf, cidade, logradouro] = argumentos;
+    const minimo = CONFIG.MIN_BUSCA_LOGRADOURO;
+    
+    if (!/^[a-z]{2}$/i.test(uf)) {
+      throw new CEPInvalidError(`UF inválida: ${uf}`);
+    }
+    if (cidade.trim().length < minimo || logradouro.trim().length < minimo) {
+      throw new CEPInvalidError(`Cidade e logradouro precisam de pelo menos ${minimo} caracteres`);
+    }
+    
+    const resultados = await this.api.buscarPorLogradouro(uf.toUpperCase(), cidade.trim(), logradouro.trim());
+    this.exibir(resultados, opcoes);
+    
+    if (resultados.length === 0) {
+      this.stderr.write('cep: nenhum endereço encontrado\n');
+      return CODIGOS_SAIDA.NAO_ENCONTRADO;
+    }
+    return CODIGOS_SAIDA.OK;
+  }
+  
+  /**
+   * cep range <cep-inicial> <cep-final>
+   */
+  async range(argumentos, opcoes) {
+    if (argumentos.length !== 2) {
+      throw new ErroUso('Uso: cep range <cep-inicial> <cep-final>');
+    }
+    if (!argumentos.every(cep => Utils.validarCEP(cep))) {
+      throw new CEPInvalidError();
+    }
+    
+    const resultados = [];
+    const scanner = new CEPRangeScanner(this.api, {
+      concorrencia: CLI.numeroPositivo(opcoes.concurrency, '--concurrency') ?? CONFIG.RANGE.CONCURRENCY,
+      requisicoesPorSegundo: CLI.numeroPositivo(opcoes.rate, '--rate') ?? CONFIG.RANGE.RATE_LIMIT,
+      onResultado: resultado => resultados.push(resultado),
+      onProgresso: progresso => {
+        if (this.stderr.isTTY) {
+          this.stderr.write(`\r${progresso.processados}/${progresso.total} CEPs, ${progresso.encontrados} encontrados`);
+        }
+      }
+    });
+    
+    // Ctrl+C interrompe a varredura, mas ainda mostra o que foi encontrado
+    const interromper = () => scanner.cancelar();
+    process.once('SIGINT', interromper);
+    
+    let resumo;
+    try {
+      resumo = await scanner.executar(argumentos[0], argumentos[1]);
+    } finally {
+      process.removeListener('SIGINT', interromper);
+    }
+    
+    if (this.stderr.isTTY) this.stderr.write('\n');
+    
+    resultados.sort((a, b) => a.cep.localeCompare(b.cep));
+    this.exibir(resultados, opcoes);
+    this.stderr.write(
+      `${resumo.encontrados} encontrados, ${resumo.ausentes} inexistentes, ${resumo.erros} com erro ` +
+      `(${resumo.emCache} do cache)${resumo.cancelado ? ', varredura interrompida' : ''}\n`
+    );
+    
+    return resumo.erros > 0 && resumo.encontrados + resumo.ausentes === 0
+      ? CODIGOS_SAIDA.REDE
+      : CODIGOS_SAIDA.OK;
+  }
+  
+  /**
+   * cep enrich <planilha> — acrescenta as colunas cep_* a cada linha.
+   * Linhas com CEP inválido ou inexistente são indicadas na coluna cep_status;
+   * falhas de rede tornam o código de saída diferente de zero.
+   */
+  async enrich(argumentos, opcoes) {
+    if (argumentos.length !== 1) {
+      throw new ErroUso('Uso: cep enrich <planilha.csv> [-o saida.csv]');
+    }
+    
+    const { planilha, separador } = await this.lerPlanilha(argumentos[0]);
+    const colunaCEP = opcoes.column || LoteDestinatarios.sugerirMapeamento(planilha.colunas).cep;
+    
+    if (!colunaCEP || !planilha.colunas.includes(colunaCEP)) {
+      throw new ErroUso(`Coluna de CEP não encontrada; indique com --column (colunas: ${planilha.colunas.join(', ')})`);
+    }
+    
+    let codigo = CODIGOS_SAIDA.OK;
+    const linhas = [];
+    
+    for (const linha of planilha.linhas) {
+      const enriquecida = { ...linha };
+      Object.keys(COLUNAS_ENRIQUECIDAS).forEach(coluna => {
+        enriquecida[coluna] = '';
+      });
+      
+      try {
+        const resultado = await this.api.buscarCEP(linha[colunaCEP]);
+        Object.entries(COLUNAS_ENRIQUECIDAS).forEach(([coluna, campo]) => {
+          enriquecida[coluna] = resultado[campo] ?? '';
+        });
+        enriquecida.cep_status = 'ok';
+      } catch (error) {
+        enriquecida.cep_status = error.message;
+        if (error instanceof CEPTimeoutError || error instanceof CEPNetworkError) {
+          codigo = CLI.codigoSaida(error);
+        }
+      }
+      
+      linhas.push(enriquecida);
+    }
+    
+    const colunas = [...planilha.colunas, ...Object.keys(COLUNAS_ENRIQUECIDAS), 'cep_status'];
+    const formato = opcoes.format || FORMATOS.enrich[0];
+    const conteudo = formato === 'csv'
+      ? PlanilhaParser.paraCSV([colunas, ...linhas.map(linha => colunas.map(coluna => linha[coluna]))], separador)
+      : CLI.formatar(linhas, formato, Object.fromEntries(colunas.map(coluna => [coluna, coluna])));
+      
+    await this.gravarSaida(conteudo, opcoes.output);
+    return codigo;
+  }
+  
+  /**
+   * cep label --from <remetente.json> --to <destinatarios> -o <rotulos.pdf>
+   */
+  async label(argumentos, opcoes) {
+    if (!opcoes.from || !opcoes.to || !opcoes.output) {
+      throw new ErroUso('Uso: cep label --from <remetente.json> --to <destinatarios.csv> -o <rotulos.pdf>');
+    }
+    
+    const modelo = opcoes.template || CONFIG.LABEL_TEMPLATE;
+    if (!LABEL_TEMPLATES[modelo]) {
+      throw new ErroUso(`Modelo desconhecido: ${modelo} (modelos: ${Object.keys(LABEL_TEMPLATES).join(', ')})`);
+    }
+    
+    const remetente = await this.lerRemetente(opcoes.from);
+    const { planilha } = await this.lerPlanilha(opcoes.to);
+    const mapa = LoteDestinatarios.sugerirMapeamento(planilha.colunas);
+    
+    if (!mapa.nome || !mapa.cep) {
+      throw new ErroUso(`A planilha de destinatários precisa das colunas de nome e CEP (colunas: ${planilha.colunas.join(', ')})`);
+    }
+    
+    let destinatarios = LoteDestinatarios.aplicarMapeamento(planilha.linhas, mapa);
+    
+    // Com --validate, os endereços são completados pelo CEP e as linhas com erro ficam de fora
+    if (opcoes.validate) {
+      const validados = await LoteDestinatarios.validar(destinatarios, this.api);
+      validados
+        .filter(registro => registro.status !== 'ok' && registro.status !== 'enriquecido')
+        .forEach(registro => {
+          this.stderr.write(`cep: linha ${registro.linha}: ${registro.mensagens.join('; ')}\n`);
+        });
+      destinatarios = validados.filter(registro => registro.status !== 'erro');
+    } else {
+      destinatarios = destinatarios.map(registro => ({ ...registro, cep: Utils.formatarCEP(registro.cep) }));
+    }
+    
+    if (destinatarios.length === 0) {
+      throw new ErroUso('Nenhum destinatário para imprimir');
+    }
+    
+    const bytes = RotuloPDF.gerar(remetente, destinatarios, {
+      modelo,
+      inicio: CLI.numeroPositivo(opcoes.start, '--start') ?? 1,
+      codigos: { cepnet: Boolean(opcoes.cepnet), datamatrix: Boolean(opcoes.datamatrix) },
+      envelope: {
+        remetente: opcoes['sender-flap'] ? 'aba' : 'canto',
+        destinatario: opcoes.window ? 'janela' : 'area',
+        retrato: Boolean(opcoes.portrait)
+      },
+      calibracao: {
+        x: CLI.numero(opcoes['offset-x'], '--offset-x') ?? 0,
+        y: CLI.numero(opcoes['offset-y'], '--offset-y') ?? 0
+      },
+      maiusculas: opcoes.uppercase || CONFIG.ENDERECO.MAIUSCULAS,
+      jsPDF: await CLI.carregarJsPDF()
+    });
+    
+    await writeFile(resolve(this.cwd, opcoes.output), bytes);
+    this.stderr.write(`${destinatarios.length} rótulos gravados em ${opcoes.output}\n`);
+    return CODIGOS_SAIDA.OK;
+  }
+  
+  // ==========================================
+  // ENTRADA E SAÍDA
+  // ==========================================
+  
+  /**
+   * Lê CSV (ou XLSX, se o pacote xlsx estiver instalado) e o separador usado
+   */
+  async lerPlanilha(caminho) {
+    const bytes = await readFile(resolve(this.cwd, caminho));
+    const nome = basename(caminho);
+    
+    if (PlanilhaParser.ehXLSX(nome)) {
+      const modulo = await import('xlsx').catch(() => {
+        throw new Error('A leitura de XLSX requer o pacote xlsx (npm install xlsx)');
+      });
+      const XLSX = modulo.read ? modulo : modulo.default;
+      return { planilha: PlanilhaParser.ler(bytes, nome, { XLSX }), separador: ';' };
+    }
+    
+    return {
+      planilha: PlanilhaParser.ler(bytes, nome),
+      separador: PlanilhaParser.detectarSeparador(PlanilhaParser.decodificarTexto(bytes))
+    };
+  }
+  
+  async lerRemetente(caminho) {
+    let remetente;
+    try {
+      remetente = JSON.parse(await readFile(resolve(this.cwd, caminho), 'utf8'));
+    } catch (error) {
+      throw new Error(`Remetente inválido em ${caminho}: ${error.message}`);
+    }
+    
+    if (!remetente?.nome) {
+      throw new ErroUso(`O remetente em ${caminho} precisa do campo "nome"`);
+    }
+    
+    return { ...remetente, cep: Utils.formatarCEP(String(remetente.cep ?? '')) };
+  }
+  
+  static async carregarJsPDF() {
+    try {
+      const modulo = await import('jspdf');
+      return modulo.jsPDF || modulo.default?.jsPDF;
+    } catch {
+      throw new Error('A geração de PDF requer o pacote jspdf (npm install jspdf)');
+    }
+  }
+  
+  /**
+   * Grava no arquivo indicado ou na saída padrão
+   */
+  async gravarSaida(conteudo, caminho) {
+    if (caminho) {
+      await writeFile(resolve(this.cwd, caminho), conteudo);
+    } else {
+      this.stdout.write(conteudo);
+    }
+  }
+  
+  /**
+   * Mostra um resultado ou uma lista no formato escolhido (tabela por padrão)
+   */
+  exibir(valor, opcoes) {
+    this.stdout.write(CLI.formatar(valor, opcoes.format || 'table', COLUNAS_RESULTADO));
+  }
+  
+  static formatar(valor, formato, colunas) {
+    if (formato === 'json') {
+      return `${JSON.stringify(valor ?? null, null, 2)}\n`;
+    }
+    return CLI.tabela(Array.isArray(valor) ? valor : [valor], colunas);
+  }
+  
+  /**
+   * Tabela em texto com colunas alinhadas
+   */
+  static tabela(registros, colunas) {
+    if (registros.length === 0) return '';
+    
+    const campos = Object.keys(colunas);
+    const linhas = [
+      campos.map(campo => colunas[campo]),
+      ...registros.map(registro => campos.map(campo => String(registro[campo] ?? '')))
+    ];
+    const larguras = campos.map((_, i) => Math.max(...linhas.map(linha => linha[i].length)));
+    const formatarLinha = linha => linha.map((valor, i) => valor.padEnd(larguras[i])).join('  ').trimEnd();
+    
+    return [
+      formatarLinha(linhas[0]),
+      larguras.map(largura => '-'.repeat(largura)).join('  '),
+      ...linhas.slice(1).map(formatarLinha)
+    ].join('\n') + '\n';
+  }
+  
+  /**
+   * Valor numérico de uma opção, ou undefined se ausente
+   */
+  static numeroPositivo(valor, opcao) {
+    if (valor === undefined) return undefined;
+    
+    const numero = Number(valor);
+    if (!(numero > 0)) {
+      throw new ErroUso(`${opcao} precisa ser um número positivo`);
+    }
+    return numero;
+  }
+  
+  static numero(valor, opcao) {
+    if (valor === undefined) return undefined;
+    
+    const numero = Number(valor);
+    if (valor.trim() === '' || !Number.isFinite(numero)) {
+      throw new ErroUso(`${opcao} precisa ser um número`);
+    }
+    return numero;
+  }
+}
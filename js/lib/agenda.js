@@ -0,0 +1,367 @@
+import { CONFIG } from './config.js';
+import { I18n } from './i18n.js';
+import { IDBStore } from './idb-store.js';
+import { CAMPOS_ENDERECO, LoteDestinatarios } from './lote.js';
+import { Municipios } from './municipios.js';
+import { PlanilhaParser } from './planilha.js';
+import { Utils } from './utils.js';
+
+// ==========================================
+// AGENDA DE ENDEREÇOS
+// ==========================================
+
+/**
+ * Contatos salvos (remetentes e destinatários frequentes), persistidos no
+ * IndexedDB, com marcadores, favoritos e importação/exportação em CSV e vCard
+ */
+export class AgendaContatos {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.persistente] - Grava os contatos no IndexedDB
+   * @param {Function} [options.onAviso] - Recebe (mensagem, erro) quando o armazenamento falha
+   */
+  constructor({ persistente = IDBStore.disponivel(), onAviso = () => {} } = {}) {
+    this.contatos = new Map();
+    this.onAviso = onAviso;
+    this.store = persistente
+      ? new IDBStore(CONFIG.AGENDA.DB_NAME, CONFIG.AGENDA.STORE, { keyPath: 'id' })
+      : null;
+    this.pronto = this.carregar();
+  }
+  
+  /**
+   * Carrega os contatos persistidos
+   */
+  async carregar() {
+    if (!this.store) return;
+    
+    try {
+      const contatos = await this.store.getAll();
+      contatos.forEach(contato => this.contatos.set(contato.id, contato));
+    } catch (error) {
+      this.onAviso('Agenda persistente indisponível, usando apenas memória', error);
+      this.store = null;
+    }
+  }
+  
+  /**
+   * Mantém só os campos de endereço, com CEP formatado e UF em maiúsculas
+   */
+  static normalizar(dados) {
+    const contato = {};
+    
+    Object.keys(CAMPOS_ENDERECO).forEach(campo => {
+      contato[campo] = String(dados[campo] ?? '').trim();
+    });
+    contato.cep = Utils.formatarCEP(contato.cep);
+    contato.uf = contato.uf.toUpperCase();
+    contato.marcadores = AgendaContatos.normalizarMarcadores(dados.marcadores);
+    contato.favorito = Boolean(dados.favorito);
+    
+    return contato;
+  }
+  
+  /**
+   * Aceita lista ou texto separado por vírgulas; remove repetições
+   */
+  static normalizarMarcadores(marcadores) {
+    const lista = Array.isArray(marcadores) ? marcadores : String(marcadores ?? '').split(',');
+    return [...new Set(lista.map(m => String(m).trim().toLowerCase()).filter(Boolean))];
+  }
+  
+  /**
+   * Mesmo contato: mesmo nome (sem acentos) e mesmo CEP
+   */
+  static chave(contato) {
+    return `${Municipios.chave(contato.nome || '')}|${String(contato.cep || '').replace(/\D/g, '')}`;
+  }
+  
+  /**
+   * Monta o contato a salvar, atualizando o existente com mesmo id ou mesma chave
+   */
+  prepararContato(dados) {
+    const chave = AgendaContatos.chave(dados);
+    const existente = (dados.id && this.contatos.get(dados.id)) ||
+      [...this.contatos.values()].find(contato => AgendaContatos.chave(contato) === chave);
+    const agora = Date.now();
+    
+    return {
+      ...AgendaContatos.normalizar({ ...existente, ...dados }),
+      id: existente?.id || Utils.gerarId(),
+      criadoEm: existente?.criadoEm || agora,
+      atualizadoEm: agora
+    };
+  }
+  
+  /**
+   * Salva um contato novo ou atualiza o existente
+   */
+  async salvar(dados) {
+    await this.pronto;
+    
+    if (!String(dados.nome ?? '').trim()) {
+      throw new Error(I18n.t('agenda.erroNome'));
+    }
+    
+    const contato = this.prepararContato(dados);
+    this.contatos.set(contato.id, contato);
+    await this.store?.put(contato);
+    
+    return contato;
+  }
+  
+  /**
+   * Salva vários contatos numa única transação
+   * @returns {Promise<number>} Quantidade de contatos salvos
+   */
+  async salvarVarios(lista) {
+    await this.pronto;
+    
+    const contatos = lista
+      .filter(dados => String(dados.nome ?? '').trim())
+      .map(dados => {
+        const contato = this.prepararContato(dados);
+        this.contatos.set(contato.id, contato);
+        return contato;
+      });
+    
+    await this.store?.putMany(contatos);
+    return contatos.length;
+  }
+  
+  async remover(id) {
+    await this.pronto;
+    this.contatos.delete(id);
+    await this.store?.delete(id);
+  }
+  
+  async alternarFavorito(id) {
+    const contato = this.contatos.get(id);
+    if (!contato) return null;
+    return this.salvar({ ...contato, favorito: !contato.favorito });
+  }
+  
+  async definirMarcadores(id, marcadores) {
+    const contato = this.contatos.get(id);
+    if (!contato) return null;
+    return this.salvar({ ...contato, marcadores });
+  }
+  
+  /**
+   * Contatos filtrados, favoritos primeiro e depois por nome
+   * @param {Object} [filtro]
+   * @param {string} [filtro.termo] - Busca em nome, endereço, bairro, cidade, CEP e marcadores
+   * @param {string} [filtro.marcador] - Apenas contatos com este marcador
+   * @param {boolean} [filtro.favoritos] - Apenas favoritos
+   */
+  listar({ termo = '', marcador = '', favoritos = false } = {}) {
+    const busca = Utils.normalizarTexto(termo).toLowerCase().trim();
+    
+    return [...this.contatos.values()]
+      .filter(contato => !favoritos || contato.favorito)
+      .filter(contato => !marcador || contato.marcadores.includes(marcador))
+      .filter(contato => {
+        if (!busca) return true;
+        const texto = [
+          contato.nome, contato.endereco, contato.bairro, contato.cidade, contato.uf,
+          contato.cep, contato.cep.replace(/\D/g, ''), ...contato.marcadores
+        ].join(' ');
+        return Utils.normalizarTexto(texto).toLowerCase().includes(busca);
+      })
+      .sort((a, b) => (b.favorito - a.favorito) || a.nome.localeCompare(b.nome, 'pt-BR'));
+  }
+  
+  /**
+   * Todos os marcadores em uso, em ordem alfabética
+   */
+  marcadores() {
+    const todos = new Set();
+    this.contatos.forEach(contato => contato.marcadores.forEach(m => todos.add(m)));
+    return [...todos].sort((a, b) => a.localeCompare(b, 'pt-BR'));
+  }
+  
+  /**
+   * CSV com uma coluna por campo, marcadores separados por vírgula
+   */
+  exportarCSV() {
+    const campos = Object.keys(CAMPOS_ENDERECO);
+    const linhas = this.listar().map(contato => [
+      ...campos.map(campo => contato[campo]),
+      contato.marcadores.join(', '),
+      contato.favorito ? 'sim' : ''
+    ]);
+    
+    return PlanilhaParser.paraCSV([[...campos, 'marcadores', 'favorito'], ...linhas]);
+  }
+  
+  exportarVCard() {
+    return VCard.gerar(this.listar());
+  }
+  
+  /**
+   * Importa contatos de CSV ou vCard (detectado pelo conteúdo)
+   * @returns {Promise<number>} Quantidade de contatos importados
+   */
+  async importar(texto) {
+    const contatos = /^\s*BEGIN:VCARD/im.test(texto)
+      ? VCard.ler(texto)
+      : AgendaContatos.lerCSV(texto);
+    
+    if (contatos.length === 0) {
+      throw new Error(I18n.t('agenda.erroArquivoVazio'));
+    }
+    
+    return this.salvarVarios(contatos);
+  }
+  
+  /**
+   * Reconhece as colunas pelos mesmos nomes aceitos no envio em lote
+   */
+  static lerCSV(texto) {
+    const { colunas, linhas } = PlanilhaParser.paraRegistros(PlanilhaParser.parseCSV(texto));
+    const mapa = LoteDestinatarios.sugerirMapeamento(colunas);
+    const coluna = (...nomes) => colunas.find(c => nomes.includes(Municipios.chave(c)));
+    const colunaMarcadores = coluna('marcadores', 'tags', 'categorias', 'grupos');
+    const colunaFavorito = coluna('favorito', 'favorite');
+    
+    return LoteDestinatarios.aplicarMapeamento(linhas, mapa).map((registro, i) => ({
+      ...registro,
+      marcadores: colunaMarcadores ? linhas[i][colunaMarcadores] : '',
+      favorito: colunaFavorito ? /^(1|s|sim|x|true|yes)$/i.test(linhas[i][colunaFavorito]) : false
+    }));
+  }
+}
+
+/**
+ * Conversão entre contatos e vCard 3.0 (RFC 2426)
+ */
+export class VCard {
+  /**
+   * Um cartão por contato; bairro e favorito vão em propriedades X-
+   */
+  static gerar(contatos) {
+    return contatos.map(contato => {
+      const rua = [contato.endereco, contato.numero].filter(Boolean).join(', ');
+      const adr = ['', contato.complemento, rua, contato.cidade, contato.uf, contato.cep, 'Brasil'];
+      
+      const linhas = [
+        'BEGIN:VCARD',
+        'VERSION:3.0',
+        `N:${VCard.escapar(contato.nome)};;;;`,
+        `FN:${VCard.escapar(contato.nome)}`,
+        `ADR;TYPE=POSTAL:${adr.map(VCard.escapar).join(';')}`
+      ];
+      
+      if (contato.bairro) linhas.push(`X-BAIRRO:${VCard.escapar(contato.bairro)}`);
+      if (contato.marcadores.length) linhas.push(`CATEGORIES:${contato.marcadores.map(VCard.escapar).join(',')}`);
+      if (contato.favorito) linhas.push('X-FAVORITO:1');
+      linhas.push('END:VCARD');
+      
+      return linhas.map(VCard.dobrar).join('\r\n');
+    }).join('\r\n') + '\r\n';
+  }
+  
+  /**
+   * Lê os cartões do arquivo; usa o primeiro ADR de cada um
+   */
+  static ler(texto) {
+    const linhas = texto.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const contatos = [];
+    let atual = null;
+    
+    linhas.forEach(linha => {
+      const separador = linha.indexOf(':');
+      if (separador < 0) return;
+      
+      const [nomeCompleto] = linha.slice(0, separador).split(';');
+      const propriedade = nomeCompleto.split('.').pop().toUpperCase();
+      const valor = linha.slice(separador + 1);
+      
+      if (propriedade === 'BEGIN' && /^vcard$/i.test(valor.trim())) {
+        atual = { nome: '', marcadores: [], favorito: false };
+      } else if (propriedade === 'END' && atual) {
+        contatos.push(atual);
+        atual = null;
+      } else if (atual) {
+        VCard.aplicarPropriedade(atual, propriedade, valor);
+      }
+    });
+    
+    return contatos;
+  }
+  
+  static aplicarPropriedade(contato, propriedade, valor) {
+    switch (propriedade) {
+      case 'FN':
+        contato.nome = VCard.desescapar(valor);
+        break;
+      case 'N':
+        if (!contato.nome) {
+          const [sobrenome, nome] = VCard.dividir(valor, ';');
+          contato.nome = [nome, sobrenome].filter(Boolean).join(' ');
+        }
+        break;
+      case 'ADR': {
+        if (contato.cep !== undefined) break;
+        const [, complemento, rua, cidade, uf, cep] = VCard.dividir(valor, ';');
+        const [, endereco, numero] = (rua || '').match(/^(.*?)(?:,\s*(\d+\w*|s\/?n))?$/i);
+        Object.assign(contato, { complemento, endereco, numero, cidade, uf, cep });
+        break;
+      }
+      case 'X-BAIRRO':
+        contato.bairro = VCard.desescapar(valor);
+        break;
+      case 'CATEGORIES':
+        contato.marcadores = VCard.dividir(valor, ',');
+        break;
+      case 'X-FAVORITO':
+        contato.favorito = valor.trim() === '1';
+        break;
+    }
+  }
+  
+  static escapar(valor) {
+    return String(valor ?? '')
+      .replace(/\\/g, '\\\\')
+      .replace(/([,;])/g, '\\$1')
+      .replace(/\r?\n/g, '\\n');
+  }
+  
+  static desescapar(valor) {
+    return valor.replace(/\\([\\,;nN])/g, (_, c) => (c === 'n' || c === 'N' ? '\n' : c)).trim();
+  }
+  
+  /**
+   * Divide pelo separador, ignorando os escapados com barra invertida
+   */
+  static dividir(valor, separador) {
+    const partes = [];
+    let atual = '';
+    
+    for (let i = 0; i < valor.length; i++) {
+      if (valor[i] === '\\' && i + 1 < valor.length) {
+        atual += valor[i] + valor[i + 1];
+        i++;
+      } else if (valor[i] === separador) {
+        partes.push(atual);
+        atual = '';
+      } else {
+        atual += valor[i];
+      }
+    }
+    partes.push(atual);
+    
+    return partes.map(VCard.desescapar);
+  }
+  
+  /**
+   * Quebra linhas longas em 75 caracteres, continuando com um espaço
+   */
+  static dobrar(linha) {
+    const partes = [linha.slice(0, 75)];
+    for (let i = 75; i < linha.length; i += 74) {
+      partes.push(' ' + linha.slice(i, i + 74));
+    }
+    return partes.join('\r\n');
+  }
+}
@@ -0,0 +1,599 @@
+import { CEPInvalidError } from './errors.js';
+import { Utils } from './utils.js';
+
+// ==========================================
+// CÓDIGOS DE BARRAS POSTAIS
+// ==========================================
+
+/**
+ * Marcação de um desenho SVG ({ tag, atributos, filhos }); os valores são só
+ * números e texto fixo gerados aqui. Na página, o mesmo desenho vira nós por DOM.svg()
+ */
+const marcacaoSVG = ({ tag, atributos, filhos = [] }) => {
+  const attrs = Object.entries(atributos).map(([nome, valor]) => ` ${nome}="${valor}"`).join('');
+  return filhos.length ? `<${tag}${attrs}>${filhos.map(marcacaoSVG).join('')}</${tag}>` : `<${tag}${attrs}/>`;
+};
+
+/**
+ * Barras de cada dígito no CEPNet (1 = barra alta), como no POSTNET
+ */
+const CEPNET_DIGITOS = {
+  0: '11000', 1: '00011', 2: '00101', 3: '00110', 4: '01001',
+  5: '01010', 6: '01100', 7: '10001', 8: '10010', 9: '10100'
+};
+
+/**
+ * Dimensões do CEPNet em mm (22 barras por polegada)
+ */
+export const CEPNET_DIMENSOES = {
+  passo: 1.15,
+  larguraBarra: 0.5,
+  alturaAlta: 3.2,
+  alturaBaixa: 1.3
+};
+
+/**
+ * CEPNet: CEP de destino + dígito verificador entre duas barras de enquadramento
+ */
+export class CEPNet {
+  /**
+   * Dígito verificador: o que falta para a soma dos dígitos chegar à dezena seguinte
+   */
+  static digitoVerificador(cep) {
+    const soma = String(cep).replace(/\D/g, '').split('')
+      .reduce((total, digito) => total + Number(digito), 0);
+    return (10 - soma % 10) % 10;
+  }
+  
+  /**
+   * Sequência de barras do CEP (true = barra alta)
+   */
+  static codificar(cep) {
+    const digitos = String(cep).replace(/\D/g, '');
+    if (digitos.length !== 8) {
+      throw new CEPInvalidError(`CEP inválido para o CEPNet: ${cep}`);
+    }
+    
+    const barras = [true];
+    `${digitos}${CEPNet.digitoVerificador(digitos)}`.split('').forEach(digito => {
+      CEPNET_DIGITOS[digito].split('').forEach(bit => barras.push(bit === '1'));
+    });
+    barras.push(true);
+    
+    return barras;
+  }
+  
+  /**
+   * Largura total do código em mm
+   */
+  static largura(barras) {
+    return (barras.length - 1) * CEPNET_DIMENSOES.passo + CEPNET_DIMENSOES.larguraBarra;
+  }
+  
+  /**
+   * Desenho SVG do código, em mm, para a pré-visualização ({ tag, atributos, filhos })
+   */
+  static desenhoSVG(barras) {
+    const { passo, larguraBarra, alturaAlta, alturaBaixa } = CEPNET_DIMENSOES;
+    const largura = CEPNet.largura(barras).toFixed(2);
+    
+    const rects = barras.map((alta, i) => {
+      const altura = alta ? alturaAlta : alturaBaixa;
+      return {
+        tag: 'rect',
+        atributos: { x: (i * passo).toFixed(2), y: (alturaAlta - altura).toFixed(2), width: larguraBarra, height: altura }
+      };
+    });
+    
+    return {
+      tag: 'svg',
+      atributos: {
+        xmlns: 'http://www.w3.org/2000/svg',
+        viewBox: `0 0 ${largura} ${alturaAlta}`,
+        width: `${largura}mm`,
+        height: `${alturaAlta}mm`,
+        role: 'img',
+        'aria-label': 'CEPNet'
+      },
+      filhos: rects
+    };
+  }
+  
+  /**
+   * SVG do código, em mm, como texto
+   */
+  static svg(barras) {
+    return marcacaoSVG(CEPNet.desenhoSVG(barras));
+  }
+}
+
+/**
+ * Larguras (barra, espaço, barra...) dos 107 símbolos do Code128, pelo valor;
+ * 103 a 105 são os inícios A, B e C e 106 é a parada
+ */
+const CODE128_PADROES = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+
+const CODE128 = { CODIGO_C: 99, CODIGO_B: 100, INICIO_B: 104, INICIO_C: 105, PARADA: 106 };
+
+/**
+ * Dimensões do Code128 em mm: módulo (barra mais fina) aceito e zona de silêncio em módulos
+ */
+export const CODE128_DIMENSOES = {
+  moduloMinimo: 0.25,
+  moduloMaximo: 0.4,
+  silencio: 10
+};
+
+/**
+ * Code128 com os conjuntos B (texto) e C (pares de dígitos), trocando para o C
+ * nas sequências longas de dígitos, como no código de rastreio dos Correios
+ */
+export class Code128 {
+  /**
+   * Valores dos símbolos, do início ao dígito verificador (sem a parada)
+   */
+  static valores(texto) {
+    const conteudo = String(texto);
+    if (!/^[\x20-\x7e]+$/.test(conteudo)) {
+      throw new RangeError('O Code128 aceita apenas caracteres ASCII imprimíveis');
+    }
+    
+    // Dígitos seguidos a partir de cada posição
+    const digitosEm = (i) => conteudo.slice(i).match(/^\d*/)[0].length;
+    // Vale trocar para o C com 4 dígitos no início ou no fim, ou 6 no meio
+    const usarC = (i) => {
+      const digitos = digitosEm(i);
+      return digitos >= 6 || (digitos >= 4 && (i === 0 || i + digitos === conteudo.length)) ||
+        (digitos >= 2 && digitos === conteudo.length);
+    };
+    
+    let conjuntoC = usarC(0);
+    const valores = [conjuntoC ? CODE128.INICIO_C : CODE128.INICIO_B];
+    let i = 0;
+    
+    while (i < conteudo.length) {
+      if (conjuntoC) {
+        if (digitosEm(i) >= 2) {
+          valores.push(Number(conteudo.slice(i, i + 2)));
+          i += 2;
+          continue;
+        }
+        valores.push(CODE128.CODIGO_B);
+        conjuntoC = false;
+      } else if (usarC(i)) {
+        // Número ímpar de dígitos: o primeiro fica no B
+        if (digitosEm(i) % 2) valores.push(conteudo.charCodeAt(i++) - 32);
+        valores.push(CODE128.CODIGO_C);
+        conjuntoC = true;
+      } else {
+        valores.push(conteudo.charCodeAt(i++) - 32);
+      }
+    }
+    
+    const soma = valores.reduce((total, valor, posicao) => total + valor * Math.max(posicao, 1), 0);
+    valores.push(soma % 103);
+    return valores;
+  }
+  
+  /**
+   * Larguras em módulos, alternando barra e espaço (começa e termina em barra)
+   */
+  static codificar(texto) {
+    return [...Code128.valores(texto), CODE128.PARADA]
+      .flatMap(valor => CODE128_PADROES[valor].split('').map(Number));
+  }
+  
+  /**
+   * Total de módulos do código, sem a zona de silêncio
+   */
+  static modulos(larguras) {
+    return larguras.reduce((total, largura) => total + largura, 0);
+  }
+  
+  /**
+   * Barras como retângulos [x, largura] em módulos, para desenhar em qualquer escala
+   */
+  static barras(larguras) {
+    const barras = [];
+    let x = 0;
+    
+    larguras.forEach((largura, i) => {
+      if (i % 2 === 0) barras.push([x, largura]);
+      x += largura;
+    });
+    
+    return barras;
+  }
+  
+  /**
+   * Desenho SVG do código, em mm, para a pré-visualização (o texto legível fica fora dele)
+   */
+  static desenhoSVG(larguras, { modulo = 0.33, altura = 12 } = {}) {
+    const { silencio } = CODE128_DIMENSOES;
+    const total = Code128.modulos(larguras) + silencio * 2;
+    const alturaModulos = (altura / modulo).toFixed(2);
+    const rects = Code128.barras(larguras)
+      .map(([x, largura]) => ({ tag: 'rect', atributos: { x: x + silencio, y: 0, width: largura, height: alturaModulos } }));
+    
+    return {
+      tag: 'svg',
+      atributos: {
+        xmlns: 'http://www.w3.org/2000/svg',
+        viewBox: `0 0 ${total} ${alturaModulos}`,
+        width: `${(total * modulo).toFixed(2)}mm`,
+        height: `${altura}mm`,
+        'shape-rendering': 'crispEdges',
+        role: 'img',
+        'aria-label': 'Code128'
+      },
+      filhos: rects
+    };
+  }
+  
+  /**
+   * SVG do código, em mm, como texto
+   */
+  static svg(larguras, opcoes) {
+    return marcacaoSVG(Code128.desenhoSVG(larguras, opcoes));
+  }
+}
+
+/**
+ * Aritmética em GF(256) com o polinômio primitivo 301 do DataMatrix
+ */
+const GF256 = (() => {
+  const exp = new Array(256);
+  const log = new Array(256);
+  let valor = 1;
+  
+  for (let i = 0; i < 255; i++) {
+    exp[i] = valor;
+    log[valor] = i;
+    valor <<= 1;
+    if (valor >= 256) valor ^= 301;
+  }
+  exp[255] = exp[0];
+  
+  return {
+    exp,
+    log,
+    multiplicar(a, b) {
+      if (a === 0 || b === 0) return 0;
+      return exp[(log[a] + log[b]) % 255];
+    }
+  };
+})();
+
+/**
+ * Tamanhos quadrados do DataMatrix ECC200:
+ * [módulos por lado, regiões por lado, palavras de dados, palavras de correção, blocos]
+ */
+const DATAMATRIX_SIMBOLOS = [
+  [10, 1, 3, 5, 1], [12, 1, 5, 7, 1], [14, 1, 8, 10, 1], [16, 1, 12, 12, 1],
+  [18, 1, 18, 14, 1], [20, 1, 22, 18, 1], [22, 1, 30, 20, 1], [24, 1, 36, 24, 1],
+  [26, 1, 44, 28, 1], [32, 2, 62, 36, 1], [36, 2, 86, 42, 1], [40, 2, 114, 48, 1],
+  [44, 2, 144, 56, 1], [48, 2, 174, 68, 1], [52, 2, 204, 84, 2], [64, 4, 280, 112, 2],
+  [72, 4, 368, 144, 4], [80, 4, 456, 192, 4], [88, 4, 576, 224, 4], [96, 4, 696, 272, 4],
+  [104, 4, 816, 336, 6]
+];
+
+/**
+ * Codificador DataMatrix ECC200 (ISO/IEC 16022): codificação ASCII,
+ * Reed-Solomon sobre GF(256) e posicionamento padrão dos módulos
+ */
+export class DataMatrix {
+  /**
+   * Matriz de módulos (true = escuro) com padrões de localização
+   */
+  static codificar(texto) {
+    const dados = DataMatrix.codificarASCII(texto);
+    const simbolo = DATAMATRIX_SIMBOLOS.find(([, , capacidade]) => capacidade >= dados.length);
+    if (!simbolo) {
+      throw new RangeError('Conteúdo grande demais para o DataMatrix');
+    }
+    
+    const [tamanho, regioes, capacidade, totalCorrecao, blocos] = simbolo;
+    const palavras = DataMatrix.completar(dados, capacidade);
+    const correcao = DataMatrix.correcaoErros(palavras, totalCorrecao, blocos);
+    
+    return DataMatrix.montarMatriz(palavras.concat(correcao), tamanho, regioes);
+  }
+  
+  /**
+   * Codificação ASCII, com pares de dígitos compactados numa palavra
+   */
+  static codificarASCII(texto) {
+    const palavras = [];
+    
+    for (let i = 0; i < texto.length; i++) {
+      const codigo = texto.charCodeAt(i);
+      const proximo = texto.charCodeAt(i + 1);
+      
+      if (codigo >= 48 && codigo <= 57 && proximo >= 48 && proximo <= 57) {
+        palavras.push(130 + (codigo - 48) * 10 + (proximo - 48));
+        i++;
+      } else if (codigo < 128) {
+        palavras.push(codigo + 1);
+      } else if (codigo < 256) {
+        palavras.push(235, codigo - 127);
+      } else {
+        throw new RangeError('O DataMatrix aceita apenas caracteres Latin-1');
+      }
+    }
+    
+    return palavras;
+  }
+  
+  /**
+   * Preenche a capacidade do símbolo com palavras de enchimento pseudoaleatórias
+   */
+  static completar(dados, capacidade) {
+    const palavras = dados.slice();
+    
+    if (palavras.length < capacidade) palavras.push(129);
+    while (palavras.length < capacidade) {
+      const posicao = palavras.length + 1;
+      const aleatorio = ((149 * posicao) % 253) + 1;
+      const enchimento = 129 + aleatorio;
+      palavras.push(enchimento > 254 ? enchimento - 254 : enchimento);
+    }
+    
+    return palavras;
+  }
+  
+  /**
+   * Palavras de correção Reed-Solomon, intercaladas entre os blocos
+   */
+  static correcaoErros(palavras, totalCorrecao, blocos) {
+    const porBloco = totalCorrecao / blocos;
+    const gerador = DataMatrix.polinomioGerador(porBloco);
+    const resultado = new Array(totalCorrecao);
+    
+    for (let bloco = 0; bloco < blocos; bloco++) {
+      const dadosBloco = palavras.filter((_, i) => i % blocos === bloco);
+      const resto = new Array(porBloco).fill(0);
+      
+      dadosBloco.forEach(palavra => {
+        const fator = palavra ^ resto[0];
+        for (let j = 0; j < porBloco; j++) {
+          resto[j] = (j + 1 < porBloco ? resto[j + 1] : 0) ^ GF256.multiplicar(fator, gerador[j]);
+        }
+      });
+      
+      resto.forEach((palavra, j) => { resultado[j * blocos + bloco] = palavra; });
+    }
+    
+    return resultado;
+  }
+  
+  /**
+   * Coeficientes de (x + α¹)(x + α²)…(x + αⁿ), sem o termo de maior grau
+   */
+  static polinomioGerador(grau) {
+    let coeficientes = [1];
+    
+    for (let i = 1; i <= grau; i++) {
+      const raiz = GF256.exp[i];
+      const proximo = new Array(coeficientes.length + 1).fill(0);
+      coeficientes.forEach((c, j) => {
+        proximo[j] ^= c;
+        proximo[j + 1] ^= GF256.multiplicar(c, raiz);
+      });
+      coeficientes = proximo;
+    }
+    
+    return coeficientes.slice(1);
+  }
+  
+  /**
+   * Posiciona os bits das palavras na área de dados e acrescenta as bordas
+   * de localização de cada região
+   */
+  static montarMatriz(palavras, tamanho, regioes) {
+    const tamanhoRegiao = (tamanho - regioes * 2) / regioes;
+    const lado = tamanhoRegiao * regioes;
+    const posicoes = DataMatrix.posicionamento(lado, lado);
+    
+    const matriz = Array.from({ length: tamanho }, () => new Array(tamanho).fill(false));
+    
+    // Bordas: linha sólida à esquerda e embaixo, alternada em cima e à direita
+    for (let r = 0; r < regioes; r++) {
+      for (let c = 0; c < regioes; c++) {
+        const topo = r * (tamanhoRegiao + 2);
+        const esquerda = c * (tamanhoRegiao + 2);
+        for (let i = 0; i < tamanhoRegiao + 2; i++) {
+          matriz[topo + tamanhoRegiao + 1][esquerda + i] = true;
+          matriz[topo + i][esquerda] = true;
+          matriz[topo][esquerda + i] = i % 2 === 0;
+          matriz[topo + i][esquerda + tamanhoRegiao + 1] = i % 2 === 1;
+        }
+      }
+    }
+    
+    for (let linha = 0; linha < lado; linha++) {
+      for (let coluna = 0; coluna < lado; coluna++) {
+        const posicao = posicoes[linha * lado + coluna];
+        const escuro = posicao === 1 || (posicao > 1 &&
+          (palavras[Math.floor(posicao / 10) - 1] & (1 << (8 - posicao % 10))) !== 0);
+        
+        const y = Math.floor(linha / tamanhoRegiao) * (tamanhoRegiao + 2) + 1 + linha % tamanhoRegiao;
+        const x = Math.floor(coluna / tamanhoRegiao) * (tamanhoRegiao + 2) + 1 + coluna % tamanhoRegiao;
+        matriz[y][x] = escuro;
+      }
+    }
+    
+    return matriz;
+  }
+  
+  /**
+   * Algoritmo de posicionamento do anexo F da norma: cada posição recebe
+   * 10 × palavra + bit (1 a 8), ou 1 para os módulos fixos do canto
+   */
+  static posicionamento(linhas, colunas) {
+    const posicoes = new Array(linhas * colunas).fill(0);
+    
+    const modulo = (linha, coluna, palavra, bit) => {
+      if (linha < 0) {
+        linha += linhas;
+        coluna += 4 - ((linhas + 4) % 8);
+      }
+      if (coluna < 0) {
+        coluna += colunas;
+        linha += 4 - ((colunas + 4) % 8);
+      }
+      posicoes[linha * colunas + coluna] = 10 * palavra + bit;
+    };
+    
+    // Formato padrão de 8 módulos ("utah")
+    const utah = (linha, coluna, palavra) => {
+      modulo(linha - 2, coluna - 2, palavra, 1);
+      modulo(linha - 2, coluna - 1, palavra, 2);
+      modulo(linha - 1, coluna - 2, palavra, 3);
+      modulo(linha - 1, coluna - 1, palavra, 4);
+      modulo(linha - 1, coluna, palavra, 5);
+      modulo(linha, coluna - 2, palavra, 6);
+      modulo(linha, coluna - 1, palavra, 7);
+      modulo(linha, coluna, palavra, 8);
+    };
+    
+    // Formatos especiais dos cantos
+    const canto = (palavra, coordenadas) => {
+      coordenadas.forEach(([linha, coluna], i) => modulo(linha, coluna, palavra, i + 1));
+    };
+    const L = linhas;
+    const C = colunas;
+    const cantos = [
+      [[L - 1, 0], [L - 1, 1], [L - 1, 2], [0, C - 2], [0, C - 1], [1, C - 1], [2, C - 1], [3, C - 1]],
+      [[L - 3, 0], [L - 2, 0], [L - 1, 0], [0, C - 4], [0, C - 3], [0, C - 2], [0, C - 1], [1, C - 1]],
+      [[L - 3, 0], [L - 2, 0], [L - 1, 0], [0, C - 2], [0, C - 1], [1, C - 1], [2, C - 1], [3, C - 1]],
+      [[L - 1, 0], [L - 1, C - 1], [0, C - 3], [0, C - 2], [0, C - 1], [1, C - 3], [1, C - 2], [1, C - 1]]
+    ];
+    
+    let palavra = 1;
+    let linha = 4;
+    let coluna = 0;
+    
+    do {
+      if (linha === L && coluna === 0) canto(palavra++, cantos[0]);
+      if (linha === L - 2 && coluna === 0 && C % 4) canto(palavra++, cantos[1]);
+      if (linha === L - 2 && coluna === 0 && C % 8 === 4) canto(palavra++, cantos[2]);
+      if (linha === L + 4 && coluna === 2 && !(C % 8)) canto(palavra++, cantos[3]);
+      
+      // Diagonal para cima
+      do {
+        if (linha < L && coluna >= 0 && !posicoes[linha * C + coluna]) utah(linha, coluna, palavra++);
+        linha -= 2;
+        coluna += 2;
+      } while (linha >= 0 && coluna < C);
+      linha += 1;
+      coluna += 3;
+      
+      // Diagonal para baixo
+      do {
+        if (linha >= 0 && coluna < C && !posicoes[linha * C + coluna]) utah(linha, coluna, palavra++);
+        linha += 2;
+        coluna -= 2;
+      } while (linha < L && coluna >= 0);
+      linha += 3;
+      coluna += 1;
+    } while (linha < L || coluna < C);
+    
+    // Canto inferior direito que sobra em alguns tamanhos
+    if (!posicoes[L * C - 1]) {
+      posicoes[L * C - 1] = 1;
+      posicoes[L * C - C - 2] = 1;
+    }
+    
+    return posicoes;
+  }
+  
+  /**
+   * Desenho SVG da matriz, com zona de silêncio de um módulo ({ tag, atributos, filhos })
+   */
+  static desenhoSVG(matriz, tamanhoModulo = 0.5) {
+    const lado = matriz.length + 2;
+    const caminho = matriz.map((linha, y) => linha
+      .map((escuro, x) => escuro ? `M${x + 1} ${y + 1}h1v1h-1z` : '')
+      .join('')
+    ).join('');
+    const medida = (lado * tamanhoModulo).toFixed(2);
+    
+    return {
+      tag: 'svg',
+      atributos: {
+        xmlns: 'http://www.w3.org/2000/svg',
+        viewBox: `0 0 ${lado} ${lado}`,
+        width: `${medida}mm`,
+        height: `${medida}mm`,
+        'shape-rendering': 'crispEdges',
+        role: 'img',
+        'aria-label': 'DataMatrix'
+      },
+      filhos: [{ tag: 'path', atributos: { d: caminho } }]
+    };
+  }
+  
+  /**
+   * SVG da matriz como texto
+   */
+  static svg(matriz, tamanhoModulo) {
+    return marcacaoSVG(DataMatrix.desenhoSVG(matriz, tamanhoModulo));
+  }
+}
+
+/**
+ * Conteúdo do DataMatrix no leiaute de campos dos Correios
+ */
+export class CorreiosDataMatrix {
+  /**
+   * Monta os campos de tamanho fixo, o separador "|" e a reserva do cliente (162 caracteres)
+   * @param {Object} remetente - Dados do remetente
+   * @param {Object} destinatario - Dados do destinatário
+   * @param {Object} [extras] - Etiqueta, serviço, cartão de postagem etc., quando houver
+   */
+  static conteudo(remetente, destinatario, extras = {}) {
+    const numero = (valor) => String(valor ?? '').replace(/\D/g, '');
+    const texto = (valor) => Utils.normalizarTexto(String(valor ?? '')).toUpperCase();
+    const cepDestino = numero(destinatario.cep);
+    
+    const campos = [
+      // [valor, tamanho, numérico?]
+      [cepDestino, 8, true],
+      [numero(destinatario.numero), 5, true],
+      [numero(remetente.cep), 8, true],
+      [numero(remetente.numero), 5, true],
+      [CEPNet.digitoVerificador(cepDestino), 1, true],
+      [extras.idv ?? '51', 2, true],
+      [texto(extras.etiqueta), 13, false],
+      [numero(extras.servicosAdicionais), 10, true],
+      [numero(extras.cartaoPostagem), 10, true],
+      [numero(extras.codigoServico), 5, true],
+      [numero(extras.agrupamento), 2, true],
+      [numero(destinatario.numero), 5, true],
+      [texto(destinatario.complemento), 20, false],
+      [numero(extras.valorDeclarado), 5, true],
+      [numero(extras.telefone), 12, true],
+      [extras.latitude ?? '', 10, true],
+      [extras.longitude ?? '', 10, true]
+    ];
+    
+    const fixos = campos.map(([valor, tamanho, numerico]) => {
+      const bruto = String(valor).slice(0, tamanho);
+      return numerico ? bruto.padStart(tamanho, '0') : bruto.padEnd(tamanho, ' ');
+    }).join('');
+    
+    return `${fixos}|${texto(extras.reserva).slice(0, 30).padEnd(30, ' ')}`;
+  }
+}
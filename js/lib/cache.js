@@ -0,0 +1,287 @@
+import { CONFIG } from './config.js';
+import { I18n } from './i18n.js';
+import { IDBStore } from './idb-store.js';
+
+// ==========================================
+// CLASSE DE CACHE
+// ==========================================
+
+/**
+ * Cache LRU com TTL por tipo de entrada, espelhado no IndexedDB.
+ * As entradas ficam em memória (Map em ordem de uso) e cada alteração
+ * é gravada no banco; sem IndexedDB o cache funciona só em memória.
+ * Leituras só mudam a data de acesso, que é gravada em lote (CONFIG.CACHE.FLUSH_DELAY).
+ */
+export class CacheManager {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxEntradas]
+   * @param {boolean} [options.persistente] - Espelha as entradas no IndexedDB
+   * @param {Object} [options.store] - Outro armazenamento com a interface do IDBStore
+   *   (getAll, put, putMany, delete, clear), ex.: arquivo em disco no Node
+   * @param {Function} [options.onAviso] - Recebe (mensagem, erro) quando o armazenamento falha
+   */
+  constructor({
+    maxEntradas = CONFIG.CACHE.MAX_ENTRIES,
+    persistente = IDBStore.disponivel(),
+    store = null,
+    onAviso = () => {}
+  } = {}) {
+    this.cache = new Map();
+    this.onAviso = onAviso;
+    this.acessosPendentes = new Set();
+    this.timerAcessos = null;
+    this.maxEntradas = maxEntradas;
+    this.stats = { hits: 0, misses: 0 };
+    this.store = store || (persistente ? new IDBStore(CONFIG.CACHE.DB_NAME, CONFIG.CACHE.STORE) : null);
+    this.pronto = this.carregar();
+  }
+  
+  /**
+   * Instância única compartilhada por toda a aplicação
+   * (as opções só valem para quem a cria primeiro)
+   */
+  static compartilhado(options) {
+    if (!CacheManager.instancia) {
+      CacheManager.instancia = new CacheManager(options);
+    }
+    return CacheManager.instancia;
+  }
+  
+  /**
+   * Carrega as entradas persistidas, da menos para a mais recentemente usada
+   */
+  async carregar() {
+    if (!this.store) return;
+    
+    try {
+      const entradas = await this.store.getAll();
+      const agora = Date.now();
+      
+      entradas
+        .sort((a, b) => a.acessadoEm - b.acessadoEm)
+        .forEach(entrada => {
+          if (agora > entrada.expires) {
+            this.removerPersistido(entrada.key);
+          } else {
+            this.cache.set(entrada.key, entrada);
+          }
+        });
+      
+      this.aplicarLimite();
+      
+    } catch (error) {
+      this.onAviso('Cache persistente indisponível, usando apenas memória', error);
+      this.store = null;
+    }
+  }
+  
+  /**
+   * TTL conforme o prefixo da chave (ex.: "cep:", "logradouro:")
+   */
+  ttlPara(key) {
+    const tipo = key.split(':')[0];
+    return CONFIG.CACHE.TTL[tipo] ?? CONFIG.CACHE.TTL.padrao;
+  }
+  
+  /**
+   * Adiciona item ao cache com TTL
+   */
+  async set(key, value, ttl = this.ttlPara(key)) {
+    await this.pronto;
+    
+    const agora = Date.now();
+    const entrada = { key, value, expires: agora + ttl, acessadoEm: agora };
+    
+    this.cache.delete(key);
+    this.cache.set(key, entrada);
+    this.persistir(entrada);
+    this.aplicarLimite();
+  }
+  
+  /**
+   * Recupera item do cache
+   */
+  async get(key) {
+    await this.pronto;
+    
+    const item = this.cache.get(key);
+    
+    if (!item || Date.now() > item.expires) {
+      if (item) this.delete(key);
+      this.stats.misses++;
+      return null;
+    }
+    
+    // Move para o fim da fila LRU; o acesso vai para o banco no próximo lote
+    item.acessadoEm = Date.now();
+    this.cache.delete(key);
+    this.cache.set(key, item);
+    this.agendarAcesso(key);
+    
+    this.stats.hits++;
+    return item.value;
+  }
+  
+  /**
+   * Verifica se há item válido sem alterar contadores nem a ordem LRU
+   */
+  async has(key) {
+    await this.pronto;
+    const item = this.cache.get(key);
+    return Boolean(item) && Date.now() <= item.expires;
+  }
+  
+  /**
+   * Remove item do cache
+   */
+  delete(key) {
+    this.cache.delete(key);
+    this.removerPersistido(key);
+  }
+  
+  /**
+   * Limpa cache expirado
+   */
+  cleanup() {
+    const now = Date.now();
+    for (const [key, item] of this.cache.entries()) {
+      if (now > item.expires) {
+        this.delete(key);
+      }
+    }
+  }
+  
+  /**
+   * Remove todas as entradas e zera os contadores
+   */
+  async limpar() {
+    await this.pronto;
+    this.cache.clear();
+    this.acessosPendentes.clear();
+    this.stats = { hits: 0, misses: 0 };
+    await this.store?.clear();
+  }
+  
+  /**
+   * Descarta as entradas menos usadas acima do limite configurado
+   */
+  aplicarLimite() {
+    while (this.cache.size > this.maxEntradas) {
+      this.delete(this.cache.keys().next().value);
+    }
+  }
+  
+  persistir(entrada) {
+    this.acessosPendentes.delete(entrada.key);
+    this.store?.put(entrada).catch(error => this.onAviso('Erro ao gravar cache', error));
+  }
+  
+  /**
+   * Marca a data de acesso para gravar no próximo lote
+   */
+  agendarAcesso(key) {
+    if (!this.store) return;
+    
+    this.acessosPendentes.add(key);
+    clearTimeout(this.timerAcessos);
+    this.timerAcessos = setTimeout(() => this.gravarAcessos(), CONFIG.CACHE.FLUSH_DELAY);
+    // No Node, o lote pendente não segura o processo (a CLI grava antes de sair)
+    this.timerAcessos.unref?.();
+  }
+  
+  /**
+   * Grava de uma vez as datas de acesso pendentes das entradas que ainda estão no cache
+   */
+  async gravarAcessos() {
+    clearTimeout(this.timerAcessos);
+    this.timerAcessos = null;
+    
+    const entradas = [...this.acessosPendentes].map(key => this.cache.get(key)).filter(Boolean);
+    this.acessosPendentes.clear();
+    if (!this.store || entradas.length === 0) return;
+    
+    try {
+      await this.store.putMany(entradas);
+    } catch (error) {
+      this.onAviso('Erro ao gravar cache', error);
+    }
+  }
+  
+  removerPersistido(key) {
+    this.acessosPendentes.delete(key);
+    this.store?.delete(key).catch(error => this.onAviso('Erro ao remover do cache', error));
+  }
+  
+  /**
+   * Contadores de uso do cache
+   */
+  estatisticas() {
+    const { hits, misses } = this.stats;
+    const total = hits + misses;
+    
+    return {
+      hits,
+      misses,
+      taxaAcerto: total ? hits / total : 0,
+      entradas: this.cache.size,
+      maxEntradas: this.maxEntradas
+    };
+  }
+  
+  /**
+   * Exporta as entradas válidas como JSON
+   */
+  async exportar() {
+    await this.pronto;
+    this.cleanup();
+    
+    return JSON.stringify({
+      versao: 1,
+      exportadoEm: new Date().toISOString(),
+      entradas: [...this.cache.values()]
+    });
+  }
+  
+  /**
+   * Importa entradas exportadas por exportar(); retorna quantas foram aceitas.
+   * Entradas expiradas ou mais antigas que as existentes são ignoradas.
+   */
+  async importar(json) {
+    await this.pronto;
+    
+    let dados;
+    try {
+      dados = typeof json === 'string' ? JSON.parse(json) : json;
+    } catch {
+      throw new Error(I18n.t('cache.arquivoInvalido'));
+    }
+    
+    if (!dados || dados.versao !== 1 || !Array.isArray(dados.entradas)) {
+      throw new Error(I18n.t('cache.arquivoInvalido'));
+    }
+    
+    const agora = Date.now();
+    const aceitas = dados.entradas.filter(entrada =>
+      typeof entrada?.key === 'string' &&
+      entrada.value !== undefined &&
+      Number(entrada.expires) > agora &&
+      !(this.cache.get(entrada.key)?.expires >= entrada.expires)
+    ).map(({ key, value, expires, acessadoEm }) => ({
+      key,
+      value,
+      expires: Number(expires),
+      acessadoEm: Number(acessadoEm) || agora
+    }));
+    
+    aceitas.forEach(entrada => {
+      this.cache.delete(entrada.key);
+      this.cache.set(entrada.key, entrada);
+    });
+    
+    await this.store?.putMany(aceitas);
+    this.aplicarLimite();
+    
+    return aceitas.length;
+  }
+}
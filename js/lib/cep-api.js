@@ -0,0 +1,155 @@
+import { CacheManager } from './cache.js';
+import { CONFIG } from './config.js';
+import { CEPInvalidError, CEPNetworkError, CEPNotFoundError, CEPTimeoutError } from './errors.js';
+import { FaixasCEP } from './faixas-cep.js';
+import { I18n } from './i18n.js';
+import { CEP_PROVIDERS } from './providers.js';
+import { Utils } from './utils.js';
+
+// ==========================================
+// CLASSE DE API
+// ==========================================
+
+export class CEPAPI {
+  /**
+   * @param {Object} [options]
+   * @param {string[]} [options.ordem] - Prioridade dos provedores
+   * @param {Object} [options.endpoints] - URLs base por provedor (ex.: servidor local)
+   * @param {CacheManager} [options.cache] - Cache a usar (padrão: cache compartilhado)
+   * @param {Function} [options.fetch] - Implementação de fetch (ex.: mock em testes ou Node sem fetch global)
+   * @param {number} [options.timeout] - Limite por requisição, em ms
+   * @param {number} [options.retries] - Novas tentativas em falhas transitórias
+   * @param {Function} [options.onAviso] - Recebe (mensagem, erro) de falhas que não
+   *   interrompem a consulta, como um provedor fora do ar; a biblioteca não escreve no console
+   */
+  constructor(options = {}) {
+    this.onAviso = options.onAviso || (() => {});
+    this.cache = options.cache || CacheManager.compartilhado({ onAviso: options.onAviso });
+    this.providers = CEPAPI.criarProvedores(options);
+  }
+  
+  /**
+   * Instancia os provedores na ordem de prioridade configurada
+   */
+  static criarProvedores({ ordem = CONFIG.PROVIDERS.ORDER, endpoints = {}, fetch, timeout, retries } = {}) {
+    const requisicao = { fetch, timeout, retries };
+    
+    return ordem.map(nome => {
+      const Provider = CEP_PROVIDERS[nome];
+      if (!Provider) {
+        throw new Error(`Provedor de CEP desconhecido: ${nome}`);
+      }
+      return new Provider(endpoints[nome] || CONFIG.PROVIDERS.ENDPOINTS[nome], requisicao);
+    });
+  }
+  
+  /**
+   * Consulta os provedores em ordem até um deles responder.
+   * Cancelamento interrompe a cadeia, assim como entrada recusada (HTTP 400) quando a
+   * consulta não foi validada localmente; se todos falharem, o erro indica o motivo
+   * e traz em `tentativas` a falha de cada provedor.
+   * @param {Object} [opcoes]
+   * @param {boolean} [opcoes.validada] - Entrada já conferida aqui: um 400 é falha
+   *   daquele provedor e a consulta segue para o próximo
+   */
+  async consultarProvedores(providers, consulta, signal, { validada = false } = {}) {
+    const tentativas = [];
+    
+    for (const provider of providers) {
+      try {
+        return await consulta(provider);
+      } catch (error) {
+        if (Utils.isAbortError(error) || signal?.aborted) throw error;
+        
+        // Entrada não conferida aqui e recusada pelo provedor não muda nos demais
+        if (error instanceof CEPInvalidError && !validada) throw error;
+        
+        this.onAviso(`Provedor ${provider.rotulo} falhou: ${error.message}`, error);
+        tentativas.push({ provedor: provider.nome, erro: error });
+      }
+    }
+    
+    const erro = tentativas.length > 0 && tentativas.every(({ erro }) => erro instanceof CEPTimeoutError)
+      ? new CEPTimeoutError()
+      : new CEPNetworkError();
+    erro.tentativas = tentativas;
+    throw erro;
+  }
+  
+  /**
+   * Busca CEP específico, passando ao próximo provedor em caso de falha
+   *
+   * @param {string} cep
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Permite cancelar a busca
+   */
+  async buscarCEP(cep, { signal } = {}) {
+    if (!Utils.validarCEP(cep)) {
+      throw new CEPInvalidError();
+    }
+    
+    // Fora das faixas dos Correios não existe: nem chega a consultar os provedores
+    if (!FaixasCEP.uf(cep)) {
+      throw new CEPNotFoundError(FaixasCEP.conferir(cep));
+    }
+    
+    const cleanCEP = cep.replace(/\D/g, '');
+    const cacheKey = `cep:${cleanCEP}`;
+    
+    // Verifica cache primeiro (inclui CEPs já confirmados como inexistentes)
+    const cached = await this.cache.get(cacheKey);
+    if (cached?.ausente) throw new CEPNotFoundError();
+    if (cached) return cached;
+    
+    const resultado = await this.consultarProvedores(
+      this.providers,
+      provider => provider.buscarCEP(cleanCEP, signal),
+      signal,
+      { validada: true }
+    );
+    
+    // Resposta válida de "não encontrado" encerra a busca
+    if (!resultado) {
+      this.cache.set(cacheKey, { ausente: true }, CONFIG.CACHE.TTL.ausente);
+      throw new CEPNotFoundError();
+    }
+    
+    // Armazena no cache
+    this.cache.set(cacheKey, resultado);
+    
+    return resultado;
+  }
+  
+  /**
+   * Indica se o CEP (encontrado ou inexistente) já está no cache
+   */
+  temEmCache(cep) {
+    return this.cache.has(`cep:${cep.replace(/\D/g, '')}`);
+  }
+  
+  /**
+   * Busca por logradouro nos provedores que suportam esse tipo de consulta
+   */
+  async buscarPorLogradouro(uf, cidade, logradouro, { signal } = {}) {
+    if (!uf || !cidade || !logradouro) {
+      throw new CEPInvalidError(I18n.t('erros.camposLogradouro'));
+    }
+    
+    const cacheKey = `logradouro:${uf}:${cidade}:${logradouro}`;
+    
+    // Verifica cache primeiro
+    const cached = await this.cache.get(cacheKey);
+    if (cached) return cached;
+    
+    const resultados = await this.consultarProvedores(
+      this.providers.filter(p => p.suportaLogradouro),
+      provider => provider.buscarPorLogradouro(uf, cidade, logradouro, signal),
+      signal
+    );
+    
+    // Armazena no cache
+    this.cache.set(cacheKey, resultados);
+    
+    return resultados;
+  }
+}
@@ -0,0 +1,86 @@
+// ==========================================
+// CONFIGURAÇÕES GLOBAIS E CONSTANTES
+// ==========================================
+
+export const CONFIG = {
+  API_FORMAT: 'json',
+  TIMEOUT: 10000,
+  RETRIES: 3,
+  RETRY_BASE_DELAY: 300,
+  RETRY_MAX_DELAY: 5000,
+  
+  // Cache persistente (IndexedDB) com TTL por tipo de entrada
+  CACHE: {
+    DB_NAME: 'busca-cep-cache',
+    STORE: 'entradas',
+    MAX_ENTRIES: 5000,
+    FLUSH_DELAY: 2000, // Acessos (ordem LRU) gravados em lote, após este intervalo sem leituras
+    TTL: {
+      cep: 30 * 24 * 60 * 60 * 1000, // 30 dias
+      logradouro: 24 * 60 * 60 * 1000, // 1 dia
+      ausente: 7 * 24 * 60 * 60 * 1000, // CEPs inexistentes: 7 dias
+      padrao: 300000 // 5 minutos
+    }
+  },
+  
+  // Agenda de endereços (IndexedDB)
+  AGENDA: {
+    DB_NAME: 'busca-cep-agenda',
+    STORE: 'contatos'
+  },
+  
+  // Histórico de buscas e CEPs favoritos (IndexedDB)
+  HISTORICO: {
+    DB_NAME: 'busca-cep-historico',
+    STORE: 'buscas',
+    FAVORITOS_DB_NAME: 'busca-cep-favoritos',
+    FAVORITOS_STORE: 'resultados',
+    RETENCAO_DIAS: 30, // 0 desliga o histórico
+    MAX_ENTRADAS: 500
+  },
+  
+  // Varredura de faixas de CEP
+  RANGE: {
+    CONCURRENCY: 4,
+    RATE_LIMIT: 8 // requisições por segundo
+  },
+  
+  // Validações e máscaras
+  CEP_REGEX: /^\d{5}-?\d{3}$/,
+  CEP_MASK: '#####-###',
+  MIN_BUSCA_LOGRADOURO: 3, // mínimo de caracteres exigido pela ViaCEP para cidade e logradouro
+  
+  // Leitura de planilhas XLSX (SheetJS, carregado sob demanda)
+  XLSX_URL: 'https://cdnjs.cloudflare.com/ajax/libs/xlsx/0.18.5/xlsx.full.min.js',
+  
+  // Provedores de CEP (consultados na ordem definida em ORDER)
+  PROVIDERS: {
+    ORDER: ['viacep', 'brasilapi', 'opencep', 'postmon'],
+    ENDPOINTS: {
+      viacep: 'https://viacep.com.br/ws',
+      brasilapi: 'https://brasilapi.com.br/api/cep/v1',
+      opencep: 'https://opencep.com/v1',
+      postmon: 'https://api.postmon.com.br/v1/cep'
+    }
+  },
+  
+  // Endereçamento: limite de caracteres por linha e modo postal (tudo em maiúsculas)
+  ENDERECO: {
+    MAX_CARACTERES: 40,
+    MAIUSCULAS: false
+  },
+  
+  // Modelo de etiqueta padrão (chave de LABEL_TEMPLATES)
+  LABEL_TEMPLATE: 'a4-padrao',
+  
+  // Idioma padrão das mensagens e dos rótulos (chave de IDIOMAS)
+  IDIOMA: 'pt-BR'
+};
+
+
+// Permite sobrescrever provedores antes do carregamento (ex.: servidor local de testes)
+if (typeof window !== 'undefined' && window.CEP_CONFIG?.PROVIDERS) {
+  const { ORDER, ENDPOINTS } = window.CEP_CONFIG.PROVIDERS;
+  if (Array.isArray(ORDER)) CONFIG.PROVIDERS.ORDER = ORDER;
+  Object.assign(CONFIG.PROVIDERS.ENDPOINTS, ENDPOINTS);
+}
@@ -0,0 +1,308 @@
+import { I18n } from './i18n.js';
+import { Utils } from './utils.js';
+
+// ==========================================
+// DECLARAÇÃO DE CONTEÚDO
+// ==========================================
+
+const TEXTO_DECLARACAO = 'Declaro que não me enquadro no conceito de contribuinte previsto no art. 4º da ' +
+  'Lei Complementar nº 87/1996, uma vez que não realizo, com habitualidade ou em volume que caracterize ' +
+  'intuito comercial, operações de circulação de mercadoria, ainda que se iniciem no exterior, ou estou ' +
+  'dispensado da emissão da nota fiscal por força da legislação tributária vigente, responsabilizando-me, ' +
+  'nos termos da lei e a quem de direito, por informações inverídicas.\n' +
+  'Declaro ainda que não estou postando conteúdo inflamável, explosivo, causador de combustão espontânea, ' +
+  'tóxico, corrosivo, gás ou qualquer outro conteúdo que constitua perigo, conforme o art. 13 da ' +
+  'Lei Postal nº 6.538/78.';
+
+const TEXTO_OBSERVACAO = 'OBSERVAÇÃO: Constitui crime contra a ordem tributária suprimir ou reduzir tributo, ' +
+  'ou contribuição social e qualquer acessório (Lei 8.137/90 Art. 1º, V).';
+
+/**
+ * Declaração de Conteúdo dos Correios, exigida nos envios sem nota fiscal.
+ * Itens: { descricao, quantidade, valorUnitario (R$), peso (kg por unidade) }
+ */
+export class DeclaracaoConteudo {
+  /**
+   * Converte os valores digitados (aceita vírgula decimal) e descarta linhas em branco
+   */
+  static normalizarItens(itens) {
+    return itens
+      .map(item => ({
+        descricao: String(item.descricao ?? '').trim(),
+        quantidade: DeclaracaoConteudo.numero(item.quantidade),
+        valorUnitario: DeclaracaoConteudo.numero(item.valorUnitario),
+        peso: DeclaracaoConteudo.numero(item.peso)
+      }))
+      // A quantidade vem preenchida com 1: sozinha não torna a linha um item
+      .filter(item => item.descricao || item.valorUnitario || item.peso);
+  }
+  
+  static numero(valor) {
+    if (typeof valor === 'number') return Number.isFinite(valor) ? valor : 0;
+    
+    // "1.234,56" ou "1234.56"
+    const texto = String(valor ?? '').trim();
+    const normalizado = texto.includes(',') ? texto.replace(/\./g, '').replace(',', '.') : texto;
+    const numero = Number(normalizado);
+    return Number.isFinite(numero) ? numero : 0;
+  }
+  
+  /**
+   * Quantidade de volumes, valor total (R$) e peso total (kg)
+   */
+  static totais(itens) {
+    return itens.reduce((totais, item) => ({
+      quantidade: totais.quantidade + item.quantidade,
+      valor: totais.valor + item.quantidade * item.valorUnitario,
+      peso: totais.peso + item.quantidade * item.peso
+    }), { quantidade: 0, valor: 0, peso: 0 });
+  }
+  
+  /**
+   * Pendências que impedem a emissão; documentos vazios são aceitos
+   * (ficam em branco para preenchimento à mão)
+   * @returns {string[]}
+   */
+  static validar(remetente, destinatario, itens) {
+    const erros = [];
+    
+    if (!remetente.nome) erros.push(I18n.t('declaracao.erroNomeRemetente'));
+    if (!destinatario.nome) erros.push(I18n.t('declaracao.erroNomeDestinatario'));
+    
+    [['Remetente', remetente], ['Destinatario', destinatario]].forEach(([papel, dados]) => {
+      if (dados.documento && !Utils.validarDocumento(dados.documento)) {
+        erros.push(I18n.t(`declaracao.erroDocumento${papel}`));
+      }
+    });
+    
+    if (itens.length === 0) {
+      erros.push(I18n.t('declaracao.erroSemItens'));
+    }
+    
+    itens.forEach((item, i) => {
+      const n = i + 1;
+      if (!item.descricao) erros.push(I18n.t('declaracao.erroDescricao', { n }));
+      if (!(item.quantidade > 0)) erros.push(I18n.t('declaracao.erroQuantidade', { n }));
+      if (item.valorUnitario < 0 || item.peso < 0) erros.push(I18n.t('declaracao.erroNegativo', { n }));
+    });
+    
+    return erros;
+  }
+  
+  static formatarValor(valor) {
+    return valor.toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  }
+  
+  static formatarPeso(peso) {
+    return peso.toLocaleString('pt-BR', { minimumFractionDigits: 3, maximumFractionDigits: 3 });
+  }
+  
+  /**
+   * PDF só com a declaração
+   * @param {Object} [options]
+   * @param {Function} [options.jsPDF] - Construtor do jsPDF (padrão: window.jspdf.jsPDF)
+   * @returns {Uint8Array}
+   */
+  static gerar(remetente, destinatario, itens, { jsPDF = globalThis.jspdf?.jsPDF, data } = {}) {
+    if (!jsPDF) {
+      throw new Error('Geração de PDF requer o jsPDF (opção jsPDF)');
+    }
+    
+    const doc = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' });
+    DeclaracaoConteudo.desenhar(doc, remetente, destinatario, itens, { data });
+    return new Uint8Array(doc.output('arraybuffer'));
+  }
+  
+  /**
+   * Desenha a declaração no leiaute dos Correios a partir da página atual (A4, em mm).
+   * Itens que não cabem continuam em páginas seguintes.
+   */
+  static desenhar(doc, remetente, destinatario, itens, { data = new Date() } = {}) {
+    const margem = 15;
+    const largura = 210 - margem * 2;
+    let y = 18;
+    
+    doc.setTextColor('#000000');
+    doc.setDrawColor('#000000');
+    doc.setLineWidth(0.3);
+    
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(14);
+    doc.text('DECLARAÇÃO DE CONTEÚDO', 105, y, { align: 'center' });
+    y += 5;
+    
+    // Remetente e destinatário lado a lado
+    const larguraCaixa = (largura - 4) / 2;
+    DeclaracaoConteudo.desenharParte(doc, margem, y, larguraCaixa, 'REMETENTE', remetente);
+    const alturaPartes = DeclaracaoConteudo.desenharParte(doc, margem + larguraCaixa + 4, y, larguraCaixa, 'DESTINATÁRIO', destinatario);
+    y += alturaPartes + 5;
+    
+    y = DeclaracaoConteudo.desenharItens(doc, margem, y, largura, itens);
+    
+    // Declaração, local, data e assinatura
+    if (y > 297 - 95) {
+      doc.addPage('a4', 'portrait');
+      y = 18;
+    }
+    
+    DeclaracaoConteudo.desenharTitulo(doc, margem, y, largura, 'DECLARAÇÃO');
+    y += 10;
+    
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(9);
+    TEXTO_DECLARACAO.split('\n').forEach(paragrafo => {
+      const linhas = doc.splitTextToSize(paragrafo, largura);
+      doc.text(linhas, margem, y);
+      y += linhas.length * 4 + 2;
+    });
+    
+    y += 10;
+    const meses = ['janeiro', 'fevereiro', 'março', 'abril', 'maio', 'junho', 'julho',
+      'agosto', 'setembro', 'outubro', 'novembro', 'dezembro'];
+    const local = remetente.cidade || '_______________________';
+    doc.setFontSize(10);
+    doc.text(`${local}, ${data.getDate()} de ${meses[data.getMonth()]} de ${data.getFullYear()}`, margem, y);
+    
+    y += 18;
+    doc.line(105 - 45, y, 105 + 45, y);
+    doc.setFontSize(9);
+    doc.text('Assinatura do Declarante/Remetente', 105, y + 4, { align: 'center' });
+    
+    y += 14;
+    doc.setFontSize(8);
+    doc.text(doc.splitTextToSize(TEXTO_OBSERVACAO, largura), margem, y);
+  }
+  
+  /**
+   * Faixa de título de seção
+   */
+  static desenharTitulo(doc, x, y, largura, titulo) {
+    doc.setFillColor('#d9d9d9');
+    doc.rect(x, y, largura, 6, 'FD');
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(9);
+    doc.text(titulo, x + largura / 2, y + 4.2, { align: 'center' });
+  }
+  
+  /**
+   * Quadro de remetente ou destinatário; retorna a altura usada
+   */
+  static desenharParte(doc, x, y, largura, titulo, dados) {
+    const alturaLinha = 7;
+    DeclaracaoConteudo.desenharTitulo(doc, x, y, largura, titulo);
+    
+    const endereco = [
+      [dados.endereco, dados.numero].filter(Boolean).join(', '),
+      dados.complemento,
+      dados.bairro
+    ].filter(Boolean).join(' - ');
+    
+    const linhas = [
+      [['NOME', dados.nome, 1]],
+      [['ENDEREÇO', endereco, 1]],
+      [['CIDADE', dados.cidade, 0.75], ['UF', dados.uf, 0.25]],
+      [['CEP', dados.cep, 0.4], ['CPF/CNPJ', Utils.formatarDocumento(dados.documento), 0.6]]
+    ];
+    
+    let linhaY = y + 6;
+    linhas.forEach(campos => {
+      let campoX = x;
+      campos.forEach(([rotulo, valor, fracao]) => {
+        const larguraCampo = largura * fracao;
+        doc.rect(campoX, linhaY, larguraCampo, alturaLinha);
+        
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(7);
+        doc.text(`${rotulo}:`, campoX + 1.5, linhaY + 4.6);
+        
+        const inicioValor = campoX + 2.5 + doc.getTextWidth(`${rotulo}:`);
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(8.5);
+        const [texto = ''] = doc.splitTextToSize(String(valor ?? ''), campoX + larguraCampo - inicioValor - 1);
+        doc.text(texto, inicioValor, linhaY + 4.6);
+        
+        campoX += larguraCampo;
+      });
+      linhaY += alturaLinha;
+    });
+    
+    return 6 + linhas.length * alturaLinha;
+  }
+  
+  /**
+   * Tabela de identificação dos bens com totais; retorna o y após a tabela
+   */
+  static desenharItens(doc, x, y, largura, itens) {
+    const alturaLinha = 6.5;
+    const limite = 297 - 20;
+    const colunas = [
+      { titulo: 'ITEM', largura: 14, alinhamento: 'center' },
+      { titulo: 'CONTEÚDO', largura: largura - 14 - 22 - 34, alinhamento: 'left' },
+      { titulo: 'QUANT.', largura: 22, alinhamento: 'center' },
+      { titulo: 'VALOR (R$)', largura: 34, alinhamento: 'right' }
+    ];
+    
+    const cabecalho = (inicioY) => {
+      DeclaracaoConteudo.desenharTitulo(doc, x, inicioY, largura, 'IDENTIFICAÇÃO DOS BENS');
+      DeclaracaoConteudo.desenharLinhaTabela(doc, x, inicioY + 6, alturaLinha, colunas, colunas.map(c => c.titulo), true);
+      return inicioY + 6 + alturaLinha;
+    };
+    
+    y = cabecalho(y);
+    
+    // Linhas em branco completam o quadro, como no formulário impresso
+    const linhas = Math.max(itens.length, 10);
+    for (let i = 0; i < linhas; i++) {
+      if (y + alturaLinha > limite) {
+        doc.addPage('a4', 'portrait');
+        y = cabecalho(18);
+      }
+      
+      const item = itens[i];
+      const valores = item
+        ? [String(i + 1), item.descricao, String(item.quantidade), DeclaracaoConteudo.formatarValor(item.quantidade * item.valorUnitario)]
+        : ['', '', '', ''];
+      DeclaracaoConteudo.desenharLinhaTabela(doc, x, y, alturaLinha, colunas, valores);
+      y += alturaLinha;
+    }
+    
+    if (y + alturaLinha * 2 > limite) {
+      doc.addPage('a4', 'portrait');
+      y = 18;
+    }
+    
+    const totais = DeclaracaoConteudo.totais(itens);
+    const larguraRotulo = colunas[0].largura + colunas[1].largura;
+    DeclaracaoConteudo.desenharLinhaTabela(doc, x, y, alturaLinha, [
+      { largura: larguraRotulo, alinhamento: 'right' },
+      colunas[2],
+      colunas[3]
+    ], ['TOTAIS', String(totais.quantidade), DeclaracaoConteudo.formatarValor(totais.valor)], true);
+    y += alturaLinha;
+    
+    DeclaracaoConteudo.desenharLinhaTabela(doc, x, y, alturaLinha, [
+      { largura: larguraRotulo, alinhamento: 'right' },
+      { largura: colunas[2].largura + colunas[3].largura, alinhamento: 'right' }
+    ], ['PESO TOTAL (kg)', totais.peso ? DeclaracaoConteudo.formatarPeso(totais.peso) : ''], true);
+    
+    return y + alturaLinha + 6;
+  }
+  
+  static desenharLinhaTabela(doc, x, y, altura, colunas, valores, negrito = false) {
+    doc.setFont('helvetica', negrito ? 'bold' : 'normal');
+    doc.setFontSize(8.5);
+    
+    let colunaX = x;
+    colunas.forEach((coluna, i) => {
+      doc.rect(colunaX, y, coluna.largura, altura);
+      
+      const [texto = ''] = doc.splitTextToSize(valores[i] ?? '', coluna.largura - 3);
+      const textoX = coluna.alinhamento === 'center'
+        ? colunaX + coluna.largura / 2
+        : coluna.alinhamento === 'right' ? colunaX + coluna.largura - 1.5 : colunaX + 1.5;
+      doc.text(texto, textoX, y + altura - 2, { align: coluna.alinhamento });
+      
+      colunaX += coluna.largura;
+    });
+  }
+}
@@ -0,0 +1,266 @@
+import { CONFIG } from './config.js';
+import { Utils } from './utils.js';
+
+// ==========================================
+// ABREVIAÇÕES POSTAIS
+// ==========================================
+
+/**
+ * Abreviações usadas no endereçamento. Cada palavra tem a forma abreviada
+ * padrão e as variantes que costumam ser digitadas (comparadas sem acentos,
+ * pontos ou maiúsculas), que são sempre trocadas pela forma padrão.
+ * A palavra por extenso só é abreviada quando a linha não cabe.
+ */
+export const ABREVIACOES = {
+  // Tipo de logradouro (primeira palavra do endereço)
+  tipos: {
+    Avenida: { abreviacao: 'Av.', variantes: ['av', 'ave', 'avda'] },
+    Rua: { abreviacao: 'R.', variantes: ['r'] },
+    Travessa: { abreviacao: 'Tv.', variantes: ['tv', 'trav'] },
+    Alameda: { abreviacao: 'Al.', variantes: ['al'] },
+    Praça: { abreviacao: 'Pç.', variantes: ['pc', 'pca'] },
+    Rodovia: { abreviacao: 'Rod.', variantes: ['rod'] },
+    Estrada: { abreviacao: 'Estr.', variantes: ['estr', 'est'] },
+    Largo: { abreviacao: 'Lg.', variantes: ['lg', 'lgo'] },
+    Ladeira: { abreviacao: 'Ld.', variantes: ['ld', 'lad'] },
+    Quadra: { abreviacao: 'Qd.', variantes: ['qd', 'qda'] }
+  },
+  
+  // Títulos e patentes em nomes de logradouros
+  titulos: {
+    Doutor: { abreviacao: 'Dr.', variantes: ['dr'] },
+    Doutora: { abreviacao: 'Dra.', variantes: ['dra'] },
+    Professor: { abreviacao: 'Prof.', variantes: ['prof'] },
+    Professora: { abreviacao: 'Profa.', variantes: ['profa'] },
+    Presidente: { abreviacao: 'Pres.', variantes: ['pres'] },
+    Governador: { abreviacao: 'Gov.', variantes: ['gov'] },
+    Senador: { abreviacao: 'Sen.', variantes: ['sen'] },
+    Deputado: { abreviacao: 'Dep.', variantes: ['dep'] },
+    Engenheiro: { abreviacao: 'Eng.', variantes: ['eng'] },
+    General: { abreviacao: 'Gen.', variantes: ['gen'] },
+    Marechal: { abreviacao: 'Mal.', variantes: [] },
+    Coronel: { abreviacao: 'Cel.', variantes: ['cel'] },
+    Capitão: { abreviacao: 'Cap.', variantes: ['cap'] },
+    Tenente: { abreviacao: 'Ten.', variantes: ['ten'] },
+    Almirante: { abreviacao: 'Alm.', variantes: ['alm'] },
+    Padre: { abreviacao: 'Pe.', variantes: [] },
+    Santa: { abreviacao: 'Sta.', variantes: ['sta'] },
+    Santo: { abreviacao: 'Sto.', variantes: ['sto'] }
+  },
+  
+  // Palavras do complemento
+  complementos: {
+    Apartamento: { abreviacao: 'Ap.', variantes: ['ap', 'apt', 'apto'] },
+    Bloco: { abreviacao: 'Bl.', variantes: ['bl', 'blc'] },
+    Conjunto: { abreviacao: 'Cj.', variantes: ['cj', 'conj'] },
+    Sala: { abreviacao: 'Sl.', variantes: ['sl'] },
+    Andar: { abreviacao: 'And.', variantes: ['and'] },
+    Lote: { abreviacao: 'Lt.', variantes: ['lt'] },
+    Quadra: { abreviacao: 'Qd.', variantes: ['qd', 'qda'] },
+    Loja: { abreviacao: 'Lj.', variantes: ['lj'] },
+    Edifício: { abreviacao: 'Ed.', variantes: ['ed', 'edf', 'edif'] },
+    Fundos: { abreviacao: 'Fds.', variantes: ['fds'] }
+  },
+  
+  // Primeira palavra do bairro
+  bairros: {
+    Jardim: { abreviacao: 'Jd.', variantes: ['jd', 'jdm'] },
+    Vila: { abreviacao: 'Vl.', variantes: ['vl'] },
+    Parque: { abreviacao: 'Pq.', variantes: ['pq', 'pque'] },
+    Conjunto: { abreviacao: 'Cj.', variantes: ['cj', 'conj'] },
+    Residencial: { abreviacao: 'Res.', variantes: ['res', 'resid'] }
+  }
+};
+
+// Palavras que ficam em minúsculas ao corrigir textos digitados todo em minúsculas
+const PREPOSICOES = ['a', 'e', 'o', 'da', 'das', 'de', 'do', 'dos', 'em', 'na', 'nas', 'no', 'nos'];
+
+// Formas de "sem número"
+const SEM_NUMERO = ['sn', 'semnumero', 'semn'];
+
+const chave = (palavra) => Utils.normalizarTexto(palavra).toLowerCase();
+
+// ==========================================
+// FORMATAÇÃO DE ENDEREÇOS
+// ==========================================
+
+/**
+ * Endereços no formato do Endereçador: { nome, endereco, numero, complemento,
+ * bairro, cidade, uf, cep }
+ */
+export class Endereco {
+  /**
+   * Limpa o que foi digitado: espaços, textos todo em minúsculas, abreviações
+   * fora do padrão, número vazio ("S/N"), CEP e UF
+   */
+  static normalizar(dados) {
+    const limpar = (valor) => String(valor ?? '').replace(/\s+/g, ' ').trim();
+    const texto = (valor) => {
+      const limpo = limpar(valor);
+      return limpo && limpo === limpo.toLowerCase() ? Endereco.capitalizar(limpo) : limpo;
+    };
+    
+    const endereco = Endereco.padronizar(texto(dados.endereco), ABREVIACOES.tipos, { primeira: true });
+    const numero = limpar(dados.numero);
+    
+    return {
+      ...dados,
+      nome: texto(dados.nome),
+      endereco: Endereco.padronizar(endereco, ABREVIACOES.titulos),
+      numero: SEM_NUMERO.includes(chave(numero).replace(/\s/g, '')) || (!numero && endereco) ? 'S/N' : numero,
+      complemento: Endereco.padronizar(texto(dados.complemento), ABREVIACOES.complementos),
+      bairro: Endereco.padronizar(texto(dados.bairro), ABREVIACOES.bairros, { primeira: true }),
+      cidade: texto(dados.cidade),
+      uf: limpar(dados.uf).toUpperCase(),
+      cep: Utils.formatarCEP(limpar(dados.cep))
+    };
+  }
+  
+  /**
+   * Linhas de texto de um endereço, na ordem dos Correios:
+   * nome; logradouro, número - complemento; bairro; CEP cidade - UF.
+   * Linhas longas são abreviadas aos poucos e, se ainda não couberem, quebradas;
+   * a linha do CEP nunca é quebrada (quem desenha reduz a fonte).
+   * @param {Object} dados
+   * @param {Object} [options]
+   * @param {number} [options.maxCaracteres] - Limite por linha (Infinity para não limitar)
+   * @param {boolean} [options.maiusculas] - Modo postal, tudo em maiúsculas
+   */
+  static linhas(dados, {
+    maxCaracteres = CONFIG.ENDERECO.MAX_CARACTERES,
+    maiusculas = CONFIG.ENDERECO.MAIUSCULAS
+  } = {}) {
+    const d = Endereco.normalizar(dados);
+    const cabe = (linha) => linha.length <= maxCaracteres;
+    const quebrar = (linha) => Endereco.quebrar(linha, maxCaracteres);
+    const linhas = [];
+    
+    if (d.nome) linhas.push(...quebrar(d.nome));
+    
+    if (d.endereco) {
+      let { endereco, complemento } = d;
+      const montar = () => [`${endereco}, ${d.numero}`, complemento].filter(Boolean).join(' - ');
+      
+      // Abrevia do menos para o mais intrusivo, só até caber
+      const etapas = [
+        () => { endereco = Endereco.abreviar(endereco, ABREVIACOES.tipos, { primeira: true }); },
+        () => { complemento = Endereco.abreviar(complemento, ABREVIACOES.complementos); },
+        () => { endereco = Endereco.abreviar(endereco, ABREVIACOES.titulos); }
+      ];
+      for (const etapa of etapas) {
+        if (cabe(montar())) break;
+        etapa();
+      }
+      
+      if (cabe(montar())) {
+        linhas.push(montar());
+      } else {
+        // Complemento na linha seguinte antes de quebrar o logradouro
+        linhas.push(...quebrar(`${endereco}, ${d.numero}`));
+        if (complemento) linhas.push(...quebrar(complemento));
+      }
+    } else if (d.complemento) {
+      linhas.push(...quebrar(d.complemento));
+    }
+    
+    if (d.bairro) {
+      const bairro = cabe(d.bairro) ? d.bairro : Endereco.abreviar(d.bairro, ABREVIACOES.bairros, { primeira: true });
+      linhas.push(...quebrar(bairro));
+    }
+    
+    const cidadeUF = [d.cidade, d.uf].filter(Boolean).join(' - ');
+    const ultima = [d.cep, cidadeUF].filter(Boolean).join(' ');
+    if (ultima) linhas.push(ultima);
+    
+    return maiusculas ? linhas.map(linha => linha.toLocaleUpperCase('pt-BR')) : linhas;
+  }
+  
+  /**
+   * Endereço em texto, uma linha por parte
+   */
+  static formatar(dados, opcoes) {
+    return Endereco.linhas(dados, opcoes).join('\n');
+  }
+  
+  /**
+   * Quebra o texto entre palavras; palavras maiores que o limite ficam inteiras
+   */
+  static quebrar(texto, maxCaracteres) {
+    const linhas = [];
+    let atual = '';
+    
+    texto.split(' ').forEach(palavra => {
+      if (atual && (atual.length + 1 + palavra.length) > maxCaracteres) {
+        linhas.push(atual);
+        atual = palavra;
+      } else {
+        atual = atual ? `${atual} ${palavra}` : palavra;
+      }
+    });
+    if (atual) linhas.push(atual);
+    
+    return linhas;
+  }
+  
+  /**
+   * Troca as variantes digitadas pela abreviação padrão
+   */
+  static padronizar(texto, tabela, { primeira = false } = {}) {
+    return Endereco.substituir(texto, tabela, primeira, ({ abreviacao, variantes }, palavra) =>
+      variantes.includes(chave(palavra)) ? abreviacao : palavra
+    );
+  }
+  
+  /**
+   * Abrevia as palavras por extenso que estiverem na tabela
+   */
+  static abreviar(texto, tabela, { primeira = false } = {}) {
+    return Endereco.substituir(texto, tabela, primeira, ({ abreviacao }, palavra, extenso) =>
+      chave(palavra) === chave(extenso) ? abreviacao : palavra
+    );
+  }
+  
+  static substituir(texto, tabela, primeira, trocar) {
+    if (!texto) return texto;
+    
+    return texto.split(' ').map((palavra, indice) => {
+      if (primeira && indice > 0) return palavra;
+      
+      for (const [extenso, regra] of Object.entries(tabela)) {
+        const resultado = trocar(regra, palavra, extenso);
+        if (resultado !== palavra) return resultado;
+      }
+      return palavra;
+    }).join(' ');
+  }
+  
+  /**
+   * Primeira letra de cada palavra em maiúscula, exceto preposições no meio do texto
+   */
+  static capitalizar(texto) {
+    return texto.toLowerCase().split(' ').map((palavra, indice) =>
+      indice > 0 && PREPOSICOES.includes(palavra)
+        ? palavra
+        : palavra.charAt(0).toUpperCase() + palavra.slice(1)
+    ).join(' ');
+  }
+  
+  /**
+   * Converte um resultado de busca de CEP para o formato de endereço
+   * @param {Object} resultado - Retorno de CEPAPI.buscarCEP
+   * @param {Object} [extras] - Campos que a busca não informa (nome, número, complemento)
+   */
+  static doResultado(resultado, extras = {}) {
+    return {
+      nome: '',
+      endereco: resultado.logradouro || '',
+      numero: '',
+      complemento: resultado.complemento || '',
+      bairro: resultado.bairro || '',
+      cidade: resultado.localidade || '',
+      uf: resultado.uf || '',
+      cep: resultado.cep || '',
+      ...extras
+    };
+  }
+}
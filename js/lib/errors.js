@@ -0,0 +1,53 @@
+import { I18n } from './i18n.js';
+
+// ==========================================
+// CLASSES DE ERRO
+// ==========================================
+
+/**
+ * Erro base das consultas de CEP
+ */
+export class CEPError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * CEP ou parâmetros de busca em formato inválido
+ */
+export class CEPInvalidError extends CEPError {
+  constructor(message = I18n.t('erros.cepInvalido')) {
+    super(message);
+  }
+}
+
+/**
+ * CEP inexistente segundo o provedor consultado
+ */
+export class CEPNotFoundError extends CEPError {
+  constructor(message = I18n.t('erros.cepNaoEncontrado')) {
+    super(message);
+  }
+}
+
+/**
+ * Servidor não respondeu dentro de CONFIG.TIMEOUT
+ */
+export class CEPTimeoutError extends CEPError {
+  constructor(message = I18n.t('erros.tempoEsgotado')) {
+    super(message);
+  }
+}
+
+/**
+ * Falha de rede ou resposta HTTP inesperada
+ */
+export class CEPNetworkError extends CEPError {
+  constructor(message = I18n.t('erros.conexao'), { status = null, transitorio = true } = {}) {
+    super(message);
+    this.status = status;
+    this.transitorio = transitorio;
+  }
+}
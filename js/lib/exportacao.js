@@ -0,0 +1,88 @@
+import { PlanilhaParser } from './planilha.js';
+
+// ==========================================
+// EXPORTAÇÃO DE RESULTADOS
+// ==========================================
+
+/**
+ * Campos de um resultado de busca, na ordem das colunas exportadas
+ */
+export const CAMPOS_RESULTADO = {
+  cep: 'CEP',
+  logradouro: 'Logradouro',
+  complemento: 'Complemento',
+  bairro: 'Bairro',
+  localidade: 'Cidade',
+  uf: 'UF',
+  ibge: 'IBGE',
+  gia: 'GIA',
+  ddd: 'DDD',
+  siafi: 'SIAFI',
+  provedor: 'Provedor'
+};
+
+/**
+ * Conversão dos resultados de busca para CSV, JSON, XLSX e texto
+ */
+export class ExportadorResultados {
+  /**
+   * Matriz com cabeçalho e uma linha por resultado, só com os campos escolhidos
+   */
+  static tabela(resultados, campos) {
+    return [
+      campos.map(campo => CAMPOS_RESULTADO[campo]),
+      ...resultados.map(item => campos.map(campo => item[campo] ?? ''))
+    ];
+  }
+  
+  /**
+   * CSV para o Excel em português: separador ";" e BOM UTF-8
+   */
+  static paraCSV(resultados, campos) {
+    return PlanilhaParser.paraCSV(ExportadorResultados.tabela(resultados, campos), ';');
+  }
+  
+  static paraJSON(resultados, campos) {
+    const registros = resultados.map(item => Object.fromEntries(campos.map(campo => [campo, item[campo] ?? ''])));
+    return JSON.stringify(registros, null, 2);
+  }
+  
+  /**
+   * Planilha XLSX em bytes; os valores seguem como texto, preservando
+   * zeros à esquerda de CEPs e códigos
+   * @param {Object} [XLSX] - SheetJS (padrão: global)
+   * @returns {Uint8Array}
+   */
+  static paraXLSX(resultados, campos, XLSX = globalThis.XLSX) {
+    if (!XLSX) {
+      throw new Error('Geração de XLSX requer o SheetJS');
+    }
+    
+    const planilha = XLSX.utils.aoa_to_sheet(ExportadorResultados.tabela(resultados, campos));
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, planilha, 'Resultados');
+    
+    return new Uint8Array(XLSX.write(workbook, { bookType: 'xlsx', type: 'array' }));
+  }
+  
+  /**
+   * Linhas separadas por tabulação, para colar em planilhas
+   */
+  static paraTSV(resultados, campos) {
+    return ExportadorResultados.tabela(resultados, campos)
+      .map(linha => linha.map(valor => String(valor).replace(/[\t\r\n]+/g, ' ')).join('\t'))
+      .join('\n');
+  }
+  
+  /**
+   * Endereço em linhas, como escrito num envelope
+   */
+  static enderecoFormatado(item) {
+    return [
+      [item.logradouro, item.complemento].filter(Boolean).join(', '),
+      item.bairro,
+      [item.localidade, item.uf].filter(Boolean).join(' - '),
+      item.cep ? `CEP ${item.cep}` : ''
+    ].filter(Boolean).join('\n');
+  }
+}
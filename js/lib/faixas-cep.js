@@ -0,0 +1,123 @@
+import { I18n } from './i18n.js';
+
+// ==========================================
+// FAIXAS DE CEP POR UF
+// ==========================================
+
+/**
+ * Faixas de CEP dos Correios por UF, com as faixas da capital.
+ * Prefixos de 5 dígitos, inclusivos: ['01000', '05999'] vai de 01000-000 a 05999-999.
+ */
+export const FAIXAS_CEP_UF = {
+  SP: { capital: 'São Paulo', faixas: [['01000', '19999']], faixasCapital: [['01000', '05999'], ['08000', '08499']] },
+  RJ: { capital: 'Rio de Janeiro', faixas: [['20000', '28999']], faixasCapital: [['20000', '23799']] },
+  ES: { capital: 'Vitória', faixas: [['29000', '29999']], faixasCapital: [['29000', '29099']] },
+  MG: { capital: 'Belo Horizonte', faixas: [['30000', '39999']], faixasCapital: [['30000', '31999']] },
+  BA: { capital: 'Salvador', faixas: [['40000', '48999']], faixasCapital: [['40000', '42599']] },
+  SE: { capital: 'Aracaju', faixas: [['49000', '49999']], faixasCapital: [['49000', '49099']] },
+  PE: { capital: 'Recife', faixas: [['50000', '56999']], faixasCapital: [['50000', '52999']] },
+  AL: { capital: 'Maceió', faixas: [['57000', '57999']], faixasCapital: [['57000', '57099']] },
+  PB: { capital: 'João Pessoa', faixas: [['58000', '58999']], faixasCapital: [['58000', '58099']] },
+  RN: { capital: 'Natal', faixas: [['59000', '59999']], faixasCapital: [['59000', '59139']] },
+  CE: { capital: 'Fortaleza', faixas: [['60000', '63999']], faixasCapital: [['60000', '61599']] },
+  PI: { capital: 'Teresina', faixas: [['64000', '64999']], faixasCapital: [['64000', '64099']] },
+  MA: { capital: 'São Luís', faixas: [['65000', '65999']], faixasCapital: [['65000', '65109']] },
+  PA: { capital: 'Belém', faixas: [['66000', '68899']], faixasCapital: [['66000', '66999']] },
+  AP: { capital: 'Macapá', faixas: [['68900', '68999']], faixasCapital: [['68900', '68914']] },
+  AM: { capital: 'Manaus', faixas: [['69000', '69299'], ['69400', '69899']], faixasCapital: [['69000', '69099']] },
+  RR: { capital: 'Boa Vista', faixas: [['69300', '69399']], faixasCapital: [['69300', '69339']] },
+  AC: { capital: 'Rio Branco', faixas: [['69900', '69999']], faixasCapital: [['69900', '69923']] },
+  DF: { capital: 'Brasília', faixas: [['70000', '72799'], ['73000', '73699']], faixasCapital: [['70000', '70999']] },
+  GO: { capital: 'Goiânia', faixas: [['72800', '72999'], ['73700', '76799']], faixasCapital: [['74000', '74899']] },
+  RO: { capital: 'Porto Velho', faixas: [['76800', '76999']], faixasCapital: [['76800', '76834']] },
+  TO: { capital: 'Palmas', faixas: [['77000', '77999']], faixasCapital: [['77000', '77299']] },
+  MT: { capital: 'Cuiabá', faixas: [['78000', '78899']], faixasCapital: [['78000', '78109']] },
+  MS: { capital: 'Campo Grande', faixas: [['79000', '79999']], faixasCapital: [['79000', '79129']] },
+  PR: { capital: 'Curitiba', faixas: [['80000', '87999']], faixasCapital: [['80000', '82999']] },
+  SC: { capital: 'Florianópolis', faixas: [['88000', '89999']], faixasCapital: [['88000', '88099']] },
+  RS: { capital: 'Porto Alegre', faixas: [['90000', '99999']], faixasCapital: [['90000', '91999']] }
+};
+
+/**
+ * Tipos de CEP pelo sufixo (3 últimos dígitos), conforme a estrutura dos Correios
+ */
+export const TIPOS_CEP = {
+  logradouro: { descricao: 'Logradouro', sufixos: [[0, 899]] },
+  'grande-usuario': { descricao: 'CEP especial de grande usuário', sufixos: [[900, 959]] },
+  promocional: { descricao: 'CEP promocional', sufixos: [[960, 969]] },
+  'unidade-correios': { descricao: 'Unidade dos Correios', sufixos: [[970, 989], [999, 999]] },
+  'caixa-postal-comunitaria': { descricao: 'Caixa Postal Comunitária', sufixos: [[990, 998]] }
+};
+
+const dentro = (prefixo, faixas) => faixas.some(([inicio, fim]) => prefixo >= inicio && prefixo <= fim);
+
+/**
+ * Classificação e conferência de CEPs sem consultar a rede
+ */
+export class FaixasCEP {
+  /**
+   * UF a que pertence o CEP, ou null se não estiver em nenhuma faixa
+   */
+  static uf(cep) {
+    const digitos = String(cep ?? '').replace(/\D/g, '');
+    if (digitos.length !== 8) return null;
+    
+    const prefixo = digitos.slice(0, 5);
+    const encontrada = Object.entries(FAIXAS_CEP_UF).find(([, { faixas }]) => dentro(prefixo, faixas));
+    return encontrada ? encontrada[0] : null;
+  }
+  
+  /**
+   * Tipo do CEP pelo sufixo (chave de TIPOS_CEP)
+   */
+  static tipo(cep) {
+    const sufixo = Number(String(cep ?? '').replace(/\D/g, '').slice(5, 8));
+    const encontrado = Object.entries(TIPOS_CEP)
+      .find(([, { sufixos }]) => sufixos.some(([inicio, fim]) => sufixo >= inicio && sufixo <= fim));
+    return encontrado ? encontrado[0] : 'logradouro';
+  }
+  
+  /**
+   * UF, capital ou interior e tipo do CEP
+   * @returns {{cep: string, uf: string|null, capital: boolean, regiao: string, tipo: string, descricao: string}|null}
+   *   null se o CEP não tiver 8 dígitos
+   */
+  static classificar(cep) {
+    const digitos = String(cep ?? '').replace(/\D/g, '');
+    if (digitos.length !== 8) return null;
+    
+    const uf = FaixasCEP.uf(digitos);
+    const capital = Boolean(uf) && dentro(digitos.slice(0, 5), FAIXAS_CEP_UF[uf].faixasCapital);
+    const tipo = FaixasCEP.tipo(digitos);
+    
+    return {
+      cep: `${digitos.slice(0, 5)}-${digitos.slice(5)}`,
+      uf,
+      capital,
+      regiao: !uf ? '' : capital ? I18n.t('cep.capital', { cidade: FAIXAS_CEP_UF[uf].capital }) : I18n.t('cep.interior'),
+      tipo,
+      descricao: I18n.t(`tiposCEP.${tipo}`, {}, TIPOS_CEP[tipo].descricao)
+    };
+  }
+  
+  /**
+   * Confere o CEP com a UF informada
+   * @returns {string|null} Mensagem do problema, ou null se estiver coerente
+   *   (ou se faltar um dos dois para comparar)
+   */
+  static conferir(cep, uf) {
+    const classificacao = FaixasCEP.classificar(cep);
+    if (!classificacao) return null;
+    
+    if (!classificacao.uf) {
+      return I18n.t('cep.semUF', { cep: classificacao.cep });
+    }
+    
+    const informada = String(uf ?? '').trim().toUpperCase();
+    if (informada && informada !== classificacao.uf) {
+      return I18n.t('cep.outraUF', { cep: classificacao.cep, uf: classificacao.uf, informada });
+    }
+    
+    return null;
+  }
+}
@@ -0,0 +1,159 @@
+import { CAMPOS_ENDERECO } from './lote.js';
+import { Municipios } from './municipios.js';
+import { Utils } from './utils.js';
+
+// ==========================================
+// FILA DE ENVIOS
+// ==========================================
+
+/**
+ * Rótulos montados um a um no Endereçador e impressos juntos no fim.
+ * Cada item guarda uma cópia do destinatário e, se pedido, do remetente
+ * (sem remetente, vale o do formulário na hora de imprimir).
+ * A fila não persiste sozinha: `itens` é serializável em JSON e volta pelo construtor.
+ */
+export class FilaEnvios {
+  /**
+   * @param {Object[]} [itens] - Itens salvos antes (ex.: JSON.parse do armazenamento)
+   */
+  constructor(itens = []) {
+    this.itens = (Array.isArray(itens) ? itens : [])
+      .filter(item => item?.destinatario)
+      .map(item => FilaEnvios.criarItem(item.destinatario, item));
+  }
+  
+  /**
+   * Só os campos de endereço, sem espaços nas pontas e com CEP formatado
+   */
+  static endereco(dados) {
+    const endereco = {};
+    
+    Object.keys(CAMPOS_ENDERECO).forEach(campo => {
+      endereco[campo] = String(dados?.[campo] ?? '').trim();
+    });
+    endereco.cep = Utils.formatarCEP(endereco.cep);
+    endereco.uf = endereco.uf.toUpperCase();
+    
+    return endereco;
+  }
+  
+  static criarItem(destinatario, { id, remetente = null, frete = null, rastreio = null, adicionadoEm } = {}) {
+    return {
+      id: id || Utils.gerarId(),
+      destinatario: FilaEnvios.endereco(destinatario),
+      remetente: remetente ? FilaEnvios.endereco(remetente) : null,
+      frete: frete || null,
+      rastreio: rastreio || null,
+      adicionadoEm: adicionadoEm || Date.now()
+    };
+  }
+  
+  /**
+   * Mesmo envio: mesmo CEP, mesmo número e mesmo nome (sem acentos e espaços)
+   */
+  static chave(destinatario) {
+    return [
+      String(destinatario?.cep ?? '').replace(/\D/g, ''),
+      Municipios.chave(String(destinatario?.numero ?? '')),
+      Municipios.chave(String(destinatario?.nome ?? ''))
+    ].join('|');
+  }
+  
+  get tamanho() {
+    return this.itens.length;
+  }
+  
+  buscar(id) {
+    return this.itens.find(item => item.id === id) || null;
+  }
+  
+  /**
+   * Item já na fila para o mesmo destinatário
+   * @param {Object} destinatario
+   * @param {string} [ignorarId] - Item em edição, que não conta como repetido
+   */
+  duplicado(destinatario, ignorarId = null) {
+    const chave = FilaEnvios.chave(destinatario);
+    return this.itens.find(item => item.id !== ignorarId && FilaEnvios.chave(item.destinatario) === chave) || null;
+  }
+  
+  /**
+   * Ids dos itens que repetem um envio anterior da fila
+   * @returns {Set<string>}
+   */
+  duplicados() {
+    const vistas = new Set();
+    const repetidos = new Set();
+    
+    this.itens.forEach(item => {
+      const chave = FilaEnvios.chave(item.destinatario);
+      if (vistas.has(chave)) repetidos.add(item.id);
+      vistas.add(chave);
+    });
+    
+    return repetidos;
+  }
+  
+  /**
+   * Coloca um envio no fim da fila
+   * @param {Object} destinatario
+   * @param {Object} [opcoes]
+   * @param {Object} [opcoes.remetente] - Remetente próprio do envio
+   * @param {string} [opcoes.frete] - Linha do frete para o rótulo (Frete.resumo)
+   * @param {string} [opcoes.rastreio] - Código do objeto (CodigoRastreio)
+   * @returns {Object} Item criado
+   */
+  adicionar(destinatario, { remetente = null, frete = null, rastreio = null } = {}) {
+    const item = FilaEnvios.criarItem(destinatario, { remetente, frete, rastreio });
+    this.itens.push(item);
+    return item;
+  }
+  
+  /**
+   * Troca os dados de um item, mantendo a posição e a data em que entrou
+   * @returns {Object|null} Item atualizado, ou null se não estiver na fila
+   */
+  atualizar(id, destinatario, { remetente = null, frete = null, rastreio = null } = {}) {
+    const indice = this.itens.findIndex(item => item.id === id);
+    if (indice < 0) return null;
+    
+    const { adicionadoEm } = this.itens[indice];
+    this.itens[indice] = FilaEnvios.criarItem(destinatario, { id, remetente, frete, rastreio, adicionadoEm });
+    return this.itens[indice];
+  }
+  
+  remover(id) {
+    this.itens = this.itens.filter(item => item.id !== id);
+  }
+  
+  /**
+   * Move o item na fila (-1 sobe uma posição, 1 desce uma)
+   * @returns {boolean} Se a posição mudou
+   */
+  mover(id, deslocamento) {
+    const de = this.itens.findIndex(item => item.id === id);
+    const para = Math.min(Math.max(de + deslocamento, 0), this.itens.length - 1);
+    if (de < 0 || para === de) return false;
+    
+    const [item] = this.itens.splice(de, 1);
+    this.itens.splice(para, 0, item);
+    return true;
+  }
+  
+  limpar() {
+    this.itens = [];
+  }
+  
+  /**
+   * Pares remetente/destinatário na ordem da fila, prontos para RotuloPDF.adicionarRotulo
+   * @param {Object} [remetentePadrao] - Remetente dos itens salvos sem remetente
+   */
+  envios(remetentePadrao = {}) {
+    return this.itens.map(item => ({
+      remetente: item.remetente || remetentePadrao,
+      destinatario: item.destinatario,
+      frete: item.frete,
+      rastreio: item.rastreio
+    }));
+  }
+}
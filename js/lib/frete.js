@@ -0,0 +1,278 @@
+import { DeclaracaoConteudo } from './declaracao.js';
+import { FaixasCEP } from './faixas-cep.js';
+import { I18n } from './i18n.js';
+import { Utils } from './utils.js';
+
+// ==========================================
+// ESTIMATIVA DE FRETE E PRAZO
+// ==========================================
+
+/**
+ * Tipos de rota entre remetente e destinatário
+ */
+export const ROTAS_FRETE = {
+  local: 'Local (mesma cidade)',
+  estadual: 'Estadual (mesma UF)',
+  capitais: 'Entre capitais',
+  interior: 'Interestadual entre capital e interior',
+  interiores: 'Interestadual entre cidades do interior'
+};
+
+/**
+ * Tabelas de preço e prazo por serviço (valores de referência, não são preços oficiais).
+ * Podem ser trocadas por JSON próprio com a mesma estrutura:
+ * - nome: nome exibido
+ * - pesos: limites (kg) das faixas de peso, em ordem crescente
+ * - precos: por rota, o preço (R$) de cada faixa de `pesos`
+ * - kgAdicional: por rota, valor (R$) de cada kg (ou fração) acima da última faixa
+ * - prazos: por rota, prazo em dias úteis
+ *   (tabelas sem a rota `interiores` usam os valores de `interior`)
+ * - pesoMaximo: peso taxado máximo aceito (kg)
+ * - divisorCubico: divisor do peso cúbico (cm³ / divisor = kg)
+ * - cubicoAcimaDe: o peso cúbico só vale acima deste peso (kg)
+ * - dimensoes: limites em cm { maximoLado, maximoSoma } (opcional)
+ */
+export const TABELAS_FRETE = {
+  pac: {
+    nome: 'PAC',
+    pesos: [0.3, 1, 2, 5, 10],
+    precos: {
+      local: [19.9, 21.5, 24.9, 32.4, 46.8],
+      estadual: [22.5, 25.9, 30.4, 41.2, 61.5],
+      capitais: [26.9, 32.8, 39.9, 58.3, 89.6],
+      interior: [31.4, 38.7, 47.2, 69.9, 108.4],
+      interiores: [33.9, 41.8, 51.0, 75.5, 117.1]
+    },
+    kgAdicional: { local: 2.9, estadual: 4.1, capitais: 6.3, interior: 7.8, interiores: 8.4 },
+    prazos: { local: 3, estadual: 5, capitais: 7, interior: 10, interiores: 12 },
+    pesoMaximo: 30,
+    divisorCubico: 6000,
+    cubicoAcimaDe: 5,
+    dimensoes: { maximoLado: 100, maximoSoma: 200 }
+  },
+  sedex: {
+    nome: 'SEDEX',
+    pesos: [0.3, 1, 2, 5, 10],
+    precos: {
+      local: [24.9, 27.4, 31.8, 42.6, 62.9],
+      estadual: [31.2, 36.5, 44.1, 62.8, 95.7],
+      capitais: [42.8, 54.3, 69.5, 108.2, 171.4],
+      interior: [51.6, 66.9, 86.3, 134.7, 214.9],
+      interiores: [55.7, 72.3, 93.2, 145.5, 232.1]
+    },
+    kgAdicional: { local: 4.2, estadual: 6.8, capitais: 12.5, interior: 15.9, interiores: 17.2 },
+    prazos: { local: 1, estadual: 2, capitais: 2, interior: 4, interiores: 5 },
+    pesoMaximo: 30,
+    divisorCubico: 6000,
+    cubicoAcimaDe: 5,
+    dimensoes: { maximoLado: 100, maximoSoma: 200 }
+  },
+  propria: {
+    nome: 'Entrega própria',
+    pesos: [5, 20],
+    precos: {
+      local: [15, 25],
+      estadual: [35, 55],
+      capitais: [0, 0],
+      interior: [0, 0],
+      interiores: [0, 0]
+    },
+    kgAdicional: { local: 1.5, estadual: 2.5, capitais: 0, interior: 0, interiores: 0 },
+    prazos: { local: 1, estadual: 3, capitais: 0, interior: 0, interiores: 0 },
+    pesoMaximo: 50,
+    divisorCubico: 5000,
+    cubicoAcimaDe: 0
+  }
+};
+
+const numero = (valor) => DeclaracaoConteudo.numero(valor);
+
+/**
+ * Valor da rota num campo da tabela (precos, kgAdicional, prazos); tabelas
+ * salvas antes da rota `interiores` continuam cotando pelo `interior`
+ */
+const daRota = (campo, tipoRota) => campo?.[tipoRota] ?? (tipoRota === 'interiores' ? campo?.interior : undefined);
+
+/**
+ * Rota, pesos e preço/prazo de cada serviço a partir dos CEPs do Endereçador.
+ * Pacote: { peso (kg), altura, largura, comprimento (cm) }
+ */
+export class Frete {
+  /**
+   * Classifica a rota. Sem as cidades, dois CEPs da mesma capital contam como locais.
+   * @param {{cep: string, uf?: string, cidade?: string}} origem
+   * @param {{cep: string, uf?: string, cidade?: string}} destino
+   * @returns {{tipo: string, descricao: string, origem: Object, destino: Object}|null}
+   *   null se algum CEP for inválido ou não pertencer a uma UF
+   */
+  static rota(origem, destino) {
+    const deOrigem = FaixasCEP.classificar(origem?.cep);
+    const deDestino = FaixasCEP.classificar(destino?.cep);
+    if (!deOrigem?.uf || !deDestino?.uf) return null;
+    
+    const cidade = (dados) => Utils.normalizarTexto(String(dados?.cidade ?? '')).toLowerCase().trim();
+    let tipo;
+    
+    if (deOrigem.uf === deDestino.uf) {
+      const mesmaCidade = cidade(origem) && cidade(destino)
+        ? cidade(origem) === cidade(destino)
+        : deOrigem.capital && deDestino.capital;
+      tipo = mesmaCidade ? 'local' : 'estadual';
+    } else if (deOrigem.capital && deDestino.capital) {
+      tipo = 'capitais';
+    } else {
+      tipo = deOrigem.capital || deDestino.capital ? 'interior' : 'interiores';
+    }
+    
+    return { tipo, descricao: I18n.t(`frete.rota.${tipo}`, {}, ROTAS_FRETE[tipo]), origem: deOrigem, destino: deDestino };
+  }
+  
+  /**
+   * Peso cúbico em kg (altura × largura × comprimento em cm, dividido pelo divisor)
+   */
+  static pesoCubico({ altura, largura, comprimento } = {}, divisor = 6000) {
+    return (numero(altura) * numero(largura) * numero(comprimento)) / divisor;
+  }
+  
+  /**
+   * Peso real, cúbico e o que vale para o preço do serviço (o maior dos dois)
+   */
+  static pesoTaxado(pacote, servico) {
+    const real = numero(pacote.peso);
+    const cubico = Frete.pesoCubico(pacote, servico.divisorCubico || 6000);
+    const taxado = cubico > (servico.cubicoAcimaDe || 0) ? Math.max(real, cubico) : real;
+    return { real, cubico, taxado };
+  }
+  
+  /**
+   * Preço pela tabela do serviço; acima da última faixa, soma o kg adicional por kg ou fração
+   * @returns {number|null} null se o serviço não atender a rota (preço zero ou ausente)
+   */
+  static preco(servico, tipoRota, peso) {
+    const precos = daRota(servico.precos, tipoRota);
+    if (!precos?.length || !precos.some(valor => valor > 0)) return null;
+    
+    const faixa = servico.pesos.findIndex(limite => peso <= limite);
+    if (faixa >= 0) return precos[faixa];
+    
+    const ultima = servico.pesos.length - 1;
+    const excedente = Math.ceil(peso - servico.pesos[ultima]);
+    const total = precos[ultima] + excedente * (daRota(servico.kgAdicional, tipoRota) || 0);
+    return Math.round(total * 100) / 100;
+  }
+  
+  /**
+   * Cota todos os serviços da tabela
+   * @param {Object} origem - Remetente ({ cep, uf, cidade })
+   * @param {Object} destino - Destinatário ({ cep, uf, cidade })
+   * @param {Object} pacote - { peso, altura, largura, comprimento }
+   * @param {Object} [options]
+   * @param {Object} [options.tabelas] - Tabelas no formato de TABELAS_FRETE
+   * @returns {{rota: Object, cotacoes: Object[]}} Cada cotação: { servico, nome, preco, prazo,
+   *   peso: { real, cubico, taxado }, erro } (com `erro`, o serviço não atende o pacote ou a rota)
+   */
+  static cotar(origem, destino, pacote, { tabelas = TABELAS_FRETE } = {}) {
+    const rota = Frete.rota(origem, destino);
+    if (!rota) {
+      throw new Error(I18n.t('frete.erroCEPs'));
+    }
+    if (!(numero(pacote.peso) > 0)) {
+      throw new Error(I18n.t('frete.erroPeso'));
+    }
+    
+    const medidas = ['altura', 'largura', 'comprimento'].map(medida => numero(pacote[medida]));
+    
+    const cotacoes = Object.entries(tabelas).map(([chave, servico]) => {
+      const peso = Frete.pesoTaxado(pacote, servico);
+      const base = { servico: chave, nome: servico.nome || chave, peso, preco: null, prazo: null, erro: null };
+      const { maximoLado, maximoSoma } = servico.dimensoes || {};
+      
+      if (servico.pesoMaximo && peso.taxado > servico.pesoMaximo) {
+        return { ...base, erro: I18n.t('frete.acimaPeso', { peso: servico.pesoMaximo }) };
+      }
+      if (maximoLado && Math.max(...medidas) > maximoLado) {
+        return { ...base, erro: I18n.t('frete.ladoMaximo', { cm: maximoLado }) };
+      }
+      if (maximoSoma && medidas.reduce((soma, medida) => soma + medida, 0) > maximoSoma) {
+        return { ...base, erro: I18n.t('frete.somaMaxima', { cm: maximoSoma }) };
+      }
+      
+      const preco = Frete.preco(servico, rota.tipo, peso.taxado);
+      if (preco === null) {
+        return { ...base, erro: I18n.t('frete.naoAtende') };
+      }
+      
+      return { ...base, preco, prazo: daRota(servico.prazos, rota.tipo) ?? null };
+    });
+    
+    // Mais baratas primeiro; as indisponíveis por último
+    cotacoes.sort((a, b) => (a.preco ?? Infinity) - (b.preco ?? Infinity));
+    return { rota, cotacoes };
+  }
+  
+  /**
+   * Problemas de estrutura em tabelas editadas à mão
+   * @returns {string[]}
+   */
+  static validarTabelas(tabelas) {
+    if (!tabelas || typeof tabelas !== 'object' || Array.isArray(tabelas)) {
+      return [I18n.t('frete.tabelaObjeto')];
+    }
+    
+    const erros = [];
+    const servicos = Object.entries(tabelas);
+    if (servicos.length === 0) erros.push(I18n.t('frete.tabelaVazia'));
+    
+    servicos.forEach(([chave, servico]) => {
+      const pesos = servico?.pesos;
+      if (!Array.isArray(pesos) || pesos.length === 0 || pesos.some((peso, i) => !(peso > (pesos[i - 1] ?? 0)))) {
+        erros.push(I18n.t('frete.tabelaPesos', { servico: chave }));
+        return;
+      }
+      
+      Object.keys(ROTAS_FRETE).forEach(rota => {
+        const precos = servico.precos?.[rota];
+        if (precos === undefined) return;
+        if (!Array.isArray(precos) || precos.length !== pesos.length || precos.some(preco => typeof preco !== 'number' || preco < 0)) {
+          erros.push(I18n.t('frete.tabelaPrecos', { servico: chave, rota }));
+        }
+      });
+      
+      if (servico.divisorCubico !== undefined && !(servico.divisorCubico > 0)) {
+        erros.push(I18n.t('frete.tabelaDivisor', { servico: chave }));
+      }
+    });
+    
+    return erros;
+  }
+  
+  /**
+   * Os formatadores aceitam um I18n para o idioma (padrão: o da interface)
+   */
+  static formatarPreco(preco, i18n = I18n.atual) {
+    return i18n.moeda(preco);
+  }
+  
+  static formatarPrazo(prazo, i18n = I18n.atual) {
+    if (prazo === null || prazo === undefined) return i18n.t('frete.semPrazo');
+    return i18n.t('frete.prazo', { n: prazo });
+  }
+  
+  static formatarPeso(peso, i18n = I18n.atual) {
+    return `${i18n.numero(peso, { minimumFractionDigits: 3, maximumFractionDigits: 3 })} kg`;
+  }
+  
+  /**
+   * Linha da cotação para o rótulo (ex.: "SEDEX · R$ 31,80 · 2 dias úteis · 1,250 kg")
+   * @param {Object} cotacao - Item de Frete.cotar
+   * @param {I18n} [i18n] - Idioma do rótulo
+   */
+  static resumo(cotacao, i18n = I18n.atual) {
+    return [
+      cotacao.nome,
+      Frete.formatarPreco(cotacao.preco, i18n),
+      Frete.formatarPrazo(cotacao.prazo, i18n),
+      Frete.formatarPeso(cotacao.peso.taxado, i18n)
+    ].join(' · ');
+  }
+}
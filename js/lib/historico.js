@@ -0,0 +1,217 @@
+import { CONFIG } from './config.js';
+import { FaixasCEP } from './faixas-cep.js';
+import { I18n } from './i18n.js';
+import { IDBStore } from './idb-store.js';
+import { LinkCompartilhado } from './links.js';
+import { Utils } from './utils.js';
+
+// ==========================================
+// HISTÓRICO DE BUSCAS E FAVORITOS
+// ==========================================
+
+const DIA = 24 * 60 * 60 * 1000;
+
+const texto = (valor) => Utils.normalizarTexto(String(valor ?? '')).toLowerCase().trim();
+
+/**
+ * Buscas feitas (CEP, logradouro e faixa), com data e quantidade de resultados,
+ * e CEPs marcados como favoritos. Persistidos no IndexedDB.
+ * O histórico respeita a retenção em dias (0 não guarda nada); os favoritos
+ * ficam até serem desmarcados.
+ */
+export class HistoricoBuscas {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.persistente] - Grava histórico e favoritos no IndexedDB
+   * @param {number} [options.retencaoDias]
+   * @param {Function} [options.onAviso] - Recebe (mensagem, erro) quando o armazenamento falha
+   */
+  constructor({
+    persistente = IDBStore.disponivel(),
+    retencaoDias = CONFIG.HISTORICO.RETENCAO_DIAS,
+    onAviso = () => {}
+  } = {}) {
+    this.entradas = new Map();
+    this.onAviso = onAviso;
+    this.favoritos = new Map();
+    this.retencaoDias = retencaoDias;
+    this.store = persistente
+      ? new IDBStore(CONFIG.HISTORICO.DB_NAME, CONFIG.HISTORICO.STORE, { keyPath: 'id' })
+      : null;
+    this.storeFavoritos = persistente
+      ? new IDBStore(CONFIG.HISTORICO.FAVORITOS_DB_NAME, CONFIG.HISTORICO.FAVORITOS_STORE, { keyPath: 'cep' })
+      : null;
+    this.pronto = this.carregar();
+  }
+  
+  /**
+   * Carrega o que estava salvo e já descarta o que passou da retenção
+   */
+  async carregar() {
+    if (!this.store) return;
+    
+    try {
+      const [entradas, favoritos] = await Promise.all([this.store.getAll(), this.storeFavoritos.getAll()]);
+      entradas.forEach(entrada => this.entradas.set(entrada.id, entrada));
+      favoritos.forEach(favorito => this.favoritos.set(favorito.cep, favorito));
+    } catch (error) {
+      this.onAviso('Histórico persistente indisponível, usando apenas memória', error);
+      this.store = null;
+      this.storeFavoritos = null;
+    }
+    
+    await this.descartarExpiradas();
+  }
+  
+  /**
+   * Mesma busca, mesma entrada (refazer só atualiza a data e o total)
+   */
+  static chave(busca) {
+    return `${busca.tipo}:${LinkCompartilhado.parametrosBusca(busca).toString().toLowerCase()}`;
+  }
+  
+  /**
+   * Descrição curta da busca (ex.: "CEP 01001-000", "Paulista, São Paulo - SP")
+   */
+  static descrever(busca) {
+    switch (busca.tipo) {
+      case 'cep':
+        return I18n.t('historico.buscaCEP', { cep: Utils.formatarCEP(busca.cep) });
+      case 'logradouro':
+        return `${busca.logradouro}, ${busca.cidade} - ${busca.uf}`;
+      case 'faixa':
+        return I18n.t('historico.buscaFaixa', { de: Utils.formatarCEP(busca.de), ate: Utils.formatarCEP(busca.ate) });
+      default:
+        return '';
+    }
+  }
+  
+  /**
+   * Registra uma busca com os resultados obtidos (lista vazia se nada foi encontrado)
+   * @returns {Promise<Object|null>} Entrada salva, ou null com o histórico desligado
+   */
+  async registrar(busca, resultados = []) {
+    await this.pronto;
+    if (this.retencaoDias <= 0) return null;
+    
+    const [primeiro] = resultados;
+    const entrada = {
+      id: HistoricoBuscas.chave(busca),
+      busca,
+      quando: Date.now(),
+      total: resultados.length,
+      // UF e cidade para os filtros: da própria busca ou do primeiro resultado
+      uf: String(busca.uf || primeiro?.uf || FaixasCEP.uf(busca.cep || busca.de) || '').toUpperCase(),
+      cidade: busca.cidade || primeiro?.localidade || ''
+    };
+    
+    this.entradas.set(entrada.id, entrada);
+    await this.store?.put(entrada);
+    await this.descartarExpiradas();
+    
+    return entrada;
+  }
+  
+  /**
+   * Buscas mais recentes primeiro
+   * @param {Object} [filtro]
+   * @param {string} [filtro.uf]
+   * @param {string} [filtro.cidade] - Parte do nome, sem diferenciar acentos
+   */
+  listar(filtro = {}) {
+    return [...this.entradas.values()]
+      .filter(entrada => HistoricoBuscas.atende(entrada.uf, entrada.cidade, filtro))
+      .sort((a, b) => b.quando - a.quando);
+  }
+  
+  static atende(uf, cidade, { uf: filtroUF = '', cidade: filtroCidade = '' } = {}) {
+    return (!filtroUF || uf === filtroUF) && (!filtroCidade || texto(cidade).includes(texto(filtroCidade)));
+  }
+  
+  /**
+   * UFs presentes no histórico e nos favoritos, para o filtro
+   */
+  ufs() {
+    const todas = new Set();
+    this.entradas.forEach(entrada => entrada.uf && todas.add(entrada.uf));
+    this.favoritos.forEach(favorito => favorito.uf && todas.add(favorito.uf));
+    return [...todas].sort();
+  }
+  
+  async remover(id) {
+    await this.pronto;
+    this.entradas.delete(id);
+    await this.store?.delete(id);
+  }
+  
+  /**
+   * Apaga todo o histórico do armazenamento (os favoritos ficam)
+   */
+  async limpar() {
+    await this.pronto;
+    this.entradas.clear();
+    await this.store?.clear();
+  }
+  
+  /**
+   * Muda a retenção e descarta na hora o que ficou fora dela
+   */
+  async definirRetencao(dias) {
+    await this.pronto;
+    this.retencaoDias = Math.max(0, Number(dias) || 0);
+    await this.descartarExpiradas();
+  }
+  
+  /**
+   * Remove as buscas mais antigas que a retenção e as que passam de CONFIG.HISTORICO.MAX_ENTRADAS
+   */
+  async descartarExpiradas() {
+    const limite = Date.now() - this.retencaoDias * DIA;
+    const manter = this.listar()
+      .filter(entrada => this.retencaoDias > 0 && entrada.quando >= limite)
+      .slice(0, CONFIG.HISTORICO.MAX_ENTRADAS);
+    const ids = new Set(manter.map(entrada => entrada.id));
+    
+    const descartar = [...this.entradas.keys()].filter(id => !ids.has(id));
+    descartar.forEach(id => this.entradas.delete(id));
+    await Promise.all(descartar.map(id => this.store?.delete(id)));
+  }
+  
+  // Favoritos
+  
+  ehFavorito(cep) {
+    return this.favoritos.has(Utils.formatarCEP(cep));
+  }
+  
+  /**
+   * Marca ou desmarca um resultado de busca como favorito
+   * @returns {Promise<boolean>} Se ficou marcado
+   */
+  async alternarFavorito(resultado) {
+    await this.pronto;
+    const cep = Utils.formatarCEP(resultado.cep);
+    
+    if (this.favoritos.has(cep)) {
+      this.favoritos.delete(cep);
+      await this.storeFavoritos?.delete(cep);
+      return false;
+    }
+    
+    const favorito = { ...resultado, cep, favoritadoEm: Date.now() };
+    this.favoritos.set(cep, favorito);
+    await this.storeFavoritos?.put(favorito);
+    return true;
+  }
+  
+  /**
+   * Favoritos por cidade e logradouro
+   */
+  listarFavoritos(filtro = {}) {
+    return [...this.favoritos.values()]
+      .filter(favorito => HistoricoBuscas.atende(favorito.uf, favorito.localidade, filtro))
+      .sort((a, b) =>
+        (a.localidade || '').localeCompare(b.localidade || '', 'pt-BR') ||
+        (a.logradouro || '').localeCompare(b.logradouro || '', 'pt-BR')
+      );
+  }
+}
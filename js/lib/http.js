@@ -0,0 +1,103 @@
+import { CONFIG } from './config.js';
+import { CEPError, CEPInvalidError, CEPNetworkError, CEPTimeoutError } from './errors.js';
+import { Utils } from './utils.js';
+
+// ==========================================
+// CLIENTE HTTP
+// ==========================================
+
+export class HTTPClient {
+  /**
+   * Busca JSON com timeout, cancelamento e retry com backoff exponencial.
+   * Retorna null para 404; falhas transitórias (rede, 5xx, 429) são repetidas.
+   *
+   * @param {string} url
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancela a requisição e as novas tentativas
+   * @param {number} [options.timeout] - Limite por tentativa, em ms
+   * @param {number} [options.retries] - Tentativas extras após a primeira
+   * @param {Function} [options.fetch] - Implementação de fetch (padrão: global)
+   */
+  static async getJSON(url, {
+    signal,
+    timeout = CONFIG.TIMEOUT,
+    retries = CONFIG.RETRIES,
+    fetch = globalThis.fetch
+  } = {}) {
+    for (let tentativa = 0; ; tentativa++) {
+      try {
+        return await HTTPClient.tentar(url, signal, timeout, fetch);
+      } catch (error) {
+        const podeRepetir = error instanceof CEPNetworkError && error.transitorio;
+        
+        if (!podeRepetir || tentativa >= retries) {
+          throw error;
+        }
+        
+        await Utils.esperar(error.retryAfter ?? HTTPClient.calcularBackoff(tentativa), signal);
+      }
+    }
+  }
+  
+  /**
+   * Executa uma única tentativa e converte falhas em erros tipados
+   */
+  static async tentar(url, signal, timeout, fetch = globalThis.fetch) {
+    if (signal?.aborted) throw Utils.erroCancelamento(signal);
+    
+    const controller = new AbortController();
+    let expirou = false;
+    
+    const timer = setTimeout(() => {
+      expirou = true;
+      controller.abort();
+    }, timeout);
+    
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    
+    try {
+      const response = await fetch(url, { signal: controller.signal });
+      
+      if (response.status === 404) return null;
+      
+      if (response.status === 400) {
+        throw new CEPInvalidError();
+      }
+      
+      if (!response.ok) {
+        const transitorio = response.status === 429 || response.status >= 500;
+        const error = new CEPNetworkError(`HTTP ${response.status}`, { status: response.status, transitorio });
+        const retryAfter = Number(response.headers.get('Retry-After'));
+        if (retryAfter > 0) {
+          error.retryAfter = Math.min(retryAfter * 1000, CONFIG.RETRY_MAX_DELAY);
+        }
+        throw error;
+      }
+      
+      return await response.json();
+      
+    } catch (error) {
+      if (error instanceof CEPError) throw error;
+      
+      if (signal?.aborted) throw Utils.erroCancelamento(signal);
+      
+      if (expirou) throw new CEPTimeoutError();
+      
+      // fetch rejeita com TypeError em falhas de rede e CORS
+      throw new CEPNetworkError();
+      
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+  
+  /**
+   * Atraso exponencial com jitter completo, limitado a CONFIG.RETRY_MAX_DELAY
+   */
+  static calcularBackoff(tentativa) {
+    const teto = Math.min(CONFIG.RETRY_MAX_DELAY, CONFIG.RETRY_BASE_DELAY * 2 ** tentativa);
+    return Math.round(Math.random() * teto);
+  }
+}
@@ -0,0 +1,110 @@
+import { CONFIG } from './config.js';
+import { EN } from './mensagens/en.js';
+import { ES } from './mensagens/es.js';
+import { PT_BR } from './mensagens/pt-BR.js';
+
+// ==========================================
+// INTERNACIONALIZAÇÃO
+// ==========================================
+
+/**
+ * Idiomas disponíveis: nome exibido no seletor, locale das datas e números e catálogo de mensagens
+ */
+export const IDIOMAS = {
+  'pt-BR': { nome: 'Português', locale: 'pt-BR', mensagens: PT_BR },
+  en: { nome: 'English', locale: 'en-US', mensagens: EN },
+  es: { nome: 'Español', locale: 'es-419', mensagens: ES }
+};
+
+const IDIOMA_BASE = 'pt-BR';
+
+// Espaços especiais do Intl (U+00A0, U+202F) viram espaço comum: as fontes padrão do jsPDF não têm U+202F
+const espacosComuns = (texto) => texto.replace(/[\u00a0\u202f]/g, ' ');
+
+/**
+ * Tradução de mensagens por chave (ex.: 'busca.titulo'), com parâmetros em
+ * chaves ({cep}) e plural por Intl.PluralRules quando a mensagem é um objeto
+ * { one, other } e há o parâmetro `n`. Chaves ausentes no idioma caem no pt-BR.
+ *
+ * I18n.atual é o idioma da interface; instâncias próprias servem para textos
+ * em outro idioma, como os do rótulo.
+ */
+export class I18n {
+  /**
+   * @param {string} [idioma] - Código do idioma (ex.: 'en', 'es-AR'), resolvido por I18n.resolver
+   */
+  constructor(idioma = CONFIG.IDIOMA) {
+    this.idioma = I18n.resolver(idioma);
+    this.plurais = new Intl.PluralRules(this.locale);
+  }
+  
+  /**
+   * Idioma disponível mais próximo: o próprio, o de mesmo prefixo (es-AR → es) ou pt-BR
+   */
+  static resolver(idioma) {
+    const codigo = String(idioma ?? '').trim();
+    if (IDIOMAS[codigo]) return codigo;
+    
+    const prefixo = codigo.split('-')[0].toLowerCase();
+    return Object.keys(IDIOMAS).find(chave => chave.split('-')[0] === prefixo) || IDIOMA_BASE;
+  }
+  
+  get locale() {
+    return IDIOMAS[this.idioma].locale;
+  }
+  
+  /**
+   * Mensagem traduzida
+   * @param {string} chave
+   * @param {Object} [params] - Valores para as chaves da mensagem; `n` escolhe o plural
+   * @param {string} [padrao] - Texto se a chave não existir em nenhum catálogo (padrão: a própria chave)
+   */
+  t(chave, params = {}, padrao = chave) {
+    let mensagem = IDIOMAS[this.idioma].mensagens[chave] ?? IDIOMAS[IDIOMA_BASE].mensagens[chave] ?? padrao;
+    
+    if (mensagem && typeof mensagem === 'object') {
+      mensagem = mensagem[this.plurais.select(Number(params.n))] ?? mensagem.other;
+    }
+    
+    return String(mensagem).replace(/\{(\w+)\}/g, (trecho, nome) =>
+      params[nome] === undefined ? trecho : String(params[nome])
+    );
+  }
+  
+  /**
+   * Data no formato do idioma
+   * @param {Date|number|string} valor
+   * @param {Intl.DateTimeFormatOptions} [opcoes]
+   */
+  data(valor, opcoes = { dateStyle: 'short' }) {
+    return espacosComuns(new Date(valor).toLocaleString(this.locale, opcoes));
+  }
+  
+  numero(valor, opcoes = {}) {
+    return espacosComuns(Number(valor).toLocaleString(this.locale, opcoes));
+  }
+  
+  /**
+   * Valor em reais com a pontuação do idioma (ex.: R$ 31,80 ou R$31.80)
+   */
+  moeda(valor) {
+    return this.numero(valor, { style: 'currency', currency: 'BRL' });
+  }
+  
+  /**
+   * Troca o idioma usado pelos textos da API e da interface
+   */
+  static definirAtual(idioma) {
+    I18n.atual = new I18n(idioma);
+    return I18n.atual;
+  }
+  
+  /**
+   * Atalho para I18n.atual.t
+   */
+  static t(chave, params, padrao) {
+    return I18n.atual.t(chave, params, padrao);
+  }
+}
+
+I18n.atual = new I18n();
@@ -0,0 +1,76 @@
+// ==========================================
+// ARMAZENAMENTO INDEXEDDB
+// ==========================================
+
+/**
+ * Wrapper mínimo em Promise para um object store do IndexedDB
+ */
+export class IDBStore {
+  constructor(dbName, storeName, { keyPath = 'key' } = {}) {
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.keyPath = keyPath;
+    this.db = null;
+  }
+  
+  /**
+   * Indica se o ambiente oferece IndexedDB
+   */
+  static disponivel() {
+    return typeof indexedDB !== 'undefined';
+  }
+  
+  /**
+   * Abre (e cria, se necessário) o banco, reaproveitando a conexão
+   */
+  abrir() {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName, { keyPath: this.keyPath });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.db;
+  }
+  
+  /**
+   * Executa operações numa transação e resolve quando ela termina
+   */
+  async transacao(modo, operacao) {
+    const db = await this.abrir();
+    
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.storeName, modo);
+      const request = operacao(tx.objectStore(this.storeName));
+      tx.oncomplete = () => resolve(request?.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+  
+  getAll() {
+    return this.transacao('readonly', store => store.getAll());
+  }
+  
+  put(valor) {
+    return this.transacao('readwrite', store => store.put(valor));
+  }
+  
+  putMany(valores) {
+    return this.transacao('readwrite', store => {
+      valores.forEach(valor => store.put(valor));
+    });
+  }
+  
+  delete(chave) {
+    return this.transacao('readwrite', store => store.delete(chave));
+  }
+  
+  clear() {
+    return this.transacao('readwrite', store => store.clear());
+  }
+}
@@ -0,0 +1,58 @@
+/**
+ * BUSCA CEP & ENDEREÇADOR BRASILEIRO
+ * API em módulos ES, sem dependência do DOM: roda no navegador e no Node.
+ *
+ * - Consulta de CEP e busca por logradouro com vários provedores (CEPAPI)
+ * - Varredura de faixas de CEP (CEPRangeScanner)
+ * - Formatação de endereços (Endereco) e conferência offline de CEP e UF (FaixasCEP)
+ * - Rótulos em PDF devolvidos como bytes (RotuloPDF.gerar, requer jsPDF)
+ * - Declaração de conteúdo dos Correios (DeclaracaoConteudo.gerar, requer jsPDF)
+ * - Estimativa de frete e prazo por tabelas editáveis (Frete)
+ * - Histórico de buscas e CEPs favoritos (HistoricoBuscas)
+ * - Fila de envios para imprimir vários rótulos juntos (FilaEnvios)
+ * - Códigos de rastreio com dígito verificador e faixas compradas (CodigoRastreio), em Code128
+ * - Mensagens em português, inglês e espanhol (I18n)
+ *
+ * A página (js/app/) é apenas uma interface sobre estes módulos.
+ *
+ * @example
+ * import { CEPAPI, Endereco, RotuloPDF } from './js/lib/index.js';
+ *
+ * const api = new CEPAPI({ fetch: meuFetch });
+ * const resultado = await api.buscarCEP('01001-000');
+ * const destinatario = Endereco.doResultado(resultado, { nome: 'Maria', numero: '100' });
+ * const bytes = RotuloPDF.gerar(remetente, [destinatario], { modelo: 'pimaco-6180', jsPDF });
+ */
+
+export { CONFIG } from './config.js';
+export { I18n, IDIOMAS } from './i18n.js';
+export { CEPError, CEPInvalidError, CEPNotFoundError, CEPTimeoutError, CEPNetworkError } from './errors.js';
+export { Utils } from './utils.js';
+export { IDBStore } from './idb-store.js';
+export { CacheManager } from './cache.js';
+export { HTTPClient } from './http.js';
+export {
+  CEPProvider,
+  ViaCEPProvider,
+  BrasilAPIProvider,
+  OpenCEPProvider,
+  PostmonProvider,
+  CEP_PROVIDERS
+} from './providers.js';
+export { CEPAPI } from './cep-api.js';
+export { CEPRangeScanner } from './range-scanner.js';
+export { Municipios } from './municipios.js';
+export { ABREVIACOES, Endereco } from './endereco.js';
+export { FAIXAS_CEP_UF, TIPOS_CEP, FaixasCEP } from './faixas-cep.js';
+export { PlanilhaParser } from './planilha.js';
+export { CAMPOS_ENDERECO, LoteDestinatarios } from './lote.js';
+export { CAMPOS_RESULTADO, ExportadorResultados } from './exportacao.js';
+export { AgendaContatos, VCard } from './agenda.js';
+export { LinkCompartilhado } from './links.js';
+export { HistoricoBuscas } from './historico.js';
+export { CEPNET_DIMENSOES, CEPNet, CODE128_DIMENSOES, Code128, DataMatrix, CorreiosDataMatrix } from './barcodes.js';
+export { LABEL_TEMPLATES, RotuloPDF } from './labels.js';
+export { DeclaracaoConteudo } from './declaracao.js';
+export { ROTAS_FRETE, TABELAS_FRETE, Frete } from './frete.js';
+export { FilaEnvios } from './fila.js';
+export { CodigoRastreio } from './rastreio.js';
@@ -0,0 +1,674 @@
+import { CEPNET_DIMENSOES, CODE128_DIMENSOES, CEPNet, Code128, CorreiosDataMatrix, DataMatrix } from './barcodes.js';
+import { CONFIG } from './config.js';
+import { DeclaracaoConteudo } from './declaracao.js';
+import { Endereco } from './endereco.js';
+import { I18n } from './i18n.js';
+import { CodigoRastreio } from './rastreio.js';
+import { Utils } from './utils.js';
+
+// ==========================================
+// MODELOS DE ETIQUETA
+// ==========================================
+
+/**
+ * Folhas de etiquetas suportadas. Medidas em milímetros:
+ * - pdf: orientação e formato da página no jsPDF (nome ou [largura, altura])
+ * - linhas/colunas: grade de etiquetas por folha
+ * - etiqueta: tamanho de cada etiqueta
+ * - passo: distância entre o início de duas etiquetas vizinhas
+ * - margens: posição da primeira etiqueta a partir do canto superior esquerdo
+ * - layout: "lado-a-lado" (remetente e destinatário em caixas lado a lado),
+ *   "empilhado" (remetente acima do destinatário), "destinatario" (só o destinatário)
+ *   ou "envelope" (impressão direta no envelope, uma página por envelope)
+ * - janela: nos envelopes, posição da janela de endereço (DIN 680: 90 × 45 mm,
+ *   a 20 mm da esquerda e 15 mm da base)
+ *
+ * Modelos personalizados podem ser adicionados a este objeto antes da inicialização.
+ */
+export const LABEL_TEMPLATES = {
+  'a4-padrao': {
+    nome: 'A4 — folha inteira (remetente e destinatário)',
+    pdf: { orientation: 'portrait', format: 'a4' },
+    linhas: 1,
+    colunas: 1,
+    etiqueta: { largura: 170, altura: 257 },
+    passo: { horizontal: 170, vertical: 257 },
+    margens: { topo: 20, esquerda: 20 },
+    layout: 'lado-a-lado',
+    rodape: true
+  },
+  'pimaco-6180': {
+    nome: 'Pimaco 6180 — Carta, 30 etiquetas (25,4 × 66,7 mm)',
+    pdf: { orientation: 'portrait', format: 'letter' },
+    linhas: 10,
+    colunas: 3,
+    etiqueta: { largura: 66.7, altura: 25.4 },
+    passo: { horizontal: 69.85, vertical: 25.4 },
+    margens: { topo: 12.7, esquerda: 4.76 },
+    layout: 'destinatario'
+  },
+  'pimaco-6181': {
+    nome: 'Pimaco 6181 — Carta, 20 etiquetas (25,4 × 101,6 mm)',
+    pdf: { orientation: 'portrait', format: 'letter' },
+    linhas: 10,
+    colunas: 2,
+    etiqueta: { largura: 101.6, altura: 25.4 },
+    passo: { horizontal: 104.78, vertical: 25.4 },
+    margens: { topo: 12.7, esquerda: 3.97 },
+    layout: 'destinatario'
+  },
+  'pimaco-6182': {
+    nome: 'Pimaco 6182 — Carta, 14 etiquetas (33,9 × 101,6 mm)',
+    pdf: { orientation: 'portrait', format: 'letter' },
+    linhas: 7,
+    colunas: 2,
+    etiqueta: { largura: 101.6, altura: 33.9 },
+    passo: { horizontal: 104.78, vertical: 33.87 },
+    margens: { topo: 21.17, esquerda: 3.97 },
+    layout: 'destinatario'
+  },
+  'a4-3x7': {
+    nome: 'A4 3 × 7 — 21 etiquetas (38,1 × 63,5 mm)',
+    pdf: { orientation: 'portrait', format: 'a4' },
+    linhas: 7,
+    colunas: 3,
+    etiqueta: { largura: 63.5, altura: 38.1 },
+    passo: { horizontal: 66, vertical: 38.1 },
+    margens: { topo: 15.15, esquerda: 7.25 },
+    layout: 'destinatario'
+  },
+  'termica-10x15': {
+    nome: 'Térmica 10 × 15 cm (remetente e destinatário)',
+    pdf: { orientation: 'portrait', format: [100, 150] },
+    linhas: 1,
+    colunas: 1,
+    etiqueta: { largura: 100, altura: 150 },
+    passo: { horizontal: 100, vertical: 150 },
+    margens: { topo: 0, esquerda: 0 },
+    layout: 'empilhado'
+  },
+  'envelope-dl': {
+    nome: 'Envelope DL (110 × 220 mm)',
+    pdf: { orientation: 'landscape', format: [110, 220] },
+    linhas: 1,
+    colunas: 1,
+    etiqueta: { largura: 220, altura: 110 },
+    passo: { horizontal: 220, vertical: 110 },
+    margens: { topo: 0, esquerda: 0 },
+    layout: 'envelope',
+    janela: { x: 20, y: 50, largura: 90, altura: 45 }
+  },
+  'envelope-c6': {
+    nome: 'Envelope C6 (114 × 162 mm)',
+    pdf: { orientation: 'landscape', format: [114, 162] },
+    linhas: 1,
+    colunas: 1,
+    etiqueta: { largura: 162, altura: 114 },
+    passo: { horizontal: 162, vertical: 114 },
+    margens: { topo: 0, esquerda: 0 },
+    layout: 'envelope',
+    janela: { x: 20, y: 54, largura: 90, altura: 45 }
+  },
+  'envelope-c5': {
+    nome: 'Envelope C5 (162 × 229 mm)',
+    pdf: { orientation: 'landscape', format: [162, 229] },
+    linhas: 1,
+    colunas: 1,
+    etiqueta: { largura: 229, altura: 162 },
+    passo: { horizontal: 229, vertical: 162 },
+    margens: { topo: 0, esquerda: 0 },
+    layout: 'envelope',
+    janela: { x: 20, y: 102, largura: 90, altura: 45 }
+  },
+  'envelope-c4': {
+    nome: 'Envelope C4 (229 × 324 mm)',
+    pdf: { orientation: 'landscape', format: [229, 324] },
+    linhas: 1,
+    colunas: 1,
+    etiqueta: { largura: 324, altura: 229 },
+    passo: { horizontal: 324, vertical: 229 },
+    margens: { topo: 0, esquerda: 0 },
+    layout: 'envelope',
+    janela: { x: 20, y: 169, largura: 90, altura: 45 }
+  },
+  'envelope-oficio': {
+    nome: 'Envelope ofício (114 × 229 mm)',
+    pdf: { orientation: 'landscape', format: [114, 229] },
+    linhas: 1,
+    colunas: 1,
+    etiqueta: { largura: 229, altura: 114 },
+    passo: { horizontal: 229, vertical: 114 },
+    margens: { topo: 0, esquerda: 0 },
+    layout: 'envelope',
+    janela: { x: 20, y: 54, largura: 90, altura: 45 }
+  }
+};
+
+// ==========================================
+// GERAÇÃO DE PDF
+// ==========================================
+
+/**
+ * Documento PDF de rótulos: uma página por par remetente/destinatário
+ */
+export class RotuloPDF {
+  /**
+   * @param {Object} [template] - Modelo de LABEL_TEMPLATES
+   * @param {Object} [options]
+   * @param {number} [options.inicio] - Posição (a partir de 1) da primeira etiqueta
+   *   na primeira folha, para reaproveitar folhas parcialmente usadas
+   * @param {Object} [options.codigos] - Códigos postais a imprimir: { cepnet, datamatrix }
+   * @param {Object} [options.envelope] - Nos modelos de envelope:
+   *   { remetente: 'canto' | 'aba', destinatario: 'area' | 'janela', retrato }
+   * @param {Object} [options.calibracao] - Deslocamento da impressora em mm: { x, y }
+   * @param {boolean} [options.maiusculas] - Modo postal: endereços em maiúsculas
+   * @param {string} [options.idioma] - Idioma dos títulos e da data do rodapé (chave de IDIOMAS);
+   *   os endereços não são traduzidos
+   * @param {Function} [options.jsPDF] - Construtor do jsPDF (padrão: window.jspdf.jsPDF)
+   */
+  constructor(template = LABEL_TEMPLATES[CONFIG.LABEL_TEMPLATE], {
+    inicio = 1,
+    codigos = {},
+    envelope = {},
+    calibracao = {},
+    maiusculas = CONFIG.ENDERECO.MAIUSCULAS,
+    idioma = CONFIG.IDIOMA,
+    jsPDF = globalThis.jspdf?.jsPDF
+  } = {}) {
+    if (!jsPDF) {
+      throw new Error('Geração de PDF requer o jsPDF (opção jsPDF)');
+    }
+    
+    this.template = template;
+    this.codigos = { cepnet: false, datamatrix: false, ...codigos };
+    this.envelope = { remetente: 'canto', destinatario: 'area', retrato: false, ...envelope };
+    this.calibracao = { x: 0, y: 0, ...calibracao };
+    this.maiusculas = Boolean(maiusculas);
+    this.i18n = new I18n(idioma);
+    
+    const [formato, orientacao] = this.formatoPagina();
+    this.doc = new jsPDF({ orientation: orientacao, unit: 'mm', format: formato });
+    
+    const porFolha = template.linhas * template.colunas;
+    this.posicao = Math.min(Math.max(1, Math.floor(inicio) || 1), porFolha) - 1;
+    this.total = 0;
+    
+    // Fonte e cores
+    this.doc.setFont('helvetica');
+    this.cores = {
+      primary: '#2563eb',
+      text: '#1f2937',
+      border: '#e5e7eb'
+    };
+  }
+  
+  /**
+   * Etiquetas por folha do modelo
+   */
+  get etiquetasPorFolha() {
+    return this.template.linhas * this.template.colunas;
+  }
+  
+  /**
+   * Envelope alimentado em pé na impressora: página em retrato e conteúdo girado
+   */
+  get girado() {
+    return this.template.layout === 'envelope' && Boolean(this.envelope.retrato);
+  }
+  
+  /**
+   * Formato e orientação das páginas do modelo
+   */
+  formatoPagina() {
+    const { pdf } = this.template;
+    return [pdf.format, this.girado ? 'portrait' : pdf.orientation];
+  }
+  
+  /**
+   * Nova página no formato do modelo (explícito: a anterior pode ser uma declaração em A4)
+   */
+  novaPagina() {
+    this.doc.addPage(...this.formatoPagina());
+  }
+  
+  /**
+   * Aplica a calibração da impressora e o giro dos envelopes em pé ao que for
+   * desenhado até o próximo restoreGraphicsState()
+   * @returns {boolean} Se alguma transformação foi aplicada
+   */
+  iniciarTransformacao() {
+    const doc = this.doc;
+    const k = doc.internal.scaleFactor;
+    const dx = (Number(this.calibracao.x) || 0) * k;
+    const dy = (Number(this.calibracao.y) || 0) * k;
+    
+    if (!this.girado && !dx && !dy) return false;
+    
+    // Matriz em pontos, no sistema do PDF (origem embaixo, y para cima).
+    // Girado: o topo do envelope fica na borda direita da página.
+    const largura = doc.internal.pageSize.getWidth() * k;
+    const altura = doc.internal.pageSize.getHeight() * k;
+    const matriz = this.girado
+      ? new doc.Matrix(0, -1, 1, 0, largura - altura + dx, altura - dy)
+      : new doc.Matrix(1, 0, 0, 1, dx, -dy);
+    
+    doc.saveGraphicsState();
+    doc.setCurrentTransformationMatrix(matriz);
+    return true;
+  }
+  
+  /**
+   * Adiciona um rótulo na próxima etiqueta livre, abrindo nova folha se preciso
+   * @param {Object} [extras]
+   * @param {string} [extras.frete] - Linha da cotação do frete (ver Frete.resumo).
+   *   Não é impressa nos modelos só de destinatário, que não têm espaço livre.
+   * @param {string} [extras.rastreio] - Código do objeto (AA123456789BR), impresso em Code128
+   *   com o texto legível e levado ao campo de etiqueta do DataMatrix
+   * @throws {Error} Se o código de rastreio for inválido
+   */
+  adicionarRotulo(dadosRemetente, dadosDestinatario, { frete, rastreio } = {}) {
+    const { template } = this;
+    const codigo = rastreio ? CodigoRastreio.normalizar(rastreio) : null;
+    const erroRastreio = codigo && CodigoRastreio.validar(codigo, { pais: null });
+    if (erroRastreio) {
+      throw new Error(erroRastreio);
+    }
+    
+    if (this.posicao >= this.etiquetasPorFolha) {
+      this.novaPagina();
+      this.posicao = 0;
+    }
+    
+    const coluna = this.posicao % template.colunas;
+    const linha = Math.floor(this.posicao / template.colunas);
+    const x = template.margens.esquerda + coluna * template.passo.horizontal;
+    const y = template.margens.topo + linha * template.passo.vertical;
+    const { largura, altura } = template.etiqueta;
+    const transformado = this.iniciarTransformacao();
+    
+    switch (template.layout) {
+      case 'envelope':
+        this.desenharEnvelope(largura, altura, dadosRemetente, dadosDestinatario, codigo);
+        break;
+      case 'empilhado':
+        this.desenharEmpilhado(x, y, largura, altura, dadosRemetente, dadosDestinatario, codigo);
+        break;
+      case 'destinatario':
+        this.desenharSomenteDestinatario(x, y, largura, altura, dadosRemetente, dadosDestinatario, { rastreio: codigo });
+        break;
+      default:
+        this.desenharLadoALado(x, y, largura, altura, dadosRemetente, dadosDestinatario, codigo);
+    }
+    
+    if (frete) this.desenharFrete(frete, x, y, largura, altura);
+    
+    // Rodapé só em modelos de folha inteira, para não imprimir sobre outras etiquetas
+    if (template.rodape && this.posicao === 0) {
+      this.desenharRodape();
+    }
+    
+    if (transformado) this.doc.restoreGraphicsState();
+    
+    // Remetente na aba: o verso do envelope vem na página seguinte
+    if (template.layout === 'envelope' && this.envelope.remetente === 'aba') {
+      this.novaPagina();
+      const verso = this.iniciarTransformacao();
+      this.desenharAba(largura, altura, dadosRemetente);
+      if (verso) this.doc.restoreGraphicsState();
+    }
+    
+    this.posicao++;
+    this.total++;
+  }
+  
+  /**
+   * Acrescenta a declaração de conteúdo em folhas A4 próprias, para sair no mesmo
+   * trabalho de impressão; o próximo rótulo começa em folha nova
+   */
+  adicionarDeclaracao(dadosRemetente, dadosDestinatario, itens, opcoes) {
+    this.doc.addPage('a4', 'portrait');
+    DeclaracaoConteudo.desenhar(this.doc, dadosRemetente, dadosDestinatario, itens, opcoes);
+    this.posicao = this.etiquetasPorFolha;
+  }
+  
+  /**
+   * Caixas de remetente (esquerda) e destinatário (direita)
+   */
+  desenharLadoALado(x, y, largura, altura, dadosRemetente, dadosDestinatario, rastreio) {
+    const boxWidth = largura / 2 - 5;
+    const boxHeight = 60;
+    const yPosition = y + 30;
+    
+    // Código de rastreio acima da caixa do destinatário
+    if (rastreio) this.desenharRastreio(rastreio, x + boxWidth + 10, y + 5, boxWidth, 20);
+    
+    this.desenharCaixaEndereco(x, yPosition, boxWidth, boxHeight, this.i18n.t('rotulo.remetente'), dadosRemetente);
+    this.desenharCaixaEndereco(x + boxWidth + 10, yPosition, boxWidth, boxHeight, this.i18n.t('rotulo.destinatario'), dadosDestinatario);
+    
+    // Códigos abaixo da caixa do destinatário
+    this.desenharCodigos(x + boxWidth + 10, yPosition + boxHeight + 5, boxWidth, 25, dadosRemetente, dadosDestinatario, rastreio);
+  }
+  
+  /**
+   * Remetente no topo e destinatário em destaque abaixo (etiquetas térmicas)
+   */
+  desenharEmpilhado(x, y, largura, altura, dadosRemetente, dadosDestinatario, rastreio) {
+    const padding = 5;
+    const boxWidth = largura - padding * 2;
+    
+    // Código de rastreio numa faixa no topo; as caixas ocupam o restante
+    const faixa = rastreio && this.desenharRastreio(rastreio, x + padding, y + padding, boxWidth, 18) ? 18 + padding : 0;
+    const topo = y + faixa;
+    const alturaRemetente = (altura - faixa - padding * 3) * 0.4;
+    const alturaDestinatario = (altura - faixa - padding * 3) - alturaRemetente;
+    
+    this.desenharCaixaEndereco(x + padding, topo + padding, boxWidth, alturaRemetente, this.i18n.t('rotulo.remetente'), dadosRemetente);
+    this.desenharCaixaEndereco(
+      x + padding,
+      topo + padding * 2 + alturaRemetente,
+      boxWidth,
+      alturaDestinatario,
+      this.i18n.t('rotulo.destinatario'),
+      dadosDestinatario,
+      { tamanhoFonte: 12 }
+    );
+    
+    // Códigos no rodapé da caixa do destinatário
+    this.desenharCodigos(
+      x + padding * 2,
+      y + altura - padding * 2 - 22,
+      boxWidth - padding * 2,
+      22,
+      dadosRemetente,
+      dadosDestinatario,
+      rastreio
+    );
+  }
+  
+  /**
+   * Apenas o endereço do destinatário, com fonte ajustada à altura da etiqueta
+   * @param {Object} [opcoes] - { tamanhoFonte, rastreio }
+   */
+  desenharSomenteDestinatario(x, y, largura, altura, dadosRemetente, dados, opcoes = {}) {
+    const padding = 2.5;
+    const larguraLivre = largura - padding * 2;
+    let topo = y + padding;
+    let alturaLivre = altura - padding * 2;
+    
+    // Código de rastreio no topo, só se couber sem espremer o endereço
+    const alturaRastreio = Math.min(16, alturaLivre * 0.35);
+    if (opcoes.rastreio && alturaRastreio >= 9 &&
+      this.desenharRastreio(opcoes.rastreio, x + padding, topo, larguraLivre, alturaRastreio)) {
+      topo += alturaRastreio + 1;
+      alturaLivre -= alturaRastreio + 1;
+    }
+    
+    // Faixa inferior para o CEPNet e coluna à direita para o DataMatrix; o texto
+    // fica no espaço restante, e o DataMatrix só entra se deixar metade da largura
+    const ocupado = this.desenharCodigos(x + padding, topo, larguraLivre, alturaLivre, dadosRemetente, dados, opcoes.rastreio, {
+      larguraTexto: larguraLivre / 2
+    });
+    
+    this.desenharLinhas(x + padding, topo, larguraLivre - ocupado.largura, alturaLivre - ocupado.altura, dados, opcoes);
+  }
+  
+  /**
+   * Linhas do endereço (formato dos Correios) a partir de (x, y), com a fonte
+   * reduzida até caberem na altura e na largura
+   */
+  desenharLinhas(x, y, largura, altura, dados, { tamanhoFonte = 10 } = {}) {
+    const doc = this.doc;
+    const linhas = Endereco.linhas(dados, { maiusculas: this.maiusculas });
+    const negrito = (indice) => indice === 0 && Boolean(dados.nome);
+    
+    // 1 pt = 0,3528 mm; entrelinha de 1,15
+    const alturaLinhaMax = altura / Math.max(linhas.length, 1);
+    let tamanho = Math.min(tamanhoFonte, alturaLinhaMax / (0.3528 * 1.15));
+    
+    // Linhas que não se quebram (CEP e cidade, palavras longas) reduzem a fonte
+    doc.setFontSize(tamanho);
+    const maisLarga = Math.max(0, ...linhas.map((texto, indice) => {
+      doc.setFont(undefined, negrito(indice) ? 'bold' : 'normal');
+      return doc.getTextWidth(texto);
+    }));
+    if (maisLarga > largura) tamanho *= largura / maisLarga;
+    
+    const lineHeight = tamanho * 0.3528 * 1.15;
+    doc.setTextColor(this.cores.text);
+    doc.setFontSize(tamanho);
+    
+    let textY = y + lineHeight * 0.8;
+    linhas.forEach((texto, indice) => {
+      doc.setFont(undefined, negrito(indice) ? 'bold' : 'normal');
+      doc.text(texto, x, textY);
+      textY += lineHeight;
+    });
+    doc.setFont(undefined, 'normal');
+  }
+  
+  /**
+   * Frente do envelope: remetente no canto superior esquerdo (se não for na aba)
+   * e destinatário na janela ou na metade inferior direita
+   */
+  desenharEnvelope(largura, altura, dadosRemetente, dadosDestinatario, rastreio) {
+    const margem = 10;
+    
+    if (this.envelope.remetente !== 'aba') {
+      this.desenharLinhas(margem, margem, largura * 0.45 - margem, altura * 0.3, dadosRemetente, { tamanhoFonte: 9 });
+    }
+    
+    const area = this.envelope.destinatario === 'janela' && this.template.janela
+      ? this.template.janela
+      : { x: largura * 0.45, y: altura * 0.45, largura: largura * 0.55 - margem, altura: altura * 0.55 - margem };
+    
+    this.desenharSomenteDestinatario(area.x, area.y, area.largura, area.altura, dadosRemetente, dadosDestinatario, {
+      tamanhoFonte: 12,
+      rastreio
+    });
+  }
+  
+  /**
+   * Verso do envelope: remetente no meio da aba (terço superior)
+   */
+  desenharAba(largura, altura, dadosRemetente) {
+    this.desenharLinhas(largura * 0.3, 8, largura * 0.4, altura * 0.3 - 8, dadosRemetente, { tamanhoFonte: 9 });
+  }
+  
+  /**
+   * Linha do frete numa área livre de cada layout: abaixo do remetente (lado a lado),
+   * na margem inferior (empilhado) ou no canto inferior esquerdo do envelope
+   */
+  desenharFrete(texto, x, y, largura, altura) {
+    const posicoes = {
+      'lado-a-lado': [x, y + 98, largura / 2 - 5],
+      empilhado: [x + 5, y + altura - 1.5, largura - 10],
+      envelope: [10, altura - 8, largura * 0.4]
+    };
+    const posicao = posicoes[this.template.layout];
+    if (!posicao) return;
+    
+    const [textoX, textoY, larguraMax] = posicao;
+    const doc = this.doc;
+    
+    doc.setFont(undefined, 'normal');
+    doc.setFontSize(8);
+    const larguraTexto = doc.getTextWidth(texto);
+    if (larguraTexto > larguraMax) doc.setFontSize(8 * larguraMax / larguraTexto);
+    
+    doc.setTextColor(this.cores.text);
+    doc.text(texto, textoX, textoY);
+  }
+  
+  /**
+   * CEPNet no canto inferior esquerdo e DataMatrix no canto inferior direito
+   * da área indicada; cada código é omitido se não couber ou se o CEP for inválido
+   * @param {string} [rastreio] - Vai no campo de etiqueta do DataMatrix
+   * @param {Object} [opcoes]
+   * @param {number} [opcoes.larguraTexto] - Largura a deixar livre à esquerda do DataMatrix
+   * @returns {{largura: number, altura: number}} Espaço ocupado, já com o respiro até o texto:
+   *   coluna à direita (DataMatrix) e faixa inferior (CEPNet); zero quando o código não saiu
+   */
+  desenharCodigos(x, y, largura, altura, dadosRemetente, dadosDestinatario, rastreio, { larguraTexto = 0 } = {}) {
+    const { cepnet, datamatrix } = this.codigos;
+    const ocupado = { largura: 0, altura: 0 };
+    if (!Utils.validarCEP(dadosDestinatario.cep)) return ocupado;
+    
+    let larguraLivre = largura;
+    
+    if (datamatrix) {
+      const conteudo = CorreiosDataMatrix.conteudo(dadosRemetente, dadosDestinatario, { etiqueta: rastreio });
+      const matriz = DataMatrix.codificar(conteudo);
+      const tamanhoModulo = Math.min(0.5, altura / matriz.length);
+      
+      const lado = matriz.length * tamanhoModulo;
+      
+      // Abaixo de ~0,35 mm por módulo a leitura deixa de ser confiável
+      if (tamanhoModulo >= 0.35 && largura - lado - 2 >= larguraTexto) {
+        this.desenharMatriz(matriz, x + largura - lado, y + altura - lado, tamanhoModulo);
+        ocupado.largura = lado + 2;
+        larguraLivre -= ocupado.largura;
+      }
+    }
+    
+    if (cepnet) {
+      const barras = CEPNet.codificar(dadosDestinatario.cep);
+      if (CEPNet.largura(barras) <= larguraLivre && CEPNET_DIMENSOES.alturaAlta <= altura) {
+        this.desenharCEPNet(barras, x, y + altura - CEPNET_DIMENSOES.alturaAlta);
+        ocupado.altura = CEPNET_DIMENSOES.alturaAlta + 1;
+      }
+    }
+    
+    return ocupado;
+  }
+  
+  /**
+   * Barras do CEPNet alinhadas pela base
+   */
+  desenharCEPNet(barras, x, y) {
+    const { passo, larguraBarra, alturaAlta, alturaBaixa } = CEPNET_DIMENSOES;
+    this.doc.setFillColor('#000000');
+    
+    barras.forEach((alta, i) => {
+      const altura = alta ? alturaAlta : alturaBaixa;
+      this.doc.rect(x + i * passo, y + alturaAlta - altura, larguraBarra, altura, 'F');
+    });
+  }
+  
+  /**
+   * Code128 do código de rastreio centralizado na área, com o texto legível abaixo
+   * @returns {boolean} Se coube (módulo mínimo e barras de pelo menos 5 mm)
+   */
+  desenharRastreio(codigo, x, y, largura, altura) {
+    const larguras = Code128.codificar(codigo);
+    const modulos = Code128.modulos(larguras);
+    const { moduloMinimo, moduloMaximo, silencio } = CODE128_DIMENSOES;
+    const modulo = Math.min(moduloMaximo, largura / (modulos + silencio * 2));
+    const alturaBarras = altura - 3.5;
+    if (modulo < moduloMinimo || alturaBarras < 5) return false;
+    
+    const inicio = x + (largura - modulos * modulo) / 2;
+    this.doc.setFillColor('#000000');
+    Code128.barras(larguras).forEach(([posicao, barra]) => {
+      this.doc.rect(inicio + posicao * modulo, y, barra * modulo, alturaBarras, 'F');
+    });
+    
+    this.doc.setFont(undefined, 'normal');
+    this.doc.setFontSize(9);
+    this.doc.setTextColor(this.cores.text);
+    this.doc.text(CodigoRastreio.formatar(codigo), x + largura / 2, y + altura - 0.5, { align: 'center' });
+    return true;
+  }
+  
+  /**
+   * Módulos do DataMatrix, agrupando os escuros consecutivos de cada linha
+   */
+  desenharMatriz(matriz, x, y, tamanhoModulo) {
+    this.doc.setFillColor('#000000');
+    
+    matriz.forEach((linha, r) => {
+      let inicio = -1;
+      linha.concat(false).forEach((escuro, c) => {
+        if (escuro && inicio < 0) inicio = c;
+        if (!escuro && inicio >= 0) {
+          this.doc.rect(x + inicio * tamanhoModulo, y + r * tamanhoModulo, (c - inicio) * tamanhoModulo, tamanhoModulo, 'F');
+          inicio = -1;
+        }
+      });
+    });
+  }
+  
+  /**
+   * Data e hora de geração no rodapé da página, no formato do idioma do rótulo
+   */
+  desenharRodape() {
+    const doc = this.doc;
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const now = new Date();
+    
+    doc.setTextColor(this.cores.text);
+    doc.setFontSize(8);
+    doc.text(
+      this.i18n.t('rotulo.geradoEm', { data: this.i18n.data(now, { dateStyle: 'short', timeStyle: 'medium' }) }),
+      this.template.margens.esquerda,
+      pageHeight - 10
+    );
+  }
+  
+  /**
+   * Desenha uma caixa de endereço com título
+   */
+  desenharCaixaEndereco(x, y, width, height, title, dados, { tamanhoFonte = 10 } = {}) {
+    const doc = this.doc;
+    
+    // Borda
+    doc.setDrawColor(this.cores.border);
+    doc.setLineWidth(0.5);
+    doc.rect(x, y, width, height);
+    
+    // Título
+    doc.setFillColor(this.cores.primary);
+    doc.rect(x, y, width, 15, 'F');
+    
+    doc.setTextColor('#ffffff');
+    doc.setFontSize(12);
+    doc.setFont(undefined, 'bold');
+    doc.text(title, x + 5, y + 10);
+    
+    // Conteúdo
+    this.desenharLinhas(x + 5, y + 20, width - 10, height - 25, dados, { tamanhoFonte });
+  }
+  
+  /**
+   * Gera o PDF com um rótulo por destinatário, todos com o mesmo remetente
+   * @param {Object} remetente
+   * @param {Object[]} destinatarios
+   * @param {Object} [options] - Opções do construtor, mais:
+   * @param {string|Object} [options.modelo] - Chave de LABEL_TEMPLATES ou modelo próprio
+   * @returns {Uint8Array} Conteúdo do PDF
+   */
+  static gerar(remetente, destinatarios, { modelo = CONFIG.LABEL_TEMPLATE, ...opcoes } = {}) {
+    const template = typeof modelo === 'string' ? LABEL_TEMPLATES[modelo] : modelo;
+    if (!template) {
+      throw new Error(`Modelo de etiqueta desconhecido: ${modelo}`);
+    }
+    
+    const pdf = new RotuloPDF(template, opcoes);
+    destinatarios.forEach(destinatario => pdf.adicionarRotulo(remetente, destinatario));
+    return pdf.paraBytes();
+  }
+  
+  /**
+   * Baixa o documento
+   */
+  salvar(nomeArquivo) {
+    this.doc.save(nomeArquivo);
+  }
+  
+  /**
+   * Conteúdo do PDF, para gravar em arquivo ou enviar
+   * @returns {Uint8Array}
+   */
+  paraBytes() {
+    return new Uint8Array(this.doc.output('arraybuffer'));
+  }
+}
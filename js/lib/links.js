@@ -0,0 +1,122 @@
+import { I18n } from './i18n.js';
+import { Utils } from './utils.js';
+
+// ==========================================
+// LINKS DE BUSCA E DO ENDEREÇADOR
+// ==========================================
+
+// Campos de cada lado do formulário levados no link do Endereçador
+const CAMPOS_FORMULARIO = ['nome', 'cep', 'endereco', 'numero', 'complemento', 'bairro', 'cidade', 'uf', 'documento'];
+
+// Prefixo do texto codificado: comprimido (deflate) ou só JSON
+const COMPRIMIDO = 'z';
+const TEXTO = 'j';
+
+const digitos = (cep) => String(cep ?? '').replace(/\D/g, '');
+
+const paraBase64Url = (bytes) => {
+  let binario = '';
+  bytes.forEach(byte => { binario += String.fromCharCode(byte); });
+  return btoa(binario).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const deBase64Url = (texto) => {
+  const binario = atob(texto.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binario, letra => letra.charCodeAt(0));
+};
+
+const transformar = async (bytes, stream) => {
+  const resposta = new Response(new Response(bytes).body.pipeThrough(stream));
+  return new Uint8Array(await resposta.arrayBuffer());
+};
+
+/**
+ * Converte buscas e o formulário do Endereçador em partes de URL e vice-versa.
+ * Exemplos: ?cep=01001000, ?uf=SP&cidade=São Paulo&logradouro=Paulista,
+ * ?de=01000000&ate=01000100 e #rotulo=<formulário codificado>.
+ */
+export class LinkCompartilhado {
+  /**
+   * Parâmetros de URL de uma busca
+   * @param {{tipo: 'cep'|'logradouro'|'faixa', cep?: string, uf?: string, cidade?: string, logradouro?: string, de?: string, ate?: string}} busca
+   * @returns {URLSearchParams}
+   */
+  static parametrosBusca(busca) {
+    switch (busca.tipo) {
+      case 'cep':
+        return new URLSearchParams({ cep: digitos(busca.cep) });
+      case 'logradouro':
+        return new URLSearchParams({ uf: busca.uf, cidade: busca.cidade, logradouro: busca.logradouro });
+      case 'faixa':
+        return new URLSearchParams({ de: digitos(busca.de), ate: digitos(busca.ate) });
+      default:
+        throw new Error(`Tipo de busca desconhecido: ${busca.tipo}`);
+    }
+  }
+  
+  /**
+   * Busca descrita nos parâmetros da URL, ou null se nenhuma estiver completa
+   * @param {URLSearchParams|string} parametros - Ex.: location.search
+   */
+  static lerBusca(parametros) {
+    const p = parametros instanceof URLSearchParams ? parametros : new URLSearchParams(parametros);
+    const valor = (nome) => (p.get(nome) || '').trim();
+    
+    if (valor('cep')) {
+      return { tipo: 'cep', cep: Utils.formatarCEP(valor('cep')) };
+    }
+    if (valor('uf') && valor('cidade') && valor('logradouro')) {
+      return { tipo: 'logradouro', uf: valor('uf').toUpperCase(), cidade: valor('cidade'), logradouro: valor('logradouro') };
+    }
+    if (valor('de') && valor('ate')) {
+      return { tipo: 'faixa', de: Utils.formatarCEP(valor('de')), ate: Utils.formatarCEP(valor('ate')) };
+    }
+    return null;
+  }
+  
+  /**
+   * Texto para o hash da URL com os dois lados do formulário (só os campos preenchidos).
+   * Sai comprimido quando o ambiente tem CompressionStream.
+   */
+  static async codificarFormulario(remetente, destinatario) {
+    const compactar = (dados = {}) => Object.fromEntries(
+      CAMPOS_FORMULARIO.filter(campo => dados[campo]).map(campo => [campo, dados[campo]])
+    );
+    const bytes = new TextEncoder().encode(JSON.stringify({ r: compactar(remetente), d: compactar(destinatario) }));
+    
+    if (typeof CompressionStream === 'undefined') {
+      return TEXTO + paraBase64Url(bytes);
+    }
+    return COMPRIMIDO + paraBase64Url(await transformar(bytes, new CompressionStream('deflate-raw')));
+  }
+  
+  /**
+   * Lê o texto gerado por codificarFormulario
+   * @returns {Promise<{remetente: Object, destinatario: Object}>}
+   */
+  static async decodificarFormulario(texto) {
+    const formato = String(texto ?? '').charAt(0);
+    let dados;
+    
+    try {
+      let bytes = deBase64Url(String(texto).slice(1));
+      if (formato === COMPRIMIDO) {
+        if (typeof DecompressionStream === 'undefined') {
+          throw new Error(I18n.t('navegacao.erroComprimido'));
+        }
+        bytes = await transformar(bytes, new DecompressionStream('deflate-raw'));
+      } else if (formato !== TEXTO) {
+        throw new Error(I18n.t('navegacao.erroFormato'));
+      }
+      dados = JSON.parse(new TextDecoder().decode(bytes));
+    } catch (error) {
+      throw new Error(I18n.t('navegacao.erroLink', { detalhe: error.message }));
+    }
+    
+    // Só os campos conhecidos, sempre como texto
+    const lado = (valores) => Object.fromEntries(
+      CAMPOS_FORMULARIO.map(campo => [campo, String(valores?.[campo] ?? '')])
+    );
+    return { remetente: lado(dados?.r), destinatario: lado(dados?.d) };
+  }
+}
@@ -0,0 +1,139 @@
+import { I18n } from './i18n.js';
+import { Municipios } from './municipios.js';
+import { Utils } from './utils.js';
+
+// ==========================================
+// LOTE DE DESTINATÁRIOS
+// ==========================================
+
+/**
+ * Campos de endereço do Endereçador, com os nomes de coluna reconhecidos
+ * automaticamente na importação de planilhas
+ */
+export const CAMPOS_ENDERECO = {
+  nome: { rotulo: 'Nome', obrigatorio: true, sinonimos: ['nome', 'destinatario', 'nomecompleto', 'name'] },
+  cep: { rotulo: 'CEP', obrigatorio: true, sinonimos: ['cep', 'codigopostal', 'zip'] },
+  endereco: { rotulo: 'Endereço', sinonimos: ['endereco', 'logradouro', 'rua', 'address'] },
+  numero: { rotulo: 'Número', sinonimos: ['numero', 'num', 'nro', 'n'] },
+  complemento: { rotulo: 'Complemento', sinonimos: ['complemento', 'compl'] },
+  bairro: { rotulo: 'Bairro', sinonimos: ['bairro'] },
+  cidade: { rotulo: 'Cidade', sinonimos: ['cidade', 'municipio', 'localidade'] },
+  uf: { rotulo: 'UF', sinonimos: ['uf', 'estado'] },
+  documento: { rotulo: 'CPF/CNPJ', sinonimos: ['documento', 'cpf', 'cnpj', 'cpfcnpj'] }
+};
+
+/**
+ * Mapeamento de colunas e validação de destinatários importados.
+ * Cada registro é conferido com os dados do CEP: campos vazios são
+ * preenchidos e divergências ficam marcadas para revisão.
+ */
+export class LoteDestinatarios {
+  /**
+   * Sugere a coluna de cada campo a partir do cabeçalho
+   */
+  static sugerirMapeamento(colunas) {
+    const mapa = {};
+    
+    Object.entries(CAMPOS_ENDERECO).forEach(([campo, { sinonimos }]) => {
+      mapa[campo] = colunas.find(coluna => sinonimos.includes(Municipios.chave(coluna))) || '';
+    });
+    
+    return mapa;
+  }
+  
+  /**
+   * Converte as linhas da planilha em registros de endereço
+   */
+  static aplicarMapeamento(linhas, mapa) {
+    return linhas.map((linha, indice) => {
+      const registro = { linha: indice + 2 }; // +1 do cabeçalho, +1 por começar em 1
+      Object.keys(CAMPOS_ENDERECO).forEach(campo => {
+        registro[campo] = mapa[campo] ? linha[mapa[campo]] || '' : '';
+      });
+      registro.uf = registro.uf.toUpperCase();
+      return registro;
+    });
+  }
+  
+  /**
+   * Valida e enriquece os registros em sequência (aproveitando o cache)
+   */
+  static async validar(registros, api, { signal, onProgresso = () => {} } = {}) {
+    const validados = [];
+    
+    for (const registro of registros) {
+      validados.push(await LoteDestinatarios.validarRegistro(registro, api, signal));
+      onProgresso(validados.length, registros.length);
+    }
+    
+    return validados;
+  }
+  
+  /**
+   * Confere um registro com os dados do CEP.
+   * status: "ok", "enriquecido" (campos preenchidos), "divergente" ou "erro"
+   */
+  static async validarRegistro(registro, api, signal) {
+    const resultado = { ...registro, status: 'ok', mensagens: [] };
+    
+    if (!resultado.nome) {
+      return { ...resultado, status: 'erro', mensagens: [I18n.t('lote.nomeAusente')] };
+    }
+    
+    let dadosCEP;
+    try {
+      dadosCEP = await api.buscarCEP(resultado.cep, { signal });
+    } catch (error) {
+      if (Utils.isAbortError(error)) throw error;
+      return { ...resultado, status: 'erro', mensagens: [error.message] };
+    }
+    
+    resultado.cep = dadosCEP.cep;
+    
+    // Preenche campos vazios com os dados do CEP
+    const preenchimentos = {
+      endereco: dadosCEP.logradouro,
+      bairro: dadosCEP.bairro,
+      cidade: dadosCEP.localidade,
+      uf: dadosCEP.uf
+    };
+    
+    Object.entries(preenchimentos).forEach(([campo, valor]) => {
+      if (!resultado[campo] && valor) {
+        resultado[campo] = valor;
+        resultado.status = 'enriquecido';
+      }
+    });
+    
+    // Divergências entre o que foi digitado e o CEP
+    const divergencias = [];
+    const chave = Municipios.chave;
+    
+    if (dadosCEP.uf && resultado.uf !== dadosCEP.uf) {
+      divergencias.push(I18n.t('lote.ufDifere', { uf: dadosCEP.uf }));
+    }
+    
+    if (dadosCEP.localidade && chave(resultado.cidade) !== chave(dadosCEP.localidade)) {
+      divergencias.push(I18n.t('lote.cidadeDifere', { cidade: dadosCEP.localidade }));
+    }
+    
+    const logradouroDigitado = chave(resultado.endereco);
+    const logradouroCEP = chave(dadosCEP.logradouro);
+    if (logradouroCEP && !logradouroDigitado.includes(logradouroCEP) && !logradouroCEP.includes(logradouroDigitado)) {
+      divergencias.push(I18n.t('lote.logradouroDifere', { logradouro: dadosCEP.logradouro }));
+    }
+    
+    if (!resultado.numero) {
+      divergencias.push(I18n.t('lote.numeroAusente'));
+    }
+    
+    if (divergencias.length > 0) {
+      resultado.status = 'divergente';
+      resultado.mensagens = divergencias;
+    } else if (resultado.status === 'enriquecido') {
+      resultado.mensagens = [I18n.t('lote.completado')];
+    }
+    
+    return resultado;
+  }
+}
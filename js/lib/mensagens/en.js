@@ -0,0 +1,463 @@
+// ==========================================
+// MENSAGENS EM INGLÊS
+// ==========================================
+
+/**
+ * Mesmas chaves do catálogo pt-BR
+ */
+export const EN = {
+  // Página
+  'app.titulo': 'Brazilian CEP Lookup & Addresser',
+  'app.nome': 'CEP Lookup & Addresser',
+  'app.descricao': 'A complete tool for looking up CEPs (Brazilian postal codes) and creating address labels in Brazil.',
+  'app.copyright': '© 2024 Brazilian CEP Lookup & Addresser',
+  'app.erroInicializar': 'Error starting the application',
+  'app.erroInesperado': 'An unexpected error occurred',
+  
+  // Navegação
+  'nav.principal': 'Main navigation',
+  'nav.irBusca': 'Go to CEP lookup',
+  'nav.busca': 'Find CEP',
+  'nav.irEnderecador': 'Go to addresser',
+  'nav.enderecador': 'Addresser',
+  'nav.idioma': 'Language',
+  
+  // Apresentação
+  'hero.titulo': 'Look Up CEPs and Create Address Labels',
+  'hero.subtitulo': 'A complete tool for looking up CEPs anywhere in Brazil and creating PDF address labels',
+  
+  // Comuns
+  'geral.selecione': 'Select',
+  'geral.cancelar': 'Cancel',
+  'geral.limpar': 'Clear',
+  'geral.todas': 'All',
+  'geral.todos': 'All',
+  'geral.acoes': 'Actions',
+  
+  // Campos de endereço
+  'campos.cep': 'CEP',
+  'campos.uf': 'State',
+  'campos.cidade': 'City',
+  'campos.logradouro': 'Street',
+  'campos.complemento': 'Address line 2',
+  'campos.documento': 'CPF/CNPJ (tax ID)',
+  'campos.nome': 'Name',
+  'campos.endereco': 'Address',
+  'campos.bairro': 'Neighbourhood',
+  'campos.localidade': 'City',
+  'campos.numero': 'Number',
+  'campos.ibge': 'IBGE',
+  'campos.gia': 'GIA',
+  'campos.ddd': 'Area code',
+  'campos.siafi': 'SIAFI',
+  'campos.provedor': 'Provider',
+  
+  // Erros da consulta
+  'erros.cepInvalido': 'Invalid CEP',
+  'erros.cepNaoEncontrado': 'CEP not found',
+  'erros.tempoEsgotado': 'The server took too long to respond',
+  'erros.conexao': 'Could not connect to the server',
+  'erros.camposLogradouro': 'State, city and street are required',
+  'erros.faixaInvertida': 'The first CEP must be lower than the last one',
+  
+  // Classificação do CEP
+  'cep.capital': 'capital ({cidade})',
+  'cep.interior': 'countryside',
+  'cep.semUF': 'CEP {cep} does not belong to any state',
+  'cep.outraUF': 'CEP {cep} is in {uf}, but the state entered is {informada}',
+  
+  // Tipos de CEP
+  'tiposCEP.logradouro': 'Street',
+  'tiposCEP.grande-usuario': 'Special CEP for a large recipient',
+  'tiposCEP.promocional': 'Promotional CEP',
+  'tiposCEP.unidade-correios': 'Post office',
+  'tiposCEP.caixa-postal-comunitaria': 'Community PO box',
+  
+  // Busca de CEP
+  'busca.titulo': 'CEP Lookup',
+  'busca.descricao': 'Find addresses by CEP, street or city',
+  'busca.abaCEP': 'By CEP',
+  'busca.abaLogradouro': 'By Street',
+  'busca.abaFaixa': 'By CEP Range',
+  'busca.buscarCEP': 'Find CEP',
+  'busca.ajudaCEP': 'Enter the CEP as 00000-000',
+  'busca.exemploCidade': 'E.g. São Paulo',
+  'busca.sugestoesCidades': 'City suggestions',
+  'busca.buscarLogradouro': 'Search by street',
+  'busca.ajudaLogradouro': 'Enter at least 3 letters of the street name',
+  'busca.cepInicial': 'First CEP',
+  'busca.cepFinal': 'Last CEP',
+  'busca.buscarFaixa': 'Search Range',
+  'busca.progressoFaixa': 'Range search progress',
+  'busca.pausar': 'Pause',
+  'busca.retomar': 'Resume',
+  'busca.erroUF': 'Select the state',
+  'busca.erroCidadeCurta': { one: 'Enter at least {n} character of the city', other: 'Enter at least {n} characters of the city' },
+  'busca.erroCidade': 'City not found in {uf}',
+  'busca.erroLogradouroCurto': { one: 'Enter at least {n} character of the street', other: 'Enter at least {n} characters of the street' },
+  'busca.cepInvalido': 'Please enter a valid CEP',
+  'busca.cepsInvalidos': 'Please enter valid CEPs',
+  'busca.erroCEP': 'Error looking up the CEP',
+  'busca.erroLogradouro': 'Error searching by street',
+  'busca.erroFaixa': 'Error searching the CEP range',
+  'busca.faixaCancelada': { one: 'Search cancelled: {n} CEP found', other: 'Search cancelled: {n} CEPs found' },
+  'busca.faixaVazia': 'No CEPs found in the given range',
+  'busca.confirmarFaixa': { one: 'This link asks to search {total} CEP ({de} to {ate}), looked up one at a time. Search now?', other: 'This link asks to search {total} CEPs ({de} to {ate}), looked up one at a time. Search now?' },
+  'busca.faixaConcluida': { one: '{n} CEP found', other: '{n} CEPs found' },
+  'busca.iniciando': 'Starting search...',
+  'busca.progresso': '{processados}/{total} · {encontrados} found · {ausentes} non-existent · {erros} errors · {emCache} from cache',
+  
+  // Resultados
+  'resultado.titulo': 'Search Results',
+  'resultado.camposExportados': 'Exported fields',
+  'resultado.copiarEndereco': 'Copy address',
+  'resultado.copiarLinhas': 'Copy rows',
+  'resultado.vazio': 'Results will appear here',
+  'resultado.nenhum': 'No results found',
+  'resultado.semLogradouro': 'Address not found',
+  'resultado.semCamposExportar': 'Select at least one field to export',
+  'resultado.semCamposCopiar': 'Select at least one field to copy',
+  'resultado.erroExportar': 'Error exporting the results',
+  'resultado.linhasCopiadas': { one: '{n} row copied', other: '{n} rows copied' },
+  'resultado.enderecosCopiados': { one: 'Address copied', other: '{n} addresses copied' },
+  'resultado.erroCopiar': 'Could not copy to the clipboard',
+  
+  // Histórico
+  'historico.titulo': 'History and Favourites',
+  'historico.filtrarCidade': 'Filter by city',
+  'historico.favoritos': 'Favourite CEPs',
+  'historico.dicaFavoritos': 'Use the star on a result to keep it here.',
+  'historico.recentes': 'Recent searches',
+  'historico.guardarPor': 'Keep history for',
+  'historico.naoGuardar': 'Don\'t keep',
+  'historico.dias': { one: '{n} day', other: '{n} days' },
+  'historico.umAno': '1 year',
+  'historico.limpar': 'Clear history',
+  'historico.privacidade': 'History and favourites stay in this browser only and are never sent to a server.',
+  'historico.buscaCEP': 'CEP {cep}',
+  'historico.buscaFaixa': 'Range {de} to {ate}',
+  'historico.guardado': { one: 'History kept for {n} day', other: 'History kept for {n} days' },
+  'historico.desligadoApagado': 'History turned off and cleared',
+  'historico.confirmarLimpar': 'Clear the whole search history in this browser? Favourites are kept.',
+  'historico.apagado': 'History cleared',
+  'historico.desligado': 'History is turned off.',
+  'historico.vazio': 'No searches in the history.',
+  'historico.resumo': { one: '{mostradas} of {n} search', other: '{mostradas} of {n} searches' },
+  'historico.resultados': { one: '{n} result', other: '{n} results' },
+  'historico.refazer': 'Search again: {descricao}',
+  'historico.remover': 'Remove from history',
+  'historico.removerItem': 'Remove {descricao} from history',
+  'historico.mostrarFavorito': 'Show {cep} in the results',
+  
+  // Favoritos
+  'favoritos.marcar': 'Mark {nome} as favourite',
+  'favoritos.remover': 'Remove {nome} from favourites',
+  
+  // Endereçador
+  'enderecador.titulo': 'Addresser',
+  'enderecador.descricao': 'Fill in the details and create PDF address labels',
+  
+  // Agenda
+  'agenda.titulo': 'Address Book',
+  'agenda.buscar': 'Find contact',
+  'agenda.buscarPlaceholder': 'Name, city, CEP or tag',
+  'agenda.marcador': 'Tag',
+  'agenda.somenteFavoritos': 'Favourites only',
+  'agenda.contatosSalvos': 'Saved contacts',
+  'agenda.importar': 'Import CSV or vCard',
+  'agenda.exportarCSV': 'Export CSV',
+  'agenda.exportarVCard': 'Export vCard',
+  'agenda.preenchaNome': 'Fill in the name before saving to the address book',
+  'agenda.salvo': '{nome} saved to the address book',
+  'agenda.atualizado': '{nome} updated in the address book',
+  'agenda.erroSalvar': 'Error saving the contact',
+  'agenda.preenchidoRemetente': '{nome} filled in as sender',
+  'agenda.preenchidoDestinatario': '{nome} filled in as recipient',
+  'agenda.promptMarcadores': 'Comma-separated tags:',
+  'agenda.confirmarRemover': 'Remove {nome} from the address book?',
+  'agenda.importados': { one: '{n} contact imported', other: '{n} contacts imported' },
+  'agenda.erroImportar': 'Error importing the address book',
+  'agenda.vazia': 'The address book is empty',
+  'agenda.nenhumContato': 'No saved contacts. Use "Save to address book" on the sender or the recipient.',
+  'agenda.resumo': { one: '{mostrados} of {n} contact', other: '{mostrados} of {n} contacts' },
+  'agenda.usarRemetente': 'Use {nome} as sender',
+  'agenda.usarDestinatario': 'Use {nome} as recipient',
+  'agenda.remetente': 'Sender',
+  'agenda.destinatario': 'Recipient',
+  'agenda.editarMarcadores': 'Edit tags for {nome}',
+  'agenda.remover': 'Remove {nome}',
+  'agenda.erroNome': 'Enter the contact name',
+  'agenda.erroArquivoVazio': 'No contacts found in the file',
+  
+  // Formulário
+  'form.exemploLogradouro': 'Street, Avenue, etc.',
+  'form.dadosRemetente': 'Sender Details',
+  'form.dadosDestinatario': 'Recipient Details',
+  'form.nomeCompleto': 'Full Name *',
+  'form.ajudaNomeRemetente': 'Sender\'s full name',
+  'form.cepObrigatorio': 'CEP *',
+  'form.digiteCEP': 'Enter the CEP',
+  'form.endereco': 'Address *',
+  'form.numero': 'Number *',
+  'form.ajudaNumero': 'Street number',
+  'form.bairro': 'Neighbourhood *',
+  'form.exemploComplemento': 'Apt, Block, etc.',
+  'form.cidade': 'City *',
+  'form.uf': 'State *',
+  'form.ajudaDocumento': 'Used on the content declaration',
+  'form.salvarRemetente': 'Save sender to address book',
+  'form.salvarDestinatario': 'Save recipient to address book',
+  'form.gerarPDF': 'Create PDF',
+  'form.confirmarLimpar': 'Are you sure you want to clear all fields?',
+  'form.erroNomes': 'Please fill in at least the sender and recipient names',
+  'form.confirmarDivergencia': 'Create the PDF anyway?',
+  'form.pdfGerado': 'PDF created successfully!',
+  'form.erroPDF': 'Error creating the PDF',
+  
+  // Pré-visualização
+  'preview.titulo': 'Label Preview',
+  'preview.preenchaRemetente': 'Fill in the sender details',
+  'preview.preenchaDestinatario': 'Fill in the recipient details',
+  
+  // Impressão
+  'impressao.titulo': 'Printing',
+  'impressao.modelo': 'Label template',
+  'impressao.inicio': 'Start at label',
+  'impressao.ajudaInicio': 'To reuse partly used sheets',
+  'impressao.codigos': 'Postal barcodes',
+  'impressao.cepnet': 'CEPNet barcode for the destination CEP',
+  'impressao.datamatrix': 'DataMatrix in the Correios layout',
+  'impressao.modoPostal': 'Postal mode: addresses in capitals',
+  'impressao.idiomaRotulo': 'Label language',
+  'impressao.ajudaIdiomaRotulo': 'Headings and date printed on the PDF; addresses are not translated',
+  'impressao.remetente': 'Sender',
+  'impressao.canto': 'Top left corner',
+  'impressao.aba': 'Flap, on the back (next page)',
+  'impressao.destinatario': 'Recipient',
+  'impressao.area': 'Recipient area',
+  'impressao.janela': 'Envelope window',
+  'impressao.retrato': 'Envelope is fed upright into the printer',
+  'impressao.ajudaRetrato': 'Rotates the content on the page',
+  'impressao.impressora': 'Printer',
+  'impressao.padrao': 'Default',
+  'impressao.ajusteX': 'X offset (mm)',
+  'impressao.ajusteY': 'Y offset (mm)',
+  'impressao.ajudaCalibracao': 'Positive values move the print right (X) and down (Y). Saved in this browser for each printer.',
+  'impressao.ajudaEnvelope': 'Printed straight onto the {largura} × {altura} mm envelope, landscape',
+  'impressao.ajudaUnica': 'One {largura} × {altura} mm label per page',
+  'impressao.ajudaGrade': '{colunas} columns × {linhas} rows; labels numbered left to right, top to bottom',
+  
+  // Modelos de etiqueta
+  'modelos.a4-padrao': 'A4 — full sheet (sender and recipient)',
+  'modelos.pimaco-6180': 'Pimaco 6180 — Letter, 30 labels (25.4 × 66.7 mm)',
+  'modelos.pimaco-6181': 'Pimaco 6181 — Letter, 20 labels (25.4 × 101.6 mm)',
+  'modelos.pimaco-6182': 'Pimaco 6182 — Letter, 14 labels (33.9 × 101.6 mm)',
+  'modelos.a4-3x7': 'A4 3 × 7 — 21 labels (38.1 × 63.5 mm)',
+  'modelos.termica-10x15': 'Thermal 10 × 15 cm (sender and recipient)',
+  'modelos.envelope-dl': 'DL envelope (110 × 220 mm)',
+  'modelos.envelope-c6': 'C6 envelope (114 × 162 mm)',
+  'modelos.envelope-c5': 'C5 envelope (162 × 229 mm)',
+  'modelos.envelope-c4': 'C4 envelope (229 × 324 mm)',
+  'modelos.envelope-oficio': 'Ofício envelope (114 × 229 mm)',
+  
+  // Rótulo em PDF
+  'rotulo.remetente': 'SENDER',
+  'rotulo.destinatario': 'RECIPIENT',
+  'rotulo.geradoEm': 'Created on: {data}',
+  
+  // Declaração de conteúdo
+  'declaracao.titulo': 'Content Declaration',
+  'declaracao.ajuda': 'Required for shipments without an invoice. Sender and recipient come from the fields above.',
+  'declaracao.conteudo': 'Contents',
+  'declaracao.quantidade': 'Quantity',
+  'declaracao.valorUnitario': 'Unit value (R$)',
+  'declaracao.pesoUnitario': 'Unit weight (kg)',
+  'declaracao.totais': 'Totals',
+  'declaracao.adicionarItem': 'Add item',
+  'declaracao.gerarSo': 'Create declaration only',
+  'declaracao.incluir': 'Include the declaration in the label PDF',
+  'declaracao.campoItem': '{campo} of item {n}',
+  'declaracao.removerItem': 'Remove item',
+  'declaracao.removerItemN': 'Remove item {n}',
+  'declaracao.gerada': 'Declaration created successfully!',
+  'declaracao.erroGerar': 'Error creating the declaration',
+  'declaracao.erroNomeRemetente': 'Enter the sender name',
+  'declaracao.erroNomeDestinatario': 'Enter the recipient name',
+  'declaracao.erroDocumentoRemetente': 'Invalid sender CPF/CNPJ',
+  'declaracao.erroDocumentoDestinatario': 'Invalid recipient CPF/CNPJ',
+  'declaracao.erroSemItens': 'Add at least one item to the declaration',
+  'declaracao.erroDescricao': 'Item {n}: enter the description',
+  'declaracao.erroQuantidade': 'Item {n}: the quantity must be greater than zero',
+  'declaracao.erroNegativo': 'Item {n}: negative values',
+  
+  // Frete e prazo
+  'frete.titulo': 'Shipping and Delivery Time',
+  'frete.ajuda': 'Estimated with the tables below from the sender and recipient CEPs and cities. The quote appears next to the preview.',
+  'frete.peso': 'Weight (kg)',
+  'frete.altura': 'Height (cm)',
+  'frete.largura': 'Width (cm)',
+  'frete.comprimento': 'Length (cm)',
+  'frete.imprimir': 'Print the chosen service, price and delivery time on the label',
+  'frete.editarTabelas': 'Edit price and delivery-time tables (JSON)',
+  'frete.tabelasJSON': 'Shipping tables in JSON',
+  'frete.salvarTabelas': 'Save tables',
+  'frete.restaurar': 'Restore defaults',
+  'frete.estimado': 'Estimated shipping',
+  'frete.informe': 'Enter the CEPs and the package weight',
+  'frete.servicos': 'Delivery services',
+  'frete.rota.local': 'Local (same city)',
+  'frete.rota.estadual': 'Within the state',
+  'frete.rota.capitais': 'Between state capitals',
+  'frete.rota.interior': 'Interstate between capital and countryside',
+  'frete.rota.interiores': 'Interstate between countryside cities',
+  'frete.capital': 'capital',
+  'frete.erroCEPs': 'Enter valid sender and recipient CEPs',
+  'frete.erroPeso': 'Enter the package weight',
+  'frete.acimaPeso': 'Over the maximum weight ({peso} kg)',
+  'frete.ladoMaximo': 'One side is longer than {cm} cm',
+  'frete.somaMaxima': 'The dimensions add up to more than {cm} cm',
+  'frete.naoAtende': 'Not available on this route',
+  'frete.tabelaObjeto': 'The tables must be an object with one service per key',
+  'frete.tabelaVazia': 'No services in the tables',
+  'frete.tabelaPesos': '{servico}: "pesos" must be an ascending list of positive numbers',
+  'frete.tabelaPrecos': '{servico}: "precos.{rota}" must have one value per weight band',
+  'frete.tabelaDivisor': '{servico}: "divisorCubico" must be greater than zero',
+  'frete.semPrazo': 'no delivery time given',
+  'frete.prazo': { one: '{n} business day', other: '{n} business days' },
+  'frete.pesoCubico': 'volumetric weight {peso}',
+  'frete.jsonInvalido': 'Invalid JSON: {detalhe}',
+  'frete.tabelasSalvas': 'Shipping tables saved',
+  'frete.confirmarRestaurar': 'Go back to the default shipping tables? Your changes will be lost.',
+  
+  // Código de rastreio
+  'rastreio.titulo': 'Tracking Code',
+  'rastreio.codigo': 'Item code',
+  'rastreio.ajuda': 'Optional: printed as Code128 on the label. Two service letters, 8 digits, check digit and BR',
+  'rastreio.proximo': 'Use the next code in the range',
+  'rastreio.faixaTitulo': 'Purchased label range',
+  'rastreio.faixaInicial': 'First code',
+  'rastreio.faixaFinal': 'Last code',
+  'rastreio.faixaAjuda': 'With or without the check digit, as purchased. Each code used advances the range, saved in this browser.',
+  'rastreio.salvarFaixa': 'Save range',
+  'rastreio.formato': 'The code must have 13 characters, like AA123456789BR',
+  'rastreio.prefixo': 'The code must start with the two service letters',
+  'rastreio.serie': 'The letters must be followed by 9 digits (serial and check digit)',
+  'rastreio.digito': 'Wrong check digit: for this serial it should be {esperado}',
+  'rastreio.sufixo': 'The code must end with the country code, like BR',
+  'rastreio.pais': 'The code must end in {pais}, not {sufixo}',
+  'rastreio.invalido': 'Invalid tracking code: {detalhe}',
+  'rastreio.faixaInvalida': 'Enter the first and last codes of the range, like AA12345678BR',
+  'rastreio.faixaPrefixos': 'The first and last codes must have the same service and country letters',
+  'rastreio.faixaOrdem': 'The last code must come after the first, in a range of up to {maximo} codes',
+  'rastreio.faixaSalva': { one: 'Range saved: {n} code available', other: 'Range saved: {n} codes available' },
+  'rastreio.nenhumaFaixa': 'No range saved',
+  'rastreio.semFaixa': 'Save the purchased label range first',
+  'rastreio.faixaEsgotada': 'Range used up: save a new range',
+  'rastreio.restantes': { one: '{n} code left · next: {codigo}', other: '{n} codes left · next: {codigo}' },
+  
+  // Fila de envios
+  'fila.titulo': 'Shipment Queue',
+  'fila.descricao': 'Use "Add to queue" to keep each recipient and print all the labels at once, in the chosen layout. The queue is saved in this browser.',
+  'fila.comRemetente': 'Also keep the sender (without it, the sender in the form is used when printing)',
+  'fila.envios': 'Queued shipments',
+  'fila.adicionar': 'Add to queue',
+  'fila.atualizar': 'Update in queue',
+  'fila.limpar': 'Empty queue',
+  'fila.imprimir': 'Print queue',
+  'fila.vazia': 'The queue is empty',
+  'fila.resumo': { one: '{n} shipment in the queue', other: '{n} shipments in the queue' },
+  'fila.resumoDuplicados': { one: '{n} duplicate', other: '{n} duplicates' },
+  'fila.duplicado': 'Duplicate',
+  'fila.de': 'Sender: {nome}',
+  'fila.erroDestinatario': 'Fill in the recipient name to add to the queue',
+  'fila.erroRemetente': 'Fill in the sender name or uncheck "Also keep the sender"',
+  'fila.confirmarDuplicado': '{nome} is already in the queue (position {posicao}) with the same CEP and number. Add anyway?',
+  'fila.adicionado': { one: '{nome} added to the queue ({n} shipment)', other: '{nome} added to the queue ({n} shipments)' },
+  'fila.atualizado': '{nome} updated in the queue',
+  'fila.subir': 'Move {nome} up',
+  'fila.descer': 'Move {nome} down',
+  'fila.editar': 'Edit {nome}',
+  'fila.cancelarEdicao': 'Cancel editing',
+  'fila.remover': 'Remove {nome} from the queue',
+  'fila.confirmarRemover': 'Remove {nome} from the queue?',
+  'fila.confirmarLimpar': { one: 'Remove the shipment from the queue?', other: 'Remove all {n} shipments from the queue?' },
+  'fila.semRemetente': 'Fill in the sender in the form: some queued shipments have no sender of their own',
+  'fila.pdfGerado': { one: 'PDF created with {n} label', other: 'PDF created with {n} labels' },
+  
+  // Rótulos em lote
+  'lote.titulo': 'Batch Labels',
+  'lote.descricao': 'Import a CSV or XLSX spreadsheet of recipients. Every label uses the sender filled in above.',
+  'lote.planilha': 'Recipient spreadsheet',
+  'lote.ajudaPlanilha': 'The first row must contain the column names',
+  'lote.mapeamento': 'Column mapping',
+  'lote.validar': 'Check addresses',
+  'lote.revisao': 'Review',
+  'lote.incluir': 'Include',
+  'lote.linha': 'Row',
+  'lote.cidadeUF': 'City/State',
+  'lote.status': 'Status',
+  'lote.observacoes': 'Notes',
+  'lote.gerarPDF': 'Create batch PDF',
+  'lote.erroLer': 'Could not read the spreadsheet',
+  'lote.planilhaVazia': 'The spreadsheet has no recipients',
+  'lote.linhasLidas': { one: '{n} row read', other: '{n} rows read' },
+  'lote.naoImportar': '(do not import)',
+  'lote.associeColuna': 'Choose a column for: {campos}',
+  'lote.validando': 'Checking {feitos}/{total}...',
+  'lote.erroValidar': 'Error checking the recipients',
+  'lote.incluirLinha': 'Include row {linha}',
+  'lote.status.ok': 'OK',
+  'lote.status.enriquecido': 'Completed',
+  'lote.status.divergente': 'Mismatch',
+  'lote.status.erro': 'Error',
+  'lote.resumo': { one: '{n} recipient · {validos} valid · {divergentes} mismatched · {erros} with errors · {incluidos} selected for the PDF', other: '{n} recipients · {validos} valid · {divergentes} mismatched · {erros} with errors · {incluidos} selected for the PDF' },
+  'lote.semRemetente': 'Fill in the sender details in the Addresser',
+  'lote.nenhumSelecionado': 'No recipients selected',
+  'lote.pdfGerado': { one: 'PDF created with {n} label', other: 'PDF created with {n} labels' },
+  'lote.nomeAusente': 'Missing name',
+  'lote.ufDifere': 'State differs from the CEP ({uf})',
+  'lote.cidadeDifere': 'City differs from the CEP ({cidade})',
+  'lote.logradouroDifere': 'Street differs from the CEP ({logradouro})',
+  'lote.numeroAusente': 'Missing number',
+  'lote.completado': 'Address completed from the CEP',
+  
+  // Links e compartilhamento
+  'navegacao.compartilharTitulo': 'Copies a link that opens the Addresser already filled in',
+  'navegacao.compartilhar': 'Share',
+  'navegacao.preencha': 'Fill in the sender or the recipient before sharing',
+  'navegacao.tituloCompartilhar': 'Address label',
+  'navegacao.linkCopiado': 'Label link copied',
+  'navegacao.erroGerarLink': 'Could not create the link',
+  'navegacao.linkCorrompido': 'The label link is incomplete or corrupted',
+  'navegacao.erroComprimido': 'This browser cannot open compressed links',
+  'navegacao.erroFormato': 'Unknown format',
+  'navegacao.erroLink': 'Invalid Addresser link: {detalhe}',
+  
+  // Conexão e fila offline
+  'offline.novaVersao': 'A new version is available.',
+  'offline.atualizar': 'Update',
+  'offline.online': 'Online',
+  'offline.offline': 'Offline',
+  'offline.naFila': { one: '{n} lookup queued', other: '{n} lookups queued' },
+  'offline.conectado': 'Connected',
+  'offline.semConexao': 'Offline: CEPs already looked up are still available and new ones are looked up when the connection returns',
+  'offline.enfileirado': 'Offline: CEP {cep} will be looked up when the connection returns',
+  'offline.consultado': 'CEP {cep} looked up',
+  
+  // Cache
+  'cache.carregando': 'Cache: loading...',
+  'cache.exportar': 'Export cache',
+  'cache.importar': 'Import cache',
+  'cache.resumo': { one: 'Cache: {n} saved lookup', other: 'Cache: {n} saved lookups' },
+  'cache.acertos': '{taxa}% hit rate ({hits}/{consultas})',
+  'cache.erroExportar': 'Error exporting the cache',
+  'cache.erroImportar': 'Error importing the cache',
+  'cache.importadas': { one: '{n} lookup imported into the cache', other: '{n} lookups imported into the cache' },
+  'cache.arquivoInvalido': 'Invalid cache file',
+  
+  // Rodapé
+  'rodape.recursos': 'Features',
+  'rodape.busca': 'CEP Lookup',
+  'rodape.dados': 'Data',
+  'rodape.fontes': 'Data provided by ViaCEP, BrasilAPI, OpenCEP and Postmon'
+};
@@ -0,0 +1,463 @@
+// ==========================================
+// MENSAGENS EM ESPANHOL
+// ==========================================
+
+/**
+ * Mesmas chaves do catálogo pt-BR, em espanhol neutro (América Latina)
+ */
+export const ES = {
+  // Página
+  'app.titulo': 'Buscador de CEP y Etiquetador Brasileño',
+  'app.nome': 'Buscador de CEP y Etiquetador',
+  'app.descricao': 'Herramienta completa para consultar CEP (códigos postales de Brasil) y generar etiquetas de dirección en Brasil.',
+  'app.copyright': '© 2024 Buscador de CEP y Etiquetador Brasileño',
+  'app.erroInicializar': 'Error al iniciar la aplicación',
+  'app.erroInesperado': 'Ocurrió un error inesperado',
+  
+  // Navegação
+  'nav.principal': 'Navegación principal',
+  'nav.irBusca': 'Ir a la búsqueda de CEP',
+  'nav.busca': 'Buscar CEP',
+  'nav.irEnderecador': 'Ir al etiquetador',
+  'nav.enderecador': 'Etiquetador',
+  'nav.idioma': 'Idioma',
+  
+  // Apresentação
+  'hero.titulo': 'Consulte CEP y Genere Etiquetas de Dirección',
+  'hero.subtitulo': 'Herramienta completa para buscar CEP en todo Brasil y generar etiquetas de dirección en PDF',
+  
+  // Comuns
+  'geral.selecione': 'Seleccione',
+  'geral.cancelar': 'Cancelar',
+  'geral.limpar': 'Limpiar',
+  'geral.todas': 'Todas',
+  'geral.todos': 'Todos',
+  'geral.acoes': 'Acciones',
+  
+  // Campos de endereço
+  'campos.cep': 'CEP',
+  'campos.uf': 'Estado',
+  'campos.cidade': 'Ciudad',
+  'campos.logradouro': 'Calle',
+  'campos.complemento': 'Complemento',
+  'campos.documento': 'CPF/CNPJ (identificación fiscal)',
+  'campos.nome': 'Nombre',
+  'campos.endereco': 'Dirección',
+  'campos.bairro': 'Barrio',
+  'campos.localidade': 'Ciudad',
+  'campos.numero': 'Número',
+  'campos.ibge': 'IBGE',
+  'campos.gia': 'GIA',
+  'campos.ddd': 'Código de área',
+  'campos.siafi': 'SIAFI',
+  'campos.provedor': 'Proveedor',
+  
+  // Erros da consulta
+  'erros.cepInvalido': 'CEP inválido',
+  'erros.cepNaoEncontrado': 'CEP no encontrado',
+  'erros.tempoEsgotado': 'Se agotó el tiempo de respuesta',
+  'erros.conexao': 'Error de conexión con el servidor',
+  'erros.camposLogradouro': 'Estado, ciudad y calle son obligatorios',
+  'erros.faixaInvertida': 'El CEP inicial debe ser menor que el final',
+  
+  // Classificação do CEP
+  'cep.capital': 'capital ({cidade})',
+  'cep.interior': 'interior',
+  'cep.semUF': 'El CEP {cep} no pertenece a ningún estado',
+  'cep.outraUF': 'El CEP {cep} es de {uf}, pero el estado indicado es {informada}',
+  
+  // Tipos de CEP
+  'tiposCEP.logradouro': 'Calle',
+  'tiposCEP.grande-usuario': 'CEP especial de gran usuario',
+  'tiposCEP.promocional': 'CEP promocional',
+  'tiposCEP.unidade-correios': 'Oficina de Correios',
+  'tiposCEP.caixa-postal-comunitaria': 'Casilla postal comunitaria',
+  
+  // Busca de CEP
+  'busca.titulo': 'Búsqueda de CEP',
+  'busca.descricao': 'Encuentre direcciones por CEP, calle o localidad',
+  'busca.abaCEP': 'Por CEP',
+  'busca.abaLogradouro': 'Por Calle',
+  'busca.abaFaixa': 'Por Rango de CEP',
+  'busca.buscarCEP': 'Buscar CEP',
+  'busca.ajudaCEP': 'Escriba el CEP con el formato 00000-000',
+  'busca.exemploCidade': 'Ej.: São Paulo',
+  'busca.sugestoesCidades': 'Sugerencias de ciudades',
+  'busca.buscarLogradouro': 'Buscar por calle',
+  'busca.ajudaLogradouro': 'Escriba al menos 3 letras del nombre de la calle',
+  'busca.cepInicial': 'CEP Inicial',
+  'busca.cepFinal': 'CEP Final',
+  'busca.buscarFaixa': 'Buscar Rango',
+  'busca.progressoFaixa': 'Progreso de la búsqueda por rango',
+  'busca.pausar': 'Pausar',
+  'busca.retomar': 'Reanudar',
+  'busca.erroUF': 'Seleccione el estado',
+  'busca.erroCidadeCurta': { one: 'Escriba al menos {n} carácter de la ciudad', other: 'Escriba al menos {n} caracteres de la ciudad' },
+  'busca.erroCidade': 'Ciudad no encontrada en {uf}',
+  'busca.erroLogradouroCurto': { one: 'Escriba al menos {n} carácter de la calle', other: 'Escriba al menos {n} caracteres de la calle' },
+  'busca.cepInvalido': 'Por favor, escriba un CEP válido',
+  'busca.cepsInvalidos': 'Por favor, escriba CEP válidos',
+  'busca.erroCEP': 'Error al buscar el CEP',
+  'busca.erroLogradouro': 'Error al buscar la calle',
+  'busca.erroFaixa': 'Error al buscar el rango de CEP',
+  'busca.faixaCancelada': { one: 'Búsqueda cancelada: {n} CEP encontrado', other: 'Búsqueda cancelada: {n} CEP encontrados' },
+  'busca.faixaVazia': 'No se encontró ningún CEP en el rango indicado',
+  'busca.confirmarFaixa': { one: 'Este enlace pide buscar {total} CEP ({de} a {ate}), consultado uno por uno. ¿Buscar ahora?', other: 'Este enlace pide buscar {total} CEP ({de} a {ate}), consultados uno por uno. ¿Buscar ahora?' },
+  'busca.faixaConcluida': { one: '{n} CEP encontrado', other: '{n} CEP encontrados' },
+  'busca.iniciando': 'Iniciando búsqueda...',
+  'busca.progresso': '{processados}/{total} · {encontrados} encontrados · {ausentes} inexistentes · {erros} errores · {emCache} de la caché',
+  
+  // Resultados
+  'resultado.titulo': 'Resultados de la Búsqueda',
+  'resultado.camposExportados': 'Campos exportados',
+  'resultado.copiarEndereco': 'Copiar dirección',
+  'resultado.copiarLinhas': 'Copiar filas',
+  'resultado.vazio': 'Los resultados aparecerán aquí',
+  'resultado.nenhum': 'No se encontraron resultados',
+  'resultado.semLogradouro': 'Dirección no encontrada',
+  'resultado.semCamposExportar': 'Seleccione al menos un campo para exportar',
+  'resultado.semCamposCopiar': 'Seleccione al menos un campo para copiar',
+  'resultado.erroExportar': 'Error al exportar los resultados',
+  'resultado.linhasCopiadas': { one: '{n} fila copiada', other: '{n} filas copiadas' },
+  'resultado.enderecosCopiados': { one: 'Dirección copiada', other: '{n} direcciones copiadas' },
+  'resultado.erroCopiar': 'No se pudo copiar al portapapeles',
+  
+  // Histórico
+  'historico.titulo': 'Historial y Favoritos',
+  'historico.filtrarCidade': 'Filtrar por ciudad',
+  'historico.favoritos': 'CEP favoritos',
+  'historico.dicaFavoritos': 'Use la estrella de un resultado para guardarlo aquí.',
+  'historico.recentes': 'Búsquedas recientes',
+  'historico.guardarPor': 'Guardar historial durante',
+  'historico.naoGuardar': 'No guardar',
+  'historico.dias': { one: '{n} día', other: '{n} días' },
+  'historico.umAno': '1 año',
+  'historico.limpar': 'Borrar historial',
+  'historico.privacidade': 'El historial y los favoritos se quedan solo en este navegador y no se envían a ningún servidor.',
+  'historico.buscaCEP': 'CEP {cep}',
+  'historico.buscaFaixa': 'Rango {de} a {ate}',
+  'historico.guardado': { one: 'Historial guardado durante {n} día', other: 'Historial guardado durante {n} días' },
+  'historico.desligadoApagado': 'Historial desactivado y borrado',
+  'historico.confirmarLimpar': '¿Borrar todo el historial de búsquedas de este navegador? Los favoritos se mantienen.',
+  'historico.apagado': 'Historial borrado',
+  'historico.desligado': 'El historial está desactivado.',
+  'historico.vazio': 'No hay búsquedas en el historial.',
+  'historico.resumo': { one: '{mostradas} de {n} búsqueda', other: '{mostradas} de {n} búsquedas' },
+  'historico.resultados': { one: '{n} resultado', other: '{n} resultados' },
+  'historico.refazer': 'Buscar de nuevo: {descricao}',
+  'historico.remover': 'Quitar del historial',
+  'historico.removerItem': 'Quitar {descricao} del historial',
+  'historico.mostrarFavorito': 'Mostrar {cep} en los resultados',
+  
+  // Favoritos
+  'favoritos.marcar': 'Marcar {nome} como favorito',
+  'favoritos.remover': 'Quitar {nome} de favoritos',
+  
+  // Endereçador
+  'enderecador.titulo': 'Etiquetador',
+  'enderecador.descricao': 'Complete los datos y genere etiquetas de dirección en PDF',
+  
+  // Agenda
+  'agenda.titulo': 'Libreta de Direcciones',
+  'agenda.buscar': 'Buscar contacto',
+  'agenda.buscarPlaceholder': 'Nombre, ciudad, CEP o etiqueta',
+  'agenda.marcador': 'Etiqueta',
+  'agenda.somenteFavoritos': 'Solo favoritos',
+  'agenda.contatosSalvos': 'Contactos guardados',
+  'agenda.importar': 'Importar CSV o vCard',
+  'agenda.exportarCSV': 'Exportar CSV',
+  'agenda.exportarVCard': 'Exportar vCard',
+  'agenda.preenchaNome': 'Complete el nombre antes de guardar en la libreta',
+  'agenda.salvo': '{nome} guardado en la libreta',
+  'agenda.atualizado': '{nome} actualizado en la libreta',
+  'agenda.erroSalvar': 'Error al guardar el contacto',
+  'agenda.preenchidoRemetente': '{nome} completado como remitente',
+  'agenda.preenchidoDestinatario': '{nome} completado como destinatario',
+  'agenda.promptMarcadores': 'Etiquetas separadas por comas:',
+  'agenda.confirmarRemover': '¿Quitar {nome} de la libreta?',
+  'agenda.importados': { one: '{n} contacto importado', other: '{n} contactos importados' },
+  'agenda.erroImportar': 'Error al importar la libreta',
+  'agenda.vazia': 'La libreta está vacía',
+  'agenda.nenhumContato': 'No hay contactos guardados. Use "Guardar en la libreta" en el remitente o el destinatario.',
+  'agenda.resumo': { one: '{mostrados} de {n} contacto', other: '{mostrados} de {n} contactos' },
+  'agenda.usarRemetente': 'Usar {nome} como remitente',
+  'agenda.usarDestinatario': 'Usar {nome} como destinatario',
+  'agenda.remetente': 'Remitente',
+  'agenda.destinatario': 'Destinatario',
+  'agenda.editarMarcadores': 'Editar etiquetas de {nome}',
+  'agenda.remover': 'Quitar {nome}',
+  'agenda.erroNome': 'Indique el nombre del contacto',
+  'agenda.erroArquivoVazio': 'No se encontraron contactos en el archivo',
+  
+  // Formulário
+  'form.exemploLogradouro': 'Calle, Avenida, etc.',
+  'form.dadosRemetente': 'Datos del Remitente',
+  'form.dadosDestinatario': 'Datos del Destinatario',
+  'form.nomeCompleto': 'Nombre Completo *',
+  'form.ajudaNomeRemetente': 'Nombre completo del remitente',
+  'form.cepObrigatorio': 'CEP *',
+  'form.digiteCEP': 'Escriba el CEP',
+  'form.endereco': 'Dirección *',
+  'form.numero': 'Número *',
+  'form.ajudaNumero': 'Número de la dirección',
+  'form.bairro': 'Barrio *',
+  'form.exemploComplemento': 'Depto., Bloque, etc.',
+  'form.cidade': 'Ciudad *',
+  'form.uf': 'Estado *',
+  'form.ajudaDocumento': 'Se usa en la declaración de contenido',
+  'form.salvarRemetente': 'Guardar remitente en la libreta',
+  'form.salvarDestinatario': 'Guardar destinatario en la libreta',
+  'form.gerarPDF': 'Generar PDF',
+  'form.confirmarLimpar': '¿Seguro que desea limpiar todos los campos?',
+  'form.erroNomes': 'Por favor, complete al menos los nombres del remitente y del destinatario',
+  'form.confirmarDivergencia': '¿Generar el PDF de todos modos?',
+  'form.pdfGerado': '¡PDF generado con éxito!',
+  'form.erroPDF': 'Error al generar el PDF',
+  
+  // Pré-visualização
+  'preview.titulo': 'Vista Previa de la Etiqueta',
+  'preview.preenchaRemetente': 'Complete los datos del remitente',
+  'preview.preenchaDestinatario': 'Complete los datos del destinatario',
+  
+  // Impressão
+  'impressao.titulo': 'Impresión',
+  'impressao.modelo': 'Modelo de etiqueta',
+  'impressao.inicio': 'Empezar en la etiqueta',
+  'impressao.ajudaInicio': 'Para reutilizar hojas ya usadas',
+  'impressao.codigos': 'Códigos postales',
+  'impressao.cepnet': 'CEPNet del CEP de destino',
+  'impressao.datamatrix': 'DataMatrix con el formato de Correios',
+  'impressao.modoPostal': 'Modo postal: direcciones en mayúsculas',
+  'impressao.idiomaRotulo': 'Idioma de la etiqueta',
+  'impressao.ajudaIdiomaRotulo': 'Títulos y fecha impresos en el PDF; las direcciones no se traducen',
+  'impressao.remetente': 'Remitente',
+  'impressao.canto': 'Esquina superior izquierda',
+  'impressao.aba': 'Solapa, en el reverso (página siguiente)',
+  'impressao.destinatario': 'Destinatario',
+  'impressao.area': 'Área del destinatario',
+  'impressao.janela': 'Ventana del sobre',
+  'impressao.retrato': 'El sobre entra en vertical en la impresora',
+  'impressao.ajudaRetrato': 'Gira el contenido en la página',
+  'impressao.impressora': 'Impresora',
+  'impressao.padrao': 'Predeterminada',
+  'impressao.ajusteX': 'Ajuste X (mm)',
+  'impressao.ajusteY': 'Ajuste Y (mm)',
+  'impressao.ajudaCalibracao': 'Los valores positivos mueven la impresión a la derecha (X) y hacia abajo (Y). Se guarda en este navegador para cada impresora.',
+  'impressao.ajudaEnvelope': 'Impresión directa en el sobre de {largura} × {altura} mm, apaisado',
+  'impressao.ajudaUnica': 'Una etiqueta de {largura} × {altura} mm por página',
+  'impressao.ajudaGrade': '{colunas} columnas × {linhas} filas; etiquetas numeradas de izquierda a derecha, de arriba abajo',
+  
+  // Modelos de etiqueta
+  'modelos.a4-padrao': 'A4 — hoja entera (remitente y destinatario)',
+  'modelos.pimaco-6180': 'Pimaco 6180 — Carta, 30 etiquetas (25,4 × 66,7 mm)',
+  'modelos.pimaco-6181': 'Pimaco 6181 — Carta, 20 etiquetas (25,4 × 101,6 mm)',
+  'modelos.pimaco-6182': 'Pimaco 6182 — Carta, 14 etiquetas (33,9 × 101,6 mm)',
+  'modelos.a4-3x7': 'A4 3 × 7 — 21 etiquetas (38,1 × 63,5 mm)',
+  'modelos.termica-10x15': 'Térmica 10 × 15 cm (remitente y destinatario)',
+  'modelos.envelope-dl': 'Sobre DL (110 × 220 mm)',
+  'modelos.envelope-c6': 'Sobre C6 (114 × 162 mm)',
+  'modelos.envelope-c5': 'Sobre C5 (162 × 229 mm)',
+  'modelos.envelope-c4': 'Sobre C4 (229 × 324 mm)',
+  'modelos.envelope-oficio': 'Sobre oficio (114 × 229 mm)',
+  
+  // Rótulo em PDF
+  'rotulo.remetente': 'REMITENTE',
+  'rotulo.destinatario': 'DESTINATARIO',
+  'rotulo.geradoEm': 'Generado el: {data}',
+  
+  // Declaração de conteúdo
+  'declaracao.titulo': 'Declaración de Contenido',
+  'declaracao.ajuda': 'Obligatoria en los envíos sin factura. El remitente y el destinatario vienen de los campos de arriba.',
+  'declaracao.conteudo': 'Contenido',
+  'declaracao.quantidade': 'Cantidad',
+  'declaracao.valorUnitario': 'Valor unitario (R$)',
+  'declaracao.pesoUnitario': 'Peso unitario (kg)',
+  'declaracao.totais': 'Totales',
+  'declaracao.adicionarItem': 'Agregar ítem',
+  'declaracao.gerarSo': 'Generar solo la declaración',
+  'declaracao.incluir': 'Incluir la declaración en el PDF de la etiqueta',
+  'declaracao.campoItem': '{campo} del ítem {n}',
+  'declaracao.removerItem': 'Quitar ítem',
+  'declaracao.removerItemN': 'Quitar ítem {n}',
+  'declaracao.gerada': '¡Declaración generada con éxito!',
+  'declaracao.erroGerar': 'Error al generar la declaración',
+  'declaracao.erroNomeRemetente': 'Indique el nombre del remitente',
+  'declaracao.erroNomeDestinatario': 'Indique el nombre del destinatario',
+  'declaracao.erroDocumentoRemetente': 'CPF/CNPJ del remitente inválido',
+  'declaracao.erroDocumentoDestinatario': 'CPF/CNPJ del destinatario inválido',
+  'declaracao.erroSemItens': 'Agregue al menos un ítem a la declaración',
+  'declaracao.erroDescricao': 'Ítem {n}: indique la descripción',
+  'declaracao.erroQuantidade': 'Ítem {n}: la cantidad debe ser mayor que cero',
+  'declaracao.erroNegativo': 'Ítem {n}: valores negativos',
+  
+  // Frete e prazo
+  'frete.titulo': 'Envío y Plazo',
+  'frete.ajuda': 'Estimación con las tablas de abajo a partir de los CEP y ciudades del remitente y del destinatario. La cotización aparece junto a la vista previa.',
+  'frete.peso': 'Peso (kg)',
+  'frete.altura': 'Alto (cm)',
+  'frete.largura': 'Ancho (cm)',
+  'frete.comprimento': 'Largo (cm)',
+  'frete.imprimir': 'Imprimir el servicio elegido, el valor y el plazo en la etiqueta',
+  'frete.editarTabelas': 'Editar tablas de precio y plazo (JSON)',
+  'frete.tabelasJSON': 'Tablas de envío en JSON',
+  'frete.salvarTabelas': 'Guardar tablas',
+  'frete.restaurar': 'Restaurar predeterminadas',
+  'frete.estimado': 'Envío estimado',
+  'frete.informe': 'Indique los CEP y el peso del paquete',
+  'frete.servicos': 'Servicios de entrega',
+  'frete.rota.local': 'Local (misma ciudad)',
+  'frete.rota.estadual': 'Estatal (mismo estado)',
+  'frete.rota.capitais': 'Entre capitales',
+  'frete.rota.interior': 'Interestatal entre capital e interior',
+  'frete.rota.interiores': 'Interestatal entre ciudades del interior',
+  'frete.capital': 'capital',
+  'frete.erroCEPs': 'Indique CEP válidos del remitente y del destinatario',
+  'frete.erroPeso': 'Indique el peso del paquete',
+  'frete.acimaPeso': 'Supera el peso máximo ({peso} kg)',
+  'frete.ladoMaximo': 'Un lado supera los {cm} cm',
+  'frete.somaMaxima': 'La suma de las dimensiones supera los {cm} cm',
+  'frete.naoAtende': 'No atiende esta ruta',
+  'frete.tabelaObjeto': 'Las tablas deben ser un objeto con un servicio por clave',
+  'frete.tabelaVazia': 'No hay servicios en las tablas',
+  'frete.tabelaPesos': '{servico}: "pesos" debe ser una lista creciente de números positivos',
+  'frete.tabelaPrecos': '{servico}: "precos.{rota}" debe tener un valor por cada rango de peso',
+  'frete.tabelaDivisor': '{servico}: "divisorCubico" debe ser mayor que cero',
+  'frete.semPrazo': 'plazo no informado',
+  'frete.prazo': { one: '{n} día hábil', other: '{n} días hábiles' },
+  'frete.pesoCubico': 'peso cúbico {peso}',
+  'frete.jsonInvalido': 'JSON inválido: {detalhe}',
+  'frete.tabelasSalvas': 'Tablas de envío guardadas',
+  'frete.confirmarRestaurar': '¿Volver a las tablas de envío predeterminadas? Los cambios se perderán.',
+  
+  // Código de rastreio
+  'rastreio.titulo': 'Código de Rastreo',
+  'rastreio.codigo': 'Código del objeto',
+  'rastreio.ajuda': 'Opcional: se imprime en Code128 en la etiqueta. Dos letras del servicio, 8 dígitos, dígito verificador y BR',
+  'rastreio.proximo': 'Usar el siguiente código del rango',
+  'rastreio.faixaTitulo': 'Rango de etiquetas compradas',
+  'rastreio.faixaInicial': 'Primer código',
+  'rastreio.faixaFinal': 'Último código',
+  'rastreio.faixaAjuda': 'Con o sin el dígito verificador, como vinieron en la compra. Cada código usado avanza el rango, guardado en este navegador.',
+  'rastreio.salvarFaixa': 'Guardar rango',
+  'rastreio.formato': 'El código debe tener 13 caracteres, como AA123456789BR',
+  'rastreio.prefixo': 'El código debe empezar con las dos letras del servicio',
+  'rastreio.serie': 'Después de las letras deben venir 9 dígitos (serie y dígito verificador)',
+  'rastreio.digito': 'Dígito verificador incorrecto: para esta serie debería ser {esperado}',
+  'rastreio.sufixo': 'El código debe terminar con la sigla del país, como BR',
+  'rastreio.pais': 'El código debe terminar en {pais}, no en {sufixo}',
+  'rastreio.invalido': 'Código de rastreo inválido: {detalhe}',
+  'rastreio.faixaInvalida': 'Indique el primer y el último código del rango, como AA12345678BR',
+  'rastreio.faixaPrefixos': 'El primer y el último código deben tener las mismas letras de servicio y país',
+  'rastreio.faixaOrdem': 'El último código debe venir después del primero, en un rango de hasta {maximo} códigos',
+  'rastreio.faixaSalva': { one: 'Rango guardado: {n} código disponible', other: 'Rango guardado: {n} códigos disponibles' },
+  'rastreio.nenhumaFaixa': 'Ningún rango guardado',
+  'rastreio.semFaixa': 'Guarde primero el rango de etiquetas compradas',
+  'rastreio.faixaEsgotada': 'Rango agotado: guarde un nuevo rango',
+  'rastreio.restantes': { one: '{n} código restante · siguiente: {codigo}', other: '{n} códigos restantes · siguiente: {codigo}' },
+  
+  // Fila de envios
+  'fila.titulo': 'Cola de Envíos',
+  'fila.descricao': 'Use "Agregar a la cola" para guardar cada destinatario e imprima todas las etiquetas de una vez, en el modelo elegido. La cola queda guardada en este navegador.',
+  'fila.comRemetente': 'Guardar también el remitente (sin él, se usa el remitente del formulario al imprimir)',
+  'fila.envios': 'Envíos en la cola',
+  'fila.adicionar': 'Agregar a la cola',
+  'fila.atualizar': 'Actualizar en la cola',
+  'fila.limpar': 'Vaciar cola',
+  'fila.imprimir': 'Imprimir cola',
+  'fila.vazia': 'La cola está vacía',
+  'fila.resumo': { one: '{n} envío en la cola', other: '{n} envíos en la cola' },
+  'fila.resumoDuplicados': { one: '{n} repetido', other: '{n} repetidos' },
+  'fila.duplicado': 'Repetido',
+  'fila.de': 'Remitente: {nome}',
+  'fila.erroDestinatario': 'Complete el nombre del destinatario para agregar a la cola',
+  'fila.erroRemetente': 'Complete el nombre del remitente o desmarque "Guardar también el remitente"',
+  'fila.confirmarDuplicado': '{nome} ya está en la cola (posición {posicao}) con el mismo CEP y número. ¿Agregar de todos modos?',
+  'fila.adicionado': { one: '{nome} agregado a la cola ({n} envío)', other: '{nome} agregado a la cola ({n} envíos)' },
+  'fila.atualizado': '{nome} actualizado en la cola',
+  'fila.subir': 'Subir {nome} en la cola',
+  'fila.descer': 'Bajar {nome} en la cola',
+  'fila.editar': 'Editar {nome}',
+  'fila.cancelarEdicao': 'Cancelar edición',
+  'fila.remover': 'Quitar {nome} de la cola',
+  'fila.confirmarRemover': '¿Quitar {nome} de la cola?',
+  'fila.confirmarLimpar': { one: '¿Quitar el envío de la cola?', other: '¿Quitar los {n} envíos de la cola?' },
+  'fila.semRemetente': 'Complete el remitente en el formulario: hay envíos en la cola sin remitente propio',
+  'fila.pdfGerado': { one: 'PDF generado con {n} etiqueta', other: 'PDF generado con {n} etiquetas' },
+  
+  // Rótulos em lote
+  'lote.titulo': 'Etiquetas en Lote',
+  'lote.descricao': 'Importe una planilla CSV o XLSX de destinatarios. Todas las etiquetas usan el remitente completado arriba.',
+  'lote.planilha': 'Planilla de destinatarios',
+  'lote.ajudaPlanilha': 'La primera fila debe contener los nombres de las columnas',
+  'lote.mapeamento': 'Asignación de columnas',
+  'lote.validar': 'Validar direcciones',
+  'lote.revisao': 'Revisión',
+  'lote.incluir': 'Incluir',
+  'lote.linha': 'Fila',
+  'lote.cidadeUF': 'Ciudad/Estado',
+  'lote.status': 'Estado',
+  'lote.observacoes': 'Observaciones',
+  'lote.gerarPDF': 'Generar PDF en lote',
+  'lote.erroLer': 'No se pudo leer la planilla',
+  'lote.planilhaVazia': 'La planilla no contiene destinatarios',
+  'lote.linhasLidas': { one: '{n} fila leída', other: '{n} filas leídas' },
+  'lote.naoImportar': '(no importar)',
+  'lote.associeColuna': 'Asigne una columna para: {campos}',
+  'lote.validando': 'Validando {feitos}/{total}...',
+  'lote.erroValidar': 'Error al validar los destinatarios',
+  'lote.incluirLinha': 'Incluir fila {linha}',
+  'lote.status.ok': 'OK',
+  'lote.status.enriquecido': 'Completado',
+  'lote.status.divergente': 'Divergente',
+  'lote.status.erro': 'Error',
+  'lote.resumo': { one: '{n} destinatario · {validos} válidos · {divergentes} divergentes · {erros} con error · {incluidos} seleccionados para el PDF', other: '{n} destinatarios · {validos} válidos · {divergentes} divergentes · {erros} con error · {incluidos} seleccionados para el PDF' },
+  'lote.semRemetente': 'Complete los datos del remitente en el Etiquetador',
+  'lote.nenhumSelecionado': 'Ningún destinatario seleccionado',
+  'lote.pdfGerado': { one: 'PDF generado con {n} etiqueta', other: 'PDF generado con {n} etiquetas' },
+  'lote.nomeAusente': 'Falta el nombre',
+  'lote.ufDifere': 'El estado difiere del CEP ({uf})',
+  'lote.cidadeDifere': 'La ciudad difiere del CEP ({cidade})',
+  'lote.logradouroDifere': 'La calle difiere del CEP ({logradouro})',
+  'lote.numeroAusente': 'Falta el número',
+  'lote.completado': 'Dirección completada por el CEP',
+  
+  // Links e compartilhamento
+  'navegacao.compartilharTitulo': 'Copia un enlace que abre el Etiquetador ya completado',
+  'navegacao.compartilhar': 'Compartir',
+  'navegacao.preencha': 'Complete el remitente o el destinatario antes de compartir',
+  'navegacao.tituloCompartilhar': 'Etiqueta de dirección',
+  'navegacao.linkCopiado': 'Enlace de la etiqueta copiado',
+  'navegacao.erroGerarLink': 'No se pudo generar el enlace',
+  'navegacao.linkCorrompido': 'El enlace de la etiqueta está incompleto o dañado',
+  'navegacao.erroComprimido': 'Este navegador no abre enlaces comprimidos',
+  'navegacao.erroFormato': 'Formato desconocido',
+  'navegacao.erroLink': 'Enlace del Etiquetador inválido: {detalhe}',
+  
+  // Conexão e fila offline
+  'offline.novaVersao': 'Hay una nueva versión disponible.',
+  'offline.atualizar': 'Actualizar',
+  'offline.online': 'En línea',
+  'offline.offline': 'Sin conexión',
+  'offline.naFila': { one: '{n} consulta en cola', other: '{n} consultas en cola' },
+  'offline.conectado': 'Conectado',
+  'offline.semConexao': 'Sin conexión: los CEP ya consultados siguen disponibles y los nuevos se consultan cuando vuelva la conexión',
+  'offline.enfileirado': 'Sin conexión: el CEP {cep} se consultará cuando vuelva la conexión',
+  'offline.consultado': 'CEP {cep} consultado',
+  
+  // Cache
+  'cache.carregando': 'Caché: cargando...',
+  'cache.exportar': 'Exportar caché',
+  'cache.importar': 'Importar caché',
+  'cache.resumo': { one: 'Caché: {n} consulta guardada', other: 'Caché: {n} consultas guardadas' },
+  'cache.acertos': '{taxa}% de aciertos ({hits}/{consultas})',
+  'cache.erroExportar': 'Error al exportar la caché',
+  'cache.erroImportar': 'Error al importar la caché',
+  'cache.importadas': { one: '{n} consulta importada a la caché', other: '{n} consultas importadas a la caché' },
+  'cache.arquivoInvalido': 'Archivo de caché inválido',
+  
+  // Rodapé
+  'rodape.recursos': 'Recursos',
+  'rodape.busca': 'Búsqueda de CEP',
+  'rodape.dados': 'Datos',
+  'rodape.fontes': 'Datos proporcionados por ViaCEP, BrasilAPI, OpenCEP y Postmon'
+};
@@ -0,0 +1,464 @@
+// ==========================================
+// MENSAGENS EM PORTUGUÊS (BRASIL)
+// ==========================================
+
+/**
+ * Catálogo base: toda chave nova entra primeiro aqui, e o que faltar nos
+ * outros idiomas cai nele. Mensagens com plural são objetos { one, other } (ver I18n.t)
+ */
+export const PT_BR = {
+  // Página
+  'app.titulo': 'Busca CEP & Endereçador Brasileiro',
+  'app.nome': 'Busca CEP & Endereçador',
+  'app.descricao': 'Ferramenta completa para consulta de CEPs e geração de rótulos de endereço no Brasil.',
+  'app.copyright': '© 2024 Busca CEP & Endereçador Brasileiro',
+  'app.erroInicializar': 'Erro ao inicializar aplicação',
+  'app.erroInesperado': 'Ocorreu um erro inesperado',
+  
+  // Navegação
+  'nav.principal': 'Navegação principal',
+  'nav.irBusca': 'Ir para busca de CEP',
+  'nav.busca': 'Buscar CEP',
+  'nav.irEnderecador': 'Ir para endereçador',
+  'nav.enderecador': 'Endereçador',
+  'nav.idioma': 'Idioma',
+  
+  // Apresentação
+  'hero.titulo': 'Consulte CEPs e Gere Rótulos de Endereço',
+  'hero.subtitulo': 'Ferramenta completa para busca de CEPs em todo o Brasil e geração de rótulos de endereço em PDF',
+  
+  // Comuns
+  'geral.selecione': 'Selecione',
+  'geral.cancelar': 'Cancelar',
+  'geral.limpar': 'Limpar',
+  'geral.todas': 'Todas',
+  'geral.todos': 'Todos',
+  'geral.acoes': 'Ações',
+  
+  // Campos de endereço
+  'campos.cep': 'CEP',
+  'campos.uf': 'UF',
+  'campos.cidade': 'Cidade',
+  'campos.logradouro': 'Logradouro',
+  'campos.complemento': 'Complemento',
+  'campos.documento': 'CPF/CNPJ',
+  'campos.nome': 'Nome',
+  'campos.endereco': 'Endereço',
+  'campos.bairro': 'Bairro',
+  'campos.localidade': 'Cidade',
+  'campos.numero': 'Número',
+  'campos.ibge': 'IBGE',
+  'campos.gia': 'GIA',
+  'campos.ddd': 'DDD',
+  'campos.siafi': 'SIAFI',
+  'campos.provedor': 'Provedor',
+  
+  // Erros da consulta
+  'erros.cepInvalido': 'CEP inválido',
+  'erros.cepNaoEncontrado': 'CEP não encontrado',
+  'erros.tempoEsgotado': 'Tempo de resposta esgotado',
+  'erros.conexao': 'Erro de conexão com o servidor',
+  'erros.camposLogradouro': 'UF, cidade e logradouro são obrigatórios',
+  'erros.faixaInvertida': 'CEP inicial deve ser menor que o final',
+  
+  // Classificação do CEP
+  'cep.capital': 'capital ({cidade})',
+  'cep.interior': 'interior',
+  'cep.semUF': 'O CEP {cep} não pertence a nenhuma UF',
+  'cep.outraUF': 'O CEP {cep} é de {uf}, mas a UF informada é {informada}',
+  
+  // Tipos de CEP
+  'tiposCEP.logradouro': 'Logradouro',
+  'tiposCEP.grande-usuario': 'CEP especial de grande usuário',
+  'tiposCEP.promocional': 'CEP promocional',
+  'tiposCEP.unidade-correios': 'Unidade dos Correios',
+  'tiposCEP.caixa-postal-comunitaria': 'Caixa Postal Comunitária',
+  
+  // Busca de CEP
+  'busca.titulo': 'Busca de CEP',
+  'busca.descricao': 'Encontre endereços por CEP, logradouro ou localidade',
+  'busca.abaCEP': 'Por CEP',
+  'busca.abaLogradouro': 'Por Logradouro',
+  'busca.abaFaixa': 'Por Faixa de CEP',
+  'busca.buscarCEP': 'Buscar CEP',
+  'busca.ajudaCEP': 'Digite o CEP no formato 00000-000',
+  'busca.exemploCidade': 'Ex.: São Paulo',
+  'busca.sugestoesCidades': 'Sugestões de cidades',
+  'busca.buscarLogradouro': 'Buscar por logradouro',
+  'busca.ajudaLogradouro': 'Digite ao menos 3 letras do nome da rua/avenida',
+  'busca.cepInicial': 'CEP Inicial',
+  'busca.cepFinal': 'CEP Final',
+  'busca.buscarFaixa': 'Buscar Faixa',
+  'busca.progressoFaixa': 'Progresso da busca por faixa',
+  'busca.pausar': 'Pausar',
+  'busca.retomar': 'Retomar',
+  'busca.erroUF': 'Selecione a UF',
+  'busca.erroCidadeCurta': { one: 'Digite ao menos {n} caractere da cidade', other: 'Digite ao menos {n} caracteres da cidade' },
+  'busca.erroCidade': 'Cidade não encontrada em {uf}',
+  'busca.erroLogradouroCurto': { one: 'Digite ao menos {n} caractere do logradouro', other: 'Digite ao menos {n} caracteres do logradouro' },
+  'busca.cepInvalido': 'Por favor, digite um CEP válido',
+  'busca.cepsInvalidos': 'Por favor, digite CEPs válidos',
+  'busca.erroCEP': 'Erro ao buscar CEP',
+  'busca.erroLogradouro': 'Erro ao buscar logradouro',
+  'busca.erroFaixa': 'Erro ao buscar faixa de CEP',
+  'busca.faixaCancelada': { one: 'Busca cancelada: {n} CEP encontrado', other: 'Busca cancelada: {n} CEPs encontrados' },
+  'busca.faixaVazia': 'Nenhum CEP encontrado na faixa especificada',
+  'busca.confirmarFaixa': { one: 'Este link pede a busca de {total} CEP ({de} a {ate}), consultado um a um. Buscar agora?', other: 'Este link pede a busca de {total} CEPs ({de} a {ate}), consultados um a um. Buscar agora?' },
+  'busca.faixaConcluida': { one: '{n} CEP encontrado', other: '{n} CEPs encontrados' },
+  'busca.iniciando': 'Iniciando busca...',
+  'busca.progresso': '{processados}/{total} · {encontrados} encontrados · {ausentes} inexistentes · {erros} erros · {emCache} do cache',
+  
+  // Resultados
+  'resultado.titulo': 'Resultados da Busca',
+  'resultado.camposExportados': 'Campos exportados',
+  'resultado.copiarEndereco': 'Copiar endereço',
+  'resultado.copiarLinhas': 'Copiar linhas',
+  'resultado.vazio': 'Os resultados aparecerão aqui',
+  'resultado.nenhum': 'Nenhum resultado encontrado',
+  'resultado.semLogradouro': 'Endereço não encontrado',
+  'resultado.semCamposExportar': 'Selecione ao menos um campo para exportar',
+  'resultado.semCamposCopiar': 'Selecione ao menos um campo para copiar',
+  'resultado.erroExportar': 'Erro ao exportar resultados',
+  'resultado.linhasCopiadas': { one: '{n} linha copiada', other: '{n} linhas copiadas' },
+  'resultado.enderecosCopiados': { one: 'Endereço copiado', other: '{n} endereços copiados' },
+  'resultado.erroCopiar': 'Não foi possível copiar para a área de transferência',
+  
+  // Histórico
+  'historico.titulo': 'Histórico e Favoritos',
+  'historico.filtrarCidade': 'Filtrar por cidade',
+  'historico.favoritos': 'CEPs favoritos',
+  'historico.dicaFavoritos': 'Use a estrela de um resultado para guardá-lo aqui.',
+  'historico.recentes': 'Buscas recentes',
+  'historico.guardarPor': 'Guardar histórico por',
+  'historico.naoGuardar': 'Não guardar',
+  'historico.dias': { one: '{n} dia', other: '{n} dias' },
+  'historico.umAno': '1 ano',
+  'historico.limpar': 'Limpar histórico',
+  'historico.privacidade': 'O histórico e os favoritos ficam só neste navegador e não são enviados a nenhum servidor.',
+  'historico.buscaCEP': 'CEP {cep}',
+  'historico.buscaFaixa': 'Faixa {de} a {ate}',
+  'historico.guardado': { one: 'Histórico guardado por {n} dia', other: 'Histórico guardado por {n} dias' },
+  'historico.desligadoApagado': 'Histórico desligado e apagado',
+  'historico.confirmarLimpar': 'Apagar todo o histórico de buscas deste navegador? Os favoritos são mantidos.',
+  'historico.apagado': 'Histórico apagado',
+  'historico.desligado': 'O histórico está desligado.',
+  'historico.vazio': 'Nenhuma busca no histórico.',
+  'historico.resumo': { one: '{mostradas} de {n} busca', other: '{mostradas} de {n} buscas' },
+  'historico.resultados': { one: '{n} resultado', other: '{n} resultados' },
+  'historico.refazer': 'Buscar de novo: {descricao}',
+  'historico.remover': 'Remover do histórico',
+  'historico.removerItem': 'Remover {descricao} do histórico',
+  'historico.mostrarFavorito': 'Mostrar {cep} nos resultados',
+  
+  // Favoritos
+  'favoritos.marcar': 'Marcar {nome} como favorito',
+  'favoritos.remover': 'Remover {nome} dos favoritos',
+  
+  // Endereçador
+  'enderecador.titulo': 'Endereçador',
+  'enderecador.descricao': 'Preencha os dados e gere rótulos de endereço em PDF',
+  
+  // Agenda
+  'agenda.titulo': 'Agenda de Endereços',
+  'agenda.buscar': 'Buscar contato',
+  'agenda.buscarPlaceholder': 'Nome, cidade, CEP ou marcador',
+  'agenda.marcador': 'Marcador',
+  'agenda.somenteFavoritos': 'Somente favoritos',
+  'agenda.contatosSalvos': 'Contatos salvos',
+  'agenda.importar': 'Importar CSV ou vCard',
+  'agenda.exportarCSV': 'Exportar CSV',
+  'agenda.exportarVCard': 'Exportar vCard',
+  'agenda.preenchaNome': 'Preencha o nome antes de salvar na agenda',
+  'agenda.salvo': '{nome} salvo na agenda',
+  'agenda.atualizado': '{nome} atualizado na agenda',
+  'agenda.erroSalvar': 'Erro ao salvar contato',
+  'agenda.preenchidoRemetente': '{nome} preenchido como remetente',
+  'agenda.preenchidoDestinatario': '{nome} preenchido como destinatário',
+  'agenda.promptMarcadores': 'Marcadores separados por vírgula:',
+  'agenda.confirmarRemover': 'Remover {nome} da agenda?',
+  'agenda.importados': { one: '{n} contato importado', other: '{n} contatos importados' },
+  'agenda.erroImportar': 'Erro ao importar agenda',
+  'agenda.vazia': 'A agenda está vazia',
+  'agenda.nenhumContato': 'Nenhum contato salvo. Use "Salvar na agenda" no remetente ou no destinatário.',
+  'agenda.resumo': { one: '{mostrados} de {n} contato', other: '{mostrados} de {n} contatos' },
+  'agenda.usarRemetente': 'Usar {nome} como remetente',
+  'agenda.usarDestinatario': 'Usar {nome} como destinatário',
+  'agenda.remetente': 'Remetente',
+  'agenda.destinatario': 'Destinatário',
+  'agenda.editarMarcadores': 'Editar marcadores de {nome}',
+  'agenda.remover': 'Remover {nome}',
+  'agenda.erroNome': 'Informe o nome do contato',
+  'agenda.erroArquivoVazio': 'Nenhum contato encontrado no arquivo',
+  
+  // Formulário
+  'form.exemploLogradouro': 'Rua, Avenida, etc.',
+  'form.dadosRemetente': 'Dados do Remetente',
+  'form.dadosDestinatario': 'Dados do Destinatário',
+  'form.nomeCompleto': 'Nome Completo *',
+  'form.ajudaNomeRemetente': 'Nome completo do remetente',
+  'form.cepObrigatorio': 'CEP *',
+  'form.digiteCEP': 'Digite o CEP',
+  'form.endereco': 'Endereço *',
+  'form.numero': 'Número *',
+  'form.ajudaNumero': 'Número do endereço',
+  'form.bairro': 'Bairro *',
+  'form.exemploComplemento': 'Apto, Bloco, etc.',
+  'form.cidade': 'Cidade *',
+  'form.uf': 'UF *',
+  'form.ajudaDocumento': 'Usado na declaração de conteúdo',
+  'form.salvarRemetente': 'Salvar remetente na agenda',
+  'form.salvarDestinatario': 'Salvar destinatário na agenda',
+  'form.gerarPDF': 'Gerar PDF',
+  'form.confirmarLimpar': 'Tem certeza que deseja limpar todos os campos?',
+  'form.erroNomes': 'Por favor, preencha pelo menos os nomes de remetente e destinatário',
+  'form.confirmarDivergencia': 'Gerar o PDF mesmo assim?',
+  'form.pdfGerado': 'PDF gerado com sucesso!',
+  'form.erroPDF': 'Erro ao gerar PDF',
+  
+  // Pré-visualização
+  'preview.titulo': 'Pré-visualização do Rótulo',
+  'preview.preenchaRemetente': 'Preencha os dados do remetente',
+  'preview.preenchaDestinatario': 'Preencha os dados do destinatário',
+  
+  // Impressão
+  'impressao.titulo': 'Impressão',
+  'impressao.modelo': 'Modelo de etiqueta',
+  'impressao.inicio': 'Começar na etiqueta',
+  'impressao.ajudaInicio': 'Para reaproveitar folhas já usadas',
+  'impressao.codigos': 'Códigos postais',
+  'impressao.cepnet': 'CEPNet do CEP de destino',
+  'impressao.datamatrix': 'DataMatrix no leiaute dos Correios',
+  'impressao.modoPostal': 'Modo postal: endereços em maiúsculas',
+  'impressao.idiomaRotulo': 'Idioma do rótulo',
+  'impressao.ajudaIdiomaRotulo': 'Títulos e data impressos no PDF; os endereços não são traduzidos',
+  'impressao.remetente': 'Remetente',
+  'impressao.canto': 'Canto superior esquerdo',
+  'impressao.aba': 'Aba, no verso (página seguinte)',
+  'impressao.destinatario': 'Destinatário',
+  'impressao.area': 'Área do destinatário',
+  'impressao.janela': 'Janela do envelope',
+  'impressao.retrato': 'Envelope entra em pé na impressora',
+  'impressao.ajudaRetrato': 'Gira o conteúdo na página',
+  'impressao.impressora': 'Impressora',
+  'impressao.padrao': 'Padrão',
+  'impressao.ajusteX': 'Ajuste X (mm)',
+  'impressao.ajusteY': 'Ajuste Y (mm)',
+  'impressao.ajudaCalibracao': 'Positivo move a impressão para a direita (X) e para baixo (Y). Salvo neste navegador para cada impressora.',
+  'impressao.ajudaEnvelope': 'Impressão direta no envelope de {largura} × {altura} mm, deitado',
+  'impressao.ajudaUnica': 'Uma etiqueta de {largura} × {altura} mm por página',
+  'impressao.ajudaGrade': '{colunas} colunas × {linhas} linhas; etiquetas numeradas da esquerda para a direita, de cima para baixo',
+  
+  // Modelos de etiqueta
+  'modelos.a4-padrao': 'A4 — folha inteira (remetente e destinatário)',
+  'modelos.pimaco-6180': 'Pimaco 6180 — Carta, 30 etiquetas (25,4 × 66,7 mm)',
+  'modelos.pimaco-6181': 'Pimaco 6181 — Carta, 20 etiquetas (25,4 × 101,6 mm)',
+  'modelos.pimaco-6182': 'Pimaco 6182 — Carta, 14 etiquetas (33,9 × 101,6 mm)',
+  'modelos.a4-3x7': 'A4 3 × 7 — 21 etiquetas (38,1 × 63,5 mm)',
+  'modelos.termica-10x15': 'Térmica 10 × 15 cm (remetente e destinatário)',
+  'modelos.envelope-dl': 'Envelope DL (110 × 220 mm)',
+  'modelos.envelope-c6': 'Envelope C6 (114 × 162 mm)',
+  'modelos.envelope-c5': 'Envelope C5 (162 × 229 mm)',
+  'modelos.envelope-c4': 'Envelope C4 (229 × 324 mm)',
+  'modelos.envelope-oficio': 'Envelope ofício (114 × 229 mm)',
+  
+  // Rótulo em PDF
+  'rotulo.remetente': 'REMETENTE',
+  'rotulo.destinatario': 'DESTINATÁRIO',
+  'rotulo.geradoEm': 'Gerado em: {data}',
+  
+  // Declaração de conteúdo
+  'declaracao.titulo': 'Declaração de Conteúdo',
+  'declaracao.ajuda': 'Obrigatória nos envios sem nota fiscal. Remetente e destinatário vêm dos campos acima.',
+  'declaracao.conteudo': 'Conteúdo',
+  'declaracao.quantidade': 'Quantidade',
+  'declaracao.valorUnitario': 'Valor unitário (R$)',
+  'declaracao.pesoUnitario': 'Peso unitário (kg)',
+  'declaracao.totais': 'Totais',
+  'declaracao.adicionarItem': 'Adicionar item',
+  'declaracao.gerarSo': 'Gerar só a declaração',
+  'declaracao.incluir': 'Incluir a declaração no PDF do rótulo',
+  'declaracao.campoItem': '{campo} do item {n}',
+  'declaracao.removerItem': 'Remover item',
+  'declaracao.removerItemN': 'Remover item {n}',
+  'declaracao.gerada': 'Declaração gerada com sucesso!',
+  'declaracao.erroGerar': 'Erro ao gerar declaração',
+  'declaracao.erroNomeRemetente': 'Informe o nome do remetente',
+  'declaracao.erroNomeDestinatario': 'Informe o nome do destinatário',
+  'declaracao.erroDocumentoRemetente': 'CPF/CNPJ do remetente inválido',
+  'declaracao.erroDocumentoDestinatario': 'CPF/CNPJ do destinatário inválido',
+  'declaracao.erroSemItens': 'Adicione pelo menos um item à declaração',
+  'declaracao.erroDescricao': 'Item {n}: informe a descrição',
+  'declaracao.erroQuantidade': 'Item {n}: a quantidade deve ser maior que zero',
+  'declaracao.erroNegativo': 'Item {n}: valores negativos',
+  
+  // Frete e prazo
+  'frete.titulo': 'Frete e Prazo',
+  'frete.ajuda': 'Estimativa pelas tabelas abaixo, a partir dos CEPs e cidades do remetente e do destinatário. A cotação aparece ao lado da pré-visualização.',
+  'frete.peso': 'Peso (kg)',
+  'frete.altura': 'Altura (cm)',
+  'frete.largura': 'Largura (cm)',
+  'frete.comprimento': 'Comprimento (cm)',
+  'frete.imprimir': 'Imprimir o serviço escolhido, o valor e o prazo no rótulo',
+  'frete.editarTabelas': 'Editar tabelas de preço e prazo (JSON)',
+  'frete.tabelasJSON': 'Tabelas de frete em JSON',
+  'frete.salvarTabelas': 'Salvar tabelas',
+  'frete.restaurar': 'Restaurar padrão',
+  'frete.estimado': 'Frete estimado',
+  'frete.informe': 'Informe os CEPs e o peso do pacote',
+  'frete.servicos': 'Serviços de entrega',
+  'frete.rota.local': 'Local (mesma cidade)',
+  'frete.rota.estadual': 'Estadual (mesma UF)',
+  'frete.rota.capitais': 'Entre capitais',
+  'frete.rota.interior': 'Interestadual entre capital e interior',
+  'frete.rota.interiores': 'Interestadual entre cidades do interior',
+  'frete.capital': 'capital',
+  'frete.erroCEPs': 'Informe CEPs válidos do remetente e do destinatário',
+  'frete.erroPeso': 'Informe o peso do pacote',
+  'frete.acimaPeso': 'Acima do peso máximo ({peso} kg)',
+  'frete.ladoMaximo': 'Um dos lados passa de {cm} cm',
+  'frete.somaMaxima': 'A soma das dimensões passa de {cm} cm',
+  'frete.naoAtende': 'Não atende esta rota',
+  'frete.tabelaObjeto': 'As tabelas devem ser um objeto com um serviço por chave',
+  'frete.tabelaVazia': 'Nenhum serviço nas tabelas',
+  'frete.tabelaPesos': '{servico}: "pesos" deve ser uma lista crescente de números positivos',
+  'frete.tabelaPrecos': '{servico}: "precos.{rota}" deve ter um valor para cada faixa de peso',
+  'frete.tabelaDivisor': '{servico}: "divisorCubico" deve ser maior que zero',
+  'frete.semPrazo': 'prazo não informado',
+  'frete.prazo': { one: '{n} dia útil', other: '{n} dias úteis' },
+  'frete.pesoCubico': 'peso cúbico {peso}',
+  'frete.jsonInvalido': 'JSON inválido: {detalhe}',
+  'frete.tabelasSalvas': 'Tabelas de frete salvas',
+  'frete.confirmarRestaurar': 'Voltar às tabelas de frete padrão? As alterações feitas serão perdidas.',
+  
+  // Código de rastreio
+  'rastreio.titulo': 'Código de Rastreio',
+  'rastreio.codigo': 'Código do objeto',
+  'rastreio.ajuda': 'Opcional: sai em Code128 no rótulo. Duas letras do serviço, 8 dígitos, dígito verificador e BR',
+  'rastreio.proximo': 'Usar o próximo código da faixa',
+  'rastreio.faixaTitulo': 'Faixa de etiquetas compradas',
+  'rastreio.faixaInicial': 'Primeiro código',
+  'rastreio.faixaFinal': 'Último código',
+  'rastreio.faixaAjuda': 'Com ou sem o dígito verificador, como vieram na compra. Cada código usado avança a faixa, salva neste navegador.',
+  'rastreio.salvarFaixa': 'Salvar faixa',
+  'rastreio.formato': 'O código deve ter 13 caracteres, como AA123456789BR',
+  'rastreio.prefixo': 'O código deve começar com as duas letras do serviço',
+  'rastreio.serie': 'Depois das letras devem vir 9 dígitos (série e dígito verificador)',
+  'rastreio.digito': 'Dígito verificador incorreto: para esta série deveria ser {esperado}',
+  'rastreio.sufixo': 'O código deve terminar com a sigla do país, como BR',
+  'rastreio.pais': 'O código deve terminar em {pais}, não em {sufixo}',
+  'rastreio.invalido': 'Código de rastreio inválido: {detalhe}',
+  'rastreio.faixaInvalida': 'Informe o primeiro e o último código da faixa, como AA12345678BR',
+  'rastreio.faixaPrefixos': 'O primeiro e o último código devem ter as mesmas letras de serviço e país',
+  'rastreio.faixaOrdem': 'O último código deve vir depois do primeiro, numa faixa de até {maximo} códigos',
+  'rastreio.faixaSalva': { one: 'Faixa salva: {n} código disponível', other: 'Faixa salva: {n} códigos disponíveis' },
+  'rastreio.nenhumaFaixa': 'Nenhuma faixa salva',
+  'rastreio.semFaixa': 'Salve primeiro a faixa de etiquetas compradas',
+  'rastreio.faixaEsgotada': 'Faixa esgotada: salve uma nova faixa',
+  'rastreio.restantes': { one: '{n} código restante · próximo: {codigo}', other: '{n} códigos restantes · próximo: {codigo}' },
+  
+  // Fila de envios
+  'fila.titulo': 'Fila de Envios',
+  'fila.descricao': 'Use "Adicionar à fila" para guardar cada destinatário e imprima todos os rótulos de uma vez, no modelo escolhido. A fila fica salva neste navegador.',
+  'fila.comRemetente': 'Guardar também o remetente (sem ele, vale o remetente do formulário na impressão)',
+  'fila.envios': 'Envios na fila',
+  'fila.adicionar': 'Adicionar à fila',
+  'fila.atualizar': 'Atualizar na fila',
+  'fila.limpar': 'Esvaziar fila',
+  'fila.imprimir': 'Imprimir fila',
+  'fila.vazia': 'A fila está vazia',
+  'fila.resumo': { one: '{n} envio na fila', other: '{n} envios na fila' },
+  'fila.resumoDuplicados': { one: '{n} repetido', other: '{n} repetidos' },
+  'fila.duplicado': 'Repetido',
+  'fila.de': 'Remetente: {nome}',
+  'fila.erroDestinatario': 'Preencha o nome do destinatário para adicionar à fila',
+  'fila.erroRemetente': 'Preencha o nome do remetente ou desmarque "Guardar também o remetente"',
+  'fila.confirmarDuplicado': '{nome} já está na fila (posição {posicao}) com o mesmo CEP e número. Adicionar mesmo assim?',
+  'fila.adicionado': { one: '{nome} adicionado à fila ({n} envio)', other: '{nome} adicionado à fila ({n} envios)' },
+  'fila.atualizado': '{nome} atualizado na fila',
+  'fila.subir': 'Subir {nome} na fila',
+  'fila.descer': 'Descer {nome} na fila',
+  'fila.editar': 'Editar {nome}',
+  'fila.cancelarEdicao': 'Cancelar edição',
+  'fila.remover': 'Remover {nome} da fila',
+  'fila.confirmarRemover': 'Remover {nome} da fila?',
+  'fila.confirmarLimpar': { one: 'Remover o envio da fila?', other: 'Remover os {n} envios da fila?' },
+  'fila.semRemetente': 'Preencha o remetente no formulário: há envios na fila sem remetente próprio',
+  'fila.pdfGerado': { one: 'PDF gerado com {n} rótulo', other: 'PDF gerado com {n} rótulos' },
+  
+  // Rótulos em lote
+  'lote.titulo': 'Rótulos em Lote',
+  'lote.descricao': 'Importe uma planilha CSV ou XLSX de destinatários. Todos os rótulos usam o remetente preenchido acima.',
+  'lote.planilha': 'Planilha de destinatários',
+  'lote.ajudaPlanilha': 'A primeira linha deve conter os nomes das colunas',
+  'lote.mapeamento': 'Mapeamento de colunas',
+  'lote.validar': 'Validar endereços',
+  'lote.revisao': 'Revisão',
+  'lote.incluir': 'Incluir',
+  'lote.linha': 'Linha',
+  'lote.cidadeUF': 'Cidade/UF',
+  'lote.status': 'Status',
+  'lote.observacoes': 'Observações',
+  'lote.gerarPDF': 'Gerar PDF em lote',
+  'lote.erroLer': 'Não foi possível ler a planilha',
+  'lote.planilhaVazia': 'A planilha não contém destinatários',
+  'lote.linhasLidas': { one: '{n} linha lida', other: '{n} linhas lidas' },
+  'lote.naoImportar': '(não importar)',
+  'lote.associeColuna': 'Associe uma coluna para: {campos}',
+  'lote.validando': 'Validando {feitos}/{total}...',
+  'lote.erroValidar': 'Erro ao validar destinatários',
+  'lote.incluirLinha': 'Incluir linha {linha}',
+  'lote.status.ok': 'OK',
+  'lote.status.enriquecido': 'Completado',
+  'lote.status.divergente': 'Divergente',
+  'lote.status.erro': 'Erro',
+  'lote.resumo': { one: '{n} destinatário · {validos} válidos · {divergentes} divergentes · {erros} com erro · {incluidos} selecionados para o PDF', other: '{n} destinatários · {validos} válidos · {divergentes} divergentes · {erros} com erro · {incluidos} selecionados para o PDF' },
+  'lote.semRemetente': 'Preencha os dados do remetente no Endereçador',
+  'lote.nenhumSelecionado': 'Nenhum destinatário selecionado',
+  'lote.pdfGerado': { one: 'PDF gerado com {n} rótulo', other: 'PDF gerado com {n} rótulos' },
+  'lote.nomeAusente': 'Nome ausente',
+  'lote.ufDifere': 'UF difere do CEP ({uf})',
+  'lote.cidadeDifere': 'Cidade difere do CEP ({cidade})',
+  'lote.logradouroDifere': 'Logradouro difere do CEP ({logradouro})',
+  'lote.numeroAusente': 'Número ausente',
+  'lote.completado': 'Endereço completado pelo CEP',
+  
+  // Links e compartilhamento
+  'navegacao.compartilharTitulo': 'Copia um link que abre o Endereçador já preenchido',
+  'navegacao.compartilhar': 'Compartilhar',
+  'navegacao.preencha': 'Preencha o remetente ou o destinatário antes de compartilhar',
+  'navegacao.tituloCompartilhar': 'Rótulo de endereço',
+  'navegacao.linkCopiado': 'Link do rótulo copiado',
+  'navegacao.erroGerarLink': 'Não foi possível gerar o link',
+  'navegacao.linkCorrompido': 'O link do rótulo está incompleto ou corrompido',
+  'navegacao.erroComprimido': 'Este navegador não abre links comprimidos',
+  'navegacao.erroFormato': 'Formato desconhecido',
+  'navegacao.erroLink': 'Link do Endereçador inválido: {detalhe}',
+  
+  // Conexão e fila offline
+  'offline.novaVersao': 'Nova versão disponível.',
+  'offline.atualizar': 'Atualizar',
+  'offline.online': 'Online',
+  'offline.offline': 'Offline',
+  'offline.naFila': { one: '{n} consulta na fila', other: '{n} consultas na fila' },
+  'offline.conectado': 'Conectado',
+  'offline.semConexao': 'Sem conexão: CEPs já consultados continuam disponíveis e os novos são consultados quando a conexão voltar',
+  'offline.enfileirado': 'Sem conexão: o CEP {cep} será consultado quando a conexão voltar',
+  'offline.consultado': 'CEP {cep} consultado',
+  
+  // Cache
+  'cache.carregando': 'Cache: carregando...',
+  'cache.exportar': 'Exportar cache',
+  'cache.importar': 'Importar cache',
+  'cache.resumo': { one: 'Cache: {n} consulta salva', other: 'Cache: {n} consultas salvas' },
+  'cache.acertos': '{taxa}% de acertos ({hits}/{consultas})',
+  'cache.erroExportar': 'Erro ao exportar cache',
+  'cache.erroImportar': 'Erro ao importar cache',
+  'cache.importadas': { one: '{n} consulta importada para o cache', other: '{n} consultas importadas para o cache' },
+  'cache.arquivoInvalido': 'Arquivo de cache inválido',
+  
+  // Rodapé
+  'rodape.recursos': 'Recursos',
+  'rodape.busca': 'Busca de CEP',
+  'rodape.dados': 'Dados',
+  'rodape.fontes': 'Dados fornecidos por ViaCEP, BrasilAPI, OpenCEP e Postmon'
+};
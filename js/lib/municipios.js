@@ -0,0 +1,74 @@
+import { Utils } from './utils.js';
+
+// ==========================================
+// MUNICÍPIOS (IBGE)
+// ==========================================
+
+/**
+ * Consulta à lista offline de municípios por UF (js/data/municipios.js).
+ * A comparação ignora acentos, pontuação, espaços e caixa.
+ */
+export class Municipios {
+  /**
+   * Carrega a lista uma única vez
+   */
+  static carregar() {
+    if (!Municipios.carregamento) {
+      Municipios.carregamento = import('../data/municipios.js').then(modulo => {
+        Municipios.dados = modulo.MUNICIPIOS_IBGE;
+      });
+      
+      // Permite nova tentativa se o carregamento falhar
+      Municipios.carregamento.catch(() => {
+        Municipios.carregamento = null;
+      });
+    }
+    return Municipios.carregamento;
+  }
+  
+  static get disponivel() {
+    return Boolean(Municipios.dados);
+  }
+  
+  /**
+   * Chave de comparação de um nome
+   */
+  static chave(nome) {
+    return Utils.normalizarTexto(nome).toLowerCase().replace(/\s+/g, '');
+  }
+  
+  /**
+   * Municípios da UF com as chaves pré-calculadas
+   */
+  static listar(uf) {
+    if (!Municipios.disponivel || !Municipios.dados[uf]) return [];
+    
+    Municipios.indices = Municipios.indices || {};
+    if (!Municipios.indices[uf]) {
+      Municipios.indices[uf] = Municipios.dados[uf].map(nome => ({ nome, chave: Municipios.chave(nome) }));
+    }
+    return Municipios.indices[uf];
+  }
+  
+  /**
+   * Sugestões para o termo digitado: primeiro os que começam com ele, depois os que o contêm
+   */
+  static sugerir(uf, termo, limite = 8) {
+    const chave = Municipios.chave(termo);
+    if (!chave) return [];
+    
+    const lista = Municipios.listar(uf);
+    const inicio = lista.filter(m => m.chave.startsWith(chave));
+    const meio = lista.filter(m => !m.chave.startsWith(chave) && m.chave.includes(chave));
+    
+    return [...inicio, ...meio].slice(0, limite).map(m => m.nome);
+  }
+  
+  /**
+   * Nome oficial do município, ou null se não existir na UF
+   */
+  static encontrar(uf, nome) {
+    const chave = Municipios.chave(nome);
+    return Municipios.listar(uf).find(m => m.chave === chave)?.nome || null;
+  }
+}
@@ -0,0 +1,134 @@
+// ==========================================
+// IMPORTAÇÃO DE PLANILHAS
+// ==========================================
+
+/**
+ * Lê planilhas CSV e XLSX como { colunas, linhas }, onde cada linha
+ * é um objeto indexado pelo nome da coluna (primeira linha do arquivo)
+ */
+export class PlanilhaParser {
+  /**
+   * Lê a planilha a partir dos bytes do arquivo, conforme a extensão do nome
+   * @param {ArrayBuffer|Uint8Array} bytes
+   * @param {string} nomeArquivo
+   * @param {Object} [options]
+   * @param {Object} [options.XLSX] - SheetJS, exigido apenas para planilhas XLSX
+   */
+  static ler(bytes, nomeArquivo, { XLSX = globalThis.XLSX } = {}) {
+    const matriz = PlanilhaParser.ehXLSX(nomeArquivo)
+      ? PlanilhaParser.lerXLSX(bytes, XLSX)
+      : PlanilhaParser.parseCSV(PlanilhaParser.decodificarTexto(bytes));
+    
+    return PlanilhaParser.paraRegistros(matriz);
+  }
+  
+  static ehXLSX(nomeArquivo) {
+    return ['xlsx', 'xls'].includes(nomeArquivo.split('.').pop().toLowerCase());
+  }
+  
+  /**
+   * Decodifica CSV em UTF-8; se houver caracteres inválidos, usa Windows-1252 (padrão do Excel)
+   */
+  static decodificarTexto(bytes) {
+    const texto = new TextDecoder('utf-8').decode(bytes);
+    return texto.includes('\uFFFD') ? new TextDecoder('windows-1252').decode(bytes) : texto;
+  }
+  
+  /**
+   * Lê a primeira aba de uma planilha XLSX
+   */
+  static lerXLSX(bytes, XLSX = globalThis.XLSX) {
+    if (!XLSX) {
+      throw new Error('Leitura de XLSX requer o SheetJS (opção XLSX)');
+    }
+    
+    const workbook = XLSX.read(bytes, { type: 'array' });
+    const planilha = workbook.Sheets[workbook.SheetNames[0]];
+    
+    return XLSX.utils.sheet_to_json(planilha, { header: 1, defval: '', raw: false });
+  }
+  
+  /**
+   * Converte texto CSV em matriz (RFC 4180), detectando o separador
+   */
+  static parseCSV(texto) {
+    texto = texto.replace(/^\uFEFF/, '');
+    const separador = PlanilhaParser.detectarSeparador(texto);
+    
+    const linhas = [];
+    let linha = [];
+    let campo = '';
+    let entreAspas = false;
+    
+    for (let i = 0; i < texto.length; i++) {
+      const c = texto[i];
+      
+      if (entreAspas) {
+        if (c === '"' && texto[i + 1] === '"') {
+          campo += '"';
+          i++;
+        } else if (c === '"') {
+          entreAspas = false;
+        } else {
+          campo += c;
+        }
+      } else if (c === '"') {
+        entreAspas = true;
+      } else if (c === separador) {
+        linha.push(campo);
+        campo = '';
+      } else if (c === '\n' || c === '\r') {
+        if (c === '\r' && texto[i + 1] === '\n') i++;
+        linha.push(campo);
+        linhas.push(linha);
+        linha = [];
+        campo = '';
+      } else {
+        campo += c;
+      }
+    }
+    
+    if (campo !== '' || linha.length > 0) {
+      linha.push(campo);
+      linhas.push(linha);
+    }
+    
+    return linhas;
+  }
+  
+  /**
+   * Separador mais frequente na primeira linha: ponto e vírgula, vírgula ou tab
+   */
+  static detectarSeparador(texto) {
+    const primeiraLinha = texto.split(/\r?\n/, 1)[0];
+    const contagens = [';', ',', '\t'].map(sep => [sep, primeiraLinha.split(sep).length]);
+    contagens.sort((a, b) => b[1] - a[1]);
+    return contagens[0][0];
+  }
+  
+  /**
+   * Gera CSV (RFC 4180) a partir de uma matriz; o BOM faz o Excel reconhecer o UTF-8
+   */
+  static paraCSV(matriz, separador = ';') {
+    const escapar = (valor) => {
+      const texto = String(valor ?? '');
+      return /[";\r\n,\t]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+    };
+    
+    return '\uFEFF' + matriz.map(linha => linha.map(escapar).join(separador)).join('\r\n') + '\r\n';
+  }
+  
+  /**
+   * Usa a primeira linha como cabeçalho e descarta linhas vazias
+   */
+  static paraRegistros(matriz) {
+    const [cabecalho = [], ...dados] = matriz;
+    const colunas = cabecalho.map((nome, i) => String(nome).trim() || `Coluna ${i + 1}`);
+    
+    const linhas = dados
+      .filter(linha => linha.some(valor => String(valor).trim() !== ''))
+      .map(linha => Object.fromEntries(colunas.map((coluna, i) => [coluna, String(linha[i] ?? '').trim()])));
+    
+    return { colunas, linhas };
+  }
+}
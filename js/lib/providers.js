@@ -0,0 +1,185 @@
+import { CONFIG } from './config.js';
+import { HTTPClient } from './http.js';
+import { Utils } from './utils.js';
+
+// ==========================================
+// PROVEDORES DE CEP
+// ==========================================
+
+/**
+ * Provedor base: cada adaptador converte a resposta do seu serviço
+ * para o formato da ViaCEP, e o resultado final é montado aqui
+ */
+export class CEPProvider {
+  /**
+   * @param {Object} [requisicao] - Opções repassadas ao HTTPClient (fetch, timeout, retries)
+   */
+  constructor(nome, rotulo, baseURL, requisicao = {}) {
+    this.nome = nome;
+    this.rotulo = rotulo;
+    this.baseURL = baseURL;
+    this.requisicao = requisicao;
+  }
+  
+  /**
+   * Indica se o provedor aceita busca por logradouro
+   */
+  get suportaLogradouro() {
+    return false;
+  }
+  
+  /**
+   * Monta a URL de consulta de um CEP (somente dígitos)
+   */
+  urlCEP(cep) {
+    throw new Error(`Provedor ${this.nome} não implementa urlCEP`);
+  }
+  
+  /**
+   * Monta a URL de busca por logradouro
+   */
+  urlLogradouro(uf, cidade, logradouro) {
+    throw new Error(`Provedor ${this.nome} não suporta busca por logradouro`);
+  }
+  
+  /**
+   * Converte a resposta do serviço para o formato ViaCEP (null se não encontrado)
+   */
+  normalizar(data) {
+    return data;
+  }
+  
+  /**
+   * Executa a requisição; 404 significa "não encontrado"
+   */
+  requisitar(url, signal) {
+    return HTTPClient.getJSON(url, { ...this.requisicao, signal });
+  }
+  
+  /**
+   * Busca um CEP; retorna null quando o provedor informa que ele não existe
+   */
+  async buscarCEP(cep, signal) {
+    const data = await this.requisitar(this.urlCEP(cep), signal);
+    const normalizado = data ? this.normalizar(data) : null;
+    return normalizado ? CEPProvider.formatarResultado(normalizado, this.nome) : null;
+  }
+  
+  /**
+   * Busca por logradouro; retorna lista (vazia quando nada é encontrado)
+   */
+  async buscarPorLogradouro(uf, cidade, logradouro, signal) {
+    const data = await this.requisitar(this.urlLogradouro(uf, cidade, logradouro), signal);
+    const itens = Array.isArray(data) ? data : (data ? [data] : []);
+    
+    return itens
+      .map(item => this.normalizar(item))
+      .filter(Boolean)
+      .map(item => CEPProvider.formatarResultado(item, this.nome));
+  }
+  
+  /**
+   * Formata dados no padrão ViaCEP para o resultado da aplicação
+   */
+  static formatarResultado(data, provedor) {
+    return {
+      cep: Utils.formatarCEP(data.cep),
+      logradouro: Utils.capitalizar(data.logradouro || ''),
+      complemento: Utils.capitalizar(data.complemento || ''),
+      bairro: Utils.capitalizar(data.bairro || ''),
+      localidade: Utils.capitalizar(data.localidade || ''),
+      uf: data.uf || '',
+      ibge: data.ibge || '',
+      gia: data.gia || '',
+      ddd: data.ddd || '',
+      siafi: data.siafi || '',
+      provedor
+    };
+  }
+}
+
+export class ViaCEPProvider extends CEPProvider {
+  constructor(baseURL, requisicao) {
+    super('viacep', 'ViaCEP', baseURL, requisicao);
+  }
+  
+  get suportaLogradouro() {
+    return true;
+  }
+  
+  urlCEP(cep) {
+    return `${this.baseURL}/${cep}/${CONFIG.API_FORMAT}/`;
+  }
+  
+  urlLogradouro(uf, cidade, logradouro) {
+    return `${this.baseURL}/${encodeURIComponent(uf)}/${encodeURIComponent(cidade)}/${encodeURIComponent(logradouro)}/${CONFIG.API_FORMAT}/`;
+  }
+  
+  normalizar(data) {
+    return data.erro ? null : data;
+  }
+}
+
+export class BrasilAPIProvider extends CEPProvider {
+  constructor(baseURL, requisicao) {
+    super('brasilapi', 'BrasilAPI', baseURL, requisicao);
+  }
+  
+  urlCEP(cep) {
+    return `${this.baseURL}/${cep}`;
+  }
+  
+  normalizar(data) {
+    return {
+      cep: data.cep,
+      logradouro: data.street,
+      bairro: data.neighborhood,
+      localidade: data.city,
+      uf: data.state
+    };
+  }
+}
+
+export class OpenCEPProvider extends CEPProvider {
+  constructor(baseURL, requisicao) {
+    super('opencep', 'OpenCEP', baseURL, requisicao);
+  }
+  
+  urlCEP(cep) {
+    return `${this.baseURL}/${cep}`;
+  }
+  
+  // OpenCEP já responde no formato da ViaCEP
+}
+
+export class PostmonProvider extends CEPProvider {
+  constructor(baseURL, requisicao) {
+    super('postmon', 'Postmon', baseURL, requisicao);
+  }
+  
+  urlCEP(cep) {
+    return `${this.baseURL}/${cep}`;
+  }
+  
+  normalizar(data) {
+    return {
+      cep: data.cep,
+      logradouro: data.logradouro,
+      complemento: data.complemento,
+      bairro: data.bairro,
+      localidade: data.cidade,
+      uf: data.estado,
+      ibge: data.cidade_info?.codigo_ibge
+    };
+  }
+}
+
+/**
+ * Registro de adaptadores disponíveis, indexados pelo nome usado em CONFIG.PROVIDERS
+ */
+export const CEP_PROVIDERS = {
+  viacep: ViaCEPProvider,
+  brasilapi: BrasilAPIProvider,
+  opencep: OpenCEPProvider,
+  postmon: PostmonProvider
+};
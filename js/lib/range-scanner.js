@@ -0,0 +1,172 @@
+import { CONFIG } from './config.js';
+import { CEPInvalidError, CEPNotFoundError } from './errors.js';
+import { I18n } from './i18n.js';
+import { Utils } from './utils.js';
+
+// ==========================================
+// VARREDURA DE FAIXA DE CEP
+// ==========================================
+
+/**
+ * Percorre uma faixa de CEPs com concorrência limitada e taxa máxima de
+ * requisições. CEPs já presentes no cache não consomem a cota de requisições.
+ */
+export class CEPRangeScanner {
+  /**
+   * @param {CEPAPI} api
+   * @param {Object} [options]
+   * @param {number} [options.concorrencia] - Consultas simultâneas
+   * @param {number} [options.requisicoesPorSegundo] - Limite de requisições à rede
+   * @param {Function} [options.onResultado] - Chamado a cada CEP encontrado
+   * @param {Function} [options.onProgresso] - Chamado a cada CEP processado
+   */
+  constructor(api, {
+    concorrencia = CONFIG.RANGE.CONCURRENCY,
+    requisicoesPorSegundo = CONFIG.RANGE.RATE_LIMIT,
+    onResultado = () => {},
+    onProgresso = () => {}
+  } = {}) {
+    this.api = api;
+    this.concorrencia = concorrencia;
+    this.intervalo = 1000 / requisicoesPorSegundo;
+    this.onResultado = onResultado;
+    this.onProgresso = onProgresso;
+    
+    this.controller = new AbortController();
+    this.pausado = false;
+    this.retomada = null;
+    this.liberar = null;
+    this.proximaJanela = 0;
+  }
+  
+  /**
+   * Quantidade de CEPs da faixa, de cepInicial a cepFinal inclusive
+   */
+  static tamanho(cepInicial, cepFinal) {
+    const numero = (cep) => parseInt(String(cep).replace(/\D/g, ''), 10);
+    return numero(cepFinal) - numero(cepInicial) + 1;
+  }
+  
+  /**
+   * Varre a faixa e resolve com o resumo quando termina ou é cancelada
+   *
+   * @param {string} cepInicial
+   * @param {string} cepFinal
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancelamento externo
+   */
+  async executar(cepInicial, cepFinal, { signal } = {}) {
+    const inicio = parseInt(cepInicial.replace(/\D/g, ''), 10);
+    const fim = parseInt(cepFinal.replace(/\D/g, ''), 10);
+    
+    if (inicio > fim) {
+      throw new CEPInvalidError(I18n.t('erros.faixaInvertida'));
+    }
+    
+    signal?.addEventListener('abort', () => this.cancelar(), { once: true });
+    if (signal?.aborted) this.cancelar();
+    
+    const progresso = {
+      total: CEPRangeScanner.tamanho(cepInicial, cepFinal),
+      processados: 0,
+      encontrados: 0,
+      ausentes: 0,
+      erros: 0,
+      emCache: 0
+    };
+    
+    let proximo = inicio;
+    
+    const worker = async () => {
+      while (proximo <= fim && !this.cancelado) {
+        await this.aguardarRetomada();
+        if (this.cancelado) break;
+        
+        const cep = String(proximo++).padStart(8, '0');
+        await this.processar(cep, progresso);
+      }
+    };
+    
+    const workers = Array.from({ length: Math.min(this.concorrencia, progresso.total) }, worker);
+    await Promise.all(workers);
+    
+    return { ...progresso, cancelado: this.cancelado };
+  }
+  
+  /**
+   * Consulta um CEP e contabiliza o resultado
+   */
+  async processar(cep, progresso) {
+    const signal = this.controller.signal;
+    let resultado = null;
+    
+    try {
+      const emCache = await this.api.temEmCache(cep);
+      
+      if (emCache) {
+        progresso.emCache++;
+      } else {
+        await this.aguardarJanela();
+      }
+      
+      resultado = await this.api.buscarCEP(cep, { signal });
+      progresso.encontrados++;
+      
+    } catch (error) {
+      if (Utils.isAbortError(error) || this.cancelado) return;
+      
+      if (error instanceof CEPNotFoundError) {
+        progresso.ausentes++;
+      } else {
+        progresso.erros++;
+      }
+    }
+    
+    progresso.processados++;
+    if (resultado) this.onResultado(resultado);
+    this.onProgresso({ ...progresso });
+  }
+  
+  /**
+   * Espaça as requisições para respeitar o limite por segundo
+   */
+  async aguardarJanela() {
+    const agora = Date.now();
+    const espera = Math.max(0, this.proximaJanela - agora);
+    this.proximaJanela = Math.max(agora, this.proximaJanela) + this.intervalo;
+    
+    if (espera > 0) {
+      await Utils.esperar(espera, this.controller.signal);
+    }
+  }
+  
+  /**
+   * Bloqueia os workers enquanto a varredura estiver pausada
+   */
+  async aguardarRetomada() {
+    if (this.pausado) await this.retomada;
+  }
+  
+  get cancelado() {
+    return this.controller.signal.aborted;
+  }
+  
+  pausar() {
+    if (this.pausado || this.cancelado) return;
+    this.pausado = true;
+    this.retomada = new Promise(resolve => {
+      this.liberar = resolve;
+    });
+  }
+  
+  retomar() {
+    if (!this.pausado) return;
+    this.pausado = false;
+    this.liberar();
+  }
+  
+  cancelar() {
+    this.controller.abort();
+    this.retomar();
+  }
+}
@@ -0,0 +1,151 @@
+import { I18n } from './i18n.js';
+
+// ==========================================
+// CÓDIGO DE RASTREIO (OBJETO DOS CORREIOS)
+// ==========================================
+
+/**
+ * Pesos do dígito verificador, da esquerda para a direita dos 8 dígitos da série
+ */
+const PESOS = [8, 6, 4, 2, 3, 5, 9, 7];
+
+// Faixas muito grandes são recusadas para não gerar listas enormes por engano
+const MAXIMO_FAIXA = 100000;
+
+/**
+ * Código do objeto no padrão UPU S10 usado pelos Correios: prefixo de duas
+ * letras (serviço), série de 8 dígitos, dígito verificador (módulo 11) e
+ * sufixo do país (ex.: AA123456789BR)
+ */
+export class CodigoRastreio {
+  /**
+   * Maiúsculas, sem espaços, pontos ou traços
+   */
+  static normalizar(codigo) {
+    return String(codigo ?? '').toUpperCase().replace(/[\s.-]/g, '');
+  }
+  
+  /**
+   * Dígito verificador da série: 11 menos o resto da soma ponderada por 11;
+   * resto 0 dá 5 e resto 1 dá 0
+   */
+  static digitoVerificador(serie) {
+    const digitos = String(serie).replace(/\D/g, '');
+    if (digitos.length !== 8) {
+      throw new RangeError(`Série do código de rastreio deve ter 8 dígitos: ${serie}`);
+    }
+    
+    const resto = digitos.split('').reduce((soma, digito, i) => soma + Number(digito) * PESOS[i], 0) % 11;
+    if (resto === 0) return 5;
+    if (resto === 1) return 0;
+    return 11 - resto;
+  }
+  
+  /**
+   * Código completo a partir das partes
+   */
+  static montar(prefixo, serie, pais = 'BR') {
+    const digitos = String(serie).padStart(8, '0');
+    return `${prefixo}${digitos}${CodigoRastreio.digitoVerificador(digitos)}${pais}`.toUpperCase();
+  }
+  
+  /**
+   * Confere prefixo, série, dígito verificador e país
+   * @param {string} codigo
+   * @param {Object} [opcoes]
+   * @param {string|null} [opcoes.pais] - Sufixo esperado (padrão 'BR'; null aceita qualquer país)
+   * @returns {string|null} Mensagem do problema, ou null se o código for válido
+   */
+  static validar(codigo, { pais = 'BR' } = {}) {
+    const normalizado = CodigoRastreio.normalizar(codigo);
+    
+    if (normalizado.length !== 13) {
+      return I18n.t('rastreio.formato');
+    }
+    if (!/^[A-Z]{2}$/.test(normalizado.slice(0, 2))) {
+      return I18n.t('rastreio.prefixo');
+    }
+    if (!/^\d{9}$/.test(normalizado.slice(2, 11))) {
+      return I18n.t('rastreio.serie');
+    }
+    
+    const esperado = CodigoRastreio.digitoVerificador(normalizado.slice(2, 10));
+    if (Number(normalizado[10]) !== esperado) {
+      return I18n.t('rastreio.digito', { esperado });
+    }
+    
+    const sufixo = normalizado.slice(11);
+    if (!/^[A-Z]{2}$/.test(sufixo)) {
+      return I18n.t('rastreio.sufixo');
+    }
+    if (pais && sufixo !== pais) {
+      return I18n.t('rastreio.pais', { pais, sufixo });
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Código para leitura humana, como impresso pelos Correios (ex.: "AA 123 456 789 BR")
+   */
+  static formatar(codigo) {
+    const normalizado = CodigoRastreio.normalizar(codigo);
+    if (normalizado.length !== 13) return normalizado;
+    return normalizado.replace(/^(\w{2})(\d{3})(\d{3})(\d{3})(\w{2})$/, '$1 $2 $3 $4 $5');
+  }
+  
+  /**
+   * Partes de um código com ou sem o dígito verificador (AA12345678BR ou AA123456789BR)
+   * @returns {{prefixo: string, serie: number, pais: string}|null}
+   */
+  static partes(codigo) {
+    const normalizado = CodigoRastreio.normalizar(codigo);
+    const partes = normalizado.match(/^([A-Z]{2})(\d{8})(\d?)([A-Z]{2})$/);
+    if (!partes) return null;
+    
+    const [, prefixo, serie, digito, pais] = partes;
+    if (digito && Number(digito) !== CodigoRastreio.digitoVerificador(serie)) return null;
+    
+    return { prefixo, serie: Number(serie), pais };
+  }
+  
+  /**
+   * Faixa de etiquetas compradas, do primeiro ao último código (inclusive)
+   * @returns {{prefixo: string, pais: string, inicio: number, fim: number}}
+   * @throws {Error} Se os códigos forem inválidos ou não formarem uma faixa
+   */
+  static lerFaixa(inicial, final) {
+    const de = CodigoRastreio.partes(inicial);
+    const ate = CodigoRastreio.partes(final);
+    
+    if (!de || !ate) {
+      throw new Error(I18n.t('rastreio.faixaInvalida'));
+    }
+    if (de.prefixo !== ate.prefixo || de.pais !== ate.pais) {
+      throw new Error(I18n.t('rastreio.faixaPrefixos'));
+    }
+    if (ate.serie < de.serie || ate.serie - de.serie >= MAXIMO_FAIXA) {
+      throw new Error(I18n.t('rastreio.faixaOrdem', { maximo: MAXIMO_FAIXA }));
+    }
+    
+    return { prefixo: de.prefixo, pais: de.pais, inicio: de.serie, fim: ate.serie };
+  }
+  
+  /**
+   * Códigos seguidos da faixa, já com o dígito verificador
+   * @param {Object} faixa - Resultado de lerFaixa
+   * @param {Object} [opcoes]
+   * @param {number} [opcoes.aPartirDe] - Primeira série (padrão: início da faixa)
+   * @param {number} [opcoes.quantidade] - Padrão: até o fim da faixa
+   * @returns {string[]}
+   */
+  static gerar(faixa, { aPartirDe = faixa.inicio, quantidade = Infinity } = {}) {
+    const codigos = [];
+    
+    for (let serie = Math.max(aPartirDe, faixa.inicio); serie <= faixa.fim && codigos.length < quantidade; serie++) {
+      codigos.push(CodigoRastreio.montar(faixa.prefixo, serie, faixa.pais));
+    }
+    
+    return codigos;
+  }
+}
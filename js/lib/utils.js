@@ -0,0 +1,183 @@
+// ==========================================
+// CLASSE DE UTILIDADES
+// ==========================================
+
+export class Utils {
+  /**
+   * Aplica máscara de CEP no input
+   */
+  static aplicarMascaraCEP(value) {
+    if (!value) return '';
+    
+    // Remove tudo que não é número
+    const numbers = value.replace(/\D/g, '');
+    
+    // Aplica a máscara
+    if (numbers.length <= 5) {
+      return numbers;
+    }
+    
+    return `${numbers.slice(0, 5)}-${numbers.slice(5, 8)}`;
+  }
+  
+  /**
+   * Valida formato de CEP
+   */
+  static validarCEP(cep) {
+    if (!cep) return false;
+    const cleanCEP = cep.replace(/\D/g, '');
+    return cleanCEP.length === 8;
+  }
+  
+  /**
+   * Formata CEP para exibição
+   */
+  static formatarCEP(cep) {
+    if (!cep) return '';
+    const cleanCEP = cep.replace(/\D/g, '');
+    if (cleanCEP.length !== 8) return cep;
+    return `${cleanCEP.slice(0, 5)}-${cleanCEP.slice(5)}`;
+  }
+  
+  /**
+   * Aplica máscara de CPF ou CNPJ conforme a quantidade de dígitos digitados
+   */
+  static aplicarMascaraDocumento(value) {
+    const d = String(value ?? '').replace(/\D/g, '').slice(0, 14);
+    
+    if (d.length <= 11) {
+      const blocos = [d.slice(0, 3), d.slice(3, 6), d.slice(6, 9)].filter(Boolean).join('.');
+      return d.length > 9 ? `${blocos}-${d.slice(9)}` : blocos;
+    }
+    
+    return `${d.slice(0, 2)}.${d.slice(2, 5)}.${d.slice(5, 8)}/${d.slice(8, 12)}${d.length > 12 ? `-${d.slice(12)}` : ''}`;
+  }
+  
+  /**
+   * Valida CPF (11 dígitos) ou CNPJ (14 dígitos), incluindo os dígitos verificadores
+   */
+  static validarDocumento(documento) {
+    const digitos = String(documento ?? '').replace(/\D/g, '');
+    if (digitos.length === 11) return Utils.validarCPF(digitos);
+    if (digitos.length === 14) return Utils.validarCNPJ(digitos);
+    return false;
+  }
+  
+  static validarCPF(cpf) {
+    const digitos = String(cpf).replace(/\D/g, '');
+    if (digitos.length !== 11 || /^(\d)\1+$/.test(digitos)) return false;
+    
+    const verificador = (tamanho) => {
+      let soma = 0;
+      for (let i = 0; i < tamanho; i++) soma += Number(digitos[i]) * (tamanho + 1 - i);
+      return (soma * 10) % 11 % 10;
+    };
+    
+    return verificador(9) === Number(digitos[9]) && verificador(10) === Number(digitos[10]);
+  }
+  
+  static validarCNPJ(cnpj) {
+    const digitos = String(cnpj).replace(/\D/g, '');
+    if (digitos.length !== 14 || /^(\d)\1+$/.test(digitos)) return false;
+    
+    // Pesos de 2 a 9, da direita para a esquerda
+    const verificador = (tamanho) => {
+      let soma = 0;
+      for (let i = 0; i < tamanho; i++) soma += Number(digitos[tamanho - 1 - i]) * (2 + (i % 8));
+      const resto = soma % 11;
+      return resto < 2 ? 0 : 11 - resto;
+    };
+    
+    return verificador(12) === Number(digitos[12]) && verificador(13) === Number(digitos[13]);
+  }
+  
+  /**
+   * Formata CPF (000.000.000-00) ou CNPJ (00.000.000/0000-00); outros valores ficam como estão
+   */
+  static formatarDocumento(documento) {
+    const digitos = String(documento ?? '').replace(/\D/g, '');
+    if (digitos.length === 11) return digitos.replace(/(\d{3})(\d{3})(\d{3})(\d{2})/, '$1.$2.$3-$4');
+    if (digitos.length === 14) return digitos.replace(/(\d{2})(\d{3})(\d{3})(\d{4})(\d{2})/, '$1.$2.$3/$4-$5');
+    return String(documento ?? '');
+  }
+  
+  /**
+   * Identificador único para registros salvos localmente
+   */
+  static gerarId() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  }
+  
+  /**
+   * Capitaliza texto (primeira letra de cada palavra)
+   */
+  static capitalizar(texto) {
+    if (!texto) return '';
+    return texto.toLowerCase().replace(/(?:^|\s)\S/g, (a) => a.toUpperCase());
+  }
+  
+  /**
+   * Remove acentos e caracteres especiais
+   */
+  static normalizarTexto(texto) {
+    if (!texto) return '';
+    return texto
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-zA-Z0-9\s]/g, '');
+  }
+  
+  /**
+   * Debounce para otimizar chamadas
+   */
+  static debounce(func, wait) {
+    let timeout;
+    return function executedFunction(...args) {
+      const later = () => {
+        clearTimeout(timeout);
+        func(...args);
+      };
+      clearTimeout(timeout);
+      timeout = setTimeout(later, wait);
+    };
+  }
+  
+  /**
+   * Aguarda o tempo indicado, interrompendo se o sinal for abortado
+   */
+  static esperar(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(Utils.erroCancelamento(signal));
+        return;
+      }
+      
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(Utils.erroCancelamento(signal));
+      };
+      
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+  
+  /**
+   * Erro a lançar quando um sinal é abortado (navegadores antigos não têm signal.reason)
+   */
+  static erroCancelamento(signal) {
+    return signal.reason ?? new DOMException('Requisição cancelada', 'AbortError');
+  }
+  
+  /**
+   * Indica se o erro corresponde a uma requisição cancelada
+   */
+  static isAbortError(error) {
+    return error?.name === 'AbortError';
+  }
+}
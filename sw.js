@@ -0,0 +1,147 @@
+// ==========================================
+// SERVICE WORKER (FUNCIONAMENTO OFFLINE)
+// ==========================================
+
+// Troque a versão a cada publicação: o app shell é baixado de novo e a página
+// oferece a atualização ("Nova versão disponível")
+const VERSAO = '7';
+
+const CACHE_APP = `enderecador-app-v${VERSAO}`;
+const CACHE_CEP = 'enderecador-viacep';
+
+// Caminhos relativos ao service worker, para funcionar também em subpastas.
+// Inclua aqui os arquivos novos da página.
+const APP_SHELL = [
+  './',
+  'index.html',
+  'css/style.css',
+  'js/app/agenda-manager.js',
+  'js/app/autocomplete.js',
+  'js/app/declaracao-manager.js',
+  'js/app/dom.js',
+  'js/app/fila-manager.js',
+  'js/app/frete-manager.js',
+  'js/app/historico-manager.js',
+  'js/app/idioma-manager.js',
+  'js/app/lote-manager.js',
+  'js/app/main.js',
+  'js/app/navegacao-manager.js',
+  'js/app/offline-manager.js',
+  'js/app/planilha.js',
+  'js/app/rastreio-manager.js',
+  'js/app/state.js',
+  'js/app/ui-manager.js',
+  'js/app/utils.js',
+  'js/lib/agenda.js',
+  'js/lib/barcodes.js',
+  'js/lib/cache.js',
+  'js/lib/cep-api.js',
+  'js/lib/config.js',
+  'js/lib/declaracao.js',
+  'js/lib/endereco.js',
+  'js/lib/errors.js',
+  'js/lib/exportacao.js',
+  'js/lib/faixas-cep.js',
+  'js/lib/fila.js',
+  'js/lib/frete.js',
+  'js/lib/historico.js',
+  'js/lib/http.js',
+  'js/lib/i18n.js',
+  'js/lib/idb-store.js',
+  'js/lib/links.js',
+  'js/lib/mensagens/en.js',
+  'js/lib/mensagens/es.js',
+  'js/lib/mensagens/pt-BR.js',
+  'js/lib/labels.js',
+  'js/lib/lote.js',
+  'js/lib/municipios.js',
+  'js/lib/planilha.js',
+  'js/lib/providers.js',
+  'js/lib/range-scanner.js',
+  'js/lib/rastreio.js',
+  'js/lib/utils.js',
+  'js/data/municipios.js',
+  'https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js'
+];
+
+// Fontes, ícones e o SheetJS entram no cache na primeira vez que forem usados
+const CDNS = ['cdnjs.cloudflare.com', 'cdn.jsdelivr.net', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+const VIACEP = 'viacep.com.br';
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_APP).then(cache => cache.addAll(APP_SHELL))
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(nomes => Promise.all(
+        nomes
+          .filter(nome => nome.startsWith('enderecador-app-') && nome !== CACHE_APP)
+          .map(nome => caches.delete(nome))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// A página pede para ativar a nova versão quando o usuário aceita a atualização
+self.addEventListener('message', (event) => {
+  if (event.data?.tipo === 'ativar') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  
+  const url = new URL(request.url);
+  
+  if (url.hostname === VIACEP) {
+    event.respondWith(staleWhileRevalidate(event, CACHE_CEP));
+    return;
+  }
+  
+  if (url.origin === self.location.origin || CDNS.includes(url.hostname)) {
+    // A página com ?parâmetros é a mesma página do cache
+    event.respondWith(cacheFirst(request, { ignoreSearch: request.mode === 'navigate' }));
+  }
+});
+
+/**
+ * Responde com o cache e só vai à rede no que ainda não foi guardado.
+ * Página e scripts saem sempre da mesma versão do app shell.
+ */
+async function cacheFirst(request, opcoes) {
+  const cached = await caches.match(request, opcoes);
+  if (cached) return cached;
+  
+  const response = await fetch(request);
+  if (response.ok || response.type === 'opaque') {
+    const cache = await caches.open(CACHE_APP);
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+/**
+ * Devolve a resposta guardada na hora e atualiza o cache em segundo plano.
+ * Sem cache e sem rede, a consulta falha como erro de rede e a página põe o CEP na fila.
+ */
+async function staleWhileRevalidate(event, nomeCache) {
+  const cache = await caches.open(nomeCache);
+  const cached = await cache.match(event.request);
+  
+  const atualizacao = fetch(event.request).then((response) => {
+    if (response.ok) cache.put(event.request, response.clone());
+    return response;
+  });
+  
+  if (cached) {
+    event.waitUntil(atualizacao.catch(() => {}));
+    return cached;
+  }
+  
+  return atualizacao.catch(() => Response.error());
+}
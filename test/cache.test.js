@@ -0,0 +1,53 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { CacheManager } from '../js/lib/cache.js';
+
+/**
+ * Armazenamento em memória que conta as gravações
+ */
+function criarStore() {
+  return {
+    registros: new Map(),
+    gravacoes: 0,
+    async getAll() { return [...this.registros.values()]; },
+    async put(valor) { this.gravacoes++; this.registros.set(valor.key, { ...valor }); },
+    async putMany(valores) { this.gravacoes++; valores.forEach(valor => this.registros.set(valor.key, { ...valor })); },
+    async delete(key) { this.gravacoes++; this.registros.delete(key); },
+    async clear() { this.registros.clear(); }
+  };
+}
+
+describe('CacheManager: leituras', () => {
+  it('não grava no armazenamento a cada acerto; grava os acessos em lote', async () => {
+    const store = criarStore();
+    const cache = new CacheManager({ persistente: false, store });
+    
+    await cache.set('cep:01001000', { cep: '01001-000' });
+    await cache.set('cep:01002000', { cep: '01002-000' });
+    const gravacoes = store.gravacoes;
+    const acessoAnterior = store.registros.get('cep:01001000').acessadoEm;
+    
+    for (let i = 0; i < 50; i++) {
+      assert.deepEqual(await cache.get('cep:01001000'), { cep: '01001-000' });
+      await cache.get('cep:01002000');
+    }
+    assert.equal(store.gravacoes, gravacoes);
+    
+    await cache.gravarAcessos();
+    assert.equal(store.gravacoes, gravacoes + 1);
+    assert.ok(store.registros.get('cep:01001000').acessadoEm >= acessoAnterior);
+  });
+  
+  it('mantém a ordem LRU em memória entre os lotes', async () => {
+    const cache = new CacheManager({ persistente: false, store: criarStore(), maxEntradas: 2 });
+    
+    await cache.set('cep:1', 1);
+    await cache.set('cep:2', 2);
+    await cache.get('cep:1');
+    await cache.set('cep:3', 3);
+    
+    assert.equal(await cache.has('cep:1'), true);
+    assert.equal(await cache.has('cep:2'), false);
+    await cache.gravarAcessos();
+  });
+});
@@ -0,0 +1,72 @@
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { after, before, describe, it } from 'node:test';
+import { CEPAPI } from '../js/lib/cep-api.js';
+import { CacheManager } from '../js/lib/cache.js';
+import { CEPInvalidError, CEPNetworkError } from '../js/lib/errors.js';
+
+// Servidor local no lugar dos provedores: cada prefixo responde como um deles
+const respostas = {};
+const requisicoes = [];
+let servidor;
+let base;
+
+before(async () => {
+  servidor = createServer((req, res) => {
+    requisicoes.push(req.url);
+    const prefixo = req.url.split('/')[1];
+    const { status = 404, corpo = {} } = respostas[prefixo] || {};
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(corpo));
+  });
+  await new Promise(resolve => servidor.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${servidor.address().port}`;
+});
+
+after(() => new Promise(resolve => servidor.close(resolve)));
+
+function criarAPI(ordem) {
+  requisicoes.length = 0;
+  return new CEPAPI({
+    ordem,
+    endpoints: { viacep: `${base}/viacep`, brasilapi: `${base}/brasilapi` },
+    cache: new CacheManager({ persistente: false }),
+    timeout: 2000,
+    retries: 0
+  });
+}
+
+describe('CEPAPI: failover entre provedores configurados', () => {
+  it('segue para o próximo provedor quando um responde 400 a um CEP válido', async () => {
+    respostas.viacep = { status: 400, corpo: { erro: 'Bad Request' } };
+    respostas.brasilapi = {
+      status: 200,
+      corpo: { cep: '01001000', street: 'Praça da Sé', neighborhood: 'Sé', city: 'São Paulo', state: 'SP' }
+    };
+    
+    const resultado = await criarAPI(['viacep', 'brasilapi']).buscarCEP('01001-000');
+    
+    assert.equal(resultado.provedor, 'brasilapi');
+    assert.equal(resultado.localidade, 'São Paulo');
+    assert.deepEqual(requisicoes, ['/viacep/01001000/json/', '/brasilapi/01001000']);
+  });
+  
+  it('informa a falha de cada provedor quando todos recusam o CEP', async () => {
+    respostas.viacep = { status: 400 };
+    respostas.brasilapi = { status: 400 };
+    
+    await assert.rejects(criarAPI(['viacep', 'brasilapi']).buscarCEP('01001-000'), error => {
+      assert.ok(error instanceof CEPNetworkError);
+      assert.deepEqual(error.tentativas.map(({ provedor }) => provedor), ['viacep', 'brasilapi']);
+      assert.ok(error.tentativas.every(({ erro }) => erro instanceof CEPInvalidError));
+      return true;
+    });
+  });
+  
+  it('repassa o 400 da busca por logradouro, que não é conferida localmente', async () => {
+    respostas.viacep = { status: 400 };
+    
+    await assert.rejects(criarAPI(['viacep', 'brasilapi']).buscarPorLogradouro('SP', 'São Paulo', 'P'), CEPInvalidError);
+    assert.equal(requisicoes.length, 1);
+  });
+});
@@ -0,0 +1,111 @@
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, before, describe, it, mock } from 'node:test';
+import { CLI, CODIGOS_SAIDA } from '../js/cli/main.js';
+import { RotuloPDF } from '../js/lib/labels.js';
+
+let pasta;
+
+before(async () => {
+  pasta = await mkdtemp(join(tmpdir(), 'cep-cli-'));
+});
+
+after(() => rm(pasta, { recursive: true, force: true }));
+
+/**
+ * Saída em memória no lugar de stdout/stderr
+ */
+const criarSaida = () => ({
+  texto: '',
+  write(parte) {
+    this.texto += parte;
+    return true;
+  }
+});
+
+/**
+ * Executa a CLI numa pasta temporária, sem rede e sem o cache do usuário
+ */
+async function executar(argv, { fetch = async () => { throw new TypeError('sem rede nos testes'); } } = {}) {
+  const stdout = criarSaida();
+  const stderr = criarSaida();
+  const cli = new CLI({ stdout, stderr, env: {}, cwd: pasta, fetch });
+  const codigo = await cli.executar(argv);
+  return { codigo, stdout: stdout.texto, stderr: stderr.texto };
+}
+
+describe('cep --format', () => {
+  it('recusa csv fora do enrich e lista os formatos aceitos', async () => {
+    const { codigo, stdout, stderr } = await executar(['lookup', '01001-000', '--format', 'csv', '--no-cache']);
+    
+    assert.equal(codigo, CODIGOS_SAIDA.USO);
+    assert.equal(stdout, '');
+    assert.match(stderr, /Formato desconhecido: csv \(use table ou json\)/);
+  });
+  
+  it('lista csv entre os formatos do enrich', async () => {
+    const { codigo, stderr } = await executar(['enrich', 'clientes.csv', '--format', 'xml', '--no-cache']);
+    
+    assert.equal(codigo, CODIGOS_SAIDA.USO);
+    assert.match(stderr, /\(use csv, table ou json\)/);
+  });
+  
+  it('aceita csv no enrich', () => {
+    const { opcoes } = CLI.interpretar(['enrich', 'clientes.csv', '--format', 'csv']);
+    assert.equal(opcoes.format, 'csv');
+  });
+});
+
+describe('cep label: calibração', () => {
+  it('aceita deslocamento negativo separado da opção (--offset-x -1)', async () => {
+    await writeFile(join(pasta, 'remetente.json'), JSON.stringify({ nome: 'Loja Exemplo', endereco: 'Praça da Sé', numero: '1', cidade: 'São Paulo', uf: 'SP', cep: '01001-000' }));
+    await writeFile(join(pasta, 'destinatarios.csv'), 'nome;endereco;numero;cidade;uf;cep\nMaria Silva;Rua A;10;Rio de Janeiro;RJ;20040-000\n');
+    
+    const gerar = RotuloPDF.gerar;
+    let calibracao;
+    RotuloPDF.gerar = (remetente, destinatarios, opcoes) => {
+      calibracao = opcoes.calibracao;
+      return gerar(remetente, destinatarios, opcoes);
+    };
+    
+    try {
+      const { codigo, stderr } = await executar([
+        'label', '--from', 'remetente.json', '--to', 'destinatarios.csv', '-o', 'rotulos.pdf',
+        '--offset-x', '-1', '--offset-y', '-2.5', '--no-cache'
+      ]);
+      
+      assert.equal(codigo, CODIGOS_SAIDA.OK, stderr);
+      assert.deepEqual(calibracao, { x: -1, y: -2.5 });
+      assert.match(await readFile(join(pasta, 'rotulos.pdf'), 'latin1'), /^%PDF-/);
+    } finally {
+      RotuloPDF.gerar = gerar;
+    }
+  });
+  
+  it('mantém a forma com "=" e não junta valores a outras opções', () => {
+    assert.deepEqual(
+      CLI.juntarNegativos(['label', '--offset-x=-1', '--offset-y', '-.5', '--start', '-1', '--', '--offset-x', '-2']),
+      ['label', '--offset-x=-1', '--offset-y=-.5', '--start', '-1', '--', '--offset-x', '-2']
+    );
+  });
+});
+
+describe('cep: cache em disco', () => {
+  it('avisa no stderr da CLI, não no console, quando o arquivo de cache está corrompido', async () => {
+    const pastaCache = join(pasta, 'cache');
+    await mkdir(pastaCache, { recursive: true });
+    await writeFile(join(pastaCache, 'cache.json'), '{ corrompido');
+    const warn = mock.method(console, 'warn', () => {});
+    
+    try {
+      const { stderr } = await executar(['lookup', '01001-000', '--cache-dir', pastaCache]);
+      
+      assert.match(stderr, /Arquivo de cache ignorado/);
+      assert.equal(warn.mock.callCount(), 0);
+    } finally {
+      warn.mock.restore();
+    }
+  });
+});
@@ -0,0 +1,299 @@
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { before, describe, it } from 'node:test';
+import { JSDOM } from 'jsdom';
+
+// Atributos em que o navegador segue a URL
+const ATRIBUTOS_URL = ['href', 'src', 'action', 'formaction', 'xlink:href'];
+
+// Cargas que viram elemento ou script se algum texto chegar ao DOM como HTML
+const PAYLOADS = [
+  '<img src=x onerror=alert(1)>',
+  '<svg onload=alert(1)>',
+  '"><img src=x onerror=alert(1)>',
+  '<a href="javascript:alert(1)">clique</a>',
+  'javascript:alert(1)'
+];
+
+const URLS_PERIGOSAS = ['javascript:alert(1)', ' JaVaScRiPt:alert(1)', 'data:text/html,<script>alert(1)</script>', 'vbscript:msgbox(1)'];
+
+let DOM;
+let UIManager;
+let Endereco;
+let RastreioManager;
+let NavegacaoManager;
+
+before(async () => {
+  const { window } = new JSDOM('<!DOCTYPE html><body></body>', { url: 'https://exemplo.test/' });
+  Object.assign(globalThis, { window, document: window.document, Node: window.Node, HTMLElement: window.HTMLElement });
+  
+  ({ DOM } = await import('../js/app/dom.js'));
+  ({ UIManager } = await import('../js/app/ui-manager.js'));
+  ({ Endereco } = await import('../js/lib/endereco.js'));
+  ({ RastreioManager } = await import('../js/app/rastreio-manager.js'));
+  ({ NavegacaoManager } = await import('../js/app/navegacao-manager.js'));
+});
+
+/**
+ * Falha se a árvore tiver elementos além dos esperados, atributos de evento ou URLs com script
+ */
+function assertSemInjecao(raiz, tagsEsperadas) {
+  const elementos = [raiz, ...raiz.querySelectorAll('*')];
+  
+  elementos.forEach(elemento => {
+    assert.ok(tagsEsperadas.includes(elemento.localName), `elemento inesperado: <${elemento.localName}>`);
+    
+    [...elemento.attributes].forEach(({ name, value }) => {
+      assert.ok(!/^on/i.test(name), `atributo de evento: ${name}`);
+      if (ATRIBUTOS_URL.includes(name)) {
+        assert.ok(!/^\s*(?:javascript|vbscript|data):/i.test(value), `URL com script em ${name}: ${value}`);
+      }
+    });
+  });
+}
+
+describe('DOM.criar', () => {
+  PAYLOADS.forEach(payload => {
+    it(`mantém como texto: ${payload}`, () => {
+      const elemento = DOM.criar('div', { title: payload }, payload, [DOM.criar('span', {}, payload)]);
+      
+      assertSemInjecao(elemento, ['div', 'span']);
+      assert.equal(elemento.textContent, payload + payload);
+      assert.equal(elemento.getAttribute('title'), payload);
+    });
+  });
+  
+  it('recusa atributos de evento', () => {
+    ['onerror', 'onload', 'ONCLICK', 'onMouseOver'].forEach(nome => {
+      assert.throws(() => DOM.criar('img', { [nome]: 'alert(1)' }), /Atributo de evento não permitido/);
+    });
+  });
+  
+  URLS_PERIGOSAS.forEach(url => {
+    it(`descarta href e src com script: ${url}`, () => {
+      const link = DOM.criar('a', { href: url }, 'link');
+      const imagem = DOM.criar('img', { src: url });
+      
+      assert.equal(link.hasAttribute('href'), false);
+      assert.equal(imagem.hasAttribute('src'), false);
+    });
+  });
+  
+  it('DOM.svg recusa atributos de evento e descarta links', () => {
+    assert.throws(() => DOM.svg({ tag: 'svg', atributos: { onload: 'alert(1)' } }), /Atributo de evento não permitido/);
+    
+    const svg = DOM.svg({ tag: 'svg', filhos: [{ tag: 'a', atributos: { href: 'javascript:alert(1)', 'xlink:href': 'javascript:alert(1)' } }] });
+    assertSemInjecao(svg, ['svg', 'a']);
+    assert.equal(svg.querySelector('a').attributes.length, 0);
+  });
+  
+  it('DOM.substituir troca o conteúdo só por nós de texto', () => {
+    const alvo = DOM.criar('div', {}, DOM.criar('p', {}, 'antes'));
+    DOM.substituir(alvo, ...PAYLOADS);
+    
+    assertSemInjecao(alvo, ['div']);
+    assert.equal(alvo.textContent, PAYLOADS.join(''));
+  });
+});
+
+describe('Cartão de resultado', () => {
+  PAYLOADS.forEach(payload => {
+    it(`não interpreta a resposta do provedor: ${payload}`, () => {
+      const item = {
+        cep: payload,
+        logradouro: payload,
+        complemento: payload,
+        bairro: payload,
+        localidade: payload,
+        uf: payload,
+        ddd: payload
+      };
+      const ui = { historico: { criarBotaoFavorito: () => null } };
+      const cartao = UIManager.prototype.renderizarItem.call(ui, item);
+      
+      assertSemInjecao(cartao, ['div', 'h5', 'span', 'strong']);
+      assert.ok(cartao.textContent.includes(payload));
+    });
+  });
+});
+
+describe('Pré-visualização do endereço', () => {
+  PAYLOADS.forEach(payload => {
+    it(`não interpreta os campos digitados: ${payload}`, () => {
+      const dados = {
+        nome: payload,
+        endereco: payload,
+        numero: payload,
+        complemento: payload,
+        bairro: payload,
+        cidade: payload,
+        uf: 'SP',
+        cep: '01001-000'
+      };
+      const container = DOM.criar('div');
+      UIManager.prototype.renderizarEnderecoPreview.call({}, container, dados, false);
+      
+      assertSemInjecao(container, ['div', 'p', 'strong']);
+      assert.equal(container.querySelectorAll('p').length, Endereco.linhas(dados).length);
+      assert.equal(container.textContent, Endereco.linhas(dados).join(''));
+    });
+  });
+});
+
+describe('Pré-visualização dos códigos postais', () => {
+  PAYLOADS.forEach(payload => {
+    it(`monta CEPNet e DataMatrix como nós SVG: ${payload}`, () => {
+      const dados = { nome: payload, endereco: payload, numero: '10', complemento: payload, cidade: payload, uf: 'SP', cep: '01001-000' };
+      const codigosPreview = DOM.criar('div');
+      const ui = {
+        elements: { codigosPreview },
+        opcoesImpressao: () => ({ codigos: { cepnet: true, datamatrix: true } }),
+        rastreio: { codigo: null }
+      };
+      UIManager.prototype.atualizarPreviewCodigos.call(ui, dados, dados);
+      
+      assertSemInjecao(codigosPreview, ['div', 'svg', 'rect', 'path']);
+      const svgs = codigosPreview.querySelectorAll('svg');
+      assert.equal(svgs.length, 2);
+      svgs.forEach(svg => assert.equal(svg.namespaceURI, 'http://www.w3.org/2000/svg'));
+    });
+  });
+});
+
+describe('Pré-visualização do código de rastreio', () => {
+  /**
+   * Gerenciador só com o campo e o preview, para chamar atualizarPreview()
+   */
+  const criarRastreio = (valor) => {
+    const rastreio = Object.create(RastreioManager.prototype);
+    rastreio.elements = { codigo: DOM.criar('input'), preview: DOM.criar('div') };
+    rastreio.elements.codigo.value = valor;
+    return rastreio;
+  };
+  
+  it('monta o Code128 como nós SVG e o texto como nó de texto', () => {
+    const rastreio = criarRastreio('AA123456785BR');
+    rastreio.atualizarPreview();
+    
+    const { preview } = rastreio.elements;
+    assertSemInjecao(preview, ['div', 'svg', 'rect', 'span']);
+    assert.equal(preview.querySelector('svg').namespaceURI, 'http://www.w3.org/2000/svg');
+    assert.equal(preview.querySelector('span').textContent, 'AA 123 456 785 BR');
+  });
+  
+  PAYLOADS.forEach(payload => {
+    it(`não mostra nada para um código digitado inválido: ${payload}`, () => {
+      const rastreio = criarRastreio(payload);
+      rastreio.atualizarPreview();
+      
+      assert.equal(rastreio.elements.preview.childNodes.length, 0);
+    });
+  });
+});
+
+describe('Busca substituída por uma varredura de faixa', () => {
+  /**
+   * Interface só com o necessário para as buscas, sobre uma API que responde apenas ao cancelamento
+   */
+  const criarUI = () => {
+    const ui = Object.create(UIManager.prototype);
+    const campo = (value) => Object.assign(DOM.criar('input'), { value });
+    
+    ui.requisicoes = new Map();
+    ui.resultados = [];
+    ui.elements = {
+      cepInput: campo('01001-000'),
+      cepInicialInput: campo('01001-000'),
+      cepFinalInput: campo('01001-000'),
+      resultadoContent: DOM.criar('div')
+    };
+    ui.navegacao = { registrarBusca: () => {} };
+    ui.api = {
+      temEmCache: async () => true,
+      buscarCEP: (cep, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new DOMException('cancelada', 'AbortError')), { once: true });
+      })
+    };
+    ['atualizarExportacao', 'alternarControlesFaixa', 'atualizarProgressoFaixa', 'atualizarResumoCache'].forEach(metodo => {
+      ui[metodo] = () => {};
+    });
+    return ui;
+  };
+  
+  it('desliga o carregamento da busca por CEP que ela cancelou', async () => {
+    const ui = criarUI();
+    
+    const buscaCEP = ui.buscarCEP();
+    assert.ok(document.body.classList.contains('loading'));
+    
+    const varredura = ui.buscarFaixaCEP();
+    assert.ok(!document.body.classList.contains('loading'));
+    
+    ui.requisicoes.get('busca').abort();
+    await Promise.all([buscaCEP, varredura]);
+    assert.ok(!document.body.classList.contains('loading'));
+  });
+});
+
+describe('Faixa de CEP aberta por link', () => {
+  /**
+   * Abre a URL e devolve as faixas que chegaram a ser varridas e as perguntas feitas
+   */
+  const abrir = async (search, resposta) => {
+    window.history.replaceState(null, '', search);
+    const ui = Object.create(UIManager.prototype);
+    const varridas = [];
+    const campo = () => DOM.criar('input');
+    
+    ui.elements = { cepInicialInput: campo(), cepFinalInput: campo() };
+    ui.switchTab = () => {};
+    ui.buscarFaixaCEP = () => varridas.push([ui.elements.cepInicialInput.value, ui.elements.cepFinalInput.value]);
+    
+    const perguntas = [];
+    globalThis.confirm = (pergunta) => {
+      perguntas.push(pergunta);
+      return resposta;
+    };
+    
+    try {
+      await NavegacaoManager.prototype.aplicarURL.call({ ui });
+    } finally {
+      delete globalThis.confirm;
+    }
+    return { varridas, perguntas, ui };
+  };
+  
+  it('pergunta antes de varrer e não varre se o usuário recusar', async () => {
+    const { varridas, perguntas, ui } = await abrir('?de=00000000&ate=99999999', false);
+    
+    assert.equal(perguntas.length, 1);
+    assert.match(perguntas[0], /100\.000\.000 CEPs \(00000-000 a 99999-999\)/);
+    assert.deepEqual(varridas, []);
+    assert.equal(ui.elements.cepFinalInput.value, '99999-999');
+  });
+  
+  it('varre a faixa do link depois da confirmação', async () => {
+    const { varridas } = await abrir('?de=01001000&ate=01001010', true);
+    
+    assert.deepEqual(varridas, [['01001-000', '01001-010']]);
+  });
+});
+
+describe('Content-Security-Policy da página', () => {
+  it('não permite script inline nem eval', async () => {
+    const html = await readFile(new URL('../index.html', import.meta.url), 'utf8');
+    const { document } = new JSDOM(html).window;
+    const meta = document.querySelector('meta[http-equiv="Content-Security-Policy"]');
+    assert.ok(meta, 'meta CSP ausente');
+    
+    const diretivas = Object.fromEntries(meta.content.split(';').map(diretiva => {
+      const [nome, ...valores] = diretiva.trim().split(/\s+/);
+      return [nome, valores];
+    }));
+    
+    assert.ok(diretivas['script-src'], 'script-src ausente');
+    assert.ok(!diretivas['script-src'].includes("'unsafe-inline'"));
+    assert.ok(!diretivas['script-src'].includes("'unsafe-eval'"));
+    assert.deepEqual(diretivas['object-src'], ["'none'"]);
+  });
+});
@@ -0,0 +1,123 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { jsPDF } from 'jspdf';
+import { CEPNET_DIMENSOES, CEPNet } from '../js/lib/barcodes.js';
+import { LABEL_TEMPLATES, RotuloPDF } from '../js/lib/labels.js';
+
+const remetente = {
+  nome: 'Empresa Remetente Comércio Ltda',
+  endereco: 'Avenida Paulista',
+  numero: '1578',
+  complemento: 'Conjunto 1203, Torre Norte',
+  bairro: 'Bela Vista',
+  cidade: 'São Paulo',
+  uf: 'SP',
+  cep: '01310-200'
+};
+
+const destinatario = {
+  nome: 'Maria Aparecida dos Santos Oliveira',
+  endereco: 'Rua Doutor Fulano de Tal Albuquerque',
+  numero: '12345',
+  complemento: 'Apartamento 1502, Bloco B',
+  bairro: 'Jardim Botânico',
+  cidade: 'Rio de Janeiro',
+  uf: 'RJ',
+  cep: '22460-030'
+};
+
+const sobrepoe = (a, b) =>
+  a.x < b.x + b.largura - 0.01 && b.x < a.x + a.largura - 0.01 &&
+  a.y < b.y + b.altura - 0.01 && b.y < a.y + a.altura - 0.01;
+
+/**
+ * Desenha um rótulo e devolve as caixas das linhas de texto do endereço e dos códigos
+ */
+function desenhar(template, opcoes = {}, extras = {}) {
+  const pdf = new RotuloPDF(template, { jsPDF, codigos: { cepnet: true, datamatrix: true }, ...opcoes });
+  const doc = pdf.doc;
+  const textos = [];
+  const codigos = [];
+  let emEndereco = false;
+  
+  const desenharLinhas = pdf.desenharLinhas.bind(pdf);
+  pdf.desenharLinhas = (...args) => {
+    emEndereco = true;
+    try {
+      desenharLinhas(...args);
+    } finally {
+      emEndereco = false;
+    }
+  };
+  
+  const text = doc.text.bind(doc);
+  doc.text = (texto, x, y, ...resto) => {
+    if (emEndereco) {
+      const fonte = doc.getFontSize() * 0.3528;
+      textos.push({ texto, x, y: y - fonte * 0.75, largura: doc.getTextWidth(texto), altura: fonte * 0.95 });
+    }
+    return text(texto, x, y, ...resto);
+  };
+  
+  const desenharMatriz = pdf.desenharMatriz.bind(pdf);
+  pdf.desenharMatriz = (matriz, x, y, modulo) => {
+    const lado = matriz.length * modulo;
+    codigos.push({ codigo: 'DataMatrix', x, y, largura: lado, altura: lado });
+    desenharMatriz(matriz, x, y, modulo);
+  };
+  
+  const desenharCEPNet = pdf.desenharCEPNet.bind(pdf);
+  pdf.desenharCEPNet = (barras, x, y) => {
+    codigos.push({ codigo: 'CEPNet', x, y, largura: CEPNet.largura(barras), altura: CEPNET_DIMENSOES.alturaAlta });
+    desenharCEPNet(barras, x, y);
+  };
+  
+  const desenharRastreio = pdf.desenharRastreio.bind(pdf);
+  pdf.desenharRastreio = (codigo, x, y, largura, altura) => {
+    const desenhado = desenharRastreio(codigo, x, y, largura, altura);
+    if (desenhado) codigos.push({ codigo: 'Code128', x, y, largura, altura });
+    return desenhado;
+  };
+  
+  pdf.adicionarRotulo(remetente, destinatario, extras);
+  return { textos, codigos };
+}
+
+const variantes = [
+  ['sem rastreio', {}, {}],
+  ['com rastreio', {}, { rastreio: 'AA123456785BR' }],
+  ['destinatário na janela', { envelope: { destinatario: 'janela' } }, { rastreio: 'AA123456785BR' }]
+];
+
+describe('RotuloPDF: códigos postais e texto do endereço', () => {
+  Object.entries(LABEL_TEMPLATES).forEach(([chave, template]) => {
+    variantes.forEach(([descricao, opcoes, extras]) => {
+      it(`${chave} (${descricao}): o texto não passa sobre os códigos`, () => {
+        const { textos, codigos } = desenhar(template, opcoes, extras);
+        
+        assert.ok(textos.length > 0, 'nenhuma linha de endereço desenhada');
+        assert.ok(codigos.length > 0, 'nenhum código desenhado');
+        
+        codigos.forEach(codigo => {
+          textos.forEach(texto => {
+            assert.ok(!sobrepoe(texto, codigo), `"${texto.texto}" sobre o ${codigo.codigo}`);
+          });
+        });
+      });
+    });
+  });
+  
+  it('omite o DataMatrix quando ele não deixa espaço para o endereço', () => {
+    const estreita = { ...LABEL_TEMPLATES['pimaco-6180'], etiqueta: { largura: 30, altura: 25.4 } };
+    const { textos, codigos } = desenhar(estreita);
+    
+    assert.ok(textos.length > 0);
+    assert.ok(!codigos.some(({ codigo }) => codigo === 'DataMatrix'));
+  });
+  
+  it('desenha o DataMatrix ao lado do endereço nas etiquetas só de destinatário', () => {
+    const { codigos } = desenhar(LABEL_TEMPLATES['a4-3x7']);
+    
+    assert.ok(codigos.some(({ codigo }) => codigo === 'DataMatrix'));
+  });
+});